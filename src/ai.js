@@ -0,0 +1,266 @@
+import { LifeFlowCompatibility } from './compatibility.js';
+import { LifeFlowEligibility } from './eligibility.js';
+
+// ============================================================================
+// AI & Machine Learning Features
+// ============================================================================
+
+// More urgent requests search further and accept substitute blood types
+export const URGENCY_POLICY = {
+    moderate: { radiusKm: 50, substitutes: false },
+    high: { radiusKm: 150, substitutes: true },
+    urgent: { radiusKm: 500, substitutes: true }
+};
+
+// Latitude/longitude of cities we serve, keyed by lower-case name
+const CITY_COORDINATES = {
+    'new york': [40.7128, -74.0060],
+    'los angeles': [34.0522, -118.2437],
+    'chicago': [41.8781, -87.6298],
+    'houston': [29.7604, -95.3698],
+    'phoenix': [33.4484, -112.0740],
+    'philadelphia': [39.9526, -75.1652],
+    'boston': [42.3601, -71.0589],
+    'newark': [40.7357, -74.1724],
+    'peshawar': [34.0151, 71.5249],
+    'islamabad': [33.6844, 73.0479],
+    'rawalpindi': [33.5651, 73.0169],
+    'lahore': [31.5204, 74.3587],
+    'karachi': [24.8607, 67.0011],
+    'quetta': [30.1798, 66.9750],
+    'multan': [30.1575, 71.5249],
+    'faisalabad': [31.4504, 73.1350],
+    'mardan': [34.1986, 72.0404],
+    'abbottabad': [34.1688, 73.2215]
+};
+
+export class LifeFlowAI {
+    constructor(database, eligibility = new LifeFlowEligibility(), compatibility = new LifeFlowCompatibility()) {
+        this.database = database;
+        this.eligibility = eligibility;
+        this.compatibility = compatibility;
+    }
+
+    // Smart Donor-Recipient Matching Algorithm
+    // Ranks eligible donors for a blood request and picks enough of them to
+    // cover the outstanding units, given each donor's chance of responding
+    smartMatching(request, now = this.database.clock()) {
+        const policy = URGENCY_POLICY[request.urgency] || URGENCY_POLICY.moderate;
+        const acceptedTypes = policy.substitutes
+            ? this.compatibility.acceptedDonorTypes(request.bloodType, request.component || 'rbc')
+            : [request.bloodType];
+        const unitsNeeded = Math.max(0, request.units - (request.unitsFulfilled || 0));
+
+        const candidates = this.database.readDonors()
+            .filter(donor => donor.status === 'active' && acceptedTypes.includes(donor.bloodType))
+            .filter(donor => this.compatibility.unmetRequirements(donor, request, 'donor').length === 0)
+            .filter(donor => this.isDonorAvailable(donor, now))
+            .map(donor => ({ donor, distanceKm: this.calculateDistance(donor.city, request.city) }))
+            .filter(({ distanceKm }) => distanceKm !== null && distanceKm <= policy.radiusKm)
+            .map(({ donor, distanceKm }) => this.scoreDonor(donor, request, distanceKm, policy, now))
+            .sort((a, b) => b.matchScore - a.matchScore);
+
+        // Contact donors until their expected responses cover the units needed
+        const matches = [];
+        let expectedUnits = 0;
+        for (const candidate of candidates) {
+            if (expectedUnits >= unitsNeeded) break;
+            matches.push(candidate);
+            expectedUnits += candidate.responseRate;
+        }
+
+        return {
+            requestId: request.id,
+            unitsNeeded,
+            expectedUnits: Math.round(expectedUnits * 10) / 10,
+            covered: expectedUnits >= unitsNeeded,
+            searchRadiusKm: policy.radiusKm,
+            acceptedTypes,
+            matches
+        };
+    }
+
+    // Active, outside any deferral, and past the cooldown of their last donation
+    isDonorAvailable(donor, now) {
+        if (donor.nextEligibleDate && new Date(donor.nextEligibleDate) > now) return false;
+        return this.checkEligibility(donor, now).eligible;
+    }
+
+    scoreDonor(donor, request, distanceKm, policy, now) {
+        const responses = donor.responses || { contacted: 0, responded: 0 };
+        // Donors never contacted get a neutral prior instead of zero
+        const responseRate = responses.contacted > 0 ? responses.responded / responses.contacted : 0.5;
+
+        let recency = 20;
+        if (donor.lastDonationDate) {
+            const daysSince = (now - new Date(donor.lastDonationDate)) / 86400000;
+            recency = Math.min(daysSince / 365, 1) * 20;
+        }
+
+        const breakdown = {
+            distance: Math.round(50 * (1 - distanceKm / Math.max(policy.radiusKm, 1))),
+            recency: Math.round(recency),
+            responseRate: Math.round(responseRate * 30),
+            // Substitutes are kept for patients who can take nothing else
+            exactType: donor.bloodType === request.bloodType ? 10 : 0
+        };
+
+        return {
+            ...donor,
+            distanceKm: Math.round(distanceKm * 10) / 10,
+            responseRate,
+            matchScore: Object.values(breakdown).reduce((a, b) => a + b, 0),
+            scoreBreakdown: breakdown
+        };
+    }
+
+    // Great-circle distance between two known cities (haversine), in km
+    calculateDistance(cityA, cityB) {
+        if (!cityA || !cityB) return null;
+        if (cityA.trim().toLowerCase() === cityB.trim().toLowerCase()) return 0;
+
+        const a = CITY_COORDINATES[cityA.trim().toLowerCase()];
+        const b = CITY_COORDINATES[cityB.trim().toLowerCase()];
+        if (!a || !b) return null;
+
+        const toRad = deg => deg * Math.PI / 180;
+        const dLat = toRad(b[0] - a[0]);
+        const dLon = toRad(b[1] - a[1]);
+        const h = Math.sin(dLat / 2) ** 2 +
+            Math.cos(toRad(a[0])) * Math.cos(toRad(b[0])) * Math.sin(dLon / 2) ** 2;
+        return 2 * 6371 * Math.asin(Math.sqrt(h));
+    }
+
+    // Daily units demanded for a blood type: units requested (cancelled requests
+    // excluded) plus units issued outside any request. Days are UTC calendar days.
+    getDemandHistory(bloodType, days, now = this.database.clock()) {
+        const today = Math.floor(now.getTime() / 86400000);
+        const firstDay = today - days;
+        const series = new Array(days).fill(0);
+        const addDemand = (date, units) => {
+            const index = Math.floor(new Date(date).getTime() / 86400000) - firstDay;
+            if (index >= 0 && index < days) series[index] += units;
+        };
+
+        this.database.readRequests()
+            .filter(r => r.bloodType === bloodType && r.status !== 'cancelled')
+            .forEach(r => addDemand(r.createdDate, r.units));
+
+        this.database.readUnits({ bloodType, status: 'issued' })
+            .filter(u => !u.reservation)
+            .forEach(u => addDemand(u.history[u.history.length - 1].date, 1));
+
+        return { firstDay, series };
+    }
+
+    // Least-squares trend on the series after removing an additive day-of-week effect
+    fitDemandModel(series, firstDay) {
+        const n = series.length;
+        const dayOfWeek = t => (firstDay + t + 4) % 7; // day 0 of the epoch was a Thursday
+        const mean = series.reduce((a, b) => a + b, 0) / n;
+
+        const seasonal = Array.from({ length: 7 }, (_, dow) => {
+            const values = series.filter((_, t) => dayOfWeek(t) === dow);
+            return values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length - mean : 0;
+        });
+
+        const adjusted = series.map((y, t) => y - seasonal[dayOfWeek(t)]);
+        const tMean = (n - 1) / 2;
+        const yMean = adjusted.reduce((a, b) => a + b, 0) / n;
+        const sxx = adjusted.reduce((sum, _, t) => sum + (t - tMean) ** 2, 0);
+        const sxy = adjusted.reduce((sum, y, t) => sum + (t - tMean) * (y - yMean), 0);
+        const slope = sxx > 0 ? sxy / sxx : 0;
+        const intercept = yMean - slope * tMean;
+
+        const fitted = t => intercept + slope * t + seasonal[dayOfWeek(t)];
+        const sse = series.reduce((sum, y, t) => sum + (y - fitted(t)) ** 2, 0);
+        const sigma = n > 2 ? Math.sqrt(sse / (n - 2)) : 0;
+
+        return {
+            slope,
+            predict: t => Math.max(0, fitted(t)),
+            // 95% prediction interval half-width for a future time index
+            margin: t => 1.96 * sigma * Math.sqrt(1 + 1 / n + (sxx > 0 ? (t - tMean) ** 2 / sxx : 0))
+        };
+    }
+
+    // Blood Demand Prediction: linear trend with day-of-week seasonality
+    predictDemand(bloodType, daysAhead = 7, now = this.database.clock(), historyDays = 56) {
+        const history = this.getDemandHistory(bloodType, historyDays, now);
+
+        // Days before the first recorded demand are missing data, not zero demand
+        const firstRecorded = history.series.findIndex(units => units > 0);
+        const skip = Math.min(Math.max(firstRecorded, 0), historyDays - 7);
+        const series = history.series.slice(skip);
+        const firstDay = history.firstDay + skip;
+        historyDays = series.length;
+
+        const model = this.fitDemandModel(series, firstDay);
+        const round1 = x => Math.round(x * 10) / 10;
+
+        const forecast = Array.from({ length: daysAhead }, (_, h) => {
+            const t = historyDays + h;
+            const demand = model.predict(t);
+            const margin = model.margin(t);
+            return {
+                date: new Date((firstDay + t) * 86400000).toISOString().slice(0, 10),
+                demand: round1(demand),
+                lower: round1(Math.max(0, demand - margin)),
+                upper: round1(demand + margin)
+            };
+        });
+
+        const averageDemand = series.reduce((a, b) => a + b, 0) / historyDays;
+        let trend = 'stable';
+        if (Math.abs(model.slope) * 7 > 0.05 * averageDemand) {
+            trend = model.slope > 0 ? 'increasing' : 'decreasing';
+        }
+
+        return {
+            bloodType,
+            model: 'linear-trend+day-of-week',
+            historyDays,
+            currentDemand: series[series.length - 1],
+            predictedDemand: Math.round(forecast.reduce((sum, day) => sum + day.demand, 0)),
+            trend,
+            forecast,
+            backtest: this.backtestDemand(series, firstDay, daysAhead)
+        };
+    }
+
+    // Refit without the last `horizon` days and score the forecast against them
+    backtestDemand(series, firstDay, horizon) {
+        const trainLength = series.length - horizon;
+        if (trainLength < 14) return { horizon, mape: null, mae: null };
+
+        const model = this.fitDemandModel(series.slice(0, trainLength), firstDay);
+        const actual = series.slice(trainLength);
+        const errors = actual.map((y, h) => ({ y, error: Math.abs(y - model.predict(trainLength + h)) }));
+        const nonZero = errors.filter(e => e.y > 0);
+
+        return {
+            horizon,
+            // MAPE is undefined for days with no demand, so those days are skipped
+            mape: nonZero.length > 0
+                ? Math.round(nonZero.reduce((sum, e) => sum + e.error / e.y, 0) / nonZero.length * 1000) / 10
+                : null,
+            mae: Math.round(errors.reduce((sum, e) => sum + e.error, 0) / errors.length * 10) / 10
+        };
+    }
+
+    // Eligibility Checker
+    // Self-reported lastDonation ranges stand in for a date until donations are recorded
+    checkEligibility(questionnaire, onDate = this.database.clock()) {
+        const answers = { ...questionnaire };
+
+        if (!answers.lastDonationDate) {
+            const reportedDaysAgo = { recent: 0, '3months': 90, '6months': 180, '1year': 365 };
+            const daysAgo = reportedDaysAgo[answers.lastDonation];
+            if (daysAgo !== undefined) {
+                answers.lastDonationDate = new Date(onDate.getTime() - daysAgo * 86400000).toISOString();
+            }
+        }
+
+        return this.eligibility.evaluate(answers, onDate);
+    }
+}
@@ -0,0 +1,145 @@
+import { LifeFlowCompatibility } from './compatibility.js';
+import { LifeFlowTransfers } from './transfers.js';
+
+// ============================================================================
+// Inventory Allocation
+// ============================================================================
+
+// How long reserved units are held before returning to stock
+const RESERVATION_HOLD_HOURS = { urgent: 2, high: 6, moderate: 24 };
+
+export class LifeFlowAllocation {
+    constructor(database, ai, compatibility = new LifeFlowCompatibility(), transfers = new LifeFlowTransfers(database, ai, compatibility)) {
+        this.database = database;
+        this.ai = ai;
+        this.compatibility = compatibility;
+        this.transfers = transfers;
+    }
+
+    // Donor types acceptable for a request, in the order stock is drawn from:
+    // exact type, then substitutes (Rh-negative first within the same ABO group),
+    // with the universal type for the component (O- red cells, AB plasma) held
+    // back for urgent requests unless it is the patient's own
+    getSupplyOrder(request) {
+        const component = request.component || 'rbc';
+        const universal = this.compatibility.universalDonorTypes(component);
+        const rank = type => this.substituteRank(type, request.bloodType, universal);
+        const substitutes = this.compatibility.acceptedDonorTypes(request.bloodType, component)
+            .slice(1)
+            .filter(type => !universal.includes(type) || request.urgency === 'urgent')
+            .sort((a, b) => rank(a) - rank(b));
+        return [request.bloodType, ...substitutes];
+    }
+
+    substituteRank(type, recipientType, universal = ['O-']) {
+        const group = t => t.replace(/[+-]$/, '');
+        let rank = group(type) === group(recipientType) ? 0 : 2;
+        if (universal.some(u => group(u) === group(type))) rank += 1;
+        if (universal.includes(type)) rank += 2;
+        return rank;
+    }
+
+    // Reserve stock at the request's blood bank, propose transfers from the
+    // nearest sites with surplus, and recruit donors only for what is left.
+    // A request without a blood bank draws on stock anywhere in the network.
+    allocate(requestId, now = this.database.clock()) {
+        // Checked before anything is reserved, so a refusal leaves stock as it was
+        this.database.authorize('inventory.allocate');
+        const request = this.database.getRequest(requestId);
+        if (!request || this.database.isRequestClosed(request)) return null;
+        // Lapsed holds neither cover this request nor block stock for it
+        this.releaseExpiredReservations(now);
+
+        // Units already ordered or on their way from other sites count as covered
+        const alreadyReserved = this.database.getReservedUnits(requestId).length;
+        let needed = request.units - request.unitsFulfilled - alreadyReserved - this.transfers.getIncoming(requestId);
+        const holdHours = RESERVATION_HOLD_HOURS[request.urgency] || RESERVATION_HOLD_HOURS.moderate;
+        const expiresAt = new Date(now.getTime() + holdHours * 3600000);
+        const components = request.component ? [request.component] : ['rbc', 'whole_blood'];
+        const reserved = [];
+
+        for (const bloodType of this.getSupplyOrder(request)) {
+            if (needed <= 0) break;
+            const units = components
+                .flatMap(component => this.database.pickUnits(bloodType, Infinity, component, now, request.siteId))
+                .filter(unit => this.compatibility.check(unit, request).compatible)
+                .sort((a, b) => new Date(a.expiryDate) - new Date(b.expiryDate))
+                .slice(0, needed);
+
+            const before = reserved.length;
+            units.forEach(unit => {
+                if (this.database.reserveUnit(unit.id, requestId, expiresAt)) reserved.push(unit);
+            });
+            needed -= reserved.length - before;
+        }
+
+        if (reserved.length > 0) {
+            this.database.addRequestHistory(request, request.status, `${reserved.length} unit(s) reserved from stock`);
+            this.database.saveToStorage();
+        }
+
+        const transferProposals = needed > 0 && request.siteId ? this.proposeTransfers(request, needed, components, now) : [];
+        const toRecruit = needed - transferProposals.reduce((sum, p) => sum + p.units, 0);
+
+        let recruitment = null;
+        if (toRecruit > 0) {
+            recruitment = this.ai.smartMatching({ ...request, units: toRecruit, unitsFulfilled: 0 }, now);
+            // Roles that cannot edit requests (the lab) get the matches without recording them
+            if (recruitment.matches.length > 0 && this.database.can('requests.update')) {
+                this.database.matchRequest(requestId, recruitment.matches.map(m => m.id));
+            }
+        }
+
+        return {
+            requestId,
+            reservedUnits: reserved.map(u => ({ id: u.id, bloodType: u.bloodType, component: u.component, expiryDate: u.expiryDate })),
+            reservedTotal: alreadyReserved + reserved.length,
+            shortfall: Math.max(0, needed),
+            reservationExpiresAt: expiresAt.toISOString(),
+            transferProposals,
+            recruitment
+        };
+    }
+
+    // Units to ask other sites for, donor types in supply order and the
+    // nearest site with surplus first, until the need is covered
+    proposeTransfers(request, needed, components, now = this.database.clock()) {
+        const accepts = unit => this.compatibility.check(unit, request).compatible;
+        const proposals = [];
+
+        for (const bloodType of this.getSupplyOrder(request)) {
+            const candidates = components
+                .flatMap(component => this.transfers.findSurplus(bloodType, component, request.siteId, accepts, now)
+                    .map(candidate => ({ ...candidate, component })))
+                .sort((a, b) => (a.distanceKm ?? Infinity) - (b.distanceKm ?? Infinity));
+
+            for (const { site, units, component, distanceKm } of candidates) {
+                if (needed <= 0) return proposals;
+                const count = Math.min(needed, units.length);
+                proposals.push({
+                    fromSiteId: site.id,
+                    fromSiteName: site.name,
+                    bloodType,
+                    component,
+                    units: count,
+                    distanceKm: distanceKm === null ? null : Math.round(distanceKm)
+                });
+                needed -= count;
+            }
+        }
+        return proposals;
+    }
+
+    // Hand reserved units over to the hospital and count them against the request
+    issueReserved(requestId) {
+        const units = this.database.getReservedUnits(requestId);
+        units.forEach(unit => this.database.issueUnit(unit.id));
+        if (units.length > 0) this.database.fulfilRequest(requestId, units.length);
+        return units;
+    }
+
+    // Return timed-out holds, and holds for requests that have closed, to stock
+    releaseExpiredReservations(now = this.database.clock()) {
+        return this.database.releaseExpiredReservations(now);
+    }
+}
@@ -0,0 +1,351 @@
+import { URGENCY_POLICY } from './ai.js';
+import { BLOOD_TYPES } from './database.js';
+
+// ============================================================================
+// Data Processing & Analytics
+// ============================================================================
+
+// Share of each ABO/RhD type in the general population (%), used as the
+// baseline for the donor distribution report
+const BLOOD_TYPE_NORMS = {
+    'O+': 37.4, 'O-': 6.6, 'A+': 35.7, 'A-': 6.3,
+    'B+': 8.5, 'B-': 1.5, 'AB+': 3.4, 'AB-': 0.6
+};
+
+const AGE_BANDS = [
+    { label: '18-24', min: 18, max: 24 },
+    { label: '25-34', min: 25, max: 34 },
+    { label: '35-44', min: 35, max: 44 },
+    { label: '45-54', min: 45, max: 54 },
+    { label: '55-65', min: 55, max: 65 }
+];
+
+// A donor who has not given blood for this long counts as lapsed
+const LAPSE_MONTHS = 12;
+
+export class LifeFlowAnalytics {
+    constructor(database = null, norms = BLOOD_TYPE_NORMS) {
+        this.norms = norms;
+        this.clock = database ? database.clock : () => new Date();
+        // Bucket counts per aggregate, e.g. registrations -> { '2026-10-18': 3 }
+        this.aggregates = new Map();
+        // What each record last added to the aggregates, so a change can be undone
+        this.contributions = new Map();
+        this.donors = new Map();
+        this.donationsByDonor = new Map();
+        this.fulfilment = new Map();
+
+        if (database) {
+            ['donors', 'donations', 'requests'].forEach(collection => {
+                database.getCollection(collection).forEach(record => this.track(collection, record));
+            });
+            database.onChange(({ collection, action, record }) => this.track(collection, record, action));
+        }
+    }
+
+    // Incremental Aggregates
+    // Each record contributes to a few buckets; on change its old
+    // contribution is subtracted and the new one added.
+    track(collection, record, action = 'upsert') {
+        if (!['donors', 'donations', 'requests'].includes(collection)) return;
+        const key = `${collection}:${record.id}`;
+        const previous = this.contributions.get(key);
+        if (previous) this.applyContribution(previous, -1);
+
+        if (action === 'delete') {
+            this.contributions.delete(key);
+            return;
+        }
+        const contribution = this.contributionOf(collection, record);
+        this.applyContribution(contribution, 1);
+        this.contributions.set(key, contribution);
+    }
+
+    contributionOf(collection, record) {
+        const contribution = { buckets: [], collection, id: record.id };
+        const day = this.dayKey(record.registrationDate || record.date || record.createdDate);
+
+        if (collection === 'donors' && record.status !== 'merged') {
+            const band = AGE_BANDS.find(b => record.age >= b.min && record.age <= b.max);
+            contribution.buckets.push(
+                ['registrations', day],
+                ['bloodType', `${day}|${record.bloodType}`],
+                ['city', `${day}|${(record.city || '').trim() || 'Unknown'}`],
+                ['ageBand', `${day}|${band ? band.label : 'Other'}`]
+            );
+            contribution.donor = {
+                id: record.id,
+                day,
+                age: record.age,
+                bloodType: record.bloodType,
+                active: record.status === 'active'
+            };
+        }
+
+        if (collection === 'donations') {
+            contribution.buckets.push(['donations', day]);
+            contribution.donation = { donorId: record.donorId, date: record.date };
+        }
+
+        if (collection === 'requests' && record.status === 'fulfilled') {
+            const fulfilled = (record.history || []).find(h => h.status === 'fulfilled');
+            if (fulfilled) {
+                contribution.fulfilment = {
+                    day: this.dayKey(fulfilled.date),
+                    urgency: record.urgency,
+                    hours: (new Date(fulfilled.date) - new Date(record.createdDate)) / 3600000
+                };
+            }
+        }
+        return contribution;
+    }
+
+    applyContribution(contribution, sign) {
+        contribution.buckets.forEach(([name, bucket]) => {
+            if (!this.aggregates.has(name)) this.aggregates.set(name, new Map());
+            const counts = this.aggregates.get(name);
+            const count = (counts.get(bucket) || 0) + sign;
+            if (count === 0) counts.delete(bucket);
+            else counts.set(bucket, count);
+        });
+
+        if (contribution.donor) {
+            if (sign > 0) this.donors.set(contribution.id, contribution.donor);
+            else this.donors.delete(contribution.id);
+        }
+        if (contribution.donation) {
+            const { donorId, date } = contribution.donation;
+            if (!this.donationsByDonor.has(donorId)) this.donationsByDonor.set(donorId, new Map());
+            const dates = this.donationsByDonor.get(donorId);
+            if (sign > 0) dates.set(contribution.id, date);
+            else dates.delete(contribution.id);
+            if (dates.size === 0) this.donationsByDonor.delete(donorId);
+        }
+        if (contribution.fulfilment) {
+            if (sign > 0) this.fulfilment.set(contribution.id, contribution.fulfilment);
+            else this.fulfilment.delete(contribution.id);
+        }
+    }
+
+    dayKey(date) {
+        const parsed = new Date(date);
+        return Number.isNaN(parsed.getTime()) ? '' : parsed.toISOString().slice(0, 10);
+    }
+
+    // Statistical Functions
+    calculateMean(data) {
+        if (!data || data.length === 0) return 0;
+        return data.reduce((a, b) => a + b, 0) / data.length;
+    }
+
+    calculateMedian(data) {
+        if (!data || data.length === 0) return 0;
+        const sorted = [...data].sort((a, b) => a - b);
+        const mid = Math.floor(sorted.length / 2);
+        return sorted.length % 2 !== 0 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+    }
+
+    findMode(arr) {
+        if (!arr || arr.length === 0) return null;
+        const frequency = {};
+        let maxFreq = 0;
+        let mode = null;
+
+        arr.forEach(item => {
+            frequency[item] = (frequency[item] || 0) + 1;
+            if (frequency[item] > maxFreq) {
+                maxFreq = frequency[item];
+                mode = item;
+            }
+        });
+
+        return mode;
+    }
+
+    calculateStdDev(data) {
+        if (!data || data.length === 0) return 0;
+        const mean = this.calculateMean(data);
+        const squareDiffs = data.map(value => Math.pow(value - mean, 2));
+        const avgSquareDiff = this.calculateMean(squareDiffs);
+        return Math.sqrt(avgSquareDiff);
+    }
+
+    // Get statistics from current donor data
+    getStatistics() {
+        // Records merged into another donor are never tracked
+        const donors = [...this.donors.values()];
+        const bloodTypes = donors.map(d => d.bloodType);
+        const ages = donors.map(d => d.age);
+        
+        return {
+            totalDonors: donors.length,
+            mostCommonBloodType: this.findMode(bloodTypes),
+            averageAge: Math.round(this.calculateMean(ages)),
+            medianAge: this.calculateMedian(ages),
+            ageStdDev: this.calculateStdDev(ages).toFixed(2)
+        };
+    }
+
+    // Donation activity from the recorded donation log
+    getDonationStatistics(now = this.clock()) {
+        const since = days => this.dayKey(now.getTime() - days * 86400000);
+        const donorsSince = day => [...this.donationsByDonor.entries()]
+            .filter(([, dates]) => [...dates.values()].some(date => this.dayKey(date) > day))
+            .map(([donorId]) => donorId);
+        const monthStart = since(30);
+
+        return {
+            donationsThisMonth: this.sumBuckets('donations', { from: monthStart }, true),
+            donorsThisMonth: donorsSince(monthStart).length,
+            activeDonors: donorsSince(since(365)).filter(id => this.donors.get(id)?.active).length
+        };
+    }
+
+    // Reports
+    // Sum an aggregate's buckets whose day falls inside the range; an empty
+    // `from`/`to` leaves that side open. `exclusiveFrom` skips the from day.
+    sumBuckets(name, range = {}, exclusiveFrom = false) {
+        let total = 0;
+        (this.aggregates.get(name) || new Map()).forEach((count, bucket) => {
+            if (this.inRange(bucket.split('|')[0], range, exclusiveFrom)) total += count;
+        });
+        return total;
+    }
+
+    inRange(day, { from, to } = {}, exclusiveFrom = false) {
+        if (!from && !to) return true;
+        if (!day) return false;
+        if (from && (exclusiveFrom ? day <= from : day < from)) return false;
+        return !(to && day > to);
+    }
+
+    // Counts per value of a "day|value" aggregate within the range
+    countBy(name, range) {
+        const counts = {};
+        (this.aggregates.get(name) || new Map()).forEach((count, bucket) => {
+            const [day, value] = bucket.split('|');
+            if (this.inRange(day, range)) counts[value] = (counts[value] || 0) + count;
+        });
+        return counts;
+    }
+
+    // Share of registered donors per blood type against population norms
+    getBloodTypeDistribution(range = {}) {
+        const counts = this.countBy('bloodType', range);
+        const total = Object.values(counts).reduce((a, b) => a + b, 0);
+        return BLOOD_TYPES.map(bloodType => {
+            const count = counts[bloodType] || 0;
+            const share = total ? Math.round(count / total * 1000) / 10 : 0;
+            const norm = this.norms[bloodType] || 0;
+            return { bloodType, count, share, norm, difference: Math.round((share - norm) * 10) / 10 };
+        });
+    }
+
+    getDonorsByCity(range = {}) {
+        return Object.entries(this.countBy('city', range))
+            .map(([city, count]) => ({ city, count }))
+            .sort((a, b) => b.count - a.count || a.city.localeCompare(b.city));
+    }
+
+    getDonorsByAgeBand(range = {}) {
+        const counts = this.countBy('ageBand', range);
+        const bands = AGE_BANDS.map(({ label }) => ({ band: label, count: counts[label] || 0 }));
+        if (counts.Other) bands.push({ band: 'Other', count: counts.Other });
+        return bands;
+    }
+
+    // Registrations and donations per day, week or month
+    getTimeline(range = {}, granularity = 'month') {
+        const periodOf = day => {
+            if (granularity === 'month') return day.slice(0, 7);
+            if (granularity === 'week') {
+                const date = new Date(`${day}T00:00:00Z`);
+                date.setUTCDate(date.getUTCDate() - (date.getUTCDay() + 6) % 7);
+                return date.toISOString().slice(0, 10);
+            }
+            return day;
+        };
+
+        const periods = new Map();
+        ['registrations', 'donations'].forEach(name => {
+            (this.aggregates.get(name) || new Map()).forEach((count, day) => {
+                if (!day || !this.inRange(day, range)) return;
+                const period = periodOf(day);
+                if (!periods.has(period)) periods.set(period, { period, registrations: 0, donations: 0 });
+                periods.get(period)[name] += count;
+            });
+        });
+        return [...periods.values()].sort((a, b) => a.period.localeCompare(b.period));
+    }
+
+    // Donors grouped by the month they first appeared (registration or first
+    // donation, whichever is earlier), split by how recently they last gave
+    getRetentionCohorts(range = {}, now = this.clock()) {
+        const lapseDate = new Date(now);
+        lapseDate.setMonth(lapseDate.getMonth() - LAPSE_MONTHS);
+        const lapseDay = this.dayKey(lapseDate);
+        const cohorts = new Map();
+
+        this.donors.forEach(donor => {
+            const days = [...(this.donationsByDonor.get(donor.id) || new Map()).values()]
+                .map(date => this.dayKey(date))
+                .filter(Boolean)
+                .sort();
+            const firstSeen = [donor.day, days[0]].filter(Boolean).sort()[0];
+            if (!firstSeen || !this.inRange(firstSeen, range)) return;
+
+            const month = firstSeen.slice(0, 7);
+            if (!cohorts.has(month)) {
+                cohorts.set(month, { cohort: month, donors: 0, neverDonated: 0, repeat: 0, retained: 0, lapsed: 0 });
+            }
+            const cohort = cohorts.get(month);
+            cohort.donors++;
+            if (days.length === 0) cohort.neverDonated++;
+            else if (days[days.length - 1] > lapseDay) cohort.retained++;
+            else cohort.lapsed++;
+            if (days.length > 1) cohort.repeat++;
+        });
+
+        return [...cohorts.values()]
+            .map(cohort => {
+                const donated = cohort.retained + cohort.lapsed;
+                return { ...cohort, retentionRate: donated ? Math.round(cohort.retained / donated * 100) : null };
+            })
+            .sort((a, b) => a.cohort.localeCompare(b.cohort));
+    }
+
+    // Hours from request creation to fulfilment, overall and per urgency
+    getFulfilmentTimes(range = {}) {
+        const summarize = hours => ({
+            count: hours.length,
+            meanHours: Math.round(this.calculateMean(hours) * 10) / 10,
+            medianHours: Math.round(this.calculateMedian(hours) * 10) / 10
+        });
+
+        const fulfilled = [...this.fulfilment.values()].filter(f => this.inRange(f.day, range));
+        const byUrgency = {};
+        Object.keys(URGENCY_POLICY).forEach(urgency => {
+            byUrgency[urgency] = summarize(fulfilled.filter(f => f.urgency === urgency).map(f => f.hours));
+        });
+        return { ...summarize(fulfilled.map(f => f.hours)), byUrgency };
+    }
+
+    // Everything the dashboard charts need for one date range
+    getReport(range = {}, now = this.clock()) {
+        const spanDays = range.from
+            ? ((range.to ? new Date(range.to) : now) - new Date(range.from)) / 86400000
+            : Infinity;
+        const granularity = spanDays <= 31 ? 'day' : spanDays <= 180 ? 'week' : 'month';
+
+        return {
+            range,
+            granularity,
+            bloodTypes: this.getBloodTypeDistribution(range),
+            cities: this.getDonorsByCity(range),
+            ageBands: this.getDonorsByAgeBand(range),
+            timeline: this.getTimeline(range, granularity),
+            cohorts: this.getRetentionCohorts(range, now),
+            fulfilment: this.getFulfilmentTimes(range)
+        };
+    }
+}
@@ -0,0 +1,113 @@
+import { BLOOD_TYPES } from './database.js';
+
+// ============================================================================
+// Blood Compatibility
+// ============================================================================
+
+// Donor ABO groups each recipient group can receive. Red cells must not carry
+// an antigen the patient has antibodies to; plasma must not carry antibodies
+// to the patient's own antigens, which makes AB the universal plasma donor.
+const ABO_COMPATIBILITY = {
+    red_cells: { O: ['O'], A: ['A', 'O'], B: ['B', 'O'], AB: ['AB', 'A', 'B', 'O'] },
+    plasma: { O: ['O', 'A', 'B', 'AB'], A: ['A', 'AB'], B: ['B', 'AB'], AB: ['AB'] },
+    identical: { O: ['O'], A: ['A'], B: ['B'], AB: ['AB'] }
+};
+
+// ABO rule per component, and whether Rh-negative patients need Rh-negative
+// donors. Platelets come suspended in plasma, with enough red cells to sensitise.
+const COMPONENT_COMPATIBILITY = {
+    whole_blood: { abo: 'identical', rh: true },
+    rbc: { abo: 'red_cells', rh: true },
+    platelets: { abo: 'plasma', rh: true },
+    plasma: { abo: 'plasma', rh: false }
+};
+
+// 'K- Fya+' <-> { K: false, Fya: true }, for CSV and display
+export function formatPhenotype(antigens = {}) {
+    return Object.entries(antigens).map(([antigen, positive]) => `${antigen}${positive ? '+' : '-'}`).join(' ');
+}
+
+export function parsePhenotype(text) {
+    const antigens = {};
+    String(text).split(/[\s,;]+/).filter(Boolean).forEach(token => {
+        const match = /^(\w+?)(\+|-|pos|neg)$/i.exec(token);
+        if (match) antigens[match[1]] = match[2] === '+' || match[2].toLowerCase() === 'pos';
+        else antigens[token] = null; // left for validation to reject
+    });
+    return antigens;
+}
+
+export class LifeFlowCompatibility {
+    constructor(rules = COMPONENT_COMPATIBILITY) {
+        this.rules = rules;
+    }
+
+    // Requests without a component are for red cells
+    ruleFor(component) {
+        return this.rules[component] || this.rules.rbc;
+    }
+
+    isTypeCompatible(donorType, recipientType, component = 'rbc') {
+        const rule = this.ruleFor(component);
+        const abo = type => type.slice(0, -1);
+        if (!ABO_COMPATIBILITY[rule.abo][abo(recipientType)].includes(abo(donorType))) return false;
+        return !rule.rh || recipientType.endsWith('+') || donorType.endsWith('-');
+    }
+
+    // Donor types a patient can receive, their own type first
+    acceptedDonorTypes(recipientType, component = 'rbc') {
+        return [
+            recipientType,
+            ...BLOOD_TYPES.filter(type => type !== recipientType && this.isTypeCompatible(type, recipientType, component))
+        ];
+    }
+
+    // Types every patient can receive: O- red cells, AB plasma
+    universalDonorTypes(component = 'rbc') {
+        return BLOOD_TYPES.filter(donorType =>
+            BLOOD_TYPES.every(recipientType => this.isTypeCompatible(donorType, recipientType, component))
+        );
+    }
+
+    getRequirements(request) {
+        return {
+            antigenNegative: request.antigenNegative || [],
+            cmvNegative: request.cmvNegative === true,
+            irradiated: request.irradiated === true
+        };
+    }
+
+    describeRequirements(request) {
+        const needs = this.getRequirements(request);
+        return [
+            ...needs.antigenNegative.map(antigen => `${antigen}-negative`),
+            ...(needs.cmvNegative ? ['CMV negative'] : []),
+            ...(needs.irradiated ? ['irradiated'] : [])
+        ];
+    }
+
+    // Why a donor or unit falls short of the patient's special requirements.
+    // Units are irradiated after collection, so donors are not held to that.
+    unmetRequirements(source, request, kind = 'unit') {
+        const needs = this.getRequirements(request);
+        const antigens = source.antigens || {};
+        const reasons = [];
+        needs.antigenNegative.forEach(antigen => {
+            // Only a negative typing is safe; untyped does not count
+            if (antigens[antigen] !== false) reasons.push(`${antigen} ${antigens[antigen] ? 'positive' : 'not typed'}`);
+        });
+        if (needs.cmvNegative && source.cmvNegative !== true) reasons.push('not CMV negative');
+        if (needs.irradiated && kind === 'unit' && source.irradiated !== true) reasons.push('not irradiated');
+        return reasons;
+    }
+
+    // A unit is checked as the component it is; a donor as the component requested
+    check(source, request, kind = 'unit') {
+        const component = kind === 'unit' ? source.component : request.component || 'rbc';
+        const reasons = this.unmetRequirements(source, request, kind);
+        if (!this.isTypeCompatible(source.bloodType, request.bloodType, component)) {
+            reasons.unshift(`${source.bloodType} ${component} cannot go to a ${request.bloodType} patient`);
+        }
+        return { compatible: reasons.length === 0, reasons };
+    }
+}
@@ -0,0 +1,1835 @@
+import { donationIntervalDays } from './eligibility.js';
+import { MemoryStorageAdapter } from './storage.js';
+
+// ============================================================================
+// Database Management
+// ============================================================================
+
+export const BLOOD_TYPES = ['A+', 'A-', 'B+', 'B-', 'O+', 'O-', 'AB+', 'AB-'];
+
+// Red cell antigens beyond ABO/D that donors and units may be typed for.
+// A phenotype maps antigen -> true (positive) or false (negative); absent means untyped.
+const EXTENDED_ANTIGENS = ['C', 'c', 'E', 'e', 'K', 'k', 'Fya', 'Fyb', 'Jka', 'Jkb', 'S', 's', 'M', 'N'];
+
+// Shelf life per component, in days from collection
+const COMPONENT_SHELF_LIFE = {
+    whole_blood: 35,
+    rbc: 42,
+    platelets: 5,
+    plasma: 365
+};
+
+// Allowed status changes for a blood unit. in_transit units are on their way
+// to another site and count towards neither site's stock.
+export const UNIT_TRANSITIONS = {
+    quarantined: ['available', 'discarded'],
+    available: ['reserved', 'issued', 'discarded', 'in_transit'],
+    reserved: ['available', 'issued', 'discarded'],
+    in_transit: ['available', 'discarded'],
+    issued: [],
+    discarded: []
+};
+
+// A new unit is either awaiting screening or already cleared; every later
+// status is reached through a transition
+export const NEW_UNIT_STATUSES = ['quarantined', 'available'];
+
+// Allowed status changes for a transfer order between sites
+const TRANSFER_TRANSITIONS = {
+    requested: ['dispatched', 'cancelled'],
+    dispatched: ['received'],
+    received: [],
+    cancelled: []
+};
+
+// Field rules for every record the database writes. Only listed fields are
+// checked; bookkeeping fields (status history, response stats) are left alone.
+const EMAIL_PATTERN = /^[^\s@<>]+@[^\s@<>]+\.[^\s@<>]+$/;
+const PHONE_PATTERN = /^\+?[\d\s().-]{7,20}$/;
+
+export const FIELD_SCHEMAS = {
+    donors: {
+        name: { type: 'string', label: 'Name', required: true, maxLength: 100 },
+        email: { type: 'string', label: 'Email address', required: true, maxLength: 254, pattern: EMAIL_PATTERN },
+        phone: { type: 'string', label: 'Phone number', maxLength: 20, pattern: PHONE_PATTERN },
+        bloodType: { type: 'enum', label: 'Blood type', required: true, values: BLOOD_TYPES },
+        age: { type: 'integer', label: 'Age', required: true, min: 18, max: 65 },
+        weight: { type: 'number', label: 'Weight', required: true, min: 50, max: 300, unit: 'kg' },
+        sex: { type: 'enum', label: 'Sex', values: ['female', 'male'] },
+        city: { type: 'string', label: 'City', maxLength: 80 },
+        siteId: { type: 'site', label: 'Home site' },
+        // 'recent' is never offered on the form; recorded donations derive it
+        lastDonation: { type: 'enum', label: 'Last donation', values: ['never', 'recent', '3months', '6months', '1year'] },
+        lastDonationDate: { type: 'date', label: 'Last donation date' },
+        antigens: { type: 'phenotype', label: 'Antigen phenotype' },
+        cmvNegative: { type: 'boolean', label: 'CMV negative' }
+    },
+    requests: {
+        hospital: { type: 'string', label: 'Hospital', required: true, maxLength: 120 },
+        city: { type: 'string', label: 'City', maxLength: 80 },
+        siteId: { type: 'site', label: 'Blood bank' },
+        bloodType: { type: 'enum', label: 'Blood type', required: true, values: BLOOD_TYPES },
+        component: { type: 'enum', label: 'Component', values: Object.keys(COMPONENT_SHELF_LIFE) },
+        units: { type: 'integer', label: 'Units', required: true, min: 1, max: 100 },
+        urgency: { type: 'enum', label: 'Urgency', values: ['urgent', 'high', 'moderate'] },
+        deadline: { type: 'date', label: 'Deadline' },
+        antigenNegative: { type: 'list', label: 'Antigen-negative requirement', values: EXTENDED_ANTIGENS },
+        cmvNegative: { type: 'boolean', label: 'CMV negative' },
+        irradiated: { type: 'boolean', label: 'Irradiated' }
+    },
+    inventory: {
+        bloodType: { type: 'enum', label: 'Blood type', required: true, values: BLOOD_TYPES },
+        component: { type: 'enum', label: 'Component', values: Object.keys(COMPONENT_SHELF_LIFE) },
+        collectionDate: { type: 'date', label: 'Collection date' },
+        expiryDate: { type: 'date', label: 'Expiry date' },
+        status: { type: 'enum', label: 'Status', values: Object.keys(UNIT_TRANSITIONS) },
+        siteId: { type: 'site', label: 'Site' },
+        antigens: { type: 'phenotype', label: 'Antigen phenotype' },
+        cmvNegative: { type: 'boolean', label: 'CMV negative' },
+        irradiated: { type: 'boolean', label: 'Irradiated' }
+    },
+    transfers: {
+        fromSiteId: { type: 'site', label: 'Sending site', required: true },
+        toSiteId: { type: 'site', label: 'Receiving site', required: true },
+        bloodType: { type: 'enum', label: 'Blood type', required: true, values: BLOOD_TYPES },
+        component: { type: 'enum', label: 'Component', values: Object.keys(COMPONENT_SHELF_LIFE) },
+        units: { type: 'integer', label: 'Units', required: true, min: 1, max: 100 }
+    }
+};
+
+const isBlank = value => value === undefined || value === null || value === '';
+
+// Copy of a record with schema fields cleaned up: strings trimmed and stripped
+// of control characters, numbers parsed from form and CSV text
+export function sanitizeFields(collection, record) {
+    const schema = FIELD_SCHEMAS[collection];
+    const clean = { ...record };
+    Object.entries(schema).forEach(([field, rule]) => {
+        let value = clean[field];
+        if (typeof value !== 'string') return;
+        value = value.replace(/[\u0000-\u001f\u007f]/g, '').trim();
+        if (['number', 'integer', 'site'].includes(rule.type) && value !== '') value = Number(value);
+        clean[field] = value;
+    });
+    return clean;
+}
+
+// English text for each kind of field error. The interface translates the
+// same keys, with {label} as the field's name in the reader's language.
+export const FIELD_ERROR_MESSAGES = {
+    required: '{label} is required',
+    text: '{label} must be text',
+    tooLong: '{label} must be at most {maxLength} characters',
+    invalid: '{label} is not valid',
+    oneOf: '{label} must be one of {values}',
+    numberRange: '{label} must be a number between {min} and {max}',
+    integerRange: '{label} must be a whole number between {min} and {max}',
+    weightRange: '{label} must be a number between {minKg} and {maxKg} kg',
+    atLeast: '{label} must be a whole number of at least {min}',
+    site: '{label} must be a site',
+    unknownSite: '{label} is not a known site',
+    sameSite: '{label} must differ from the sending site',
+    date: '{label} is not a valid date',
+    boolean: '{label} must be true or false',
+    list: '{label} must list only {values}',
+    phenotype: '{label} must map {antigens} to positive or negative',
+    notWritable: '{label} cannot be set directly',
+    alreadySet: '{label} is already {value}',
+    requestClosed: 'Request is {status} and can no longer be changed',
+    transition: 'Cannot change a {from} unit to {to}',
+    transferOnly: 'Units only go in transit through a transfer',
+    repeatsRow: 'Repeats row {row} of this file'
+};
+
+export const fieldError = (key, label, params = {}) => ({ key, params: { label, ...params } });
+
+export function describeFieldError({ key, params }) {
+    return FIELD_ERROR_MESSAGES[key].replace(/\{(\w+)\}/g, (match, name) => params[name]);
+}
+
+// Returns { field: { key, params } } for every field that fails its rule. A
+// partial check (an update) only looks at the fields present in the record.
+export function findFieldErrorKeys(collection, record, partial = false) {
+    const errors = {};
+    Object.entries(FIELD_SCHEMAS[collection]).forEach(([field, rule]) => {
+        if (partial && !(field in record)) return;
+        const value = record[field];
+        const fail = (key, params) => { errors[field] = fieldError(key, rule.label, params); };
+        if (isBlank(value)) {
+            if (rule.required) fail('required');
+            return;
+        }
+
+        if (rule.type === 'string') {
+            if (typeof value !== 'string') fail('text');
+            else if (rule.maxLength && value.length > rule.maxLength) fail('tooLong', { maxLength: rule.maxLength });
+            else if (rule.pattern && !rule.pattern.test(value)) fail('invalid');
+        } else if (rule.type === 'enum') {
+            if (!rule.values.includes(value)) fail('oneOf', { values: rule.values.join(', ') });
+        } else if (rule.type === 'number' || rule.type === 'integer') {
+            const valid = rule.type === 'integer' ? Number.isInteger(value) : Number.isFinite(value);
+            if (!valid || value < rule.min || value > rule.max) {
+                if (rule.unit === 'kg') fail('weightRange', { minKg: rule.min, maxKg: rule.max });
+                else fail(rule.type === 'integer' ? 'integerRange' : 'numberRange', { min: rule.min, max: rule.max });
+            }
+        } else if (rule.type === 'site') {
+            // Whether the site exists is checked in LifeFlowDatabase#findFieldErrorKeys
+            if (!Number.isInteger(value) || value < 1) fail('site');
+        } else if (rule.type === 'date') {
+            if (Number.isNaN(new Date(value).getTime())) fail('date');
+        } else if (rule.type === 'boolean') {
+            if (typeof value !== 'boolean') fail('boolean');
+        } else if (rule.type === 'list') {
+            if (!Array.isArray(value) || value.some(item => !rule.values.includes(item))) {
+                fail('list', { values: rule.values.join(', ') });
+            }
+        } else if (rule.type === 'phenotype') {
+            const entries = typeof value === 'object' && !Array.isArray(value) ? Object.entries(value) : null;
+            if (!entries || entries.some(([antigen, positive]) => !EXTENDED_ANTIGENS.includes(antigen) || typeof positive !== 'boolean')) {
+                fail('phenotype', { antigens: EXTENDED_ANTIGENS.join(', ') });
+            }
+        }
+    });
+    return errors;
+}
+
+// Returns { field: message } in English for every field that fails its rule
+export function validateFields(collection, record, partial = false) {
+    return describeFieldErrors(findFieldErrorKeys(collection, record, partial));
+}
+
+function describeFieldErrors(errors) {
+    return Object.fromEntries(Object.entries(errors).map(([field, error]) => [field, describeFieldError(error)]));
+}
+
+// fields holds the English messages; errors the keyed ones the interface translates
+export class LifeFlowValidationError extends Error {
+    constructor(collection, errors) {
+        const fields = describeFieldErrors(errors);
+        super(`Invalid ${collection} record: ${Object.values(fields).join(', ')}`);
+        this.name = 'LifeFlowValidationError';
+        this.collection = collection;
+        this.fields = fields;
+        this.errors = errors;
+    }
+}
+
+// What each role may do. A permission ending in .own applies only to the
+// signed-in donor's own records; '*' grants everything.
+const ROLE_PERMISSIONS = {
+    public: ['donors.create'],
+    donor: ['donors.read.own', 'donors.update.own', 'appointments.book.own', 'appointments.manage.own'],
+    registration_desk: [
+        'donors.read', 'donors.read.pii', 'donors.create', 'donors.update', 'donors.merge', 'donors.access',
+        'donations.create', 'appointments.book', 'appointments.manage', 'notifications.send',
+        'data.import', 'data.export'
+    ],
+    lab: [
+        'donors.read', 'donations.create', 'donations.screen', 'inventory.update', 'inventory.allocate', 'inventory.transfer',
+        'alerts.acknowledge', 'data.export'
+    ],
+    hospital_coordinator: [
+        'donors.read', 'requests.create', 'requests.update', 'inventory.allocate', 'inventory.transfer',
+        'notifications.send', 'alerts.acknowledge'
+    ],
+    admin: ['*'],
+    system: ['*']
+};
+
+// Background work and code running before anyone signs in act as the system
+const SYSTEM_SESSION = { userId: 'system', name: 'System', role: 'system', donorId: null };
+export const GUEST_SESSION = { userId: null, name: 'Guest', role: 'public', donorId: null };
+
+// Fields a donor may change on their own record
+export const DONOR_SELF_EDITABLE = ['name', 'email', 'phone', 'city', 'siteId', 'weight', 'notificationPreferences'];
+
+// Everything a donor record takes from createDonor and updateDonor: the
+// schema fields plus these. Status and its bookkeeping (deactivation,
+// consent, merges) and derived fields have their own methods.
+const DONOR_WRITABLE_EXTRAS = ['notificationPreferences'];
+
+// Personal fields: masked for roles without donors.read.pii, never written to the audit log
+const PII_FIELDS = ['name', 'email', 'phone'];
+
+// How a personal field reads to someone not allowed to see it
+export const maskPII = value => value ? `${String(value).slice(0, 2)}•••` : value;
+
+export class LifeFlowPermissionError extends Error {
+    constructor(permission, session) {
+        super(`${session.name} (${session.role}) is not allowed to ${permission}`);
+        this.name = 'LifeFlowPermissionError';
+        this.permission = permission;
+    }
+}
+
+// PBKDF2 hash of a passcode, hex encoded
+async function hashPasscode(passcode, salt, cryptoImpl = crypto) {
+    const material = await cryptoImpl.subtle.importKey('raw', new TextEncoder().encode(passcode), 'PBKDF2', false, ['deriveBits']);
+    const bits = await cryptoImpl.subtle.deriveBits(
+        { name: 'PBKDF2', hash: 'SHA-256', salt: new TextEncoder().encode(salt), iterations: 100000 },
+        material,
+        256
+    );
+    return [...new Uint8Array(bits)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// Donor sign-in codes, sent as a magic link or shown after registration.
+// 32 symbols without look-alikes (0/O, 1/I), so each character is 5 random bits.
+const ACCESS_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const ACCESS_CODE_LENGTH = 10;
+const ACCESS_CODE_TTL_MINUTES = 60;
+
+// Upper case without spaces or dashes, as a code may be typed in groups
+export function normalizeAccessCode(code) {
+    return String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+// Codes are random and short-lived, so an unsalted SHA-256 is enough to keep them out of storage
+async function hashAccessCode(code) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(code));
+    return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// Allowed status changes for an appointment. Waitlisted bookings move to
+// booked when a place frees up; expired covers waitlists that never did.
+const APPOINTMENT_TRANSITIONS = {
+    waitlisted: ['booked', 'cancelled', 'expired'],
+    booked: ['completed', 'no_show', 'cancelled'],
+    completed: [],
+    no_show: [],
+    cancelled: [],
+    expired: []
+};
+
+// Storage key for each persisted collection, and its value when absent
+const STORAGE_COLLECTIONS = {
+    donors: { key: 'lifeflow_donors', empty: () => [] },
+    requests: { key: 'lifeflow_requests', empty: () => [] },
+    inventory: { key: 'lifeflow_inventory', empty: () => [] },
+    donations: { key: 'lifeflow_donations', empty: () => [] },
+    allocationLog: { key: 'lifeflow_allocation_log', empty: () => [] },
+    stockLevels: { key: 'lifeflow_stock_levels', empty: () => ({}) },
+    alerts: { key: 'lifeflow_alerts', empty: () => [] },
+    merges: { key: 'lifeflow_merges', empty: () => [] },
+    notificationLog: { key: 'lifeflow_notification_log', empty: () => [] },
+    sites: { key: 'lifeflow_sites', empty: () => [] },
+    appointments: { key: 'lifeflow_appointments', empty: () => [] },
+    transfers: { key: 'lifeflow_transfers', empty: () => [] },
+    users: { key: 'lifeflow_users', empty: () => [] },
+    accessCodes: { key: 'lifeflow_access_codes', empty: () => [] },
+    auditLog: { key: 'lifeflow_audit_log', empty: () => [] }
+};
+
+const SCHEMA_VERSION_KEY = 'lifeflow_schema_version';
+
+// Ordered schema migrations. Each upgrades the loaded collections in place
+// from the previous version; stores without a version are version 1.
+const MIGRATIONS = [
+    {
+        version: 2,
+        description: 'Inventory counts per blood type become a unit ledger',
+        migrate: (data, db) => {
+            if (Array.isArray(data.inventory)) return;
+            const units = [];
+            Object.entries(data.inventory || {}).forEach(([bloodType, count]) => {
+                for (let i = 0; i < count; i++) {
+                    units.push(db.buildUnit({ bloodType, component: 'whole_blood', status: 'available' }));
+                }
+            });
+            data.inventory = units;
+        }
+    },
+    {
+        version: 3,
+        description: 'Records carry updatedAt for sync conflict resolution',
+        migrate: data => {
+            ['donors', 'requests', 'inventory', 'donations'].forEach(name => {
+                data[name].forEach(record => {
+                    record.updatedAt = record.updatedAt || record.registrationDate || record.createdDate || new Date(0).toISOString();
+                });
+            });
+        }
+    },
+    {
+        version: 4,
+        description: 'Sites hold stock: units, requests and donors belong to a site',
+        migrate: (data, db) => {
+            // Stores from before sites existed get the sample sites now, so their stock has somewhere to be
+            if (data.sites.length === 0) data.sites = db.initializeSites();
+            data.sites.forEach(site => { site.kind = site.kind || 'collection'; });
+            const firstSite = data.sites[0]?.id ?? null;
+            const sameCity = record => data.sites.find(s => s.city === record.city)?.id ?? firstSite;
+            data.inventory.forEach(unit => { unit.siteId = unit.siteId ?? firstSite; });
+            ['requests', 'donors'].forEach(name => {
+                data[name].forEach(record => { record.siteId = record.siteId ?? sameCity(record); });
+            });
+        }
+    }
+];
+
+const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+export class LifeFlowDatabase {
+    // clock and random default to the real ones; tests pass fixed or seeded stand-ins
+    constructor(storage = new MemoryStorageAdapter(), { clock = () => new Date(), random = Math.random } = {}) {
+        this.storage = storage;
+        this.clock = clock;
+        this.random = random;
+        this.values = new Map();
+        this.dirty = new Set();
+        this.writeQueue = Promise.resolve();
+        this.loadErrors = [];
+        this.changeListeners = [];
+        this.session = SYSTEM_SESSION;
+        Object.entries(STORAGE_COLLECTIONS).forEach(([name, { empty }]) => { this[name] = empty(); });
+    }
+
+    newId() {
+        return this.clock().getTime() + this.random();
+    }
+
+    // Read every LifeFlow key, migrate to the current schema and seed an empty store.
+    // Unreadable keys are backed up and reported instead of being overwritten with samples.
+    async load() {
+        const allKeys = (await this.storage.keys()).filter(key => key.startsWith('lifeflow_'));
+        const backups = allKeys.filter(key => key.includes('__corrupt_'));
+        for (const key of allKeys.filter(k => !backups.includes(k))) {
+            let raw;
+            try {
+                raw = await this.storage.getItem(key);
+            } catch (e) {
+                // Stored but undecryptable (the device key is gone): back up
+                // the ciphertext itself, which only the old key can open
+                const stored = this.storage.inner || this.storage;
+                const backupKey = await this.backupCorruptValue(key, await stored.getItem(key), backups, stored);
+                this.loadErrors.push({ key, backupKey, error: e.message });
+                continue;
+            }
+            try {
+                this.values.set(key, raw === null ? null : JSON.parse(raw));
+            } catch (e) {
+                this.loadErrors.push({ key, backupKey: await this.backupCorruptValue(key, raw, backups), error: e.message });
+            }
+        }
+
+        // Rewrite anything an encrypting backend found stored in plain text
+        const legacyKeys = this.storage.legacyKeys || new Set();
+        Object.entries(STORAGE_COLLECTIONS).forEach(([name, { key }]) => {
+            if (legacyKeys.has(key)) this.dirty.add(name);
+        });
+        legacyKeys.forEach(key => {
+            if (this.values.has(key) && !Object.values(STORAGE_COLLECTIONS).some(c => c.key === key)) {
+                this.saveValue(key, this.values.get(key));
+            }
+        });
+
+        const corrupt = new Set(this.loadErrors.map(e => e.key));
+        const data = {};
+        Object.entries(STORAGE_COLLECTIONS).forEach(([name, { key, empty }]) => {
+            data[name] = this.values.get(key) ?? empty();
+        });
+
+        const storedVersion = this.values.get(SCHEMA_VERSION_KEY);
+        const hasData = Object.values(STORAGE_COLLECTIONS).some(({ key }) => this.values.has(key));
+        const version = storedVersion || (hasData ? 1 : SCHEMA_VERSION);
+        if (version > SCHEMA_VERSION) {
+            throw new Error(`Stored data uses schema v${version}, newer than this app (v${SCHEMA_VERSION})`);
+        }
+
+        MIGRATIONS.filter(m => m.version > version).forEach(m => m.migrate(data, this));
+        Object.assign(this, data);
+
+        if (version < SCHEMA_VERSION || !storedVersion) {
+            Object.keys(STORAGE_COLLECTIONS)
+                .filter(name => !corrupt.has(STORAGE_COLLECTIONS[name].key))
+                .forEach(name => this.dirty.add(name));
+            this.saveValue(SCHEMA_VERSION_KEY, SCHEMA_VERSION);
+        }
+
+        // Seeding over a store we failed to read would bury the real data
+        if (this.loadErrors.length === 0) {
+            // Sites first: sample stock, donors and requests are placed at them
+            if (!this.values.has(STORAGE_COLLECTIONS.sites.key)) {
+                this.sites = this.initializeSites();
+                this.dirty.add('sites');
+            }
+            if (!this.values.has(STORAGE_COLLECTIONS.inventory.key)) {
+                this.inventory = this.initializeInventory();
+                this.dirty.add('inventory');
+            }
+            if (!this.values.has(STORAGE_COLLECTIONS.users.key)) {
+                this.users = await this.initializeUsers();
+                this.dirty.add('users');
+            }
+            this.initializeSampleData();
+        }
+
+        this.saveToStorage();
+        await this.flush();
+        return this;
+    }
+
+    // Keep one copy of each unreadable value under a backup key
+    async backupCorruptValue(key, raw, backups, storage = this.storage) {
+        for (const backupKey of backups.filter(b => b.startsWith(`${key}__corrupt_`))) {
+            if (await storage.getItem(backupKey).catch(() => null) === raw) return backupKey;
+        }
+        const backupKey = `${key}__corrupt_${this.clock().getTime()}`;
+        await storage.setItem(backupKey, raw);
+        return backupKey;
+    }
+
+    // Initialize sample inventory data, spread across the sites
+    initializeInventory() {
+        const ranges = {
+            'A+': [30, 50], 'A-': [10, 30], 'B+': [25, 40], 'B-': [8, 25],
+            'O+': [40, 60], 'O-': [5, 20], 'AB+': [15, 30], 'AB-': [3, 15]
+        };
+        const components = Object.keys(COMPONENT_SHELF_LIFE);
+        const units = [];
+
+        Object.entries(ranges).forEach(([bloodType, [min, spread]]) => {
+            const count = Math.floor(this.random() * spread) + min;
+            for (let i = 0; i < count; i++) {
+                const component = components[Math.floor(this.random() * components.length)];
+                const shelfLife = COMPONENT_SHELF_LIFE[component];
+                const ageDays = Math.floor(this.random() * Math.min(shelfLife, 30));
+                const collectionDate = new Date(this.clock().getTime() - ageDays * 86400000);
+                const site = this.sites[Math.floor(this.random() * this.sites.length)];
+                units.push(this.buildUnit({ bloodType, component, collectionDate, siteId: site?.id, status: 'available' }));
+            }
+        });
+        return units;
+    }
+
+    // Sample sites. Collection sites take donor bookings (opening hours, slot
+    // length and donors per slot); hospital blood banks only hold and issue stock.
+    initializeSites() {
+        const weekdays = [1, 2, 3, 4, 5];
+        const hospitalBank = { kind: 'hospital', openHour: 0, closeHour: 24, slotMinutes: 30, capacity: 0, days: [] };
+        return [
+            { name: 'Downtown Donor Center', kind: 'collection', city: 'New York', openHour: 9, closeHour: 17, slotMinutes: 30, capacity: 4, days: [...weekdays, 6] },
+            { name: 'Westside Blood Bank', kind: 'collection', city: 'Los Angeles', openHour: 10, closeHour: 18, slotMinutes: 30, capacity: 3, days: weekdays },
+            { name: 'Peshawar Regional Center', kind: 'collection', city: 'Peshawar', openHour: 9, closeHour: 15, slotMinutes: 20, capacity: 2, days: [1, 2, 3, 4, 6] },
+            { name: 'City Hospital Blood Bank', city: 'New York', ...hospitalBank },
+            { name: 'General Hospital Blood Bank', city: 'Houston', ...hospitalBank }
+        ].map((site, i) => ({ id: i + 1, ...site }));
+    }
+
+    // One account per staff role. They share the demo passcode 'lifeflow',
+    // flagged so the UI asks for a new one at first sign-in.
+    async initializeUsers() {
+        const accounts = [
+            { username: 'admin', name: 'Administrator', role: 'admin' },
+            { username: 'desk', name: 'Registration Desk', role: 'registration_desk' },
+            { username: 'lab', name: 'Laboratory', role: 'lab' },
+            { username: 'coordinator', name: 'Hospital Coordinator', role: 'hospital_coordinator' }
+        ];
+        const users = [];
+        for (const [i, account] of accounts.entries()) {
+            const salt = `${account.username}-${this.clock().getTime()}-${i}`;
+            users.push({
+                id: i + 1,
+                ...account,
+                donorId: null,
+                salt,
+                passcodeHash: await hashPasscode('lifeflow', salt),
+                mustChangePasscode: true
+            });
+        }
+        return users;
+    }
+
+    // Initialize with sample data if empty
+    initializeSampleData() {
+        if (this.donors.length === 0) {
+            const sampleDonors = [
+                { name: 'John Doe', email: 'john@example.com', bloodType: 'O+', phone: '555-0101', age: 28, weight: 75, city: 'New York', lastDonation: '6months' },
+                { name: 'Jane Smith', email: 'jane@example.com', bloodType: 'A+', phone: '555-0102', age: 34, weight: 62, city: 'Los Angeles', lastDonation: '1year' },
+                { name: 'Mike Johnson', email: 'mike@example.com', bloodType: 'B+', phone: '555-0103', age: 41, weight: 80, city: 'Chicago', lastDonation: '3months' },
+                { name: 'Sarah Williams', email: 'sarah@example.com', bloodType: 'AB+', phone: '555-0104', age: 25, weight: 58, city: 'Houston', lastDonation: 'never' },
+                { name: 'David Brown', email: 'david@example.com', bloodType: 'O-', phone: '555-0105', age: 38, weight: 85, city: 'Phoenix', lastDonation: '6months' }
+            ];
+
+            // Back-date a donation for donors who reported one
+            const reportedDaysAgo = { '3months': 100, '6months': 190, '1year': 370 };
+            sampleDonors.forEach(donor => {
+                const created = this.createDonor(donor);
+                const daysAgo = reportedDaysAgo[donor.lastDonation];
+                if (daysAgo) {
+                    this.recordDonation(created.id, {
+                        date: new Date(this.clock().getTime() - daysAgo * 86400000).toISOString(),
+                        site: 'LifeFlow Central',
+                        screeningResult: 'passed'
+                    });
+                }
+            });
+        }
+
+        if (this.requests.length === 0) {
+            this.seedDemandHistory(56);
+
+            const inHours = hours => new Date(this.clock().getTime() + hours * 3600000).toISOString();
+            const sampleRequests = [
+                { hospital: 'City Hospital', city: 'New York', bloodType: 'O-', units: 5, urgency: 'urgent', deadline: inHours(6) },
+                { hospital: 'General Hospital', city: 'Houston', bloodType: 'AB+', units: 2, urgency: 'high', deadline: inHours(24) },
+                { hospital: 'Care Center', city: 'Los Angeles', bloodType: 'A+', units: 3, urgency: 'moderate', deadline: inHours(72) }
+            ];
+
+            sampleRequests.forEach(request => this.createRequest(request));
+        }
+    }
+
+    // Closed sample requests covering the past few weeks so forecasts have history.
+    // Deterministic: a weekday pattern plus a fixed wobble, no randomness.
+    seedDemandHistory(days) {
+        const baseDemand = { 'O+': 9, 'O-': 3, 'A+': 7, 'A-': 2, 'B+': 6, 'B-': 2, 'AB+': 4, 'AB-': 1 };
+        const weekdayFactor = [0.7, 1.1, 1.1, 1.05, 1.05, 1.0, 0.8];
+        const today = Math.floor(this.clock().getTime() / 86400000);
+
+        for (let day = today - days; day < today; day++) {
+            const date = new Date(day * 86400000 + 10 * 3600000);
+            BLOOD_TYPES.forEach((bloodType, i) => {
+                const units = Math.round(baseDemand[bloodType] * weekdayFactor[date.getUTCDay()] + Math.sin(day + i));
+                if (units <= 0) return;
+                this.requests.push({
+                    id: day * 100 + i,
+                    hospital: 'City Hospital',
+                    city: 'New York',
+                    siteId: this.siteForCity('New York', 'hospital'),
+                    bloodType,
+                    component: null,
+                    units,
+                    urgency: 'moderate',
+                    deadline: date.toISOString(),
+                    unitsFulfilled: units,
+                    matchedDonors: [],
+                    status: 'fulfilled',
+                    createdDate: date.toISOString(),
+                    history: [
+                        { status: 'open', date: date.toISOString(), note: 'Request created' },
+                        { status: 'fulfilled', date: date.toISOString(), note: `${units} unit(s) supplied` }
+                    ]
+                });
+            });
+        }
+        this.saveToStorage('requests');
+    }
+
+    // Sessions & Permissions
+    setSession(session) {
+        this.session = session || GUEST_SESSION;
+    }
+
+    // Run trusted background work (expiry sweeps, waitlist promotion) as the system.
+    // The system session only lasts until the operation returns, so async work
+    // takes the session it needs before its first await.
+    asSystem(operation) {
+        const previous = this.session;
+        this.session = SYSTEM_SESSION;
+        try {
+            return operation();
+        } finally {
+            this.session = previous;
+        }
+    }
+
+    // A .own permission matches when ownerId is the signed-in donor
+    can(permission, ownerId = undefined) {
+        const granted = ROLE_PERMISSIONS[this.session.role] || [];
+        if (granted.includes('*') || granted.includes(permission)) return true;
+        return granted.includes(`${permission}.own`) &&
+            ownerId !== undefined && ownerId !== null && ownerId === this.session.donorId;
+    }
+
+    authorize(permission, ownerId = undefined) {
+        if (!this.can(permission, ownerId)) {
+            this.audit('denied', null, null, { permission });
+            throw new LifeFlowPermissionError(permission, this.session);
+        }
+    }
+
+    // Append-only: entries are frozen and nothing removes them
+    audit(action, collection, recordId, details = {}, session = this.session) {
+        const entry = Object.freeze({
+            id: this.newId(),
+            date: this.clock().toISOString(),
+            userId: session.userId,
+            userName: session.name,
+            role: session.role,
+            action,
+            collection,
+            recordId,
+            details
+        });
+        this.auditLog.push(entry);
+        this.saveToStorage('auditLog');
+        return entry;
+    }
+
+    readAuditLog(filter = {}) {
+        this.authorize('audit.read');
+        return this.auditLog.filter(e =>
+            (filter.collection === undefined || e.collection === filter.collection) &&
+            (filter.recordId === undefined || e.recordId === filter.recordId) &&
+            (filter.userId === undefined || e.userId === filter.userId)
+        );
+    }
+
+    // Field-level changes for the audit log; personal values are not copied
+    diffRecord(before, after) {
+        const changes = {};
+        Object.keys(after).forEach(field => {
+            if (JSON.stringify(before[field]) === JSON.stringify(after[field])) return;
+            changes[field] = PII_FIELDS.includes(field)
+                ? { changed: true }
+                : { from: before[field] ?? null, to: after[field] ?? null };
+        });
+        return changes;
+    }
+
+    // Validation
+    // Cleaned copy of the data about to be written; throws with per-field
+    // messages when anything fails its schema rule
+    checkFields(collection, data, partial = false) {
+        const record = sanitizeFields(collection, data);
+        const errors = this.findFieldErrorKeys(collection, record, partial);
+        if (Object.keys(errors).length > 0) throw new LifeFlowValidationError(collection, errors);
+        return record;
+    }
+
+    // findFieldErrorKeys plus the rules that need the data: site references must exist
+    findFieldErrorKeys(collection, record, partial = false) {
+        const errors = findFieldErrorKeys(collection, record, partial);
+        Object.entries(FIELD_SCHEMAS[collection]).forEach(([field, rule]) => {
+            if (rule.type !== 'site' || errors[field] || isBlank(record[field])) return;
+            if (!this.getSite(record[field])) errors[field] = fieldError('unknownSite', rule.label);
+        });
+        return errors;
+    }
+
+    // Users
+    async createUser(userData) {
+        this.authorize('users.manage');
+        if (!ROLE_PERMISSIONS[userData.role] || userData.role === 'system') throw new Error(`Unknown role: ${userData.role}`);
+        if (this.users.some(u => u.username === userData.username)) throw new Error(`Username ${userData.username} is taken`);
+
+        const salt = `${userData.username}-${this.clock().getTime()}-${this.random()}`;
+        const user = {
+            id: this.newId(),
+            username: userData.username,
+            name: userData.name || userData.username,
+            role: userData.role,
+            donorId: userData.role === 'donor' ? userData.donorId : null,
+            salt,
+            passcodeHash: await hashPasscode(userData.passcode, salt),
+            mustChangePasscode: true
+        };
+        this.users.push(user);
+        this.audit('create', 'users', user.id, { username: user.username, role: user.role });
+        this.saveToStorage('users');
+        return user;
+    }
+
+    readUsers() {
+        this.authorize('users.manage');
+        return this.users.map(({ salt, passcodeHash, ...user }) => user);
+    }
+
+    // Sign in: returns the new session, or null for a wrong username or passcode
+    async signIn(username, passcode) {
+        const user = this.users.find(u => u.username === username);
+        const valid = user && await hashPasscode(passcode, user.salt) === user.passcodeHash;
+        if (!valid) {
+            this.audit('sign_in_failed', 'users', user ? user.id : null, { username });
+            return null;
+        }
+
+        this.setSession({ userId: user.id, name: user.name, role: user.role, donorId: user.donorId, mustChangePasscode: user.mustChangePasscode });
+        this.audit('sign_in', 'users', user.id);
+        return this.session;
+    }
+
+    signOut() {
+        if (this.session.userId !== null) this.audit('sign_out', 'users', this.session.userId);
+        this.setSession(GUEST_SESSION);
+    }
+
+    async changePasscode(currentPasscode, newPasscode) {
+        const user = this.users.find(u => u.id === this.session.userId);
+        if (!user || await hashPasscode(currentPasscode, user.salt) !== user.passcodeHash) return false;
+
+        user.salt = `${user.username}-${this.clock().getTime()}-${this.random()}`;
+        user.passcodeHash = await hashPasscode(newPasscode, user.salt);
+        user.mustChangePasscode = false;
+        this.session = { ...this.session, mustChangePasscode: false };
+        this.audit('change_passcode', 'users', user.id);
+        this.saveToStorage('users');
+        return true;
+    }
+
+    // A single-use code that signs the donor into their portal. Only the hash
+    // is stored, and issuing a new code replaces any the donor has not used.
+    async issueAccessCode(donorId) {
+        this.authorize('donors.access');
+        const actor = this.session;
+        const donor = this.donors.find(d => d.id === donorId);
+        if (!donor || donor.status === 'merged') return null;
+
+        // Not this.random: the code is a secret, not something tests replay
+        const bytes = crypto.getRandomValues(new Uint8Array(ACCESS_CODE_LENGTH));
+        const code = [...bytes].map(b => ACCESS_CODE_ALPHABET[b % ACCESS_CODE_ALPHABET.length]).join('');
+        const now = this.clock();
+        const expiresAt = new Date(now.getTime() + ACCESS_CODE_TTL_MINUTES * 60000).toISOString();
+
+        const codeHash = await hashAccessCode(code);
+        this.accessCodes = this.accessCodes.filter(entry => entry.donorId !== donorId && new Date(entry.expiresAt) > now);
+        this.accessCodes.push({ id: this.newId(), donorId, codeHash, createdDate: now.toISOString(), expiresAt });
+        this.saveToStorage('accessCodes');
+        // By now asSystem may have handed back the caller's session
+        this.audit('issue_access_code', 'donors', donorId, { expiresAt }, actor);
+        return { code, expiresAt };
+    }
+
+    // Sign a donor in with an access code: returns the new session, or null
+    // for a wrong, used or expired code
+    async signInWithCode(code) {
+        const codeHash = await hashAccessCode(normalizeAccessCode(code));
+        const entry = this.accessCodes.find(e => e.codeHash === codeHash && new Date(e.expiresAt) > this.clock());
+        const donor = entry ? this.donors.find(d => d.id === entry.donorId && d.status !== 'merged') : null;
+        if (!donor) {
+            this.audit('sign_in_failed', 'donors', null, { method: 'access_code' });
+            return null;
+        }
+
+        this.accessCodes = this.accessCodes.filter(e => e !== entry);
+        this.saveToStorage('accessCodes');
+        this.setSession({ userId: `donor-${donor.id}`, name: donor.name, role: 'donor', donorId: donor.id, mustChangePasscode: false });
+        this.audit('sign_in', 'donors', donor.id, { method: 'access_code' });
+        return this.session;
+    }
+
+    // CRUD Operations
+    createDonor(donorData) {
+        this.authorize('donors.create');
+        this.checkDonorWritable(donorData);
+        const fields = this.checkFields('donors', donorData);
+        const newDonor = {
+            id: this.newId(),
+            ...fields,
+            siteId: fields.siteId || this.siteForCity(fields.city),
+            registrationDate: this.clock().toISOString(),
+            status: 'active'
+        };
+        this.donors.push(newDonor);
+        this.audit('create', 'donors', newDonor.id);
+        this.notifyChange('donors', newDonor);
+        this.saveToStorage();
+        return newDonor;
+    }
+
+    // Unchecked, for the app's own services (matching, duplicate checks);
+    // anything shown to a user goes through listDonors
+    readDonors() {
+        return this.donors;
+    }
+
+    // Donors the signed-in user may see: all of them for staff, their own
+    // record for a donor. Contact details are masked without donors.read.pii.
+    listDonors() {
+        if (!this.can('donors.read')) {
+            this.authorize('donors.read', this.session.donorId);
+            return this.donors.filter(d => d.id === this.session.donorId);
+        }
+        if (this.can('donors.read.pii')) return this.donors;
+        return this.donors.map(d => ({ ...d, email: maskPII(d.email), phone: maskPII(d.phone) }));
+    }
+
+    updateDonor(id, updates) {
+        this.authorize('donors.update', id);
+        if (!this.can('donors.update')) {
+            const forbidden = Object.keys(updates).filter(field => !DONOR_SELF_EDITABLE.includes(field));
+            if (forbidden.length > 0) throw new LifeFlowPermissionError(`change ${forbidden.join(', ')}`, this.session);
+        }
+        this.checkDonorWritable(updates);
+        updates = this.checkFields('donors', updates, true);
+
+        const index = this.donors.findIndex(d => d.id === id);
+        if (index !== -1) {
+            const before = this.donors[index];
+            this.donors[index] = { ...before, ...updates };
+            this.audit('update', 'donors', id, this.diffRecord(before, this.donors[index]));
+            this.notifyChange('donors', this.donors[index]);
+            this.saveToStorage();
+            return this.donors[index];
+        }
+        return null;
+    }
+
+    checkDonorWritable(data) {
+        const errors = {};
+        Object.keys(data)
+            .filter(field => !(field in FIELD_SCHEMAS.donors) && !DONOR_WRITABLE_EXTRAS.includes(field))
+            .forEach(field => { errors[field] = fieldError('notWritable', field); });
+        if (Object.keys(errors).length > 0) throw new LifeFlowValidationError('donors', errors);
+    }
+
+    // Track how often a donor answers appeals; feeds the matching score
+    recordDonorResponse(id, responded) {
+        this.authorize('notifications.send');
+        const donor = this.donors.find(d => d.id === id);
+        if (!donor) return null;
+
+        const responses = donor.responses || { contacted: 0, responded: 0 };
+        donor.responses = {
+            contacted: responses.contacted + 1,
+            responded: responses.responded + (responded ? 1 : 0)
+        };
+        this.notifyChange('donors', donor);
+        this.saveToStorage();
+        return donor;
+    }
+
+    // Soft-deactivate: the record stays for history but drops out of matching
+    deactivateDonor(id, reason = '') {
+        this.authorize('donors.update');
+        return this.changeDonorStatus(id, ['active', 'paused', 'withdrawn'], 'update', {
+            status: 'inactive',
+            deactivatedDate: this.clock().toISOString(),
+            deactivationReason: reason
+        });
+    }
+
+    reactivateDonor(id) {
+        this.authorize('donors.update');
+        return this.changeDonorStatus(id, ['inactive'], 'update', { status: 'active', deactivatedDate: null, deactivationReason: null });
+    }
+
+    // Donor consent, changed by the donors themselves. Paused donors are not
+    // asked to give until they resume or pausedUntil passes; withdrawn donors
+    // are not used at all. Matching, appeals and booking only take active donors.
+    pauseDonor(id, until = null) {
+        if (!isBlank(until) && Number.isNaN(new Date(until).getTime())) {
+            throw new LifeFlowValidationError('donors', { pausedUntil: fieldError('date', 'Pause end') });
+        }
+        return this.changeConsent(id, ['active'], {
+            status: 'paused',
+            pausedDate: this.clock().toISOString(),
+            pausedUntil: isBlank(until) ? null : new Date(until).toISOString()
+        });
+    }
+
+    withdrawConsent(id) {
+        return this.changeConsent(id, ['active', 'paused'], {
+            status: 'withdrawn',
+            consentWithdrawnDate: this.clock().toISOString(),
+            pausedDate: null,
+            pausedUntil: null
+        });
+    }
+
+    resumeDonor(id) {
+        return this.changeConsent(id, ['paused', 'withdrawn'], {
+            status: 'active',
+            pausedDate: null,
+            pausedUntil: null,
+            consentWithdrawnDate: null
+        });
+    }
+
+    // Only moves between active, paused and withdrawn; a staff deactivation
+    // or a merge is never undone from here
+    changeConsent(id, fromStatuses, changes) {
+        this.authorize('donors.update', id);
+        return this.changeDonorStatus(id, fromStatuses, 'consent', changes);
+    }
+
+    changeDonorStatus(id, fromStatuses, action, changes) {
+        const index = this.donors.findIndex(d => d.id === id);
+        if (index === -1 || !fromStatuses.includes(this.donors[index].status)) return null;
+
+        const before = this.donors[index];
+        this.donors[index] = { ...before, ...changes };
+        this.audit(action, 'donors', id, this.diffRecord(before, this.donors[index]));
+        this.notifyChange('donors', this.donors[index]);
+        this.saveToStorage();
+        return this.donors[index];
+    }
+
+    // Put donors whose pause has run out back into matching
+    resumeExpiredPauses(now = this.clock()) {
+        return this.donors
+            .filter(d => d.status === 'paused' && d.pausedUntil && new Date(d.pausedUntil) <= now)
+            .map(d => this.resumeDonor(d.id));
+    }
+
+    // Fold a duplicate record into the primary one. The duplicate is kept with
+    // status 'merged' and everything moved is recorded so the merge can be undone.
+    mergeDonors(primaryId, duplicateId, mergedBy = this.session.name) {
+        this.authorize('donors.merge');
+        const primary = this.donors.find(d => d.id === primaryId);
+        const duplicate = this.donors.find(d => d.id === duplicateId);
+        if (!primary || !duplicate || primary === duplicate || duplicate.status === 'merged') return null;
+
+        const merge = {
+            id: this.newId(),
+            primaryId,
+            duplicateId,
+            mergedBy,
+            date: this.clock().toISOString(),
+            primaryBefore: JSON.parse(JSON.stringify(primary)),
+            duplicateBefore: JSON.parse(JSON.stringify(duplicate)),
+            donationIds: this.donations.filter(d => d.donorId === duplicateId).map(d => d.id),
+            unitIds: this.inventory.filter(u => u.donorId === duplicateId).map(u => u.id),
+            requestMatches: this.requests
+                .filter(r => r.matchedDonors.includes(duplicateId))
+                .map(r => ({ requestId: r.id, matchedDonors: [...r.matchedDonors] })),
+            undone: false
+        };
+
+        // Primary values win; gaps are filled from the duplicate
+        Object.entries(duplicate).forEach(([field, value]) => {
+            if ((primary[field] === undefined || primary[field] === null || primary[field] === '') && value !== '') {
+                primary[field] = value;
+            }
+        });
+        if (duplicate.responses) {
+            const responses = primary.responses || { contacted: 0, responded: 0 };
+            primary.responses = {
+                contacted: responses.contacted + duplicate.responses.contacted,
+                responded: responses.responded + duplicate.responses.responded
+            };
+        }
+        if (new Date(duplicate.registrationDate) < new Date(primary.registrationDate)) {
+            primary.registrationDate = duplicate.registrationDate;
+        }
+
+        this.reassignDonorRecords(merge, duplicateId, primaryId);
+        merge.requestMatches.forEach(({ requestId }) => {
+            const request = this.getRequest(requestId);
+            request.matchedDonors = [...new Set(request.matchedDonors.map(id => id === duplicateId ? primaryId : id))];
+            this.notifyChange('requests', request);
+        });
+        Object.assign(duplicate, { status: 'merged', mergedInto: primaryId });
+        this.refreshDonorEligibility(primary);
+
+        this.merges.push(merge);
+        this.audit('merge', 'donors', primaryId, { duplicateId });
+        this.notifyChange('donors', primary);
+        this.notifyChange('donors', duplicate);
+        this.saveToStorage('merges');
+        return merge;
+    }
+
+    undoMerge(mergeId) {
+        this.authorize('donors.merge');
+        const merge = this.merges.find(m => m.id === mergeId);
+        if (!merge || merge.undone) return null;
+
+        this.reassignDonorRecords(merge, merge.primaryId, merge.duplicateId);
+        merge.requestMatches.forEach(({ requestId, matchedDonors }) => {
+            const request = this.getRequest(requestId);
+            if (!request) return;
+            request.matchedDonors = [...matchedDonors];
+            this.notifyChange('requests', request);
+        });
+        [merge.primaryBefore, merge.duplicateBefore].forEach(snapshot => {
+            const index = this.donors.findIndex(d => d.id === snapshot.id);
+            if (index === -1) return;
+            this.donors[index] = JSON.parse(JSON.stringify(snapshot));
+            this.notifyChange('donors', this.donors[index]);
+        });
+
+        merge.undone = true;
+        merge.undoneDate = this.clock().toISOString();
+        this.audit('undo_merge', 'donors', merge.primaryId, { duplicateId: merge.duplicateId });
+        this.saveToStorage('merges');
+        return merge;
+    }
+
+    readMerges() {
+        return this.merges;
+    }
+
+    // Point the donations and units listed in a merge at another donor
+    reassignDonorRecords(merge, fromId, toId) {
+        this.donations.filter(d => merge.donationIds.includes(d.id) && d.donorId === fromId).forEach(d => {
+            d.donorId = toId;
+            this.notifyChange('donations', d);
+        });
+        this.inventory.filter(u => merge.unitIds.includes(u.id) && u.donorId === fromId).forEach(u => {
+            u.donorId = toId;
+            this.notifyChange('inventory', u);
+        });
+    }
+
+    deleteDonor(id) {
+        this.authorize('donors.delete');
+        const index = this.donors.findIndex(d => d.id === id);
+        if (index === -1) return;
+
+        const [donor] = this.donors.splice(index, 1);
+        this.audit('delete', 'donors', id);
+        this.notifyChange('donors', donor, 'delete');
+        this.saveToStorage();
+    }
+
+    // Donation Log
+    recordDonation(donorId, donationData) {
+        this.authorize('donations.create');
+        const donor = this.donors.find(d => d.id === donorId);
+        if (!donor) return null;
+
+        const component = donationData.component || 'whole_blood';
+        const date = new Date(donationData.date || this.clock().getTime());
+        const screeningResult = donationData.screeningResult || 'pending';
+
+        const unit = this.buildUnit({
+            bloodType: donor.bloodType,
+            component,
+            donorId,
+            collectionDate: date,
+            // Stock stays where it was collected; the donor's home site otherwise
+            siteId: donationData.siteId || donor.siteId,
+            // The bag carries the donor's typing
+            antigens: donor.antigens,
+            cmvNegative: donor.cmvNegative,
+            status: this.unitStatusForScreening(screeningResult)
+        });
+        this.inventory.push(unit);
+
+        const donation = {
+            id: this.newId(),
+            donorId,
+            date: date.toISOString(),
+            site: donationData.site || '',
+            volume: donationData.volume || 450,
+            component,
+            screeningResult,
+            unitId: unit.id
+        };
+        this.donations.push(donation);
+        this.audit('create', 'donations', donation.id, { donorId, unitId: unit.id, component });
+
+        this.refreshDonorEligibility(donor);
+        this.notifyChange('inventory', unit);
+        this.notifyChange('donations', donation);
+        this.notifyChange('donors', donor);
+        this.saveToStorage();
+        return donation;
+    }
+
+    readDonations(donorId = null) {
+        return donorId === null
+            ? this.donations
+            : this.donations.filter(d => d.donorId === donorId);
+    }
+
+    // Screening clears a quarantined unit for use or discards it
+    updateScreeningResult(donationId, screeningResult) {
+        this.authorize('donations.screen');
+        const donation = this.donations.find(d => d.id === donationId);
+        if (!donation || donation.screeningResult !== 'pending') return null;
+
+        donation.screeningResult = screeningResult;
+        this.audit('screen', 'donations', donationId, { screeningResult });
+        this.changeUnitStatus(donation.unitId, this.unitStatusForScreening(screeningResult), `Screening ${screeningResult}`);
+        this.notifyChange('donations', donation);
+        this.saveToStorage();
+        return donation;
+    }
+
+    unitStatusForScreening(screeningResult) {
+        if (screeningResult === 'passed') return 'available';
+        if (screeningResult === 'failed') return 'discarded';
+        return 'quarantined';
+    }
+
+    // Derive lastDonation and the next eligible date from the donation log
+    refreshDonorEligibility(donor, now = this.clock()) {
+        const donations = this.readDonations(donor.id);
+        if (donations.length === 0) return donor;
+
+        const latest = donations.reduce((a, b) => new Date(a.date) > new Date(b.date) ? a : b);
+        const lastDate = new Date(latest.date);
+        const daysSince = (now - lastDate) / 86400000;
+        const component = latest.component || 'whole_blood';
+        // The same waiting periods the eligibility rules apply
+        const interval = donationIntervalDays(component, donor.sex);
+
+        donor.lastDonationDate = lastDate.toISOString();
+        donor.lastDonationComponent = component;
+        donor.nextEligibleDate = new Date(lastDate.getTime() + interval * 86400000).toISOString();
+        if (daysSince < 90) donor.lastDonation = 'recent';
+        else if (daysSince < 180) donor.lastDonation = '3months';
+        else if (daysSince < 365) donor.lastDonation = '6months';
+        else donor.lastDonation = '1year';
+        return donor;
+    }
+
+    // Sites
+    // Every site, or only collection sites or hospital blood banks
+    readSites(kind = null) {
+        return kind ? this.sites.filter(s => s.kind === kind) : this.sites;
+    }
+
+    getSite(id) {
+        return this.sites.find(s => s.id === id) || null;
+    }
+
+    // The site in a city, preferring the given kind; null when the city has none
+    siteForCity(city, kind = 'collection') {
+        const inCity = this.sites.filter(s => s.city === city);
+        return (inCity.find(s => s.kind === kind) || inCity[0])?.id ?? null;
+    }
+
+    // Appointments
+    // Lifecycle: waitlisted -> booked -> completed / no_show
+    // (or cancelled before the visit)
+    createAppointment(appointmentData) {
+        this.authorize('appointments.book', appointmentData.donorId);
+        const now = this.clock().toISOString();
+        const status = appointmentData.status || 'booked';
+        const appointment = {
+            id: this.newId(),
+            donorId: appointmentData.donorId,
+            siteId: appointmentData.siteId,
+            start: new Date(appointmentData.start).toISOString(),
+            component: appointmentData.component || 'whole_blood',
+            status,
+            createdDate: now,
+            history: [{ status, date: now, note: status === 'waitlisted' ? 'Joined waitlist' : 'Appointment booked' }]
+        };
+        this.appointments.push(appointment);
+        this.audit('create', 'appointments', appointment.id, { siteId: appointment.siteId, start: appointment.start, status });
+        this.notifyChange('appointments', appointment);
+        this.saveToStorage();
+        return appointment;
+    }
+
+    getAppointment(id) {
+        return this.appointments.find(a => a.id === id) || null;
+    }
+
+    readAppointments(filter = {}) {
+        return this.appointments.filter(a =>
+            (filter.donorId === undefined || a.donorId === filter.donorId) &&
+            (filter.siteId === undefined || a.siteId === filter.siteId) &&
+            (filter.start === undefined || a.start === filter.start) &&
+            (filter.status === undefined || [].concat(filter.status).includes(a.status))
+        );
+    }
+
+    // Move an appointment to another slot, keeping its id and history. Moving
+    // between a full and an open slot flips it between booked and waitlisted,
+    // the one change outside APPOINTMENT_TRANSITIONS.
+    moveAppointment(id, siteId, start, note = 'Rescheduled', status = null) {
+        const upcoming = ['booked', 'waitlisted'];
+        const appointment = this.getAppointment(id);
+        if (!appointment || !upcoming.includes(appointment.status)) return null;
+        if (status !== null && !upcoming.includes(status)) return null;
+        this.authorize('appointments.manage', appointment.donorId);
+
+        const now = this.clock().toISOString();
+        this.audit('move', 'appointments', id, { from: appointment.start, to: new Date(start).toISOString(), siteId });
+        appointment.siteId = siteId;
+        appointment.start = new Date(start).toISOString();
+        appointment.history.push({ status: appointment.status, date: now, note });
+        if (status !== null && status !== appointment.status) {
+            const statusNote = status === 'booked' ? 'Place confirmed' : 'Joined waitlist';
+            this.audit('status', 'appointments', id, { from: appointment.status, to: status, note: statusNote });
+            appointment.status = status;
+            appointment.history.push({ status, date: now, note: statusNote });
+        }
+        this.notifyChange('appointments', appointment);
+        this.saveToStorage();
+        return appointment;
+    }
+
+    setAppointmentStatus(id, status, note = '', details = {}) {
+        const appointment = this.getAppointment(id);
+        if (!appointment || !APPOINTMENT_TRANSITIONS[appointment.status].includes(status)) return null;
+        // Donors may cancel their own bookings; every other outcome is for staff
+        this.authorize('appointments.manage', status === 'cancelled' ? appointment.donorId : undefined);
+
+        this.audit('status', 'appointments', id, { from: appointment.status, to: status, note });
+        Object.assign(appointment, details);
+        appointment.status = status;
+        appointment.history.push({ status, date: this.clock().toISOString(), note });
+        this.notifyChange('appointments', appointment);
+        this.saveToStorage();
+        return appointment;
+    }
+
+    // Blood Request Management
+    // Lifecycle: open -> matched -> partially_fulfilled -> fulfilled
+    // (or expired / cancelled from any non-final state)
+    createRequest(requestData) {
+        this.authorize('requests.create');
+        requestData = this.checkFields('requests', requestData);
+        const now = this.clock().toISOString();
+        const newRequest = {
+            id: this.newId(),
+            hospital: requestData.hospital,
+            city: requestData.city || '',
+            siteId: requestData.siteId || this.siteForCity(requestData.city, 'hospital'),
+            bloodType: requestData.bloodType,
+            component: requestData.component || null,
+            units: requestData.units,
+            urgency: requestData.urgency || 'moderate',
+            deadline: requestData.deadline,
+            antigenNegative: requestData.antigenNegative || [],
+            cmvNegative: requestData.cmvNegative === true,
+            irradiated: requestData.irradiated === true,
+            unitsFulfilled: 0,
+            matchedDonors: [],
+            status: 'open',
+            createdDate: now,
+            history: [{ status: 'open', date: now, note: 'Request created' }]
+        };
+        this.requests.push(newRequest);
+        this.audit('create', 'requests', newRequest.id, { bloodType: newRequest.bloodType, units: newRequest.units, urgency: newRequest.urgency, siteId: newRequest.siteId });
+        this.notifyChange('requests', newRequest);
+        this.saveToStorage();
+        return newRequest;
+    }
+
+    readRequests() {
+        return this.requests;
+    }
+
+    getRequest(id) {
+        return this.requests.find(r => r.id === id) || null;
+    }
+
+    updateRequest(id, updates) {
+        this.authorize('requests.update');
+        const request = this.getRequest(id);
+        if (!request || this.isRequestClosed(request)) return null;
+
+        // Status, progress and history only change through the lifecycle methods
+        const { status, unitsFulfilled, history, ...changes } = updates;
+        const editable = this.checkFields('requests', changes, true);
+        this.audit('update', 'requests', id, this.diffRecord(request, editable));
+        Object.assign(request, editable);
+        this.addRequestHistory(request, request.status, `Updated: ${Object.keys(editable).join(', ')}`);
+        this.saveToStorage();
+        return request;
+    }
+
+    matchRequest(id, donorIds = []) {
+        this.authorize('requests.update');
+        const request = this.getRequest(id);
+        if (!request || this.isRequestClosed(request)) return null;
+
+        request.matchedDonors = [...new Set([...request.matchedDonors, ...donorIds])];
+        // Matching more donors for a partially fulfilled request keeps its progress status
+        const status = request.status === 'open' ? 'matched' : request.status;
+        this.setRequestStatus(request, status, `${donorIds.length} donor(s) matched`);
+        return request;
+    }
+
+    fulfilRequest(id, units) {
+        this.authorize('inventory.allocate');
+        const request = this.getRequest(id);
+        if (!request || this.isRequestClosed(request) || !(units > 0)) return null;
+
+        request.unitsFulfilled = Math.min(request.units, request.unitsFulfilled + units);
+        const status = request.unitsFulfilled >= request.units ? 'fulfilled' : 'partially_fulfilled';
+        this.setRequestStatus(request, status, `${units} unit(s) supplied (${request.unitsFulfilled}/${request.units})`);
+        return request;
+    }
+
+    cancelRequest(id, reason = 'Cancelled') {
+        this.authorize('requests.update');
+        const request = this.getRequest(id);
+        if (!request || this.isRequestClosed(request)) return null;
+
+        this.setRequestStatus(request, 'cancelled', reason);
+        return request;
+    }
+
+    // Expire every request whose deadline has passed
+    expireRequests(now = this.clock()) {
+        const expired = this.requests.filter(r =>
+            !this.isRequestClosed(r) && r.deadline && new Date(r.deadline) < now
+        );
+        expired.forEach(r => this.addRequestHistory(r, 'expired', 'Deadline passed'));
+        if (expired.length > 0) this.saveToStorage();
+        return expired;
+    }
+
+    // Open requests ordered by urgency, then earliest deadline
+    getActiveRequests() {
+        const urgencyRank = { urgent: 0, high: 1, moderate: 2 };
+        const byDeadline = r => r.deadline ? new Date(r.deadline).getTime() : Infinity;
+
+        return this.requests
+            .filter(r => !this.isRequestClosed(r))
+            .sort((a, b) =>
+                (urgencyRank[a.urgency] ?? 3) - (urgencyRank[b.urgency] ?? 3) ||
+                byDeadline(a) - byDeadline(b)
+            );
+    }
+
+    isRequestClosed(request) {
+        return ['fulfilled', 'expired', 'cancelled'].includes(request.status);
+    }
+
+    setRequestStatus(request, status, note) {
+        this.audit('status', 'requests', request.id, { from: request.status, to: status, note });
+        this.addRequestHistory(request, status, note);
+        this.saveToStorage();
+    }
+
+    addRequestHistory(request, status, note) {
+        request.status = status;
+        request.history.push({ status, date: this.clock().toISOString(), note });
+        this.notifyChange('requests', request);
+    }
+
+    // Inventory Management (unit-level ledger)
+    buildUnit(unitData) {
+        const component = unitData.component || 'whole_blood';
+        const collectionDate = new Date(unitData.collectionDate || this.clock().getTime());
+        const expiryDate = unitData.expiryDate
+            ? new Date(unitData.expiryDate)
+            : new Date(collectionDate.getTime() + COMPONENT_SHELF_LIFE[component] * 86400000);
+        const status = unitData.status || 'quarantined';
+
+        return {
+            id: this.newId(),
+            bloodType: unitData.bloodType,
+            component,
+            donorId: unitData.donorId || null,
+            siteId: unitData.siteId || null,
+            collectionDate: collectionDate.toISOString(),
+            expiryDate: expiryDate.toISOString(),
+            antigens: unitData.antigens || {},
+            cmvNegative: unitData.cmvNegative === true,
+            irradiated: unitData.irradiated === true,
+            status,
+            history: [{ status, date: this.clock().toISOString() }]
+        };
+    }
+
+    // New bags start in quarantine until screening clears them
+    addUnit(unitData) {
+        this.authorize('inventory.update');
+        const fields = this.checkFields('inventory', unitData);
+        if (fields.status && !NEW_UNIT_STATUSES.includes(fields.status)) {
+            throw new LifeFlowValidationError('inventory', {
+                status: fieldError('oneOf', FIELD_SCHEMAS.inventory.status.label, { values: NEW_UNIT_STATUSES.join(', ') })
+            });
+        }
+        const unit = this.buildUnit(fields);
+        this.inventory.push(unit);
+        this.audit('create', 'inventory', unit.id, { bloodType: unit.bloodType, component: unit.component, status: unit.status });
+        this.notifyChange('inventory', unit);
+        this.saveToStorage();
+        return unit;
+    }
+
+    getUnit(id) {
+        return this.inventory.find(u => u.id === id) || null;
+    }
+
+    readUnits(filter = {}) {
+        return this.inventory.filter(u =>
+            (!filter.bloodType || u.bloodType === filter.bloodType) &&
+            (!filter.component || u.component === filter.component) &&
+            (!filter.status || u.status === filter.status) &&
+            (!filter.siteId || u.siteId === filter.siteId)
+        );
+    }
+
+    setUnitStatus(id, status, note = '') {
+        this.authorize('inventory.update');
+        // Units only go into and come out of transit through a transfer
+        const unit = this.getUnit(id);
+        if (status === 'in_transit' || (unit?.status === 'in_transit' && status !== 'discarded')) return null;
+        return this.changeUnitStatus(id, status, note);
+    }
+
+    // Status change behind the permission checks of setUnitStatus and the allocation steps
+    changeUnitStatus(id, status, note = '') {
+        const unit = this.getUnit(id);
+        if (!unit || !UNIT_TRANSITIONS[unit.status].includes(status)) return null;
+
+        this.audit('status', 'inventory', id, { from: unit.status, to: status, note });
+        unit.status = status;
+        unit.history.push({ status, date: this.clock().toISOString(), note });
+        this.notifyChange('inventory', unit);
+        this.saveToStorage();
+        return unit;
+    }
+
+    // Available units of a type ordered first-expiry-first-out, at one site or all of them
+    pickUnits(bloodType, count, component = null, now = this.clock(), siteId = null) {
+        this.releaseExpiredReservations(now);
+        return this.readUnits({ bloodType, component, status: 'available', siteId })
+            .filter(u => new Date(u.expiryDate) > now)
+            .sort((a, b) => new Date(a.expiryDate) - new Date(b.expiryDate))
+            .slice(0, count);
+    }
+
+    // Available units expiring within the given window, soonest first
+    getExpiringUnits(days = 3, now = this.clock(), siteId = null) {
+        const horizon = now.getTime() + days * 86400000;
+        return this.readUnits({ status: 'available', siteId })
+            .filter(u => {
+                const expiry = new Date(u.expiryDate).getTime();
+                return expiry > now.getTime() && expiry <= horizon;
+            })
+            .sort((a, b) => new Date(a.expiryDate) - new Date(b.expiryDate));
+    }
+
+    discardExpiredUnits(now = this.clock()) {
+        const expired = this.inventory.filter(u =>
+            ['quarantined', 'available', 'reserved', 'in_transit'].includes(u.status) && new Date(u.expiryDate) <= now
+        );
+        expired.forEach(u => {
+            u.status = 'discarded';
+            u.history.push({ status: 'discarded', date: now.toISOString(), note: 'Expired' });
+            this.notifyChange('inventory', u);
+        });
+        if (expired.length > 0) this.saveToStorage();
+        return expired;
+    }
+
+    // Hold a unit for a request until it is issued or the hold expires
+    reserveUnit(id, requestId, expiresAt) {
+        this.authorize('inventory.allocate');
+        const unit = this.changeUnitStatus(id, 'reserved', `Reserved for request ${requestId}`);
+        if (!unit) return null;
+
+        unit.reservation = { requestId, reservedAt: this.clock().toISOString(), expiresAt: expiresAt.toISOString() };
+        this.notifyChange('inventory', unit);
+        this.logAllocation({ action: 'reserved', requestId, unitId: id });
+        return unit;
+    }
+
+    releaseUnit(id, reason) {
+        this.authorize('inventory.allocate');
+        const unit = this.getUnit(id);
+        if (!unit || unit.status !== 'reserved') return null;
+
+        const requestId = unit.reservation?.requestId;
+        this.changeUnitStatus(id, 'available', `Released: ${reason}`);
+        delete unit.reservation;
+        this.notifyChange('inventory', unit);
+        this.logAllocation({ action: 'released', requestId, unitId: id, reason });
+        return unit;
+    }
+
+    // Return timed-out holds, and holds for requests that have closed, to
+    // stock. Like expiry this is housekeeping, done as the system for whoever
+    // happens to look at stock.
+    releaseExpiredReservations(now = this.clock()) {
+        const reasonFor = unit => {
+            const request = this.getRequest(unit.reservation?.requestId);
+            if (!request || this.isRequestClosed(request)) return 'request closed';
+            return new Date(unit.reservation.expiresAt) <= now ? 'timeout' : null;
+        };
+        const due = this.readUnits({ status: 'reserved' })
+            .map(unit => ({ unit, reason: reasonFor(unit) }))
+            .filter(({ reason }) => reason);
+        if (due.length === 0) return [];
+        return this.asSystem(() => due.map(({ unit, reason }) => this.releaseUnit(unit.id, reason)).filter(Boolean));
+    }
+
+    issueUnit(id) {
+        this.authorize('inventory.allocate');
+        const unit = this.changeUnitStatus(id, 'issued', 'Issued to hospital');
+        if (!unit) return null;
+
+        this.logAllocation({ action: 'issued', requestId: unit.reservation?.requestId, unitId: id });
+        return unit;
+    }
+
+    getReservedUnits(requestId) {
+        return this.readUnits({ status: 'reserved' }).filter(u => u.reservation?.requestId === requestId);
+    }
+
+    // Append-only trail of reservations, releases and issues
+    logAllocation(entry) {
+        this.allocationLog.push({ id: this.newId(), date: this.clock().toISOString(), ...entry });
+        this.saveToStorage('allocationLog');
+    }
+
+    readAllocationLog(requestId = null) {
+        return requestId === null
+            ? this.allocationLog
+            : this.allocationLog.filter(e => e.requestId === requestId);
+    }
+
+    // Append-only record of every message attempted to a donor
+    logNotification(entry) {
+        const logged = { id: this.newId(), date: this.clock().toISOString(), ...entry };
+        this.notificationLog.push(logged);
+        this.saveToStorage('notificationLog');
+        return logged;
+    }
+
+    readNotificationLog(donorId = null) {
+        return donorId === null
+            ? this.notificationLog
+            : this.notificationLog.filter(e => e.donorId === donorId);
+    }
+
+    // Stock Levels & Alerts
+    setStockLevel(bloodType, levels) {
+        this.authorize('inventory.update');
+        this.audit('update', 'stockLevels', bloodType, { from: this.stockLevels[bloodType] || null, to: levels });
+        this.stockLevels[bloodType] = { minimum: levels.minimum, target: levels.target };
+        this.saveToStorage('stockLevels');
+        return this.stockLevels[bloodType];
+    }
+
+    getStockLevel(bloodType) {
+        return this.stockLevels[bloodType] || null;
+    }
+
+    createAlert(alertData) {
+        const alert = {
+            id: this.newId(),
+            ...alertData,
+            createdDate: this.clock().toISOString(),
+            acknowledged: false,
+            history: [{ action: 'raised', date: this.clock().toISOString() }]
+        };
+        this.alerts.push(alert);
+        this.saveToStorage('alerts');
+        return alert;
+    }
+
+    acknowledgeAlert(id, acknowledgedBy = this.session.name) {
+        this.authorize('alerts.acknowledge');
+        const alert = this.alerts.find(a => a.id === id);
+        if (!alert || alert.acknowledged) return null;
+
+        this.audit('acknowledge', 'alerts', id);
+        const date = this.clock().toISOString();
+        alert.acknowledged = true;
+        alert.acknowledgedBy = acknowledgedBy;
+        alert.acknowledgedDate = date;
+        alert.history.push({ action: 'acknowledged', date, by: acknowledgedBy });
+        this.saveToStorage('alerts');
+        return alert;
+    }
+
+    readAlerts(openOnly = false) {
+        return openOnly ? this.alerts.filter(a => !a.acknowledged) : this.alerts;
+    }
+
+    // Stock count correction: add or discard whole blood units (FEFO) to reach a count,
+    // across the network or at one site
+    updateInventory(bloodType, units, siteId = null) {
+        this.authorize('inventory.update');
+        this.checkFields('inventory', { bloodType, siteId });
+        if (!Number.isInteger(units) || units < 0) {
+            throw new LifeFlowValidationError('inventory', { units: fieldError('atLeast', 'Units', { min: 0 }) });
+        }
+        const available = this.pickUnits(bloodType, Infinity, null, this.clock(), siteId);
+        this.audit('stock_count', 'inventory', null, { bloodType, siteId, from: available.length, to: units });
+        if (units > available.length) {
+            for (let i = available.length; i < units; i++) {
+                const unit = this.buildUnit({ bloodType, siteId, status: 'available' });
+                this.inventory.push(unit);
+                this.notifyChange('inventory', unit);
+            }
+        } else {
+            available.slice(0, available.length - units).forEach(u => {
+                u.status = 'discarded';
+                u.history.push({ status: 'discarded', date: this.clock().toISOString(), note: 'Stock count adjustment' });
+                this.notifyChange('inventory', u);
+            });
+        }
+        this.saveToStorage();
+    }
+
+    // Per-type totals of usable units, computed from the ledger, for one site or the network
+    getInventory(component = null, now = this.clock(), siteId = null) {
+        const totals = Object.fromEntries(BLOOD_TYPES.map(type => [type, 0]));
+        this.readUnits({ component, status: 'available', siteId })
+            .filter(u => new Date(u.expiryDate) > now)
+            .forEach(u => { totals[u.bloodType] = (totals[u.bloodType] || 0) + 1; });
+        return totals;
+    }
+
+    // Transfers Between Sites
+    // Lifecycle: requested -> dispatched -> received (or cancelled before dispatch).
+    // Dispatched units are in_transit and count towards neither site's stock.
+    createTransfer(transferData) {
+        this.authorize('inventory.transfer');
+        const fields = this.checkFields('transfers', transferData);
+        if (fields.fromSiteId === fields.toSiteId) {
+            throw new LifeFlowValidationError('transfers', { toSiteId: fieldError('sameSite', FIELD_SCHEMAS.transfers.toSiteId.label) });
+        }
+
+        const now = this.clock().toISOString();
+        const transfer = {
+            id: this.newId(),
+            fromSiteId: fields.fromSiteId,
+            toSiteId: fields.toSiteId,
+            bloodType: fields.bloodType,
+            component: fields.component || null,
+            units: fields.units,
+            requestId: transferData.requestId || null,
+            unitIds: [],
+            status: 'requested',
+            requestedBy: this.session.name,
+            createdDate: now,
+            history: [{ status: 'requested', date: now, note: 'Transfer requested' }]
+        };
+        this.transfers.push(transfer);
+        this.audit('create', 'transfers', transfer.id, {
+            fromSiteId: transfer.fromSiteId, toSiteId: transfer.toSiteId, bloodType: transfer.bloodType, units: transfer.units
+        });
+        this.notifyChange('transfers', transfer);
+        this.saveToStorage();
+        return transfer;
+    }
+
+    getTransfer(id) {
+        return this.transfers.find(t => t.id === id) || null;
+    }
+
+    // filter.siteId matches either end of the transfer
+    readTransfers(filter = {}) {
+        return this.transfers.filter(t =>
+            (!filter.siteId || t.fromSiteId === filter.siteId || t.toSiteId === filter.siteId) &&
+            (filter.requestId === undefined || t.requestId === filter.requestId) &&
+            (filter.status === undefined || [].concat(filter.status).includes(t.status))
+        );
+    }
+
+    // Send units from the sending site: the given ones, or the first to expire.
+    // Sends what there is when the site has fewer than ordered; null when it has none.
+    dispatchTransfer(id, unitIds = null, now = this.clock()) {
+        this.authorize('inventory.transfer');
+        const transfer = this.getTransfer(id);
+        if (!transfer || !TRANSFER_TRANSITIONS[transfer.status].includes('dispatched')) return null;
+
+        const candidates = this.pickUnits(transfer.bloodType, Infinity, transfer.component, now, transfer.fromSiteId);
+        const units = (unitIds ? candidates.filter(u => unitIds.includes(u.id)) : candidates).slice(0, transfer.units);
+        if (units.length === 0) return null;
+
+        units.forEach(unit => {
+            unit.transferId = id;
+            this.changeUnitStatus(unit.id, 'in_transit', `Transfer to ${this.getSite(transfer.toSiteId)?.name || 'another site'}`);
+        });
+        transfer.unitIds = units.map(u => u.id);
+        this.setTransferStatus(transfer, 'dispatched', `${units.length} of ${transfer.units} unit(s) dispatched`);
+        return transfer;
+    }
+
+    // Units that arrive join the receiving site's stock; any that expired on the way stay discarded
+    receiveTransfer(id) {
+        this.authorize('inventory.transfer');
+        const transfer = this.getTransfer(id);
+        if (!transfer || !TRANSFER_TRANSITIONS[transfer.status].includes('received')) return null;
+
+        const arrived = transfer.unitIds.map(unitId => this.getUnit(unitId)).filter(u => u && u.status === 'in_transit');
+        arrived.forEach(unit => {
+            unit.siteId = transfer.toSiteId;
+            delete unit.transferId;
+            this.changeUnitStatus(unit.id, 'available', `Received from ${this.getSite(transfer.fromSiteId)?.name || 'another site'}`);
+        });
+        transfer.unitsReceived = arrived.length;
+        this.setTransferStatus(transfer, 'received', `${arrived.length} unit(s) received`);
+        return transfer;
+    }
+
+    cancelTransfer(id, reason = 'Cancelled') {
+        this.authorize('inventory.transfer');
+        const transfer = this.getTransfer(id);
+        if (!transfer || !TRANSFER_TRANSITIONS[transfer.status].includes('cancelled')) return null;
+
+        this.setTransferStatus(transfer, 'cancelled', reason);
+        return transfer;
+    }
+
+    setTransferStatus(transfer, status, note) {
+        this.audit('status', 'transfers', transfer.id, { from: transfer.status, to: status, note });
+        transfer.status = status;
+        transfer.history.push({ status, date: this.clock().toISOString(), note });
+        this.notifyChange('transfers', transfer);
+        this.saveToStorage();
+    }
+
+    // Change Notifications
+    // Listeners get every change to a synced collection. Local changes are
+    // stamped with updatedAt; remote ones arrive already stamped.
+    onChange(listener) {
+        this.changeListeners.push(listener);
+        return () => {
+            this.changeListeners = this.changeListeners.filter(l => l !== listener);
+        };
+    }
+
+    notifyChange(collection, record, action = 'upsert', source = 'local') {
+        if (source === 'local') record.updatedAt = this.clock().toISOString();
+        this.dirty.add(collection);
+        this.changeListeners.forEach(listener => listener({ collection, action, record, source }));
+    }
+
+    getCollection(collection) {
+        const collections = {
+            donors: this.donors,
+            requests: this.requests,
+            inventory: this.inventory,
+            donations: this.donations,
+            appointments: this.appointments,
+            transfers: this.transfers
+        };
+        return collections[collection] || null;
+    }
+
+    findRecord(collection, id) {
+        return this.getCollection(collection)?.find(r => r.id === id) || null;
+    }
+
+    // Apply a change pulled from another device without echoing it back out
+    applyRemoteChange(collection, action, record) {
+        const list = this.getCollection(collection);
+        if (!list) return;
+
+        const index = list.findIndex(r => r.id === record.id);
+        if (action === 'delete') {
+            if (index !== -1) list.splice(index, 1);
+        } else if (index === -1) {
+            list.push(record);
+        } else {
+            list[index] = record;
+        }
+        this.notifyChange(collection, record, action, 'remote');
+        this.saveToStorage();
+    }
+
+    // Storage Operations
+    // Only collections changed since the last save are written. Writes are
+    // serialized immediately and queued so they reach the backend in order.
+    saveToStorage(...collections) {
+        collections.forEach(name => this.dirty.add(name));
+        this.dirty.forEach(name => this.saveValue(STORAGE_COLLECTIONS[name].key, this[name]));
+        this.dirty.clear();
+    }
+
+    saveValue(key, value) {
+        const serialized = JSON.stringify(value);
+        this.values.set(key, value);
+        this.writeQueue = this.writeQueue
+            .then(() => this.storage.setItem(key, serialized))
+            .catch(e => console.error(`Error writing ${key} to storage:`, e));
+    }
+
+    // Resolves once every queued write has reached the backend
+    flush() {
+        return this.writeQueue;
+    }
+
+    loadFromStorage(key) {
+        return this.values.has(key) ? this.values.get(key) : null;
+    }
+}
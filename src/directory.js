@@ -0,0 +1,104 @@
+// ============================================================================
+// Donor Directory
+// ============================================================================
+
+const DONOR_SORT_FIELDS = ['name', 'bloodType', 'city', 'age', 'status', 'registrationDate'];
+
+export class LifeFlowDonorDirectory {
+    constructor(database, ai) {
+        this.database = database;
+        this.ai = ai;
+        this.collator = new Intl.Collator(undefined, { sensitivity: 'base', numeric: true });
+        // Per-donor search text and eligibility, rebuilt lazily after a change
+        this.searchIndex = new Map();
+        this.eligibilityCache = new Map();
+        this.eligibilityDay = null;
+
+        this.database.onChange(change => {
+            if (change.collection === 'donors') {
+                this.searchIndex.delete(change.record.id);
+                this.eligibilityCache.delete(change.record.id);
+            }
+        });
+    }
+
+    // Only full records are indexed; masked copies are searched as they are
+    getSearchText(donor) {
+        const canIndex = this.database.can('donors.read.pii');
+        let text = canIndex ? this.searchIndex.get(donor.id) : undefined;
+        if (text === undefined) {
+            const phoneDigits = (donor.phone || '').replace(/\D/g, '');
+            text = [donor.name, donor.email, donor.phone, phoneDigits].join(' ').toLowerCase();
+            if (canIndex) this.searchIndex.set(donor.id, text);
+        }
+        return text;
+    }
+
+    // Eligibility changes with the calendar, so the cache is kept per day
+    isEligible(donor, now) {
+        const day = Math.floor(now.getTime() / 86400000);
+        if (day !== this.eligibilityDay) {
+            this.eligibilityCache.clear();
+            this.eligibilityDay = day;
+        }
+        if (!this.eligibilityCache.has(donor.id)) {
+            this.eligibilityCache.set(donor.id, this.ai.isDonorAvailable(donor, now));
+        }
+        return this.eligibilityCache.get(donor.id);
+    }
+
+    query(options = {}, now = this.database.clock()) {
+        const {
+            search = '', bloodType = '', city = '', siteId = '', eligibility = '', status = '',
+            sortBy = 'name', sortDir = 'asc', page = 1, pageSize = 25
+        } = options;
+        const term = search.trim().toLowerCase();
+        const termDigits = term.replace(/\D/g, '');
+        const cityTerm = city.trim().toLowerCase();
+
+        const matches = this.database.listDonors().filter(donor => {
+            if (bloodType && donor.bloodType !== bloodType) return false;
+            if (status ? donor.status !== status : donor.status === 'merged') return false;
+            if (cityTerm && (donor.city || '').toLowerCase() !== cityTerm) return false;
+            if (siteId && donor.siteId !== Number(siteId)) return false;
+            if (term) {
+                const text = this.getSearchText(donor);
+                // Phone numbers match on digits alone, whatever the formatting
+                if (!text.includes(term) && !(termDigits.length >= 3 && text.includes(termDigits))) return false;
+            }
+            if (eligibility) {
+                const eligible = this.isEligible(donor, now);
+                if ((eligibility === 'eligible') !== eligible) return false;
+            }
+            return true;
+        });
+
+        const field = DONOR_SORT_FIELDS.includes(sortBy) ? sortBy : 'name';
+        const direction = sortDir === 'desc' ? -1 : 1;
+        matches.sort((a, b) => {
+            const x = a[field];
+            const y = b[field];
+            if (typeof x === 'number' && typeof y === 'number') return (x - y) * direction;
+            return this.collator.compare(String(x ?? ''), String(y ?? '')) * direction;
+        });
+
+        const pageCount = Math.max(1, Math.ceil(matches.length / pageSize));
+        const currentPage = Math.min(Math.max(1, page), pageCount);
+        const start = (currentPage - 1) * pageSize;
+
+        return {
+            total: matches.length,
+            page: currentPage,
+            pageCount,
+            results: matches.slice(start, start + pageSize).map(donor => ({
+                ...donor,
+                eligible: this.isEligible(donor, now)
+            }))
+        };
+    }
+
+    getCities() {
+        return [...new Set(this.database.readDonors().map(d => d.city).filter(Boolean))]
+            .sort((a, b) => this.collator.compare(a, b));
+    }
+}
@@ -0,0 +1,149 @@
+// ============================================================================
+// Duplicate Detection
+// ============================================================================
+
+const DUPLICATE_THRESHOLDS = {
+    nameSimilarity: 0.9,
+    // Records sorted by name are compared with this many following neighbours
+    batchWindow: 5
+};
+
+export class LifeFlowDuplicates {
+    constructor(database) {
+        this.database = database;
+    }
+
+    normalizeEmail(email) {
+        return (email || '').trim().toLowerCase();
+    }
+
+    // Last 10 digits, so +1/+92 prefixes and formatting don't matter
+    normalizePhone(phone) {
+        const digits = (phone || '').replace(/\D/g, '');
+        return digits.length >= 7 ? digits.slice(-10) : '';
+    }
+
+    normalizeName(name) {
+        return (name || '')
+            .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase().replace(/[^a-z\s]/g, ' ')
+            .split(/\s+/).filter(Boolean).sort().join(' ');
+    }
+
+    // Jaro-Winkler similarity between two strings, 0..1
+    nameSimilarity(a, b) {
+        if (!a || !b) return 0;
+        if (a === b) return 1;
+
+        const window = Math.max(0, Math.floor(Math.max(a.length, b.length) / 2) - 1);
+        const matchedA = new Array(a.length).fill(false);
+        const matchedB = new Array(b.length).fill(false);
+        let matches = 0;
+        for (let i = 0; i < a.length; i++) {
+            for (let j = Math.max(0, i - window); j < Math.min(b.length, i + window + 1); j++) {
+                if (!matchedB[j] && a[i] === b[j]) {
+                    matchedA[i] = matchedB[j] = true;
+                    matches++;
+                    break;
+                }
+            }
+        }
+        if (matches === 0) return 0;
+
+        let transpositions = 0;
+        for (let i = 0, j = 0; i < a.length; i++) {
+            if (!matchedA[i]) continue;
+            while (!matchedB[j]) j++;
+            if (a[i] !== b[j]) transpositions++;
+            j++;
+        }
+        const jaro = (matches / a.length + matches / b.length + (matches - transpositions / 2) / matches) / 3;
+
+        let prefix = 0;
+        while (prefix < 4 && a[prefix] === b[prefix]) prefix++;
+        return jaro + prefix * 0.1 * (1 - jaro);
+    }
+
+    // Why two donor records look like the same person, strongest first
+    compare(a, b) {
+        const reasons = [];
+        let score = 0;
+
+        const email = this.normalizeEmail(a.email);
+        if (email && email === this.normalizeEmail(b.email)) {
+            reasons.push('email');
+            score = 1;
+        }
+        const phone = this.normalizePhone(a.phone);
+        if (phone && phone === this.normalizePhone(b.phone)) {
+            reasons.push('phone');
+            score = Math.max(score, 0.95);
+        }
+        const sameCity = (a.city || '').trim().toLowerCase() === (b.city || '').trim().toLowerCase();
+        const similarity = this.nameSimilarity(this.normalizeName(a.name), this.normalizeName(b.name));
+        if (sameCity && similarity >= DUPLICATE_THRESHOLDS.nameSimilarity) {
+            reasons.push('name+city');
+            score = Math.max(score, 0.85 * similarity);
+        }
+
+        return { score: Math.round(score * 100) / 100, reasons, strong: reasons.includes('email') || reasons.includes('phone') };
+    }
+
+    candidates() {
+        return this.database.readDonors().filter(d => d.status !== 'merged');
+    }
+
+    // Existing donors that look like the given registration data
+    findDuplicatesFor(donorData, excludeId = null) {
+        return this.candidates()
+            .filter(d => d.id !== excludeId)
+            .map(donor => ({ donor, ...this.compare(donorData, donor) }))
+            .filter(match => match.reasons.length > 0)
+            .sort((a, b) => b.score - a.score);
+    }
+
+    // Batch job: exact email/phone collisions plus fuzzy name matches within a
+    // city, using sorted neighbourhoods instead of comparing every pair
+    findAllDuplicates() {
+        const donors = this.candidates();
+        const pairs = new Map();
+        const addPair = (a, b) => {
+            const key = a.id < b.id ? `${a.id}|${b.id}` : `${b.id}|${a.id}`;
+            if (pairs.has(key)) return;
+            const result = this.compare(a, b);
+            if (result.reasons.length > 0) pairs.set(key, { donors: [a, b], ...result });
+        };
+
+        const groupBy = keyOf => {
+            const groups = new Map();
+            donors.forEach(donor => {
+                const key = keyOf(donor);
+                if (!key) return;
+                if (!groups.has(key)) groups.set(key, []);
+                groups.get(key).push(donor);
+            });
+            return groups;
+        };
+
+        [d => this.normalizeEmail(d.email), d => this.normalizePhone(d.phone)].forEach(keyOf => {
+            groupBy(keyOf).forEach(group => {
+                for (let i = 0; i < group.length; i++) {
+                    for (let j = i + 1; j < group.length; j++) addPair(group[i], group[j]);
+                }
+            });
+        });
+
+        groupBy(d => (d.city || '').trim().toLowerCase()).forEach(group => {
+            const sorted = group
+                .map(donor => ({ donor, name: this.normalizeName(donor.name) }))
+                .sort((a, b) => a.name.localeCompare(b.name));
+            for (let i = 0; i < sorted.length; i++) {
+                for (let j = i + 1; j <= i + DUPLICATE_THRESHOLDS.batchWindow && j < sorted.length; j++) {
+                    addPair(sorted[i].donor, sorted[j].donor);
+                }
+            }
+        });
+
+        return [...pairs.values()].sort((a, b) => b.score - a.score);
+    }
+}
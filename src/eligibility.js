@@ -0,0 +1,168 @@
+// ============================================================================
+// Eligibility Rules Engine
+// ============================================================================
+
+// Rule tables are plain data so a regional policy can be swapped in as JSON.
+// Every condition in `when` must hold for a rule to fire; a condition on an
+// answer the questionnaire does not contain never holds. Temporary deferrals
+// end `deferDays` after the date in `relativeTo` (or the assessment date).
+// `message` is the reason in English; `messageKey` and `messageParams` name it
+// for the interface's translations. `defaults` fills in answers the
+// questionnaire leaves out.
+
+// Minimum days between donations by the component last given. Whole blood
+// also has longer, sex-specific waits; `any` applies to every donor.
+export const DONATION_INTERVAL_DAYS = {
+    whole_blood: { any: 56, male: 84, female: 112 },
+    rbc: { any: 112 },
+    platelets: { any: 7 },
+    plasma: { any: 28 }
+};
+
+export function donationIntervalDays(component, sex) {
+    const intervals = DONATION_INTERVAL_DAYS[component] || DONATION_INTERVAL_DAYS.whole_blood;
+    return intervals[sex] ?? intervals.any;
+}
+
+// The waiting-period rule for one row of DONATION_INTERVAL_DAYS
+function intervalRule(id, component, sex, messageKey, message, daysPerCount = 1) {
+    const days = donationIntervalDays(component, sex);
+    const count = days / daysPerCount;
+    return {
+        id,
+        when: [
+            ...(sex ? [{ field: 'sex', eq: sex }] : []),
+            { field: 'lastDonationComponent', eq: component },
+            { field: 'lastDonationDate', withinDays: days }
+        ],
+        deferral: 'temporary',
+        deferDays: days,
+        relativeTo: 'lastDonationDate',
+        message: message.replace('{count}', count),
+        messageKey,
+        messageParams: { count }
+    };
+}
+
+const DEFAULT_ELIGIBILITY_RULES = {
+    id: 'default',
+    version: '2026.2',
+    // A last donation of unknown kind (self-reported) counts as whole blood
+    defaults: { lastDonationComponent: 'whole_blood' },
+    rules: [
+        { id: 'AGE-MIN', when: [{ field: 'age', lt: 18 }], deferral: 'temporary', message: 'Minimum age to donate is 18', messageKey: 'eligibility.ageMin', messageParams: { age: 18 } },
+        { id: 'AGE-MAX', when: [{ field: 'age', gt: 65 }], deferral: 'permanent', message: 'Maximum age to donate is 65', messageKey: 'eligibility.ageMax', messageParams: { age: 65 } },
+        { id: 'WEIGHT-MIN', when: [{ field: 'weight', lt: 50 }], deferral: 'temporary', message: 'Minimum weight requirement is 50 kg', messageKey: 'eligibility.weightMin', messageParams: { minKg: 50 } },
+        { id: 'HB-LOW-M', when: [{ field: 'sex', eq: 'male' }, { field: 'hemoglobin', lt: 13.0 }], deferral: 'temporary', deferDays: 90, message: 'Hemoglobin below 13.0 g/dL', messageKey: 'eligibility.hemoglobinLow', messageParams: { hemoglobin: 13 } },
+        { id: 'HB-LOW-F', when: [{ field: 'sex', eq: 'female' }, { field: 'hemoglobin', lt: 12.5 }], deferral: 'temporary', deferDays: 90, message: 'Hemoglobin below 12.5 g/dL', messageKey: 'eligibility.hemoglobinLow', messageParams: { hemoglobin: 12.5 } },
+        { id: 'BP-HIGH-SYS', when: [{ field: 'systolic', gt: 180 }], deferral: 'temporary', deferDays: 1, message: 'Systolic blood pressure above 180 mmHg', messageKey: 'eligibility.systolicHigh', messageParams: { pressure: 180 } },
+        { id: 'BP-HIGH-DIA', when: [{ field: 'diastolic', gt: 100 }], deferral: 'temporary', deferDays: 1, message: 'Diastolic blood pressure above 100 mmHg', messageKey: 'eligibility.diastolicHigh', messageParams: { pressure: 100 } },
+        { id: 'BP-LOW-SYS', when: [{ field: 'systolic', lt: 90 }], deferral: 'temporary', deferDays: 1, message: 'Systolic blood pressure below 90 mmHg', messageKey: 'eligibility.systolicLow', messageParams: { pressure: 90 } },
+        intervalRule('INTERVAL-MIN', 'whole_blood', null, 'eligibility.interval', 'Must wait at least {count} days between donations'),
+        intervalRule('INTERVAL-M', 'whole_blood', 'male', 'eligibility.intervalMen', 'Men must wait {count} weeks between donations', 7),
+        intervalRule('INTERVAL-F', 'whole_blood', 'female', 'eligibility.intervalWomen', 'Women must wait {count} weeks between donations', 7),
+        intervalRule('INTERVAL-RBC', 'rbc', null, 'eligibility.intervalRbc', 'Must wait {count} days after a double red cell donation'),
+        intervalRule('INTERVAL-PLATELETS', 'platelets', null, 'eligibility.intervalPlatelets', 'Must wait {count} days after a platelet donation'),
+        intervalRule('INTERVAL-PLASMA', 'plasma', null, 'eligibility.intervalPlasma', 'Must wait {count} days after a plasma donation'),
+        { id: 'TATTOO', when: [{ field: 'tattooDate', withinDays: 120 }], deferral: 'temporary', deferDays: 120, relativeTo: 'tattooDate', message: 'Tattoo or piercing in the last 4 months', messageKey: 'eligibility.tattoo', messageParams: { count: 4 } },
+        { id: 'TRAVEL-MALARIA', when: [{ field: 'malariaTravelDate', withinDays: 365 }], deferral: 'temporary', deferDays: 365, relativeTo: 'malariaTravelDate', message: 'Travel to a malaria risk area in the last 12 months', messageKey: 'eligibility.malariaTravel', messageParams: { count: 12 } },
+        { id: 'MED-ISOTRETINOIN', when: [{ field: 'medications', includesAny: ['isotretinoin'] }], deferral: 'temporary', deferDays: 30, message: 'Isotretinoin taken in the last month', messageKey: 'eligibility.isotretinoin' },
+        { id: 'MED-ANTICOAGULANT', when: [{ field: 'medications', includesAny: ['warfarin', 'heparin', 'rivaroxaban'] }], deferral: 'temporary', deferDays: 7, message: 'Currently taking anticoagulants', messageKey: 'eligibility.anticoagulants' },
+        { id: 'MED-ACITRETIN', when: [{ field: 'medications', includesAny: ['acitretin'] }], deferral: 'temporary', deferDays: 1095, message: 'Acitretin taken in the last 3 years', messageKey: 'eligibility.acitretin', messageParams: { count: 3 } },
+        { id: 'PREGNANT', when: [{ field: 'pregnant', eq: true }], deferral: 'temporary', message: 'Cannot donate while pregnant', messageKey: 'eligibility.pregnant' },
+        { id: 'PREGNANCY-RECENT', when: [{ field: 'pregnancyEndDate', withinDays: 42 }], deferral: 'temporary', deferDays: 42, relativeTo: 'pregnancyEndDate', message: 'Must wait 6 weeks after pregnancy', messageKey: 'eligibility.pregnancyRecent', messageParams: { count: 6 } },
+        { id: 'CONDITIONS', when: [{ field: 'hasConditions', eq: true }], deferral: 'temporary', message: 'Medical conditions need review by a physician', messageKey: 'eligibility.conditions' },
+        { id: 'BLOODBORNE-INFECTION', when: [{ field: 'bloodborneInfection', eq: true }], deferral: 'permanent', message: 'History of HIV or hepatitis B/C', messageKey: 'eligibility.bloodborneInfection' }
+    ]
+};
+
+export class LifeFlowEligibility {
+    constructor(ruleSet = DEFAULT_ELIGIBILITY_RULES) {
+        this.setRuleSet(ruleSet);
+    }
+
+    // Swap in another rule table (e.g. a regional policy loaded as JSON)
+    setRuleSet(ruleSet) {
+        if (!ruleSet || !ruleSet.id || !ruleSet.version || !Array.isArray(ruleSet.rules)) {
+            throw new Error('Eligibility rule set needs an id, a version and a rules array');
+        }
+        ruleSet.rules.forEach(rule => {
+            if (!rule.id || !Array.isArray(rule.when) || !['temporary', 'permanent'].includes(rule.deferral)) {
+                throw new Error(`Invalid eligibility rule: ${rule.id || JSON.stringify(rule)}`);
+            }
+        });
+        this.ruleSet = ruleSet;
+    }
+
+    evaluate(questionnaire, onDate = new Date()) {
+        const answers = { ...questionnaire };
+        Object.entries(this.ruleSet.defaults || {}).forEach(([field, value]) => {
+            if (answers[field] === undefined || answers[field] === null || answers[field] === '') answers[field] = value;
+        });
+
+        const fired = this.ruleSet.rules.filter(rule =>
+            rule.when.every(condition => this.testCondition(condition, answers, onDate))
+        );
+
+        const ruleSet = { id: this.ruleSet.id, version: this.ruleSet.version };
+        if (fired.length === 0) {
+            return {
+                eligible: true,
+                eligibleDate: onDate.toISOString(),
+                deferralType: null,
+                firedRules: [],
+                reasons: ['You are eligible to donate!'],
+                reasonKeys: [{ key: 'eligibility.eligible', params: {} }],
+                ruleSet
+            };
+        }
+
+        const permanent = fired.some(rule => rule.deferral === 'permanent');
+        const endDates = fired.map(rule => this.deferralEnd(rule, answers, onDate));
+
+        // A permanent deferral, or a temporary one with no known end, has no eligible date
+        const eligibleDate = permanent || endDates.includes(null)
+            ? null
+            : new Date(Math.max(...endDates.map(d => d.getTime()))).toISOString();
+
+        return {
+            eligible: false,
+            eligibleDate,
+            deferralType: permanent ? 'permanent' : 'temporary',
+            firedRules: fired.map(rule => rule.id),
+            reasons: fired.map(rule => rule.message || rule.id),
+            // null for a rule without a key; its message is shown as written
+            reasonKeys: fired.map(rule => (rule.messageKey ? { key: rule.messageKey, params: rule.messageParams || {} } : null)),
+            ruleSet
+        };
+    }
+
+    testCondition(condition, questionnaire, onDate) {
+        const value = questionnaire[condition.field];
+        if (value === undefined || value === null || value === '' || Number.isNaN(value)) return false;
+
+        if ('eq' in condition) return value === condition.eq;
+        if ('ne' in condition) return value !== condition.ne;
+        if ('lt' in condition) return value < condition.lt;
+        if ('lte' in condition) return value <= condition.lte;
+        if ('gt' in condition) return value > condition.gt;
+        if ('gte' in condition) return value >= condition.gte;
+        if ('in' in condition) return condition.in.includes(value);
+        if ('includesAny' in condition) {
+            const values = (Array.isArray(value) ? value : [value]).map(v => String(v).toLowerCase());
+            return condition.includesAny.some(v => values.includes(v.toLowerCase()));
+        }
+        if ('withinDays' in condition) {
+            const days = (onDate - new Date(value)) / 86400000;
+            return days >= 0 && days < condition.withinDays;
+        }
+        throw new Error(`Unknown operator in eligibility condition on ${condition.field}`);
+    }
+
+    deferralEnd(rule, questionnaire, onDate) {
+        if (rule.deferral === 'permanent' || rule.deferDays === undefined) return null;
+
+        const start = rule.relativeTo ? new Date(questionnaire[rule.relativeTo]) : onDate;
+        return new Date(start.getTime() + rule.deferDays * 86400000);
+    }
+}
@@ -0,0 +1,297 @@
+import { formatPhenotype, parsePhenotype } from './compatibility.js';
+import { FIELD_SCHEMAS, NEW_UNIT_STATUSES, UNIT_TRANSITIONS, fieldError, sanitizeFields } from './database.js';
+
+// ============================================================================
+// Data Import & Export
+// ============================================================================
+
+// Columns written to CSV, and accepted on import, per collection
+const EXCHANGE_COLUMNS = {
+    donors: ['id', 'name', 'email', 'phone', 'bloodType', 'age', 'weight', 'sex', 'city', 'siteId', 'lastDonation', 'lastDonationDate', 'antigens', 'cmvNegative', 'status', 'registrationDate'],
+    inventory: ['id', 'bloodType', 'component', 'donorId', 'siteId', 'collectionDate', 'expiryDate', 'antigens', 'cmvNegative', 'irradiated', 'status'],
+    requests: ['id', 'hospital', 'city', 'siteId', 'bloodType', 'component', 'units', 'unitsFulfilled', 'urgency', 'deadline', 'antigenNegative', 'cmvNegative', 'irradiated', 'status', 'createdDate']
+};
+
+// Spreadsheet headings we recognise without an explicit mapping
+const COLUMN_ALIASES = {
+    fullname: 'name', donorname: 'name', emailaddress: 'email', mail: 'email',
+    mobile: 'phone', phonenumber: 'phone', contact: 'phone', telephone: 'phone',
+    bloodgroup: 'bloodType', blood: 'bloodType', group: 'bloodType', type: 'bloodType',
+    gender: 'sex', town: 'city', location: 'city', weightkg: 'weight', site: 'siteId', bloodbank: 'siteId',
+    quantity: 'units', unitsneeded: 'units', priority: 'urgency', hospitalname: 'hospital',
+    collected: 'collectionDate', collectiondate: 'collectionDate', expiry: 'expiryDate', expires: 'expiryDate'
+};
+
+// Merged records only come from a merge, never from a file
+const IMPORTABLE_DONOR_STATUSES = ['active', 'inactive'];
+
+const NUMERIC_FIELDS = ['age', 'weight', 'units', 'unitsFulfilled', 'siteId'];
+const BOOLEAN_FIELDS = ['cmvNegative', 'irradiated'];
+
+// Writes an import may make, checked before the first row is applied
+const IMPORT_PERMISSIONS = {
+    donors: ['donors.create', 'donors.update'],
+    inventory: ['inventory.update'],
+    requests: ['requests.create', 'requests.update']
+};
+
+export class LifeFlowDataExchange {
+    constructor(database, duplicates) {
+        this.database = database;
+        this.duplicates = duplicates;
+    }
+
+    // Fields a file's columns can be mapped to
+    columnsFor(collection) {
+        if (!EXCHANGE_COLUMNS[collection]) throw new Error(`Unknown collection: ${collection}`);
+        return [...EXCHANGE_COLUMNS[collection]];
+    }
+
+    getRecords(collection) {
+        if (!EXCHANGE_COLUMNS[collection]) throw new Error(`Unknown collection: ${collection}`);
+        const records = this.database.getCollection(collection);
+        return collection === 'donors' ? records.filter(d => d.status !== 'merged') : records;
+    }
+
+    export(collection, format = 'csv') {
+        this.database.authorize('data.export');
+        // A donor export carries everyone's contact details
+        if (collection === 'donors') this.database.authorize('donors.read.pii');
+        const records = this.getRecords(collection);
+        if (format === 'json') return JSON.stringify(records, null, 2);
+
+        const columns = EXCHANGE_COLUMNS[collection];
+        const cell = (record, column) => {
+            if (column === 'antigens') return formatPhenotype(record.antigens);
+            if (column === 'antigenNegative') return (record.antigenNegative || []).join(' ');
+            return record[column];
+        };
+        const rows = records.map(record => columns.map(column => cell(record, column)));
+        return this.toCSV([columns, ...rows]);
+    }
+
+    toCSV(rows) {
+        const escape = value => {
+            if (value === undefined || value === null) return '';
+            const text = String(value);
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        return rows.map(row => row.map(escape).join(',')).join('\r\n');
+    }
+
+    // RFC 4180 parser: quoted fields may contain commas, quotes and newlines
+    parseCSV(text) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (inQuotes) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === ',') {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+        if (field !== '' || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+        return rows.filter(r => r.some(value => value.trim() !== ''));
+    }
+
+    // Source rows as objects keyed by the file's own headings
+    readSource(text, format) {
+        if (format === 'json') {
+            const data = JSON.parse(text);
+            if (!Array.isArray(data)) throw new Error('JSON import must be an array of records');
+            return data;
+        }
+        const [headers = [], ...rows] = this.parseCSV(text.replace(/^﻿/, ''));
+        return rows.map(values => Object.fromEntries(headers.map((h, i) => [h.trim(), values[i] ?? ''])));
+    }
+
+    getHeaders(text, format = 'csv') {
+        if (format === 'json') {
+            return [...new Set(this.readSource(text, format).flatMap(record => Object.keys(record)))];
+        }
+        return (this.parseCSV(text.replace(/^﻿/, ''))[0] || []).map(h => h.trim());
+    }
+
+    // Guess the target field for each source heading
+    suggestMapping(collection, headers) {
+        const columns = EXCHANGE_COLUMNS[collection];
+        const squash = text => text.toLowerCase().replace(/[^a-z]/g, '');
+        const mapping = {};
+        headers.forEach(header => {
+            const key = squash(header);
+            const target = columns.find(c => squash(c) === key) || COLUMN_ALIASES[key];
+            if (target && columns.includes(target)) mapping[header] = target;
+        });
+        return mapping;
+    }
+
+    // Map, coerce and validate every row; with dryRun false, write the valid ones.
+    // Returns which rows would be (or were) created, updated or rejected.
+    import(collection, text, options = {}) {
+        const { format = 'csv', dryRun = true } = options;
+        if (!dryRun) {
+            this.database.authorize('data.import');
+            IMPORT_PERMISSIONS[collection].forEach(permission => this.database.authorize(permission));
+        }
+        const source = this.readSource(text, format);
+        const headers = [...new Set(source.flatMap(record => Object.keys(record)))];
+        const mapping = options.mapping || this.suggestMapping(collection, headers);
+        const report = { collection, dryRun, created: [], updated: [], rejected: [] };
+        // Rows taken so far, so a repeat is rejected instead of counted twice
+        const accepted = [];
+
+        source.forEach((sourceRow, index) => {
+            // Row 1 is the header line in a CSV file
+            const row = format === 'csv' ? index + 2 : index + 1;
+            const record = this.mapRecord(collection, sourceRow, mapping);
+            const existing = this.findExisting(collection, record);
+            const errors = this.validate(collection, record, existing);
+            const repeated = this.findRepeat(collection, record, existing, accepted);
+            if (repeated) errors.row = fieldError('repeatsRow', 'Row', { row: repeated.row });
+
+            if (Object.keys(errors).length > 0) {
+                report.rejected.push({ row, errors });
+                return;
+            }
+            // Once applied, the record written is what later rows of the file find
+            const target = dryRun ? existing : this.write(collection, record, existing);
+            accepted.push({ row, record, existing, target });
+            (existing ? report.updated : report.created).push({ row, id: existing ? existing.id : null });
+        });
+
+        report.summary = {
+            created: report.created.length,
+            updated: report.updated.length,
+            rejected: report.rejected.length
+        };
+        return report;
+    }
+
+    mapRecord(collection, sourceRow, mapping) {
+        const record = {};
+        Object.entries(mapping).forEach(([sourceField, target]) => {
+            if (!EXCHANGE_COLUMNS[collection].includes(target)) return;
+            let value = sourceRow[sourceField];
+            if (typeof value === 'string') value = value.trim();
+            if (value === '' || value === undefined || value === null) return;
+
+            if (NUMERIC_FIELDS.includes(target) || target === 'id' || target === 'donorId') value = Number(value);
+            if (target === 'bloodType') value = this.normalizeBloodType(value);
+            if (BOOLEAN_FIELDS.includes(target) && typeof value === 'string') value = /^(true|yes|y|1)$/i.test(value);
+            if (target === 'antigens' && typeof value === 'string') value = parsePhenotype(value);
+            if (target === 'antigenNegative' && typeof value === 'string') value = value.split(/[\s,;]+/).filter(Boolean);
+            if (target === 'sex' || target === 'urgency' || target === 'status' || target === 'component') {
+                value = String(value).toLowerCase().replace(/\s+/g, '_');
+            }
+            record[target] = value;
+        });
+        return record;
+    }
+
+    // 'o pos', 'O+ve', 'ab neg' -> 'O+', 'O+', 'AB-'
+    normalizeBloodType(value) {
+        return String(value).toUpperCase().replace(/\s+/g, '')
+            .replace(/(POS(ITIVE)?|\+VE)$/, '+')
+            .replace(/(NEG(ATIVE)?|-VE)$/, '-');
+    }
+
+    findExisting(collection, record) {
+        if (record.id !== undefined && !Number.isNaN(record.id)) {
+            const byId = this.database.findRecord(collection, record.id);
+            if (byId) return byId;
+        }
+        if (collection === 'donors') {
+            const match = this.duplicates.findDuplicatesFor(record).find(m => m.strong);
+            return match ? match.donor : null;
+        }
+        return null;
+    }
+
+    // An earlier row of the file for the same record: the same existing record,
+    // the same new donor by email or phone, or an identical new unit or request
+    findRepeat(collection, record, existing, accepted) {
+        return accepted.find(earlier => {
+            if (existing && existing.id === earlier.target?.id) return true;
+            if (existing || earlier.existing) return false;
+            if (collection === 'donors') return this.duplicates.compare(record, earlier.record).strong;
+            return JSON.stringify(record) === JSON.stringify(earlier.record);
+        }) || null;
+    }
+
+    // Same rules the database applies on write, so a dry run reports what
+    // applying would reject. Updates are only checked on the fields they set,
+    // and rows that would change nothing are rejected rather than counted.
+    // Errors are keyed like the database's own, for the interface to translate.
+    validate(collection, record, existing) {
+        const errors = this.database.findFieldErrorKeys(collection, sanitizeFields(collection, record), Boolean(existing));
+        const label = FIELD_SCHEMAS[collection].status?.label || 'Status';
+
+        if (collection === 'donors' && record.status !== undefined && !IMPORTABLE_DONOR_STATUSES.includes(record.status)) {
+            errors.status = fieldError('oneOf', label, { values: IMPORTABLE_DONOR_STATUSES.join(', ') });
+        }
+        // Only a unit's status can be changed by import
+        if (collection === 'inventory' && existing && (!record.status || record.status === existing.status)) {
+            errors.status = fieldError('alreadySet', label, { value: existing.status });
+        }
+        if (collection === 'requests' && existing && this.database.isRequestClosed(existing)) {
+            errors.status = fieldError('requestClosed', label, { status: existing.status });
+        }
+
+        if (collection === 'inventory' && existing && record.status && record.status !== existing.status &&
+            UNIT_TRANSITIONS[record.status] && !UNIT_TRANSITIONS[existing.status].includes(record.status)) {
+            errors.status = fieldError('transition', label, { from: existing.status, to: record.status });
+        }
+        // Moving stock between sites goes through a transfer order
+        if (collection === 'inventory' && record.status === 'in_transit' && existing?.status !== 'in_transit') {
+            errors.status = fieldError('transferOnly', label);
+        } else if (collection === 'inventory' && !existing && record.status && !NEW_UNIT_STATUSES.includes(record.status)) {
+            errors.status = fieldError('oneOf', label, { values: NEW_UNIT_STATUSES.join(', ') });
+        }
+        return errors;
+    }
+
+    // Returns the record written
+    write(collection, record, existing) {
+        const { id, ...fields } = record;
+
+        if (collection === 'donors') {
+            // Status goes through (de)activation; registration dates are the database's own
+            const { status, registrationDate, ...changes } = fields;
+            const donor = existing ? this.database.updateDonor(existing.id, changes) : this.database.createDonor(changes);
+            if (status === 'inactive') this.database.deactivateDonor(donor.id, 'Imported');
+            else if (status === 'active' && donor.status === 'inactive') this.database.reactivateDonor(donor.id);
+            return donor;
+        }
+        if (collection === 'inventory') {
+            if (!existing) return this.database.addUnit({ ...fields, status: fields.status || 'available' });
+            if (fields.status && fields.status !== existing.status) this.database.setUnitStatus(existing.id, fields.status, 'Imported');
+            return existing;
+        }
+        return existing ? this.database.updateRequest(existing.id, fields) : this.database.createRequest(fields);
+    }
+}
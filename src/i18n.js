@@ -0,0 +1,166 @@
+import { MESSAGES as ar } from './locales/ar.js';
+import { MESSAGES as en } from './locales/en.js';
+import { MESSAGES as ur } from './locales/ur.js';
+
+// ============================================================================
+// Translations & Locale Formatting
+// ============================================================================
+
+// Languages the interface is translated into. tag is the locale used for
+// dates and numbers; dir is the direction the page is laid out in.
+export const LOCALES = {
+    en: { name: 'English', tag: 'en-US', dir: 'ltr', messages: en },
+    ur: { name: 'اردو', tag: 'ur-PK', dir: 'rtl', messages: ur },
+    ar: { name: 'العربية', tag: 'ar', dir: 'rtl', messages: ar }
+};
+
+export const DEFAULT_LOCALE = 'en';
+
+// Weights are stored in kg; the interface can show and take them in pounds
+export const WEIGHT_UNITS = { kg: 1, lb: 2.20462 };
+
+// The first supported language in a browser's preference list ('ur-IN' is Urdu)
+export function matchLocale(languages = []) {
+    const codes = languages.map(language => String(language).toLowerCase().split('-')[0]);
+    return codes.find(code => LOCALES[code]) || DEFAULT_LOCALE;
+}
+
+export class LifeFlowI18n {
+    // timeZone is for tests; pages use the browser's own
+    constructor({ locale = DEFAULT_LOCALE, weightUnit = 'kg', timeZone } = {}) {
+        this.timeZone = timeZone;
+        this.listeners = [];
+        this.weightUnit = WEIGHT_UNITS[weightUnit] ? weightUnit : 'kg';
+        this.setLocale(locale);
+    }
+
+    get tag() {
+        return LOCALES[this.locale].tag;
+    }
+
+    get dir() {
+        return LOCALES[this.locale].dir;
+    }
+
+    setLocale(locale) {
+        this.locale = LOCALES[locale] ? locale : matchLocale([locale]);
+        this.pluralRules = new Intl.PluralRules(this.tag);
+        this.listeners.forEach(listener => listener(this.locale));
+    }
+
+    setWeightUnit(unit) {
+        if (!WEIGHT_UNITS[unit]) return;
+        this.weightUnit = unit;
+        this.listeners.forEach(listener => listener(this.locale));
+    }
+
+    // Listeners run after the language or the weight unit changes
+    onChange(listener) {
+        this.listeners.push(listener);
+        return () => {
+            this.listeners = this.listeners.filter(l => l !== listener);
+        };
+    }
+
+    // Message for a key in the current language, falling back to English and
+    // then to `fallback`. A message may be an object of plural forms chosen by
+    // params.count. {name} placeholders are filled from params: names ending in
+    // Kg are weights, in Date dates, in Time dates with times, and other
+    // numbers are written the locale's way.
+    t(key, params = {}, fallback = key) {
+        let message = LOCALES[this.locale].messages[key] ?? LOCALES[DEFAULT_LOCALE].messages[key];
+        if (message === undefined) return fallback;
+        if (typeof message === 'object') {
+            message = message[this.pluralRules.select(params.count ?? 0)] ?? message.other;
+        }
+        return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? this.formatParam(name, params[name]) : match));
+    }
+
+    formatParam(name, value) {
+        if (value === null || value === undefined) return '';
+        if (name.endsWith('Kg')) return this.formatWeight(value);
+        if (name.endsWith('Date')) return this.formatDate(value);
+        if (name.endsWith('Time')) return this.formatDateTime(value);
+        if (typeof value === 'number') return this.formatNumber(value);
+        return String(value);
+    }
+
+    formatNumber(value, options = {}) {
+        return new Intl.NumberFormat(this.tag, options).format(value);
+    }
+
+    formatDate(value) {
+        return this.formatDateParts(value, { dateStyle: 'medium' });
+    }
+
+    formatDateTime(value) {
+        return this.formatDateParts(value, { dateStyle: 'medium', timeStyle: 'short' });
+    }
+
+    formatTime(value) {
+        return this.formatDateParts(value, { timeStyle: 'short' });
+    }
+
+    // Reasons and other short lists, joined the locale's way
+    formatList(items) {
+        return new Intl.ListFormat(this.tag, { style: 'short', type: 'unit' }).format(items);
+    }
+
+    formatDateParts(value, options) {
+        const date = new Date(value);
+        if (Number.isNaN(date.getTime())) return '';
+        return new Intl.DateTimeFormat(this.tag, { ...options, timeZone: this.timeZone }).format(date);
+    }
+
+    // kg to the chosen unit, to one decimal place
+    fromKg(kg) {
+        return Math.round(kg * WEIGHT_UNITS[this.weightUnit] * 10) / 10;
+    }
+
+    // A weight typed in the chosen unit, in kg. Blank and unreadable input is
+    // returned as it is, for validation to report.
+    toKg(value) {
+        const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+        if (this.weightUnit === 'kg' || typeof number !== 'number' || !Number.isFinite(number)) return value;
+        return Math.round(number / WEIGHT_UNITS[this.weightUnit] * 10) / 10;
+    }
+
+    formatWeight(kg) {
+        const value = this.formatNumber(this.fromKg(kg), { maximumFractionDigits: 1 });
+        return this.t(`unit.${this.weightUnit}`, { value });
+    }
+
+    // The reasons of an eligibility or booking result, from their keys where
+    // they have one and as written by the rule set otherwise
+    reasons(result) {
+        return result.reasons.map((text, i) => {
+            const reason = result.reasonKeys?.[i];
+            return reason ? this.t(reason.key, reason.params, text) : text;
+        });
+    }
+
+    // { field: message } for the keyed field errors of a record, with each
+    // field's name in the current language
+    fieldErrors(collection, errors) {
+        return Object.fromEntries(Object.entries(errors).map(([field, { key, params }]) => {
+            const label = this.t(`field.${collection}.${field}`, {}, params.label);
+            return [field, this.t(`validation.${key}`, { ...params, label })];
+        }));
+    }
+
+    // Fill in elements marked data-i18n (text), data-i18n-placeholder and
+    // data-i18n-aria-label, and set the page's language and direction
+    applyTo(document) {
+        document.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = this.t(element.dataset.i18n);
+        });
+        document.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+            element.placeholder = this.t(element.dataset.i18nPlaceholder);
+        });
+        document.querySelectorAll('[data-i18n-aria-label]').forEach(element => {
+            element.setAttribute('aria-label', this.t(element.dataset.i18nAriaLabel));
+        });
+        document.documentElement.lang = this.locale;
+        document.documentElement.dir = this.dir;
+    }
+}
@@ -0,0 +1,600 @@
+// ============================================================================
+// Arabic (العربية)
+// ============================================================================
+
+// Right to left. Keys missing here are shown in English.
+export const MESSAGES = {
+    'page.title': 'لايف فلو - أنقذ الأرواح بالتبرع بالدم',
+
+    // Navigation
+    'nav.home': 'الرئيسية',
+    'nav.about': 'من نحن',
+    'nav.dashboard': 'لوحة المعلومات',
+    'nav.register': 'التسجيل',
+    'nav.portal': 'صفحة المتبرع',
+    'nav.donors': 'المتبرعون',
+    'nav.account': 'الحساب',
+    'nav.aiFeatures': 'ميزات الذكاء الاصطناعي',
+    'nav.donate': 'تبرع الآن',
+    'nav.language': 'اللغة',
+    'nav.weightUnit': 'وحدة الوزن',
+
+    // Common words
+    'common.notAvailable': 'غير متوفر',
+    'common.cancel': 'إلغاء',
+    'common.save': 'حفظ',
+    'common.signOut': 'تسجيل الخروج',
+    'common.city': 'المدينة',
+    'common.email': 'البريد الإلكتروني',
+    'common.fullName': 'الاسم الكامل',
+    'common.phone': 'رقم الهاتف',
+    'common.bloodType': 'فصيلة الدم',
+    'common.allSites': 'جميع المراكز',
+    'common.unknownSite': 'مركز غير معروف',
+    'common.unknownDonor': 'متبرع غير معروف',
+    'common.percent': '{value}٪',
+
+    // Units
+    'unit.kg': '{value} كغ',
+    'unit.lb': '{value} رطل',
+    'unitName.kg': 'كغ',
+    'unitName.lb': 'رطل',
+
+    // Hero
+    'hero.titleLine1': 'تبرّع بالدم،',
+    'hero.titleLine2': 'تمنح الحياة',
+    'hero.subtitle': 'تبرع واحد قد ينقذ حتى ثلاث أرواح. كن بطلاً اليوم.',
+    'hero.donate': 'تبرع بالدم',
+    'hero.learnMore': 'اعرف المزيد',
+    'hero.donors': 'متبرعون',
+    'hero.livesSaved': 'أرواح أُنقذت',
+    'hero.support': 'دعم',
+    'hero.scroll': 'مرّر للأسفل',
+
+    // About
+    'about.title': 'لماذا تتبرع بالدم؟',
+    'about.subtitle': 'تبرعك يُحدث فرقاً في حياة أحدهم',
+    'about.emergencyTitle': 'الرعاية الطارئة',
+    'about.emergencyText': 'الدم ضروري للعمليات الجراحية وعلاج الإصابات والإجراءات الطبية الطارئة.',
+    'about.childrenTitle': 'أنقذ الأطفال',
+    'about.childrenText': 'ساعد الأطفال المصابين بفقر الدم الشديد والسرطان واضطرابات الدم على عيش حياة طبيعية.',
+    'about.healthTitle': 'فوائد صحية',
+    'about.healthText': 'التبرع المنتظم بالدم قد يقلل المخاطر الصحية ويحافظ على صحتك.',
+    'about.communityTitle': 'أثر في المجتمع',
+    'about.communityText': 'انضم إلى مجتمع من الأبطال يصنعون فرقاً حقيقياً في حياة الكثيرين.',
+
+    // Dashboard
+    'dashboard.title': 'لوحة المعلومات المباشرة',
+    'dashboard.subtitle': 'أحدث إحصاءات بنك الدم',
+    'dashboard.showing': 'العرض',
+    'dashboard.inventory': 'مخزون الدم',
+    'dashboard.donorStats': 'إحصاءات المتبرعين',
+    'dashboard.totalRegistered': 'إجمالي المسجلين',
+    'dashboard.thisMonth': 'هذا الشهر',
+    'dashboard.mostCommon': 'الفصيلة الأكثر شيوعاً',
+    'dashboard.activeDonors': 'المتبرعون النشطون',
+    'dashboard.emergency': 'الطلبات الطارئة',
+    'inventory.units': {
+        zero: '{count} وحدة',
+        one: 'وحدة واحدة',
+        two: 'وحدتان',
+        few: '{count} وحدات',
+        many: '{count} وحدة',
+        other: '{count} وحدة'
+    },
+    'inventory.daysOfSupply': '{days} يوم',
+    'alert.below_minimum': 'مخزون {bloodType} هو {units} وحدة، أقل من الحد الأدنى {minimum}. اطلب {reorder} وحدة.',
+    'alert.projected_stockout': 'سينفد {bloodType} خلال {days} يوم وفق الطلب المتوقع.',
+    'alert.acknowledge': 'تأكيد الاطلاع',
+    'expiring.none': 'لا توجد وحدات تنتهي صلاحيتها خلال الأيام الثلاثة القادمة',
+    'expiring.heading': 'استخدم أولاً ({count} تنتهي خلال 3 أيام):',
+    'expiring.item': '{bloodType} {component} - تنتهي في {expiryDate}',
+
+    // Blood components, urgencies and requirements
+    'component.whole_blood': 'دم كامل',
+    'component.rbc': 'كريات حمراء',
+    'component.platelets': 'صفائح دموية',
+    'component.plasma': 'بلازما',
+    'urgency.urgent': 'عاجل',
+    'urgency.high': 'مرتفع',
+    'urgency.moderate': 'متوسط',
+    'requirement.antigenNegative': '{antigen} سلبي',
+    'requirement.cmvNegative': 'سلبي الفيروس المضخم للخلايا',
+    'requirement.irradiated': 'مُشعَّع',
+
+    // Emergency requests and allocation
+    'emergency.none': 'لا توجد طلبات مفتوحة',
+    'emergency.needed': 'مطلوب {need}',
+    'emergency.remaining': {
+        zero: '{hospital} - {count} وحدة',
+        one: '{hospital} - وحدة واحدة',
+        two: '{hospital} - وحدتان',
+        few: '{hospital} - {count} وحدات',
+        many: '{hospital} - {count} وحدة',
+        other: '{hospital} - {count} وحدة'
+    },
+    'emergency.deadline': 'قبل {deadlineTime}',
+    'emergency.reserved': '(محجوز من المخزون: {count})',
+    'emergency.incoming': '(قادم من مراكز أخرى: {count})',
+    'emergency.requires': 'يتطلب: {requirements}',
+    'emergency.appeal': 'مناشدة المتبرعين',
+    'emergency.appealSent': 'أُرسل {sent}، تُخطّي {skipped}، فشل {failed}',
+    'allocation.findStock': 'البحث عن مخزون',
+    'allocation.reserved': {
+        zero: 'لم تُحجز أي وحدة في {site}',
+        one: 'حُجزت وحدة واحدة في {site}',
+        two: 'حُجزت وحدتان في {site}',
+        few: 'حُجزت {count} وحدات في {site}',
+        many: 'حُجزت {count} وحدة في {site}',
+        other: 'حُجزت {count} وحدة في {site}'
+    },
+    'allocation.anySite': 'أي مركز',
+    'allocation.matched': {
+        zero: 'لم يُطابَق أي متبرع',
+        one: 'طوبق متبرع واحد',
+        two: 'طوبق متبرعان',
+        few: 'طوبق {count} متبرعين',
+        many: 'طوبق {count} متبرعاً',
+        other: 'طوبق {count} متبرع'
+    },
+
+    // Sites & transfers
+    'network.stock': 'مخزون الشبكة',
+    'network.site': 'المركز',
+    'network.total': 'الإجمالي',
+    'network.inTransit': 'قيد النقل',
+    'network.network': 'الشبكة',
+    'transfer.title': 'التحويلات',
+    'transfer.fromSite': 'من مركز',
+    'transfer.toSite': 'إلى مركز',
+    'transfer.units': 'الوحدات',
+    'transfer.submit': 'طلب تحويل',
+    'transfer.proposal': '{units} × {bloodType} {component} من {site}',
+    'transfer.distance': '{distance} كم',
+    'transfer.request': 'اطلب التحويل',
+    'transfer.requested': 'تم طلب التحويل',
+    'transfer.none': 'لا توجد تحويلات جارية',
+    'transfer.item': '{count} × {need}: {from} ← {to} ({status})',
+    'transfer.dispatch': 'إرسال',
+    'transfer.receive': 'استلام',
+    'transfer.failed': 'تعذر تحديث هذا التحويل',
+    'transferStatus.requested': 'مطلوب',
+    'transferStatus.dispatched': 'مُرسَل',
+    'transferStatus.received': 'مُستلَم',
+    'transferStatus.cancelled': 'ملغى',
+
+    // Reports
+    'report.title': 'التقارير',
+    'report.last30': 'آخر 30 يوماً',
+    'report.last90': 'آخر 90 يوماً',
+    'report.last12Months': 'آخر 12 شهراً',
+    'report.allTime': 'كل الفترات',
+    'report.custom': 'فترة مخصصة',
+    'report.from': 'من',
+    'report.to': 'إلى',
+    'report.bloodTypes': 'فصائل الدم مقارنة بالسكان',
+    'report.cities': 'المتبرعون حسب المدينة',
+    'report.ages': 'المتبرعون حسب العمر',
+    'report.timeline': 'التسجيلات والتبرعات',
+    'report.cohorts': 'مجموعات الاستبقاء',
+    'report.fulfilment': 'مدة تلبية الطلبات',
+    'report.share': '{share}٪ · المعدل {norm}٪',
+    'report.otherAge': 'أخرى',
+    'report.timelinePoint': '{period}: {registrations} تسجيل، {donations} تبرع',
+    'report.registrations': 'التسجيلات',
+    'report.donations': 'التبرعات',
+    'report.cohort': 'المجموعة',
+    'report.donors': 'المتبرعون',
+    'report.retained': 'مستمرون',
+    'report.lapsed': 'منقطعون',
+    'report.never': 'لم يتبرعوا',
+    'report.repeat': 'متكررون',
+    'report.retention': 'الاستبقاء',
+    'report.urgency': 'الأولوية',
+    'report.fulfilled': 'المُلبّاة',
+    'report.median': 'الوسيط',
+    'report.mean': 'المتوسط',
+    'report.all': 'الكل',
+    'report.hours': '{hours} ساعة',
+    'report.empty': 'لا توجد بيانات في هذه الفترة',
+
+    // Impact
+    'impact.title': 'أثرك',
+    'impact.description': 'يمكن فصل كل وحدة دم إلى عدة مكونات، فتساعد عدة مرضى باحتياجات مختلفة.',
+    'impact.rbcTitle': 'كريات الدم الحمراء',
+    'impact.rbcText': 'تساعد مرضى فقر الدم ومن يفقدون الدم أثناء الجراحة',
+    'impact.plasmaTitle': 'البلازما',
+    'impact.plasmaText': 'أساسية لمصابي الحروق والحوادث',
+    'impact.plateletsTitle': 'الصفائح الدموية',
+    'impact.plateletsText': 'ضرورية لمرضى السرطان واضطرابات التخثر',
+    'impact.livesSaved': 'أرواح تُنقذ',
+    'impact.perDonation': 'في كل تبرع',
+
+    // Registration
+    'register.title': 'كن متبرعاً',
+    'register.subtitle': 'انضم إلى مجتمع منقذي الأرواح',
+    'register.selectBloodType': 'اختر فصيلة الدم',
+    'register.age': 'العمر',
+    'register.weight': 'الوزن ({unit})',
+    'register.sex': 'الجنس',
+    'register.conditions': 'هل لديك حالات طبية حالية؟',
+    'register.noConditions': 'لا توجد حالات طبية',
+    'register.hasConditions': 'نعم، لدي حالة طبية',
+    'register.homeSite': 'المركز الأساسي (الأقرب في مدينتي)',
+    'register.lastDonation': 'آخر تبرع',
+    'register.never': 'لم أتبرع من قبل',
+    'register.months3': 'منذ أكثر من 3 أشهر',
+    'register.months6': 'منذ أكثر من 6 أشهر',
+    'register.year1': 'منذ أكثر من سنة',
+    'register.terms': 'أوافق على الشروط والأحكام وأؤكد أنني بصحة جيدة تسمح بالتبرع بالدم',
+    'register.submit': 'سجّل كمتبرع',
+    'register.invalid': '✗ فشل التسجيل: يرجى تصحيح الحقول المحددة.',
+    'register.duplicate': '✗ أنت مسجل مسبقاً بنفس {match}. اطلب رابط الدخول من صفحة المتبرع لعرض سجلك.',
+    'register.success': '✓ تم التسجيل بنجاح! مرحباً بك في لايف فلو، {name}.',
+    'register.code': 'رمز الدخول إلى صفحة المتبرع هو {code}، وهو صالح حتى {until}.',
+    'register.failed': '✗ فشل التسجيل: {reasons}.',
+    'register.from': 'يمكنك التسجيل ابتداءً من {fromDate}.',
+    'sex.female': 'أنثى',
+    'sex.male': 'ذكر',
+
+    // Appointments
+    'appointments.title': 'احجز موعد تبرع',
+    'appointments.subtitle': 'اختر المركز والوقت المناسبين لك',
+    'appointments.donor': 'رقم المتبرع أو البريد الإلكتروني',
+    'appointments.waitlist': 'أضفني إلى قائمة الانتظار إذا كان الوقت الذي اخترته ممتلئاً',
+    'appointments.siteSchedule': 'جدول المركز',
+    'slots.none': 'لا توجد مواعيد متاحة في هذا المركز في هذا اليوم',
+    'slots.free': '{available} من {capacity} متاح',
+    'slots.full': 'ممتلئ · {count} في الانتظار',
+    'booking.noDonor': '✗ لم يُعثر على متبرع بهذا الرقم أو البريد الإلكتروني.',
+    'booking.signIn': '✗ سجّل الدخول من صفحة المتبرع لحجز موعد.',
+    'booking.failed': '✗ تعذر الحجز في {when}: {reasons}.',
+    'booking.booked': '✓ تم حجز موعدك يا {name} في {when}.',
+    'booking.waitlisted': '✓ {when} ممتلئ - أنت في قائمة الانتظار وسيُحجز لك عند توفر مكان.',
+    'booking.unknownSite': 'مركز تبرع غير معروف',
+    'booking.noSlot': 'لا يوجد موعد في {site} في هذا الوقت',
+    'booking.past': 'هذا الوقت قد مضى',
+    'booking.alreadyBooked': 'لديك موعد محجوز مسبقاً في {startTime}',
+    'booking.full': 'هذا الموعد ممتلئ',
+    'booking.tooManyNoShows': 'تغيبت عن مواعيد كثيرة؛ يرجى الحجز من المركز مباشرة',
+    'booking.unknownDonor': 'متبرع غير معروف',
+    'booking.notUpcoming': 'يمكن تغيير المواعيد القادمة فقط',
+    'booking.inactive': 'سجل المتبرع غير نشط',
+    'booking.nextDonation': 'التبرع التالي ممكن ابتداءً من {fromDate}',
+    'appointment.item': '{label}: {startTime} في {site}',
+    'appointment.reschedule': 'تغيير الموعد',
+    'appointment.pickNew': 'اختر وقتاً جديداً…',
+    'appointment.missed': {
+        zero: 'لا غياب',
+        one: 'غياب واحد',
+        two: 'غيابان',
+        few: '{count} غيابات',
+        many: '{count} غياباً',
+        other: '{count} غياب'
+    },
+    'appointment.donated': 'تبرع',
+    'appointment.noShow': 'لم يحضر',
+    'schedule.none': 'لا توجد مواعيد في هذا اليوم',
+    'appointmentStatus.waitlisted': 'في الانتظار',
+    'appointmentStatus.booked': 'محجوز',
+    'appointmentStatus.completed': 'مكتمل',
+    'appointmentStatus.no_show': 'لم يحضر',
+    'appointmentStatus.cancelled': 'ملغى',
+    'appointmentStatus.expired': 'منتهٍ',
+
+    // Donor portal
+    'portal.title': 'صفحة المتبرع',
+    'portal.subtitle': 'تبرعاتك وموعدك القادم وبطاقة المتبرع الخاصة بك',
+    'portal.code': 'رمز الدخول',
+    'portal.open': 'افتح صفحتي',
+    'portal.registeredEmail': 'البريد الإلكتروني الذي سجلت به',
+    'portal.emailLink': 'أرسل لي رابط الدخول',
+    'portal.details': 'بياناتي',
+    'portal.noHomeSite': 'لا يوجد مركز أساسي',
+    'portal.saveDetails': 'حفظ البيانات',
+    'portal.card': 'بطاقة المتبرع',
+    'portal.downloadCard': 'تنزيل البطاقة',
+    'portal.history': 'سجل التبرعات',
+    'portal.consent': 'الموافقة',
+    'portal.pauseUntil': 'إيقاف حتى',
+    'portal.pause': 'إيقاف مؤقت',
+    'portal.withdraw': 'سحب الموافقة',
+    'portal.resume': 'استئناف التبرع',
+    'portal.badCode': 'هذا الرمز غير صحيح أو مستخدم أو منتهي الصلاحية. اطلب رابط دخول جديداً.',
+    'portal.linkSent': 'إذا كان هذا العنوان مسجلاً فقد أُرسل إليه رابط الدخول.',
+    'portal.demoEmail': 'بريد تجريبي: {body}',
+    'portal.saved': 'تم حفظ بياناتك.',
+    'portal.greeting': 'مرحباً، {name} ({bloodType})',
+    'portal.canDonate': 'يمكنك التبرع الآن',
+    'portal.bookAnytime': 'احجز موعداً أدناه متى شئت.',
+    'portal.daysUntil': {
+        zero: 'يمكنك التبرع مجدداً اليوم',
+        one: 'يوم واحد حتى تتمكن من التبرع مجدداً',
+        two: 'يومان حتى تتمكن من التبرع مجدداً',
+        few: '{count} أيام حتى تتمكن من التبرع مجدداً',
+        many: '{count} يوماً حتى تتمكن من التبرع مجدداً',
+        other: '{count} يوم حتى تتمكن من التبرع مجدداً'
+    },
+    'portal.from': 'ابتداءً من {fromDate} · {reasons}',
+    'portal.cannotDonate': 'لا يمكنك التبرع بالدم',
+    'portal.talkToStaff': 'يرجى التحدث إلى فريقنا قبل التبرع',
+    'portal.litres': '{litres} لتر',
+    'portal.impactDonations': 'التبرعات',
+    'portal.impactVolume': 'الدم المتبرع به',
+    'portal.impactTransfused': 'وحدات نُقلت إلى مرضى',
+    'portal.impactPatients': 'مرضى تمت مساعدتهم (تقديري)',
+    'portal.noDonations': 'لا توجد تبرعات مسجلة بعد',
+    'portal.donation': '{donationDate} · {component} · {volume} مل',
+    'portal.donationAt': '{donationDate} · {component} · {volume} مل في {site}',
+    'portal.outcome.issued': 'نُقل إلى مريض',
+    'portal.outcome.available': 'في المخزون',
+    'portal.outcome.reserved': 'محجوز لمريض',
+    'portal.outcome.quarantined': 'بانتظار الفحص',
+    'portal.outcome.in_transit': 'في الطريق إلى مستشفى',
+    'portal.outcome.discarded': 'لم يُستخدم',
+    'portal.consent.active': 'أنت متاح للمطابقة والمناشدات.',
+    'portal.consent.paused': 'موقوف مؤقتاً: لن نطابقك ولن نطلب منك التبرع.',
+    'portal.consent.pausedUntil': 'موقوف حتى {untilDate}: لن نطابقك ولن نطلب منك التبرع.',
+    'portal.consent.withdrawn': 'لقد سحبت موافقتك: لن نتواصل معك ولن نستخدم سجلك في المطابقة.',
+    'portal.consent.inactive': 'سجلك غير نشط. تواصل معنا لإعادة تفعيله.',
+    'card.label': 'بطاقة متبرع لايف فلو لـ {name}',
+    'card.title': 'متبرع لايف فلو',
+    'card.since': 'متبرع منذ {sinceDate}',
+
+    // Donor directory
+    'directory.title': 'دليل المتبرعين',
+    'directory.subtitle': 'ابحث عن سجلات المتبرعين وحدّثها وأدرها',
+    'directory.search': 'ابحث بالاسم أو البريد الإلكتروني أو الهاتف',
+    'directory.allBloodTypes': 'جميع الفصائل',
+    'directory.anyEligibility': 'أي أهلية',
+    'directory.eligibleNow': 'مؤهل الآن',
+    'directory.anyStatus': 'أي حالة',
+    'directory.name': 'الاسم',
+    'directory.type': 'الفصيلة',
+    'directory.contact': 'التواصل',
+    'directory.status': 'الحالة',
+    'directory.eligibility': 'الأهلية',
+    'directory.eligible': 'مؤهل',
+    'directory.deferred': 'مؤجل',
+    'directory.previous': 'السابق',
+    'directory.next': 'التالي',
+    'directory.none': 'لا يوجد متبرعون يطابقون هذه المرشحات',
+    'directory.summary': {
+        zero: 'الصفحة {page} من {pageCount} (لا متبرعين)',
+        one: 'الصفحة {page} من {pageCount} (متبرع واحد)',
+        two: 'الصفحة {page} من {pageCount} (متبرعان)',
+        few: 'الصفحة {page} من {pageCount} ({count} متبرعين)',
+        many: 'الصفحة {page} من {pageCount} ({count} متبرعاً)',
+        other: 'الصفحة {page} من {pageCount} ({count} متبرع)'
+    },
+    'directory.edit': 'تعديل',
+    'directory.deactivate': 'إلغاء التفعيل',
+    'directory.reactivate': 'إعادة التفعيل',
+    'donorStatus.active': 'نشط',
+    'donorStatus.inactive': 'غير نشط',
+    'donorStatus.paused': 'موقوف',
+    'donorStatus.withdrawn': 'سحب الموافقة',
+    'duplicates.find': 'البحث عن السجلات المكررة',
+    'duplicates.merged': 'تم دمج {duplicate} في {primary}.',
+    'duplicates.undo': 'تراجع',
+    'duplicates.none': 'لم يُعثر على سجلات مكررة محتملة',
+    'duplicates.noEmail': 'لا بريد إلكتروني',
+    'duplicates.noCity': 'لا مدينة',
+    'duplicates.merge': 'دمج',
+    'duplicates.reason.email': 'البريد الإلكتروني',
+    'duplicates.reason.phone': 'الهاتف',
+    'duplicates.reason.name+city': 'الاسم والمدينة',
+
+    // Campaigns & delivery log
+    'campaigns.title': 'حملات المتبرعين',
+    'campaigns.subject': 'الموضوع',
+    'campaigns.message': 'الرسالة - استخدم {{name}} أو {{bloodType}} أو {{city}}',
+    'campaigns.bloodTypes': 'فصائل الدم (عدم الاختيار يعني الكل)',
+    'campaigns.cities': 'المدن، مفصولة بفواصل (اتركها فارغة للكل)',
+    'campaigns.send': 'إرسال الحملة',
+    'campaigns.sendReminders': 'إرسال تذكيرات الأهلية',
+    'campaigns.deliveryLog': 'سجل الإرسال',
+    'campaigns.audience': {
+        zero: 'لا يوجد متبرع نشط مطابق',
+        one: 'يطابق متبرع نشط واحد',
+        two: 'يطابق متبرعان نشطان',
+        few: 'يطابق {count} متبرعين نشطين',
+        many: 'يطابق {count} متبرعاً نشطاً',
+        other: 'يطابق {count} متبرع نشط'
+    },
+    'campaigns.required': 'الموضوع والرسالة مطلوبان',
+    'campaigns.sent': 'أُرسلت الحملة: {sent} مُسلَّمة، {skipped} متخطاة، {failed} فاشلة',
+    'campaigns.reminders': {
+        zero: 'لم يُرسل أي تذكير بالأهلية',
+        one: 'أُرسل تذكير واحد بالأهلية',
+        two: 'أُرسل تذكيران بالأهلية',
+        few: 'أُرسلت {count} تذكيرات بالأهلية',
+        many: 'أُرسل {count} تذكيراً بالأهلية',
+        other: 'أُرسل {count} تذكير بالأهلية'
+    },
+    'campaigns.noMessages': 'لم تُرسل أي رسائل بعد',
+
+    // Import & export
+    'exchange.title': 'الاستيراد والتصدير',
+    'exchange.donors': 'المتبرعون',
+    'exchange.inventory': 'المخزون',
+    'exchange.requests': 'الطلبات',
+    'exchange.exportCsv': 'تصدير CSV',
+    'exchange.exportJson': 'تصدير JSON',
+    'exchange.dryRun': 'تجربة',
+    'exchange.import': 'استيراد',
+    'exchange.skip': '(تخطي)',
+    'exchange.dryRunSummary': 'تجربة: سيُنشأ {created}، ويُحدَّث {updated}، ويُرفض {rejected}',
+    'exchange.importSummary': 'اكتمل الاستيراد: أُنشئ {created}، وحُدّث {updated}، ورُفض {rejected}',
+    'exchange.row': 'الصف {row}: {errors}',
+    'exchange.more': '…و{count} صفوف مرفوضة أخرى',
+
+    // AI features & demos
+    'ai.title': 'ميزات مدعومة بالذكاء الاصطناعي',
+    'ai.subtitle': 'تقنيات متقدمة لإدارة أفضل للتبرع بالدم',
+    'ai.matchingTitle': 'المطابقة الذكية',
+    'ai.matchingText': 'خوارزميات ذكاء اصطناعي تطابق المتبرعين مع المرضى حسب الموقع وفصيلة الدم ودرجة الاستعجال',
+    'ai.matchingButton': 'جرّب المطابقة الذكية',
+    'ai.predictionTitle': 'التنبؤ بالطلب',
+    'ai.predictionText': 'التعلم الآلي يتنبأ باتجاهات الطلب على الدم بناءً على البيانات السابقة',
+    'ai.predictionButton': 'عرض التنبؤات',
+    'ai.eligibilityTitle': 'فاحص الأهلية',
+    'ai.eligibilityText': 'تقييم فوري بالذكاء الاصطناعي لأهلية المتبرعين المحتملين',
+    'ai.eligibilityButton': 'افحص الأهلية',
+    'demo.matchesFound': 'أفضل المطابقات:',
+    'demo.request': '{bloodType} في {city} ({urgency})، {units} وحدة، نطاق {radius} كم',
+    'demo.noMatches': 'لا يوجد متبرعون مؤهلون ضمن النطاق',
+    'demo.match': '{rank}. {name} ({bloodType}، {distance} كم) - النتيجة: {score}',
+    'demo.explain': 'المسافة {distance}، حداثة التبرع {recency}، الاستجابة {response}، الفصيلة {type}',
+    'demo.shortfall': 'العجز: يُتوقع عدم تغطية نحو {units} وحدة',
+    'demo.forecast': 'توقع الطلب على {bloodType}:',
+    'demo.current': 'الحالي: {demand} وحدة يومياً',
+    'demo.tomorrow': 'غداً: {demand} وحدة (نطاق 95٪ {lower}-{upper})',
+    'demo.predicted': 'المتوقع (7 أيام): {demand} وحدة',
+    'demo.trend': 'الاتجاه: {trend} ({accuracy})',
+    'demo.noBacktest': 'لا توجد بيانات سابقة كافية للاختبار',
+    'demo.backtest': 'خطأ الاختبار الرجعي MAPE {mape}٪',
+    'trend.increasing': 'متزايد',
+    'trend.decreasing': 'متناقص',
+    'trend.stable': 'مستقر',
+    'demo.testCase': 'حالة اختبار:',
+    'demo.answers': 'العمر: {age}، الوزن: {weightKg}، الجنس: {sex}',
+    'demo.eligible': '✓ مؤهل',
+    'demo.notEligible': '✗ غير مؤهل ({deferral})',
+    'demo.eligibleFrom': 'مؤهل ابتداءً من: {date}',
+    'demo.rules': 'القواعد: {rules}',
+    'demo.ruleSet': 'مجموعة القواعد {id} الإصدار {version}',
+    'deferral.temporary': 'مؤقت',
+    'deferral.permanent': 'دائم',
+
+    // Donation process
+    'process.title': 'خطوات التبرع',
+    'process.subtitle': 'بسيطة وآمنة وسريعة',
+    'process.registrationTitle': 'التسجيل',
+    'process.registrationText': 'سجّل وقدّم معلومات صحية أساسية',
+    'process.screeningTitle': 'الفحص الصحي',
+    'process.screeningText': 'فحص سريع للتأكد من أنك مؤهل وبصحة جيدة للتبرع',
+    'process.donationTitle': 'التبرع',
+    'process.donationText': 'يستغرق التبرع نفسه من 8 إلى 10 دقائق فقط',
+    'process.refreshmentsTitle': 'الضيافة',
+    'process.refreshmentsText': 'استرح وتناول وجبة خفيفة بينما يستعيد جسمك نشاطه',
+
+    // Call to action
+    'cta.title': 'مستعد لإنقاذ الأرواح؟',
+    'cta.text': 'احجز موعد تبرعك اليوم وكن بطلاً',
+    'cta.button': 'احجز موعداً',
+
+    // Account
+    'account.title': 'الحساب',
+    'account.subtitle': 'سجّل الدخول لإدارة المتبرعين والمخزون والطلبات',
+    'account.username': 'اسم المستخدم',
+    'account.passcode': 'رمز المرور',
+    'account.signIn': 'تسجيل الدخول',
+    'account.currentPasscode': 'رمز المرور الحالي',
+    'account.newPasscode': 'رمز المرور الجديد',
+    'account.changePasscode': 'تغيير رمز المرور',
+    'account.auditLog': 'سجل التدقيق',
+    'account.wrongPasscode': 'اسم المستخدم أو رمز المرور غير صحيح',
+    'account.passcodeChanged': 'تم تغيير رمز المرور',
+    'account.currentWrong': 'رمز المرور الحالي غير صحيح',
+    'account.signedInAs': 'تم تسجيل الدخول باسم {name} ({role})',
+    'account.choosePasscode': 'يرجى اختيار رمز مرور جديد',
+    'role.public': 'زائر',
+    'role.donor': 'متبرع',
+    'role.registration_desk': 'مكتب التسجيل',
+    'role.lab': 'المختبر',
+    'role.hospital_coordinator': 'منسق المستشفى',
+    'role.admin': 'مدير',
+    'role.system': 'النظام',
+
+    // Footer
+    'footer.tagline': 'نصل المتبرعين بالمحتاجين، وننقذ الأرواح مع كل تبرع.',
+    'footer.quickLinks': 'روابط سريعة',
+    'footer.aboutUs': 'من نحن',
+    'footer.contact': 'اتصل بنا',
+    'footer.email': 'البريد الإلكتروني:',
+    'footer.phone': 'الهاتف:',
+    'footer.emergency': 'الطوارئ:',
+    'footer.copyright': '© 2025 لايف فلو. جميع الحقوق محفوظة. بدعم من ابتكار تقنية المعلومات والاتصالات.',
+
+    // Connection & errors
+    'connection.online': '🟢 متصل',
+    'connection.offline': '🔴 غير متصل',
+    'connection.restored': 'عاد الاتصال',
+    'connection.lost': 'انقطع الاتصال - العمل دون اتصال',
+    'connection.syncFailed': 'فشلت المزامنة: {error}',
+    'error.storage': 'تعذرت قراءة {key}؛ البيانات الأصلية محفوظة في {backupKey}',
+    'error.permission': 'حسابك لا يملك صلاحية ذلك ({permission})',
+
+    // Eligibility reasons, keyed by the rules' messageKey
+    'eligibility.eligible': 'أنت مؤهل للتبرع!',
+    'eligibility.ageMin': 'الحد الأدنى لعمر التبرع {age} سنة',
+    'eligibility.ageMax': 'الحد الأقصى لعمر التبرع {age} سنة',
+    'eligibility.weightMin': 'يجب ألا يقل الوزن عن {minKg}',
+    'eligibility.hemoglobinLow': 'الهيموغلوبين أقل من {hemoglobin} غ/دل',
+    'eligibility.systolicHigh': 'ضغط الدم الانقباضي أعلى من {pressure} ملم زئبق',
+    'eligibility.diastolicHigh': 'ضغط الدم الانبساطي أعلى من {pressure} ملم زئبق',
+    'eligibility.systolicLow': 'ضغط الدم الانقباضي أقل من {pressure} ملم زئبق',
+    'eligibility.interval': 'يجب أن تفصل {count} يوماً على الأقل بين التبرعات',
+    'eligibility.intervalMen': 'يحتاج الرجال إلى {count} أسبوعاً بين التبرعات',
+    'eligibility.intervalWomen': 'تحتاج النساء إلى {count} أسبوعاً بين التبرعات',
+    'eligibility.intervalRbc': 'يجب الانتظار {count} يوماً بعد التبرع بخلايا الدم الحمراء المزدوجة',
+    'eligibility.intervalPlatelets': 'يجب الانتظار {count} يوماً بعد التبرع بالصفائح الدموية',
+    'eligibility.intervalPlasma': 'يجب الانتظار {count} يوماً بعد التبرع بالبلازما',
+    'eligibility.tattoo': 'وشم أو ثقب خلال آخر {count} أشهر',
+    'eligibility.malariaTravel': 'سفر إلى منطقة ملاريا خلال آخر {count} شهراً',
+    'eligibility.isotretinoin': 'تناول الإيزوتريتينوين خلال الشهر الماضي',
+    'eligibility.anticoagulants': 'تتناول حالياً أدوية مضادة للتخثر',
+    'eligibility.acitretin': 'تناول الأسيتريتين خلال آخر {count} سنوات',
+    'eligibility.pregnant': 'لا يمكن التبرع أثناء الحمل',
+    'eligibility.pregnancyRecent': 'يجب الانتظار {count} أسبوعاً بعد الحمل',
+    'eligibility.conditions': 'الحالات الطبية تتطلب مراجعة الطبيب',
+    'eligibility.bloodborneInfection': 'تاريخ إصابة بفيروس نقص المناعة أو التهاب الكبد ب/ج',
+    'eligibility.waitingPeriod': 'فترة الانتظار بعد تبرعك الأخير',
+
+    // Field errors, keyed as in FIELD_ERROR_MESSAGES
+    'validation.required': '{label} مطلوب',
+    'validation.text': 'يجب أن يكون {label} نصاً',
+    'validation.tooLong': 'يجب ألا يتجاوز {label} {maxLength} حرفاً',
+    'validation.invalid': '{label} غير صالح',
+    'validation.oneOf': 'يجب أن يكون {label} واحداً من: {values}',
+    'validation.numberRange': 'يجب أن يكون {label} رقماً بين {min} و{max}',
+    'validation.integerRange': 'يجب أن يكون {label} عدداً صحيحاً بين {min} و{max}',
+    'validation.weightRange': 'يجب أن يكون {label} بين {minKg} و{maxKg}',
+    'validation.atLeast': 'يجب أن يكون {label} عدداً صحيحاً لا يقل عن {min}',
+    'validation.site': 'يجب أن يكون {label} مركزاً',
+    'validation.unknownSite': '{label} ليس مركزاً معروفاً',
+    'validation.sameSite': 'يجب أن يختلف {label} عن مركز الإرسال',
+    'validation.date': '{label} ليس تاريخاً صالحاً',
+    'validation.boolean': 'يجب أن يكون {label} نعم أو لا',
+    'validation.list': 'يمكن أن يحتوي {label} فقط على: {values}',
+    'validation.phenotype': 'يجب أن يحدد {label} {antigens} كإيجابي أو سلبي',
+    'validation.notWritable': 'لا يمكن تعيين {label} مباشرة',
+    'validation.alreadySet': '{label} هي بالفعل {value}',
+    'validation.requestClosed': 'الطلب {status} ولم يعد من الممكن تغييره',
+    'validation.transition': 'لا يمكن تغيير وحدة {from} إلى {to}',
+    'validation.transferOnly': 'لا تنتقل الوحدات إلا عبر أمر نقل',
+    'validation.repeatsRow': 'يكرر الصف {row} من هذا الملف',
+    'field.donors.name': 'الاسم',
+    'field.donors.email': 'البريد الإلكتروني',
+    'field.donors.phone': 'رقم الهاتف',
+    'field.donors.bloodType': 'فصيلة الدم',
+    'field.donors.age': 'العمر',
+    'field.donors.weight': 'الوزن',
+    'field.donors.sex': 'الجنس',
+    'field.donors.city': 'المدينة',
+    'field.donors.siteId': 'المركز الأساسي',
+    'field.donors.lastDonation': 'آخر تبرع',
+    'field.donors.lastDonationDate': 'تاريخ آخر تبرع',
+    'field.donors.antigens': 'النمط المستضدي',
+    'field.donors.cmvNegative': 'سلبي الفيروس المضخم للخلايا',
+    'field.donors.pausedUntil': 'نهاية الإيقاف',
+    'field.donors.status': 'الحالة',
+    'field.inventory.status': 'الحالة',
+    'field.requests.status': 'الحالة',
+    'field.transfers.fromSiteId': 'من مركز',
+    'field.transfers.toSiteId': 'إلى مركز',
+    'field.transfers.bloodType': 'فصيلة الدم',
+    'field.transfers.component': 'المكوّن',
+    'field.transfers.units': 'الوحدات'
+};
@@ -0,0 +1,539 @@
+// ============================================================================
+// English
+// ============================================================================
+
+// Every key the interface uses, and the text shown for any key another
+// language has not translated. A message with plural forms is an object keyed
+// by Intl.PluralRules category and picked by its count.
+export const MESSAGES = {
+    'page.title': 'LifeFlow - Save Lives Through Blood Donation',
+
+    // Navigation
+    'nav.home': 'Home',
+    'nav.about': 'About',
+    'nav.dashboard': 'Dashboard',
+    'nav.register': 'Register',
+    'nav.portal': 'My Donor Page',
+    'nav.donors': 'Donors',
+    'nav.account': 'Account',
+    'nav.aiFeatures': 'AI Features',
+    'nav.donate': 'Donate Now',
+    'nav.language': 'Language',
+    'nav.weightUnit': 'Weight unit',
+
+    // Common words
+    'common.notAvailable': 'N/A',
+    'common.cancel': 'Cancel',
+    'common.save': 'Save',
+    'common.signOut': 'Sign Out',
+    'common.city': 'City',
+    'common.email': 'Email',
+    'common.fullName': 'Full Name',
+    'common.phone': 'Phone Number',
+    'common.bloodType': 'Blood Type',
+    'common.allSites': 'All Sites',
+    'common.unknownSite': 'unknown site',
+    'common.unknownDonor': 'Unknown donor',
+    'common.percent': '{value}%',
+
+    // Units
+    'unit.kg': '{value} kg',
+    'unit.lb': '{value} lb',
+    'unitName.kg': 'kg',
+    'unitName.lb': 'lb',
+
+    // Hero
+    'hero.titleLine1': 'Give Blood,',
+    'hero.titleLine2': 'Give Life',
+    'hero.subtitle': 'One donation can save up to three lives. Be a hero today.',
+    'hero.donate': 'Donate Blood',
+    'hero.learnMore': 'Learn More',
+    'hero.donors': 'Donors',
+    'hero.livesSaved': 'Lives Saved',
+    'hero.support': 'Support',
+    'hero.scroll': 'Scroll Down',
+
+    // About
+    'about.title': 'Why Donate Blood?',
+    'about.subtitle': 'Your donation makes a difference in someone\'s life',
+    'about.emergencyTitle': 'Emergency Care',
+    'about.emergencyText': 'Blood is crucial for surgeries, trauma care, and emergency medical procedures.',
+    'about.childrenTitle': 'Save Children',
+    'about.childrenText': 'Help children with severe anemia, cancer, and blood disorders live normal lives.',
+    'about.healthTitle': 'Health Benefits',
+    'about.healthText': 'Regular blood donation can reduce health risks and maintain your well-being.',
+    'about.communityTitle': 'Community Impact',
+    'about.communityText': 'Join a community of heroes making a real difference in countless lives.',
+
+    // Dashboard
+    'dashboard.title': 'Live Dashboard',
+    'dashboard.subtitle': 'Real-time blood bank statistics',
+    'dashboard.showing': 'Showing',
+    'dashboard.inventory': 'Blood Inventory',
+    'dashboard.donorStats': 'Donor Statistics',
+    'dashboard.totalRegistered': 'Total Registered',
+    'dashboard.thisMonth': 'This Month',
+    'dashboard.mostCommon': 'Most Common Type',
+    'dashboard.activeDonors': 'Active Donors',
+    'dashboard.emergency': 'Emergency Requests',
+    'inventory.units': { one: '{count} unit', other: '{count} units' },
+    'inventory.daysOfSupply': '{days}d',
+    'alert.below_minimum': '{bloodType} stock is {units} units, below the minimum of {minimum}. Reorder {reorder} units.',
+    'alert.projected_stockout': '{bloodType} projected to run out in {days} days at forecast demand.',
+    'alert.acknowledge': 'Acknowledge',
+    'expiring.none': 'No units expiring in the next 3 days',
+    'expiring.heading': 'Use first ({count} expiring within 3 days):',
+    'expiring.item': '{bloodType} {component} - expires {expiryDate}',
+
+    // Blood components, urgencies and requirements
+    'component.whole_blood': 'Whole Blood',
+    'component.rbc': 'Red Cells',
+    'component.platelets': 'Platelets',
+    'component.plasma': 'Plasma',
+    'urgency.urgent': 'Urgent',
+    'urgency.high': 'High',
+    'urgency.moderate': 'Moderate',
+    'requirement.antigenNegative': '{antigen}-negative',
+    'requirement.cmvNegative': 'CMV negative',
+    'requirement.irradiated': 'irradiated',
+
+    // Emergency requests and allocation
+    'emergency.none': 'No open requests',
+    'emergency.needed': '{need} Needed',
+    'emergency.remaining': { one: '{hospital} - {count} unit', other: '{hospital} - {count} units' },
+    'emergency.deadline': 'by {deadlineTime}',
+    'emergency.reserved': '({count} reserved from stock)',
+    'emergency.incoming': '({count} on the way from other sites)',
+    'emergency.requires': 'Requires: {requirements}',
+    'emergency.appeal': 'Appeal to donors',
+    'emergency.appealSent': '{sent} sent, {skipped} skipped, {failed} failed',
+    'allocation.findStock': 'Find stock',
+    'allocation.reserved': { one: '{count} unit reserved at {site}', other: '{count} units reserved at {site}' },
+    'allocation.anySite': 'any site',
+    'allocation.matched': { one: '{count} donor matched', other: '{count} donors matched' },
+
+    // Sites & transfers
+    'network.stock': 'Network Stock',
+    'network.site': 'Site',
+    'network.total': 'Total',
+    'network.inTransit': 'In transit',
+    'network.network': 'Network',
+    'transfer.title': 'Transfers',
+    'transfer.fromSite': 'From Site',
+    'transfer.toSite': 'To Site',
+    'transfer.units': 'Units',
+    'transfer.submit': 'Request Transfer',
+    'transfer.proposal': '{units} × {bloodType} {component} from {site}',
+    'transfer.distance': '{distance} km',
+    'transfer.request': 'Request transfer',
+    'transfer.requested': 'Transfer requested',
+    'transfer.none': 'No transfers under way',
+    'transfer.item': '{count} × {need}: {from} → {to} ({status})',
+    'transfer.dispatch': 'Dispatch',
+    'transfer.receive': 'Receive',
+    'transfer.failed': 'Could not update this transfer',
+    'transferStatus.requested': 'requested',
+    'transferStatus.dispatched': 'dispatched',
+    'transferStatus.received': 'received',
+    'transferStatus.cancelled': 'cancelled',
+
+    // Reports
+    'report.title': 'Reports',
+    'report.last30': 'Last 30 days',
+    'report.last90': 'Last 90 days',
+    'report.last12Months': 'Last 12 months',
+    'report.allTime': 'All time',
+    'report.custom': 'Custom range',
+    'report.from': 'From',
+    'report.to': 'To',
+    'report.bloodTypes': 'Blood Type vs Population',
+    'report.cities': 'Donors by City',
+    'report.ages': 'Donors by Age',
+    'report.timeline': 'Registrations & Donations',
+    'report.cohorts': 'Retention Cohorts',
+    'report.fulfilment': 'Request Fulfilment Time',
+    'report.share': '{share}% · norm {norm}%',
+    'report.otherAge': 'Other',
+    'report.timelinePoint': '{period}: {registrations} registrations, {donations} donations',
+    'report.registrations': 'Registrations',
+    'report.donations': 'Donations',
+    'report.cohort': 'Cohort',
+    'report.donors': 'Donors',
+    'report.retained': 'Retained',
+    'report.lapsed': 'Lapsed',
+    'report.never': 'Never',
+    'report.repeat': 'Repeat',
+    'report.retention': 'Retention',
+    'report.urgency': 'Urgency',
+    'report.fulfilled': 'Fulfilled',
+    'report.median': 'Median',
+    'report.mean': 'Mean',
+    'report.all': 'All',
+    'report.hours': '{hours}h',
+    'report.empty': 'No data in this range',
+
+    // Impact
+    'impact.title': 'Your Impact',
+    'impact.description': 'Every pint of blood can be separated into multiple components, helping several patients with different needs.',
+    'impact.rbcTitle': 'Red Blood Cells',
+    'impact.rbcText': 'Help patients with anemia and blood loss during surgery',
+    'impact.plasmaTitle': 'Plasma',
+    'impact.plasmaText': 'Critical for burn victims and trauma patients',
+    'impact.plateletsTitle': 'Platelets',
+    'impact.plateletsText': 'Essential for cancer patients and those with clotting disorders',
+    'impact.livesSaved': 'Lives Saved',
+    'impact.perDonation': 'Per Donation',
+
+    // Registration
+    'register.title': 'Become a Donor',
+    'register.subtitle': 'Join our community of lifesavers',
+    'register.selectBloodType': 'Select Blood Type',
+    'register.age': 'Age',
+    'register.weight': 'Weight ({unit})',
+    'register.sex': 'Sex',
+    'register.conditions': 'Any ongoing medical conditions?',
+    'register.noConditions': 'No medical conditions',
+    'register.hasConditions': 'Yes, I have a medical condition',
+    'register.homeSite': 'Home Site (nearest to my city)',
+    'register.lastDonation': 'Last Donation',
+    'register.never': 'Never Donated',
+    'register.months3': '3+ Months Ago',
+    'register.months6': '6+ Months Ago',
+    'register.year1': '1+ Year Ago',
+    'register.terms': 'I agree to the terms and conditions and confirm I am healthy to donate blood',
+    'register.submit': 'Register as Donor',
+    'register.invalid': '✗ Registration failed: please correct the highlighted fields.',
+    'register.duplicate': '✗ You\'re already registered with this {match}. Ask for a sign-in link on My Donor Page to see your record.',
+    'register.success': '✓ Registration successful! Welcome to LifeFlow, {name}.',
+    'register.code': 'Their sign-in code for My Donor Page is {code}, valid until {until}.',
+    'register.failed': '✗ Registration failed: {reasons}.',
+    'register.from': 'You can register from {fromDate}.',
+    'sex.female': 'Female',
+    'sex.male': 'Male',
+
+    // Appointments
+    'appointments.title': 'Book a Donation',
+    'appointments.subtitle': 'Pick a site and a time that suits you',
+    'appointments.donor': 'Donor ID or email',
+    'appointments.waitlist': 'Join the waitlist if my chosen slot is full',
+    'appointments.siteSchedule': 'Site Schedule',
+    'slots.none': 'No open slots at this site on that day',
+    'slots.free': '{available} of {capacity} free',
+    'slots.full': 'Full · {count} waiting',
+    'booking.noDonor': '✗ No donor found with that ID or email.',
+    'booking.signIn': '✗ Sign in on My Donor Page to book an appointment.',
+    'booking.failed': '✗ Could not book {when}: {reasons}.',
+    'booking.booked': '✓ {name}, you\'re booked for {when}.',
+    'booking.waitlisted': '✓ {when} is full - you\'re on the waitlist and will be booked if a place frees up.',
+    'booking.unknownSite': 'Unknown donation site',
+    'booking.noSlot': '{site} has no slot at that time',
+    'booking.past': 'That slot is in the past',
+    'booking.alreadyBooked': 'Already has an appointment on {startTime}',
+    'booking.full': 'That slot is full',
+    'booking.tooManyNoShows': 'Too many missed appointments; please book at the site',
+    'booking.unknownDonor': 'Unknown donor',
+    'booking.notUpcoming': 'Only upcoming appointments can be rescheduled',
+    'booking.inactive': 'Donor record is not active',
+    'booking.nextDonation': 'Next donation possible from {fromDate}',
+    'appointment.item': '{label}: {startTime} at {site}',
+    'appointment.reschedule': 'Reschedule',
+    'appointment.pickNew': 'Pick a new slot…',
+    'appointment.missed': { one: '{count} missed', other: '{count} missed' },
+    'appointment.donated': 'Donated',
+    'appointment.noShow': 'No-show',
+    'schedule.none': 'No appointments on this day',
+    'appointmentStatus.waitlisted': 'Waitlisted',
+    'appointmentStatus.booked': 'Booked',
+    'appointmentStatus.completed': 'Completed',
+    'appointmentStatus.no_show': 'No-show',
+    'appointmentStatus.cancelled': 'Cancelled',
+    'appointmentStatus.expired': 'Expired',
+
+    // Donor portal
+    'portal.title': 'My Donor Page',
+    'portal.subtitle': 'Your donations, your next visit and your donor card',
+    'portal.code': 'Sign-in code',
+    'portal.open': 'Open My Page',
+    'portal.registeredEmail': 'Email you registered with',
+    'portal.emailLink': 'Email Me a Sign-in Link',
+    'portal.details': 'My Details',
+    'portal.noHomeSite': 'No Home Site',
+    'portal.saveDetails': 'Save Details',
+    'portal.card': 'Donor Card',
+    'portal.downloadCard': 'Download Card',
+    'portal.history': 'Donation History',
+    'portal.consent': 'Consent',
+    'portal.pauseUntil': 'Pause until',
+    'portal.pause': 'Pause',
+    'portal.withdraw': 'Withdraw Consent',
+    'portal.resume': 'Resume Donating',
+    'portal.badCode': 'That code is wrong, used or expired. Ask for a new sign-in link.',
+    'portal.linkSent': 'If that address is registered, a sign-in link is on its way.',
+    'portal.demoEmail': 'Demo email: {body}',
+    'portal.saved': 'Your details were saved.',
+    'portal.greeting': 'Hello, {name} ({bloodType})',
+    'portal.canDonate': 'You can donate now',
+    'portal.bookAnytime': 'Book a visit below whenever suits you.',
+    'portal.daysUntil': { one: '{count} day until you can donate again', other: '{count} days until you can donate again' },
+    'portal.from': 'From {fromDate} · {reasons}',
+    'portal.cannotDonate': 'You cannot donate blood',
+    'portal.talkToStaff': 'Please talk to our staff before donating',
+    'portal.litres': '{litres} L',
+    'portal.impactDonations': 'donations',
+    'portal.impactVolume': 'blood given',
+    'portal.impactTransfused': 'units given to patients',
+    'portal.impactPatients': 'patients helped (estimate)',
+    'portal.noDonations': 'No donations recorded yet',
+    'portal.donation': '{donationDate} · {component} · {volume} ml',
+    'portal.donationAt': '{donationDate} · {component} · {volume} ml at {site}',
+    'portal.outcome.issued': 'given to a patient',
+    'portal.outcome.available': 'in stock',
+    'portal.outcome.reserved': 'reserved for a patient',
+    'portal.outcome.quarantined': 'awaiting screening',
+    'portal.outcome.in_transit': 'on its way to a hospital',
+    'portal.outcome.discarded': 'not used',
+    'portal.consent.active': 'You are available for matching and appeals.',
+    'portal.consent.paused': 'Paused: we will not match you or ask you to donate.',
+    'portal.consent.pausedUntil': 'Paused until {untilDate}: we will not match you or ask you to donate.',
+    'portal.consent.withdrawn': 'You have withdrawn consent: we will not contact you or use your record for matching.',
+    'portal.consent.inactive': 'Your record is inactive. Please contact us to reactivate it.',
+    'card.label': 'LifeFlow donor card for {name}',
+    'card.title': 'LifeFlow Donor',
+    'card.since': 'Donor since {sinceDate}',
+
+    // Donor directory
+    'directory.title': 'Donor Directory',
+    'directory.subtitle': 'Find, update and manage donor records',
+    'directory.search': 'Search name, email or phone',
+    'directory.allBloodTypes': 'All Blood Types',
+    'directory.anyEligibility': 'Any Eligibility',
+    'directory.eligibleNow': 'Eligible Now',
+    'directory.anyStatus': 'Any Status',
+    'directory.name': 'Name',
+    'directory.type': 'Type',
+    'directory.contact': 'Contact',
+    'directory.status': 'Status',
+    'directory.eligibility': 'Eligibility',
+    'directory.eligible': 'Eligible',
+    'directory.deferred': 'Deferred',
+    'directory.previous': 'Previous',
+    'directory.next': 'Next',
+    'directory.none': 'No donors match these filters',
+    'directory.summary': { one: 'Page {page} of {pageCount} ({count} donor)', other: 'Page {page} of {pageCount} ({count} donors)' },
+    'directory.edit': 'Edit',
+    'directory.deactivate': 'Deactivate',
+    'directory.reactivate': 'Reactivate',
+    'donorStatus.active': 'Active',
+    'donorStatus.inactive': 'Inactive',
+    'donorStatus.paused': 'Paused',
+    'donorStatus.withdrawn': 'Withdrawn',
+    'duplicates.find': 'Find Duplicates',
+    'duplicates.merged': 'Merged {duplicate} into {primary}.',
+    'duplicates.undo': 'Undo',
+    'duplicates.none': 'No likely duplicates found',
+    'duplicates.noEmail': 'no email',
+    'duplicates.noCity': 'no city',
+    'duplicates.merge': 'Merge',
+    'duplicates.reason.email': 'email',
+    'duplicates.reason.phone': 'phone',
+    'duplicates.reason.name+city': 'name and city',
+
+    // Campaigns & delivery log
+    'campaigns.title': 'Donor Campaigns',
+    'campaigns.subject': 'Subject',
+    'campaigns.message': 'Message - use {{name}}, {{bloodType}} or {{city}}',
+    'campaigns.bloodTypes': 'Blood types (none selected means all)',
+    'campaigns.cities': 'Cities, comma separated (blank for all)',
+    'campaigns.send': 'Send Campaign',
+    'campaigns.sendReminders': 'Send Eligibility Reminders',
+    'campaigns.deliveryLog': 'Delivery Log',
+    'campaigns.audience': { one: '{count} active donor matches', other: '{count} active donors match' },
+    'campaigns.required': 'A subject and message are required',
+    'campaigns.sent': 'Campaign sent: {sent} delivered, {skipped} skipped, {failed} failed',
+    'campaigns.reminders': { one: '{count} eligibility reminder sent', other: '{count} eligibility reminders sent' },
+    'campaigns.noMessages': 'No messages sent yet',
+
+    // Import & export
+    'exchange.title': 'Import & Export',
+    'exchange.donors': 'Donors',
+    'exchange.inventory': 'Inventory',
+    'exchange.requests': 'Requests',
+    'exchange.exportCsv': 'Export CSV',
+    'exchange.exportJson': 'Export JSON',
+    'exchange.dryRun': 'Dry Run',
+    'exchange.import': 'Import',
+    'exchange.skip': '(skip)',
+    'exchange.dryRunSummary': 'Dry run: {created} to create, {updated} to update, {rejected} rejected',
+    'exchange.importSummary': 'Import complete: {created} created, {updated} updated, {rejected} rejected',
+    'exchange.row': 'Row {row}: {errors}',
+    'exchange.more': '…and {count} more rejected rows',
+
+    // AI features & demos
+    'ai.title': 'AI-Powered Features',
+    'ai.subtitle': 'Advanced technology for better blood donation management',
+    'ai.matchingTitle': 'Smart Matching',
+    'ai.matchingText': 'AI algorithms match donors with recipients based on location, blood type, and urgency',
+    'ai.matchingButton': 'Demo AI Matching',
+    'ai.predictionTitle': 'Demand Prediction',
+    'ai.predictionText': 'Machine learning predicts blood demand patterns based on historical data',
+    'ai.predictionButton': 'View Predictions',
+    'ai.eligibilityTitle': 'Eligibility Checker',
+    'ai.eligibilityText': 'Instant AI-powered eligibility assessment for potential donors',
+    'ai.eligibilityButton': 'Check Eligibility',
+    'demo.matchesFound': 'Top Matches Found:',
+    'demo.request': '{bloodType} in {city} ({urgency}), {units} units, radius {radius} km',
+    'demo.noMatches': 'No eligible donors in range',
+    'demo.match': '{rank}. {name} ({bloodType}, {distance} km) - Score: {score}',
+    'demo.explain': 'distance {distance}, recency {recency}, response {response}, type {type}',
+    'demo.shortfall': 'Shortfall: ~{units} units expected uncovered',
+    'demo.forecast': '{bloodType} Demand Forecast:',
+    'demo.current': 'Current: {demand} units/day',
+    'demo.tomorrow': 'Tomorrow: {demand} units (95% range {lower}-{upper})',
+    'demo.predicted': 'Predicted (7 days): {demand} units',
+    'demo.trend': 'Trend: {trend} ({accuracy})',
+    'demo.noBacktest': 'not enough history to backtest',
+    'demo.backtest': 'backtest MAPE {mape}%',
+    'trend.increasing': 'increasing',
+    'trend.decreasing': 'decreasing',
+    'trend.stable': 'stable',
+    'demo.testCase': 'Test Case:',
+    'demo.answers': 'Age: {age}, Weight: {weightKg}, Sex: {sex}',
+    'demo.eligible': '✓ Eligible',
+    'demo.notEligible': '✗ Not Eligible ({deferral})',
+    'demo.eligibleFrom': 'Eligible from: {date}',
+    'demo.rules': 'Rules: {rules}',
+    'demo.ruleSet': 'Rule set {id} v{version}',
+    'deferral.temporary': 'temporary',
+    'deferral.permanent': 'permanent',
+
+    // Donation process
+    'process.title': 'Donation Process',
+    'process.subtitle': 'Simple, safe, and quick',
+    'process.registrationTitle': 'Registration',
+    'process.registrationText': 'Sign up and provide basic information about your health history',
+    'process.screeningTitle': 'Health Screening',
+    'process.screeningText': 'Quick checkup to ensure you\'re eligible and healthy to donate',
+    'process.donationTitle': 'Donation',
+    'process.donationText': 'The actual donation takes only 8-10 minutes of your time',
+    'process.refreshmentsTitle': 'Refreshments',
+    'process.refreshmentsText': 'Relax and enjoy snacks while your body adjusts',
+
+    // Call to action
+    'cta.title': 'Ready to Save Lives?',
+    'cta.text': 'Schedule your donation appointment today and become a hero',
+    'cta.button': 'Book Appointment',
+
+    // Account
+    'account.title': 'Account',
+    'account.subtitle': 'Sign in to manage donors, stock and requests',
+    'account.username': 'Username',
+    'account.passcode': 'Passcode',
+    'account.signIn': 'Sign In',
+    'account.currentPasscode': 'Current passcode',
+    'account.newPasscode': 'New passcode',
+    'account.changePasscode': 'Change Passcode',
+    'account.auditLog': 'Audit Log',
+    'account.wrongPasscode': 'Wrong username or passcode',
+    'account.passcodeChanged': 'Passcode changed',
+    'account.currentWrong': 'Current passcode is wrong',
+    'account.signedInAs': 'Signed in as {name} ({role})',
+    'account.choosePasscode': 'Please choose a new passcode',
+    'role.public': 'guest',
+    'role.donor': 'donor',
+    'role.registration_desk': 'registration desk',
+    'role.lab': 'lab',
+    'role.hospital_coordinator': 'hospital coordinator',
+    'role.admin': 'admin',
+    'role.system': 'system',
+
+    // Footer
+    'footer.tagline': 'Connecting donors with those in need, saving lives one donation at a time.',
+    'footer.quickLinks': 'Quick Links',
+    'footer.aboutUs': 'About Us',
+    'footer.contact': 'Contact',
+    'footer.email': 'Email:',
+    'footer.phone': 'Phone:',
+    'footer.emergency': 'Emergency:',
+    'footer.copyright': '© 2025 LifeFlow. All rights reserved. Powered by ICT innovations.',
+
+    // Connection & errors
+    'connection.online': '🟢 Online',
+    'connection.offline': '🔴 Offline',
+    'connection.restored': 'Connection restored',
+    'connection.lost': 'Connection lost - working offline',
+    'connection.syncFailed': 'Sync failed: {error}',
+    'error.storage': 'Could not read {key}; the original data was kept in {backupKey}',
+    'error.permission': 'Your account is not allowed to do that ({permission})',
+
+    // Eligibility reasons, keyed by the rules' messageKey
+    'eligibility.eligible': 'You are eligible to donate!',
+    'eligibility.ageMin': 'Minimum age to donate is {age}',
+    'eligibility.ageMax': 'Maximum age to donate is {age}',
+    'eligibility.weightMin': 'Minimum weight requirement is {minKg}',
+    'eligibility.hemoglobinLow': 'Hemoglobin below {hemoglobin} g/dL',
+    'eligibility.systolicHigh': 'Systolic blood pressure above {pressure} mmHg',
+    'eligibility.diastolicHigh': 'Diastolic blood pressure above {pressure} mmHg',
+    'eligibility.systolicLow': 'Systolic blood pressure below {pressure} mmHg',
+    'eligibility.interval': 'Must wait at least {count} days between donations',
+    'eligibility.intervalMen': 'Men must wait {count} weeks between donations',
+    'eligibility.intervalWomen': 'Women must wait {count} weeks between donations',
+    'eligibility.intervalRbc': 'Must wait {count} days after a double red cell donation',
+    'eligibility.intervalPlatelets': 'Must wait {count} days after a platelet donation',
+    'eligibility.intervalPlasma': 'Must wait {count} days after a plasma donation',
+    'eligibility.tattoo': 'Tattoo or piercing in the last {count} months',
+    'eligibility.malariaTravel': 'Travel to a malaria risk area in the last {count} months',
+    'eligibility.isotretinoin': 'Isotretinoin taken in the last month',
+    'eligibility.anticoagulants': 'Currently taking anticoagulants',
+    'eligibility.acitretin': 'Acitretin taken in the last {count} years',
+    'eligibility.pregnant': 'Cannot donate while pregnant',
+    'eligibility.pregnancyRecent': 'Must wait {count} weeks after pregnancy',
+    'eligibility.conditions': 'Medical conditions need review by a physician',
+    'eligibility.bloodborneInfection': 'History of HIV or hepatitis B/C',
+    'eligibility.waitingPeriod': 'Waiting period after your last donation',
+
+    // Field errors, keyed as in FIELD_ERROR_MESSAGES
+    'validation.required': '{label} is required',
+    'validation.text': '{label} must be text',
+    'validation.tooLong': '{label} must be at most {maxLength} characters',
+    'validation.invalid': '{label} is not valid',
+    'validation.oneOf': '{label} must be one of {values}',
+    'validation.numberRange': '{label} must be a number between {min} and {max}',
+    'validation.integerRange': '{label} must be a whole number between {min} and {max}',
+    'validation.weightRange': '{label} must be between {minKg} and {maxKg}',
+    'validation.atLeast': '{label} must be a whole number of at least {min}',
+    'validation.site': '{label} must be a site',
+    'validation.unknownSite': '{label} is not a known site',
+    'validation.sameSite': '{label} must differ from the sending site',
+    'validation.date': '{label} is not a valid date',
+    'validation.boolean': '{label} must be true or false',
+    'validation.list': '{label} must list only {values}',
+    'validation.phenotype': '{label} must map {antigens} to positive or negative',
+    'validation.notWritable': '{label} cannot be set directly',
+    'validation.alreadySet': '{label} is already {value}',
+    'validation.requestClosed': 'Request is {status} and can no longer be changed',
+    'validation.transition': 'Cannot change a {from} unit to {to}',
+    'validation.transferOnly': 'Units only go in transit through a transfer',
+    'validation.repeatsRow': 'Repeats row {row} of this file',
+    'field.donors.name': 'Name',
+    'field.donors.email': 'Email address',
+    'field.donors.phone': 'Phone number',
+    'field.donors.bloodType': 'Blood type',
+    'field.donors.age': 'Age',
+    'field.donors.weight': 'Weight',
+    'field.donors.sex': 'Sex',
+    'field.donors.city': 'City',
+    'field.donors.siteId': 'Home site',
+    'field.donors.lastDonation': 'Last donation',
+    'field.donors.lastDonationDate': 'Last donation date',
+    'field.donors.antigens': 'Antigen phenotype',
+    'field.donors.cmvNegative': 'CMV negative',
+    'field.donors.pausedUntil': 'Pause end',
+    'field.donors.status': 'Status',
+    'field.inventory.status': 'Status',
+    'field.requests.status': 'Status',
+    'field.transfers.fromSiteId': 'Sending site',
+    'field.transfers.toSiteId': 'Receiving site',
+    'field.transfers.bloodType': 'Blood type',
+    'field.transfers.component': 'Component',
+    'field.transfers.units': 'Units'
+};
@@ -0,0 +1,537 @@
+// ============================================================================
+// Urdu (اردو)
+// ============================================================================
+
+// Right to left. Keys missing here are shown in English.
+export const MESSAGES = {
+    'page.title': 'لائف فلو - خون کا عطیہ دے کر زندگیاں بچائیں',
+
+    // Navigation
+    'nav.home': 'صفحۂ اول',
+    'nav.about': 'تعارف',
+    'nav.dashboard': 'ڈیش بورڈ',
+    'nav.register': 'رجسٹریشن',
+    'nav.portal': 'میرا ڈونر صفحہ',
+    'nav.donors': 'عطیہ دہندگان',
+    'nav.account': 'اکاؤنٹ',
+    'nav.aiFeatures': 'اے آئی خصوصیات',
+    'nav.donate': 'ابھی عطیہ کریں',
+    'nav.language': 'زبان',
+    'nav.weightUnit': 'وزن کی اکائی',
+
+    // Common words
+    'common.notAvailable': 'دستیاب نہیں',
+    'common.cancel': 'منسوخ کریں',
+    'common.save': 'محفوظ کریں',
+    'common.signOut': 'سائن آؤٹ',
+    'common.city': 'شہر',
+    'common.email': 'ای میل',
+    'common.fullName': 'پورا نام',
+    'common.phone': 'فون نمبر',
+    'common.bloodType': 'بلڈ گروپ',
+    'common.allSites': 'تمام مراکز',
+    'common.unknownSite': 'نامعلوم مرکز',
+    'common.unknownDonor': 'نامعلوم عطیہ دہندہ',
+    'common.percent': '{value}%',
+
+    // Units
+    'unit.kg': '{value} کلو',
+    'unit.lb': '{value} پاؤنڈ',
+    'unitName.kg': 'کلو',
+    'unitName.lb': 'پاؤنڈ',
+
+    // Hero
+    'hero.titleLine1': 'خون دیں،',
+    'hero.titleLine2': 'زندگی دیں',
+    'hero.subtitle': 'ایک عطیہ تین زندگیاں تک بچا سکتا ہے۔ آج ہیرو بنیں۔',
+    'hero.donate': 'خون کا عطیہ دیں',
+    'hero.learnMore': 'مزید جانیں',
+    'hero.donors': 'عطیہ دہندگان',
+    'hero.livesSaved': 'بچائی گئی زندگیاں',
+    'hero.support': 'مدد',
+    'hero.scroll': 'نیچے اسکرول کریں',
+
+    // About
+    'about.title': 'خون کا عطیہ کیوں دیں؟',
+    'about.subtitle': 'آپ کا عطیہ کسی کی زندگی بدل دیتا ہے',
+    'about.emergencyTitle': 'ہنگامی علاج',
+    'about.emergencyText': 'آپریشن، حادثات کے علاج اور ہنگامی طبی کارروائیوں کے لیے خون نہایت ضروری ہے۔',
+    'about.childrenTitle': 'بچوں کو بچائیں',
+    'about.childrenText': 'شدید خون کی کمی، کینسر اور خون کی بیماریوں میں مبتلا بچوں کو معمول کی زندگی گزارنے میں مدد دیں۔',
+    'about.healthTitle': 'صحت کے فوائد',
+    'about.healthText': 'باقاعدگی سے خون کا عطیہ صحت کے خطرات کم کر سکتا ہے اور آپ کو تندرست رکھتا ہے۔',
+    'about.communityTitle': 'معاشرے پر اثر',
+    'about.communityText': 'ان ہیروز کی برادری میں شامل ہوں جو بے شمار زندگیوں میں حقیقی فرق لا رہے ہیں۔',
+
+    // Dashboard
+    'dashboard.title': 'براہِ راست ڈیش بورڈ',
+    'dashboard.subtitle': 'بلڈ بینک کے تازہ ترین اعداد و شمار',
+    'dashboard.showing': 'دکھایا جا رہا ہے',
+    'dashboard.inventory': 'خون کا ذخیرہ',
+    'dashboard.donorStats': 'عطیہ دہندگان کے اعداد و شمار',
+    'dashboard.totalRegistered': 'کل رجسٹرڈ',
+    'dashboard.thisMonth': 'اس مہینے',
+    'dashboard.mostCommon': 'سب سے عام گروپ',
+    'dashboard.activeDonors': 'فعال عطیہ دہندگان',
+    'dashboard.emergency': 'ہنگامی درخواستیں',
+    'inventory.units': { one: '{count} یونٹ', other: '{count} یونٹ' },
+    'inventory.daysOfSupply': '{days} دن',
+    'alert.below_minimum': '{bloodType} کا ذخیرہ {units} یونٹ ہے، جو کم از کم {minimum} سے کم ہے۔ {reorder} یونٹ منگوائیں۔',
+    'alert.projected_stockout': 'متوقع طلب پر {bloodType} {days} دن میں ختم ہو جائے گا۔',
+    'alert.acknowledge': 'تسلیم کریں',
+    'expiring.none': 'اگلے 3 دن میں کوئی یونٹ ختم المیعاد نہیں ہو رہا',
+    'expiring.heading': 'پہلے استعمال کریں (3 دن میں {count} ختم المیعاد):',
+    'expiring.item': '{bloodType} {component} - میعاد {expiryDate}',
+
+    // Blood components, urgencies and requirements
+    'component.whole_blood': 'مکمل خون',
+    'component.rbc': 'سرخ خلیات',
+    'component.platelets': 'پلیٹ لیٹس',
+    'component.plasma': 'پلازما',
+    'urgency.urgent': 'فوری',
+    'urgency.high': 'زیادہ',
+    'urgency.moderate': 'درمیانی',
+    'requirement.antigenNegative': '{antigen} منفی',
+    'requirement.cmvNegative': 'سی ایم وی منفی',
+    'requirement.irradiated': 'شعاع زدہ',
+
+    // Emergency requests and allocation
+    'emergency.none': 'کوئی کھلی درخواست نہیں',
+    'emergency.needed': '{need} درکار',
+    'emergency.remaining': { one: '{hospital} - {count} یونٹ', other: '{hospital} - {count} یونٹ' },
+    'emergency.deadline': '{deadlineTime} تک',
+    'emergency.reserved': '({count} ذخیرے سے محفوظ)',
+    'emergency.incoming': '({count} دوسرے مراکز سے راستے میں)',
+    'emergency.requires': 'ضرورت: {requirements}',
+    'emergency.appeal': 'عطیہ دہندگان سے اپیل',
+    'emergency.appealSent': '{sent} بھیجے گئے، {skipped} چھوڑے گئے، {failed} ناکام',
+    'allocation.findStock': 'ذخیرہ تلاش کریں',
+    'allocation.reserved': { one: '{site} میں {count} یونٹ محفوظ', other: '{site} میں {count} یونٹ محفوظ' },
+    'allocation.anySite': 'کسی بھی مرکز',
+    'allocation.matched': { one: '{count} عطیہ دہندہ ملا', other: '{count} عطیہ دہندگان ملے' },
+
+    // Sites & transfers
+    'network.stock': 'نیٹ ورک کا ذخیرہ',
+    'network.site': 'مرکز',
+    'network.total': 'کل',
+    'network.inTransit': 'راستے میں',
+    'network.network': 'نیٹ ورک',
+    'transfer.title': 'منتقلیاں',
+    'transfer.fromSite': 'بھیجنے والا مرکز',
+    'transfer.toSite': 'وصول کرنے والا مرکز',
+    'transfer.units': 'یونٹ',
+    'transfer.submit': 'منتقلی کی درخواست',
+    'transfer.proposal': '{site} سے {units} × {bloodType} {component}',
+    'transfer.distance': '{distance} کلومیٹر',
+    'transfer.request': 'منتقلی کی درخواست کریں',
+    'transfer.requested': 'منتقلی کی درخواست ہو گئی',
+    'transfer.none': 'کوئی منتقلی جاری نہیں',
+    'transfer.item': '{count} × {need}: {from} ← {to} ({status})',
+    'transfer.dispatch': 'روانہ کریں',
+    'transfer.receive': 'وصول کریں',
+    'transfer.failed': 'یہ منتقلی اپ ڈیٹ نہیں ہو سکی',
+    'transferStatus.requested': 'درخواست شدہ',
+    'transferStatus.dispatched': 'روانہ',
+    'transferStatus.received': 'وصول شدہ',
+    'transferStatus.cancelled': 'منسوخ',
+
+    // Reports
+    'report.title': 'رپورٹس',
+    'report.last30': 'پچھلے 30 دن',
+    'report.last90': 'پچھلے 90 دن',
+    'report.last12Months': 'پچھلے 12 مہینے',
+    'report.allTime': 'شروع سے اب تک',
+    'report.custom': 'مخصوص مدت',
+    'report.from': 'سے',
+    'report.to': 'تک',
+    'report.bloodTypes': 'بلڈ گروپ بمقابلہ آبادی',
+    'report.cities': 'شہر کے لحاظ سے عطیہ دہندگان',
+    'report.ages': 'عمر کے لحاظ سے عطیہ دہندگان',
+    'report.timeline': 'رجسٹریشن اور عطیات',
+    'report.cohorts': 'برقراری کے گروہ',
+    'report.fulfilment': 'درخواست پوری ہونے کا وقت',
+    'report.share': '{share}% · معیار {norm}%',
+    'report.otherAge': 'دیگر',
+    'report.timelinePoint': '{period}: {registrations} رجسٹریشن، {donations} عطیات',
+    'report.registrations': 'رجسٹریشن',
+    'report.donations': 'عطیات',
+    'report.cohort': 'گروہ',
+    'report.donors': 'عطیہ دہندگان',
+    'report.retained': 'برقرار',
+    'report.lapsed': 'غیر فعال',
+    'report.never': 'کبھی نہیں',
+    'report.repeat': 'دوبارہ',
+    'report.retention': 'برقراری',
+    'report.urgency': 'فوریت',
+    'report.fulfilled': 'پوری ہوئیں',
+    'report.median': 'وسطانیہ',
+    'report.mean': 'اوسط',
+    'report.all': 'سب',
+    'report.hours': '{hours} گھنٹے',
+    'report.empty': 'اس مدت میں کوئی ڈیٹا نہیں',
+
+    // Impact
+    'impact.title': 'آپ کا اثر',
+    'impact.description': 'خون کی ہر بوتل کو کئی اجزاء میں الگ کیا جا سکتا ہے، جس سے مختلف ضروریات والے کئی مریضوں کی مدد ہوتی ہے۔',
+    'impact.rbcTitle': 'سرخ خلیات',
+    'impact.rbcText': 'خون کی کمی اور آپریشن کے دوران خون بہنے والے مریضوں کی مدد',
+    'impact.plasmaTitle': 'پلازما',
+    'impact.plasmaText': 'جلنے اور حادثات کا شکار مریضوں کے لیے نہایت اہم',
+    'impact.plateletsTitle': 'پلیٹ لیٹس',
+    'impact.plateletsText': 'کینسر کے مریضوں اور خون جمنے کی بیماریوں والوں کے لیے ضروری',
+    'impact.livesSaved': 'بچائی گئی زندگیاں',
+    'impact.perDonation': 'فی عطیہ',
+
+    // Registration
+    'register.title': 'عطیہ دہندہ بنیں',
+    'register.subtitle': 'زندگیاں بچانے والوں کی برادری میں شامل ہوں',
+    'register.selectBloodType': 'بلڈ گروپ منتخب کریں',
+    'register.age': 'عمر',
+    'register.weight': 'وزن ({unit})',
+    'register.sex': 'جنس',
+    'register.conditions': 'کوئی جاری طبی مسئلہ؟',
+    'register.noConditions': 'کوئی طبی مسئلہ نہیں',
+    'register.hasConditions': 'ہاں، مجھے ایک طبی مسئلہ ہے',
+    'register.homeSite': 'اپنا مرکز (میرے شہر کا قریب ترین)',
+    'register.lastDonation': 'آخری عطیہ',
+    'register.never': 'کبھی عطیہ نہیں دیا',
+    'register.months3': '3 مہینے سے زیادہ پہلے',
+    'register.months6': '6 مہینے سے زیادہ پہلے',
+    'register.year1': 'ایک سال سے زیادہ پہلے',
+    'register.terms': 'میں شرائط و ضوابط سے متفق ہوں اور تصدیق کرتا/کرتی ہوں کہ میں خون کا عطیہ دینے کے لیے صحت مند ہوں',
+    'register.submit': 'بطور عطیہ دہندہ رجسٹر کریں',
+    'register.invalid': '✗ رجسٹریشن ناکام: براہِ کرم نشان زدہ خانے درست کریں۔',
+    'register.duplicate': '✗ آپ اس {match} کے ساتھ پہلے سے رجسٹرڈ ہیں۔ اپنا ریکارڈ دیکھنے کے لیے میرا ڈونر صفحہ پر سائن اِن لنک منگوائیں۔',
+    'register.success': '✓ رجسٹریشن کامیاب! لائف فلو میں خوش آمدید، {name}۔',
+    'register.code': 'میرا ڈونر صفحہ کے لیے ان کا سائن اِن کوڈ {code} ہے، جو {until} تک کارآمد ہے۔',
+    'register.failed': '✗ رجسٹریشن ناکام: {reasons}۔',
+    'register.from': 'آپ {fromDate} سے رجسٹر ہو سکتے ہیں۔',
+    'sex.female': 'خاتون',
+    'sex.male': 'مرد',
+
+    // Appointments
+    'appointments.title': 'عطیے کا وقت لیں',
+    'appointments.subtitle': 'اپنی سہولت کا مرکز اور وقت چنیں',
+    'appointments.donor': 'ڈونر آئی ڈی یا ای میل',
+    'appointments.waitlist': 'اگر میرا چنا ہوا وقت بھرا ہو تو انتظار کی فہرست میں شامل کریں',
+    'appointments.siteSchedule': 'مرکز کا شیڈول',
+    'slots.none': 'اس دن اس مرکز پر کوئی خالی وقت نہیں',
+    'slots.free': '{capacity} میں سے {available} خالی',
+    'slots.full': 'بھرا ہوا · {count} منتظر',
+    'booking.noDonor': '✗ اس آئی ڈی یا ای میل سے کوئی عطیہ دہندہ نہیں ملا۔',
+    'booking.signIn': '✗ وقت بک کرنے کے لیے میرا ڈونر صفحہ پر سائن ان کریں۔',
+    'booking.failed': '✗ {when} کی بکنگ نہیں ہو سکی: {reasons}۔',
+    'booking.booked': '✓ {name}، آپ کی بکنگ {when} کے لیے ہو گئی ہے۔',
+    'booking.waitlisted': '✓ {when} بھرا ہوا ہے - آپ انتظار کی فہرست میں ہیں اور جگہ خالی ہونے پر آپ کی بکنگ ہو جائے گی۔',
+    'booking.unknownSite': 'نامعلوم عطیہ مرکز',
+    'booking.noSlot': '{site} میں اس وقت کوئی سلاٹ نہیں',
+    'booking.past': 'یہ وقت گزر چکا ہے',
+    'booking.alreadyBooked': '{startTime} کو پہلے سے ایک وقت طے ہے',
+    'booking.full': 'یہ وقت بھرا ہوا ہے',
+    'booking.tooManyNoShows': 'بہت سی ملاقاتیں چھوٹ گئیں؛ براہِ کرم مرکز پر آ کر بکنگ کریں',
+    'booking.unknownDonor': 'نامعلوم عطیہ دہندہ',
+    'booking.notUpcoming': 'صرف آنے والی ملاقاتوں کا وقت بدلا جا سکتا ہے',
+    'booking.inactive': 'عطیہ دہندہ کا ریکارڈ فعال نہیں',
+    'booking.nextDonation': 'اگلا عطیہ {fromDate} سے ممکن ہے',
+    'appointment.item': '{label}: {startTime}، {site}',
+    'appointment.reschedule': 'وقت بدلیں',
+    'appointment.pickNew': 'نیا وقت چنیں…',
+    'appointment.missed': { one: '{count} چھوٹی', other: '{count} چھوٹیں' },
+    'appointment.donated': 'عطیہ دیا',
+    'appointment.noShow': 'نہیں آئے',
+    'schedule.none': 'اس دن کوئی ملاقات نہیں',
+    'appointmentStatus.waitlisted': 'انتظار میں',
+    'appointmentStatus.booked': 'بک شدہ',
+    'appointmentStatus.completed': 'مکمل',
+    'appointmentStatus.no_show': 'نہیں آئے',
+    'appointmentStatus.cancelled': 'منسوخ',
+    'appointmentStatus.expired': 'ختم شدہ',
+
+    // Donor portal
+    'portal.title': 'میرا ڈونر صفحہ',
+    'portal.subtitle': 'آپ کے عطیات، آپ کی اگلی آمد اور آپ کا ڈونر کارڈ',
+    'portal.code': 'سائن اِن کوڈ',
+    'portal.open': 'میرا صفحہ کھولیں',
+    'portal.registeredEmail': 'وہ ای میل جس سے آپ نے رجسٹریشن کی',
+    'portal.emailLink': 'مجھے سائن اِن لنک ای میل کریں',
+    'portal.details': 'میری تفصیلات',
+    'portal.noHomeSite': 'کوئی مرکز نہیں',
+    'portal.saveDetails': 'تفصیلات محفوظ کریں',
+    'portal.card': 'ڈونر کارڈ',
+    'portal.downloadCard': 'کارڈ ڈاؤن لوڈ کریں',
+    'portal.history': 'عطیات کی تاریخ',
+    'portal.consent': 'رضامندی',
+    'portal.pauseUntil': 'اس تاریخ تک روکیں',
+    'portal.pause': 'روکیں',
+    'portal.withdraw': 'رضامندی واپس لیں',
+    'portal.resume': 'دوبارہ عطیہ شروع کریں',
+    'portal.badCode': 'یہ کوڈ غلط، استعمال شدہ یا ختم شدہ ہے۔ نیا سائن اِن لنک منگوائیں۔',
+    'portal.linkSent': 'اگر یہ پتہ رجسٹرڈ ہے تو سائن اِن لنک بھیج دیا گیا ہے۔',
+    'portal.demoEmail': 'نمونہ ای میل: {body}',
+    'portal.saved': 'آپ کی تفصیلات محفوظ ہو گئیں۔',
+    'portal.greeting': 'السلام علیکم، {name} ({bloodType})',
+    'portal.canDonate': 'آپ ابھی عطیہ دے سکتے ہیں',
+    'portal.bookAnytime': 'اپنی سہولت کے مطابق نیچے وقت لیں۔',
+    'portal.daysUntil': { one: 'دوبارہ عطیہ دینے میں {count} دن باقی', other: 'دوبارہ عطیہ دینے میں {count} دن باقی' },
+    'portal.from': '{fromDate} سے · {reasons}',
+    'portal.cannotDonate': 'آپ خون کا عطیہ نہیں دے سکتے',
+    'portal.talkToStaff': 'عطیہ دینے سے پہلے براہِ کرم ہمارے عملے سے بات کریں',
+    'portal.litres': '{litres} لیٹر',
+    'portal.impactDonations': 'عطیات',
+    'portal.impactVolume': 'دیا گیا خون',
+    'portal.impactTransfused': 'مریضوں کو دیے گئے یونٹ',
+    'portal.impactPatients': 'مریضوں کی مدد ہوئی (اندازہ)',
+    'portal.noDonations': 'ابھی تک کوئی عطیہ درج نہیں',
+    'portal.donation': '{donationDate} · {component} · {volume} ملی لیٹر',
+    'portal.donationAt': '{donationDate} · {component} · {volume} ملی لیٹر، {site}',
+    'portal.outcome.issued': 'مریض کو دیا گیا',
+    'portal.outcome.available': 'ذخیرے میں',
+    'portal.outcome.reserved': 'مریض کے لیے محفوظ',
+    'portal.outcome.quarantined': 'جانچ کا منتظر',
+    'portal.outcome.in_transit': 'ہسپتال جا رہا ہے',
+    'portal.outcome.discarded': 'استعمال نہیں ہوا',
+    'portal.consent.active': 'آپ میچنگ اور اپیلوں کے لیے دستیاب ہیں۔',
+    'portal.consent.paused': 'روکا گیا: ہم نہ آپ کو میچ کریں گے نہ عطیے کے لیے کہیں گے۔',
+    'portal.consent.pausedUntil': '{untilDate} تک روکا گیا: ہم نہ آپ کو میچ کریں گے نہ عطیے کے لیے کہیں گے۔',
+    'portal.consent.withdrawn': 'آپ نے رضامندی واپس لے لی ہے: ہم آپ سے رابطہ نہیں کریں گے اور نہ آپ کا ریکارڈ میچنگ میں استعمال کریں گے۔',
+    'portal.consent.inactive': 'آپ کا ریکارڈ غیر فعال ہے۔ اسے فعال کرانے کے لیے ہم سے رابطہ کریں۔',
+    'card.label': '{name} کا لائف فلو ڈونر کارڈ',
+    'card.title': 'لائف فلو ڈونر',
+    'card.since': '{sinceDate} سے عطیہ دہندہ',
+
+    // Donor directory
+    'directory.title': 'عطیہ دہندگان کی فہرست',
+    'directory.subtitle': 'عطیہ دہندگان کے ریکارڈ تلاش کریں، اپ ڈیٹ کریں اور سنبھالیں',
+    'directory.search': 'نام، ای میل یا فون تلاش کریں',
+    'directory.allBloodTypes': 'تمام بلڈ گروپ',
+    'directory.anyEligibility': 'کوئی بھی اہلیت',
+    'directory.eligibleNow': 'ابھی اہل',
+    'directory.anyStatus': 'کوئی بھی حیثیت',
+    'directory.name': 'نام',
+    'directory.type': 'گروپ',
+    'directory.contact': 'رابطہ',
+    'directory.status': 'حیثیت',
+    'directory.eligibility': 'اہلیت',
+    'directory.eligible': 'اہل',
+    'directory.deferred': 'مؤخر',
+    'directory.previous': 'پچھلا',
+    'directory.next': 'اگلا',
+    'directory.none': 'ان فلٹرز سے کوئی عطیہ دہندہ نہیں ملا',
+    'directory.summary': { one: 'صفحہ {page} از {pageCount} ({count} عطیہ دہندہ)', other: 'صفحہ {page} از {pageCount} ({count} عطیہ دہندگان)' },
+    'directory.edit': 'ترمیم',
+    'directory.deactivate': 'غیر فعال کریں',
+    'directory.reactivate': 'دوبارہ فعال کریں',
+    'donorStatus.active': 'فعال',
+    'donorStatus.inactive': 'غیر فعال',
+    'donorStatus.paused': 'رکا ہوا',
+    'donorStatus.withdrawn': 'رضامندی واپس',
+    'duplicates.find': 'دہرے ریکارڈ تلاش کریں',
+    'duplicates.merged': '{duplicate} کو {primary} میں ضم کر دیا گیا۔',
+    'duplicates.undo': 'واپس لیں',
+    'duplicates.none': 'کوئی ممکنہ دہرا ریکارڈ نہیں ملا',
+    'duplicates.noEmail': 'ای میل نہیں',
+    'duplicates.noCity': 'شہر نہیں',
+    'duplicates.merge': 'ضم کریں',
+    'duplicates.reason.email': 'ای میل',
+    'duplicates.reason.phone': 'فون',
+    'duplicates.reason.name+city': 'نام اور شہر',
+
+    // Campaigns & delivery log
+    'campaigns.title': 'عطیہ دہندگان کی مہمات',
+    'campaigns.subject': 'عنوان',
+    'campaigns.message': 'پیغام - {{name}}، {{bloodType}} یا {{city}} استعمال کریں',
+    'campaigns.bloodTypes': 'بلڈ گروپ (کچھ نہ چننے کا مطلب سب)',
+    'campaigns.cities': 'شہر، کوما سے الگ (سب کے لیے خالی چھوڑیں)',
+    'campaigns.send': 'مہم بھیجیں',
+    'campaigns.sendReminders': 'اہلیت کی یاد دہانیاں بھیجیں',
+    'campaigns.deliveryLog': 'ترسیل کا ریکارڈ',
+    'campaigns.audience': { one: '{count} فعال عطیہ دہندہ موزوں ہے', other: '{count} فعال عطیہ دہندگان موزوں ہیں' },
+    'campaigns.required': 'عنوان اور پیغام ضروری ہیں',
+    'campaigns.sent': 'مہم بھیج دی گئی: {sent} موصول، {skipped} چھوڑے گئے، {failed} ناکام',
+    'campaigns.reminders': { one: '{count} اہلیت کی یاد دہانی بھیجی گئی', other: '{count} اہلیت کی یاد دہانیاں بھیجی گئیں' },
+    'campaigns.noMessages': 'ابھی تک کوئی پیغام نہیں بھیجا گیا',
+
+    // Import & export
+    'exchange.title': 'درآمد اور برآمد',
+    'exchange.donors': 'عطیہ دہندگان',
+    'exchange.inventory': 'ذخیرہ',
+    'exchange.requests': 'درخواستیں',
+    'exchange.exportCsv': 'CSV برآمد کریں',
+    'exchange.exportJson': 'JSON برآمد کریں',
+    'exchange.dryRun': 'آزمائشی جانچ',
+    'exchange.import': 'درآمد کریں',
+    'exchange.skip': '(چھوڑیں)',
+    'exchange.dryRunSummary': 'آزمائشی جانچ: {created} بنیں گے، {updated} اپ ڈیٹ ہوں گے، {rejected} مسترد',
+    'exchange.importSummary': 'درآمد مکمل: {created} بنے، {updated} اپ ڈیٹ ہوئے، {rejected} مسترد',
+    'exchange.row': 'قطار {row}: {errors}',
+    'exchange.more': '…اور {count} مزید مسترد قطاریں',
+
+    // AI features & demos
+    'ai.title': 'اے آئی سے چلنے والی خصوصیات',
+    'ai.subtitle': 'خون کے عطیات کے بہتر انتظام کے لیے جدید ٹیکنالوجی',
+    'ai.matchingTitle': 'اسمارٹ میچنگ',
+    'ai.matchingText': 'اے آئی الگورتھم مقام، بلڈ گروپ اور فوریت کی بنیاد پر عطیہ دہندگان کو مریضوں سے ملاتے ہیں',
+    'ai.matchingButton': 'اے آئی میچنگ کا نمونہ',
+    'ai.predictionTitle': 'طلب کی پیش گوئی',
+    'ai.predictionText': 'مشین لرننگ پرانے ڈیٹا کی بنیاد پر خون کی طلب کے رجحانات کی پیش گوئی کرتی ہے',
+    'ai.predictionButton': 'پیش گوئیاں دیکھیں',
+    'ai.eligibilityTitle': 'اہلیت جانچ',
+    'ai.eligibilityText': 'ممکنہ عطیہ دہندگان کی اہلیت کا فوری اے آئی جائزہ',
+    'ai.eligibilityButton': 'اہلیت جانچیں',
+    'demo.matchesFound': 'بہترین میچ:',
+    'demo.request': '{city} میں {bloodType} ({urgency})، {units} یونٹ، دائرہ {radius} کلومیٹر',
+    'demo.noMatches': 'دائرے میں کوئی اہل عطیہ دہندہ نہیں',
+    'demo.match': '{rank}. {name} ({bloodType}، {distance} کلومیٹر) - اسکور: {score}',
+    'demo.explain': 'فاصلہ {distance}، حالیہ عطیہ {recency}، جواب {response}، گروپ {type}',
+    'demo.shortfall': 'کمی: تقریباً {units} یونٹ پورے نہ ہونے کی توقع',
+    'demo.forecast': '{bloodType} کی طلب کی پیش گوئی:',
+    'demo.current': 'موجودہ: {demand} یونٹ روزانہ',
+    'demo.tomorrow': 'کل: {demand} یونٹ (95% حد {lower}-{upper})',
+    'demo.predicted': 'پیش گوئی (7 دن): {demand} یونٹ',
+    'demo.trend': 'رجحان: {trend} ({accuracy})',
+    'demo.noBacktest': 'جانچ کے لیے کافی پرانا ڈیٹا نہیں',
+    'demo.backtest': 'بیک ٹیسٹ MAPE {mape}%',
+    'trend.increasing': 'بڑھ رہی ہے',
+    'trend.decreasing': 'گھٹ رہی ہے',
+    'trend.stable': 'مستحکم',
+    'demo.testCase': 'آزمائشی مثال:',
+    'demo.answers': 'عمر: {age}، وزن: {weightKg}، جنس: {sex}',
+    'demo.eligible': '✓ اہل',
+    'demo.notEligible': '✗ اہل نہیں ({deferral})',
+    'demo.eligibleFrom': 'اہل از: {date}',
+    'demo.rules': 'قواعد: {rules}',
+    'demo.ruleSet': 'قواعد کا مجموعہ {id} v{version}',
+    'deferral.temporary': 'عارضی',
+    'deferral.permanent': 'مستقل',
+
+    // Donation process
+    'process.title': 'عطیے کا طریقہ',
+    'process.subtitle': 'آسان، محفوظ اور تیز',
+    'process.registrationTitle': 'رجسٹریشن',
+    'process.registrationText': 'سائن اپ کریں اور اپنی صحت کے بارے میں بنیادی معلومات دیں',
+    'process.screeningTitle': 'صحت کی جانچ',
+    'process.screeningText': 'یہ یقینی بنانے کے لیے مختصر معائنہ کہ آپ عطیے کے اہل اور صحت مند ہیں',
+    'process.donationTitle': 'عطیہ',
+    'process.donationText': 'اصل عطیے میں صرف 8 سے 10 منٹ لگتے ہیں',
+    'process.refreshmentsTitle': 'تواضع',
+    'process.refreshmentsText': 'آرام کریں اور جسم کے سنبھلنے تک ہلکی پھلکی چیزیں کھائیں',
+
+    // Call to action
+    'cta.title': 'زندگیاں بچانے کے لیے تیار ہیں؟',
+    'cta.text': 'آج ہی عطیے کا وقت لیں اور ہیرو بنیں',
+    'cta.button': 'وقت لیں',
+
+    // Account
+    'account.title': 'اکاؤنٹ',
+    'account.subtitle': 'عطیہ دہندگان، ذخیرے اور درخواستوں کے انتظام کے لیے سائن اِن کریں',
+    'account.username': 'صارف نام',
+    'account.passcode': 'پاس کوڈ',
+    'account.signIn': 'سائن اِن',
+    'account.currentPasscode': 'موجودہ پاس کوڈ',
+    'account.newPasscode': 'نیا پاس کوڈ',
+    'account.changePasscode': 'پاس کوڈ تبدیل کریں',
+    'account.auditLog': 'آڈٹ لاگ',
+    'account.wrongPasscode': 'صارف نام یا پاس کوڈ غلط ہے',
+    'account.passcodeChanged': 'پاس کوڈ تبدیل ہو گیا',
+    'account.currentWrong': 'موجودہ پاس کوڈ غلط ہے',
+    'account.signedInAs': '{name} ({role}) کے طور پر سائن اِن',
+    'account.choosePasscode': 'براہِ کرم نیا پاس کوڈ چنیں',
+    'role.public': 'مہمان',
+    'role.donor': 'عطیہ دہندہ',
+    'role.registration_desk': 'رجسٹریشن ڈیسک',
+    'role.lab': 'لیب',
+    'role.hospital_coordinator': 'ہسپتال کوآرڈینیٹر',
+    'role.admin': 'ایڈمن',
+    'role.system': 'سسٹم',
+
+    // Footer
+    'footer.tagline': 'عطیہ دہندگان کو ضرورت مندوں سے جوڑنا، ہر عطیے سے زندگیاں بچانا۔',
+    'footer.quickLinks': 'فوری روابط',
+    'footer.aboutUs': 'ہمارے بارے میں',
+    'footer.contact': 'رابطہ',
+    'footer.email': 'ای میل:',
+    'footer.phone': 'فون:',
+    'footer.emergency': 'ہنگامی:',
+    'footer.copyright': '© 2025 لائف فلو۔ جملہ حقوق محفوظ ہیں۔ آئی سی ٹی جدت کے تعاون سے۔',
+
+    // Connection & errors
+    'connection.online': '🟢 آن لائن',
+    'connection.offline': '🔴 آف لائن',
+    'connection.restored': 'رابطہ بحال ہو گیا',
+    'connection.lost': 'رابطہ منقطع - آف لائن کام جاری',
+    'connection.syncFailed': 'ہم آہنگی ناکام: {error}',
+    'error.storage': '{key} پڑھا نہیں جا سکا؛ اصل ڈیٹا {backupKey} میں محفوظ ہے',
+    'error.permission': 'آپ کے اکاؤنٹ کو اس کی اجازت نہیں ({permission})',
+
+    // Eligibility reasons, keyed by the rules' messageKey
+    'eligibility.eligible': 'آپ عطیہ دینے کے اہل ہیں!',
+    'eligibility.ageMin': 'عطیے کے لیے کم از کم عمر {age} سال ہے',
+    'eligibility.ageMax': 'عطیے کے لیے زیادہ سے زیادہ عمر {age} سال ہے',
+    'eligibility.weightMin': 'کم از کم وزن {minKg} ہونا ضروری ہے',
+    'eligibility.hemoglobinLow': 'ہیموگلوبن {hemoglobin} g/dL سے کم ہے',
+    'eligibility.systolicHigh': 'سسٹولک بلڈ پریشر {pressure} mmHg سے زیادہ ہے',
+    'eligibility.diastolicHigh': 'ڈائسٹولک بلڈ پریشر {pressure} mmHg سے زیادہ ہے',
+    'eligibility.systolicLow': 'سسٹولک بلڈ پریشر {pressure} mmHg سے کم ہے',
+    'eligibility.interval': 'دو عطیات کے درمیان کم از کم {count} دن کا وقفہ ضروری ہے',
+    'eligibility.intervalMen': 'مردوں کے لیے دو عطیات کے درمیان {count} ہفتے کا وقفہ ضروری ہے',
+    'eligibility.intervalWomen': 'خواتین کے لیے دو عطیات کے درمیان {count} ہفتے کا وقفہ ضروری ہے',
+    'eligibility.intervalRbc': 'ڈبل ریڈ سیل عطیے کے بعد {count} دن کا وقفہ ضروری ہے',
+    'eligibility.intervalPlatelets': 'پلیٹ لیٹس کے عطیے کے بعد {count} دن کا وقفہ ضروری ہے',
+    'eligibility.intervalPlasma': 'پلازما کے عطیے کے بعد {count} دن کا وقفہ ضروری ہے',
+    'eligibility.tattoo': 'پچھلے {count} مہینوں میں ٹیٹو یا چھیدن',
+    'eligibility.malariaTravel': 'پچھلے {count} مہینوں میں ملیریا والے علاقے کا سفر',
+    'eligibility.isotretinoin': 'پچھلے مہینے آئسوٹریٹینوئن استعمال کی',
+    'eligibility.anticoagulants': 'اس وقت خون پتلا کرنے والی دوا لے رہے ہیں',
+    'eligibility.acitretin': 'پچھلے {count} سال میں ایسیٹریٹن استعمال کی',
+    'eligibility.pregnant': 'حمل کے دوران عطیہ نہیں دیا جا سکتا',
+    'eligibility.pregnancyRecent': 'حمل کے بعد {count} ہفتے انتظار ضروری ہے',
+    'eligibility.conditions': 'طبی مسائل کا ڈاکٹر سے جائزہ ضروری ہے',
+    'eligibility.bloodborneInfection': 'ایچ آئی وی یا ہیپاٹائٹس بی/سی کی تاریخ',
+    'eligibility.waitingPeriod': 'آپ کے پچھلے عطیے کے بعد انتظار کی مدت',
+
+    // Field errors, keyed as in FIELD_ERROR_MESSAGES
+    'validation.required': '{label} ضروری ہے',
+    'validation.text': '{label} متن ہونا چاہیے',
+    'validation.tooLong': '{label} زیادہ سے زیادہ {maxLength} حروف کا ہو سکتا ہے',
+    'validation.invalid': '{label} درست نہیں',
+    'validation.oneOf': '{label} ان میں سے ایک ہونا چاہیے: {values}',
+    'validation.numberRange': '{label} {min} اور {max} کے درمیان عدد ہونا چاہیے',
+    'validation.integerRange': '{label} {min} اور {max} کے درمیان پورا عدد ہونا چاہیے',
+    'validation.weightRange': '{label} {minKg} اور {maxKg} کے درمیان ہونا چاہیے',
+    'validation.atLeast': '{label} کم از کم {min} کا پورا عدد ہونا چاہیے',
+    'validation.site': '{label} کوئی مرکز ہونا چاہیے',
+    'validation.unknownSite': '{label} کوئی معلوم مرکز نہیں',
+    'validation.sameSite': '{label} بھیجنے والے مرکز سے مختلف ہونا چاہیے',
+    'validation.date': '{label} درست تاریخ نہیں',
+    'validation.boolean': '{label} ہاں یا نہیں ہونا چاہیے',
+    'validation.list': '{label} میں صرف یہ ہو سکتے ہیں: {values}',
+    'validation.phenotype': '{label} میں {antigens} مثبت یا منفی ہونے چاہییں',
+    'validation.notWritable': '{label} براہ راست تبدیل نہیں کیا جا سکتا',
+    'validation.alreadySet': '{label} پہلے ہی {value} ہے',
+    'validation.requestClosed': 'درخواست {status} ہے اور اب تبدیل نہیں کی جا سکتی',
+    'validation.transition': '{from} یونٹ کو {to} میں تبدیل نہیں کیا جا سکتا',
+    'validation.transferOnly': 'یونٹ صرف منتقلی کے ذریعے ٹرانزٹ میں جاتے ہیں',
+    'validation.repeatsRow': 'اس فائل کی قطار {row} کو دہراتی ہے',
+    'field.donors.name': 'نام',
+    'field.donors.email': 'ای میل پتہ',
+    'field.donors.phone': 'فون نمبر',
+    'field.donors.bloodType': 'بلڈ گروپ',
+    'field.donors.age': 'عمر',
+    'field.donors.weight': 'وزن',
+    'field.donors.sex': 'جنس',
+    'field.donors.city': 'شہر',
+    'field.donors.siteId': 'اپنا مرکز',
+    'field.donors.lastDonation': 'آخری عطیہ',
+    'field.donors.lastDonationDate': 'آخری عطیے کی تاریخ',
+    'field.donors.antigens': 'اینٹیجن فینوٹائپ',
+    'field.donors.cmvNegative': 'سی ایم وی منفی',
+    'field.donors.pausedUntil': 'وقفے کا اختتام',
+    'field.donors.status': 'حیثیت',
+    'field.inventory.status': 'حیثیت',
+    'field.requests.status': 'حیثیت',
+    'field.transfers.fromSiteId': 'بھیجنے والا مرکز',
+    'field.transfers.toSiteId': 'وصول کرنے والا مرکز',
+    'field.transfers.bloodType': 'بلڈ گروپ',
+    'field.transfers.component': 'جزو',
+    'field.transfers.units': 'یونٹ'
+};
@@ -0,0 +1,16 @@
+// ============================================================================
+// LIFEFLOW BLOOD DONATION SYSTEM
+// Comprehensive ICT Implementation
+// ============================================================================
+
+import { LifeFlowApp } from './ui/app.js';
+
+// ============================================================================
+// Initialize Application on Page Load
+// ============================================================================
+
+// Exposed on window for poking at from the browser console
+document.addEventListener('DOMContentLoaded', () => {
+    window.lifeFlowApp = new LifeFlowApp();
+    window.lifeFlowApp.ready.then(() => console.log('LifeFlow Application Ready'));
+});
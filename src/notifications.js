@@ -0,0 +1,281 @@
+// ============================================================================
+// Donor Notifications
+// ============================================================================
+
+// Message templates; {{field}} is replaced from the values passed when sending
+const NOTIFICATION_TEMPLATES = {
+    eligible_again: {
+        subject: 'You can donate again, {{name}}',
+        body: 'Hi {{name}}, you are eligible to give blood again from {{eligibleDate}}. {{bloodType}} donors are always needed - book a visit when you can.'
+    },
+    urgent_appeal: {
+        subject: 'Urgent: {{bloodType}} blood needed in {{city}}',
+        body: 'Hi {{name}}, {{hospital}} urgently needs {{units}} unit(s) of {{bloodType}} blood by {{deadline}}. If you can donate, please reply or visit your nearest centre.'
+    },
+    campaign: {
+        subject: '{{subject}}',
+        body: '{{message}}'
+    },
+    access_link: {
+        subject: 'Your LifeFlow sign-in link',
+        body: 'Hi {{name}}, open {{link}} or enter the code {{code}} to sign in to your donor page. It works once and expires in {{minutes}} minutes. If you did not ask for it, ignore this message.'
+    }
+};
+
+// Messages the donor asked for. They go out whatever the donor's status or
+// opt-out, and only their own rate limit applies; they do not count towards the total.
+const TRANSACTIONAL_KINDS = ['access_link'];
+
+// Messages allowed per donor within a rolling window, per kind and overall
+const NOTIFICATION_RATE_LIMITS = {
+    eligible_again: { max: 1, days: 30 },
+    urgent_appeal: { max: 1, days: 1 },
+    campaign: { max: 1, days: 7 },
+    access_link: { max: 5, days: 1 },
+    total: { max: 3, days: 7 }
+};
+
+const NOTIFICATION_CHANNELS = ['email', 'sms'];
+
+// Every provider exposes `channel` and send({ to, subject, body }) -> { messageId }
+
+// Email over HTTP: POST {baseUrl}/messages
+export class LifeFlowEmailProvider {
+    constructor(baseUrl, fetchImpl = (...args) => fetch(...args)) {
+        this.channel = 'email';
+        this.baseUrl = baseUrl.replace(/\/$/, '');
+        this.fetch = fetchImpl;
+    }
+
+    async send(message) {
+        const response = await this.fetch(`${this.baseUrl}/messages`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ channel: this.channel, ...message })
+        });
+        if (!response.ok) throw new Error(`Email send failed with HTTP ${response.status}`);
+        return response.json();
+    }
+}
+
+// SMS gateways take no subject line
+export class LifeFlowSmsProvider extends LifeFlowEmailProvider {
+    constructor(baseUrl, fetchImpl) {
+        super(baseUrl, fetchImpl);
+        this.channel = 'sms';
+    }
+
+    async send({ to, body }) {
+        const response = await this.fetch(`${this.baseUrl}/messages`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ channel: this.channel, to, body })
+        });
+        if (!response.ok) throw new Error(`SMS send failed with HTTP ${response.status}`);
+        return response.json();
+    }
+}
+
+// Local stand-in that keeps sent messages in memory; set failNext to
+// make the next send throw
+export class LifeFlowFakeProvider {
+    constructor(channel) {
+        this.channel = channel;
+        this.sent = [];
+        this.failNext = false;
+    }
+
+    async send(message) {
+        if (this.failNext) {
+            this.failNext = false;
+            throw new Error(`Fake ${this.channel} provider failure`);
+        }
+        const messageId = `${this.channel}-${this.sent.length + 1}`;
+        this.sent.push({ messageId, ...message });
+        return { messageId };
+    }
+}
+
+export class LifeFlowNotifications {
+    constructor(database, ai, providers = {}) {
+        this.database = database;
+        this.ai = ai;
+        this.providers = providers;
+        this.templates = NOTIFICATION_TEMPLATES;
+        this.limits = NOTIFICATION_RATE_LIMITS;
+    }
+
+    render(text, values) {
+        return text.replace(/\{\{(\w+)\}\}/g, (_, field) => values[field] ?? '');
+    }
+
+    // Preferences live on the donor; by default use every channel we have contact details for
+    getPreferences(donor) {
+        const stored = donor.notificationPreferences || {};
+        return {
+            channels: stored.channels || NOTIFICATION_CHANNELS.filter(channel => this.addressFor(donor, channel)),
+            optOut: stored.optOut === true
+        };
+    }
+
+    setPreferences(donorId, preferences) {
+        const donor = this.database.findRecord('donors', donorId);
+        if (!donor) return null;
+
+        const channels = (preferences.channels || this.getPreferences(donor).channels)
+            .filter(channel => NOTIFICATION_CHANNELS.includes(channel));
+        return this.database.updateDonor(donorId, {
+            notificationPreferences: { channels, optOut: preferences.optOut === true }
+        });
+    }
+
+    optOut(donorId) {
+        return this.setPreferences(donorId, { optOut: true });
+    }
+
+    addressFor(donor, channel) {
+        return channel === 'email' ? donor.email : donor.phone;
+    }
+
+    // Reason the donor may not be messaged now, or null
+    checkRateLimit(donorId, kind, now = this.database.clock()) {
+        const sentWithin = (days, matchKind) => this.database.readNotificationLog(donorId).filter(entry =>
+            entry.status === 'sent' &&
+            (matchKind ? entry.kind === matchKind : !TRANSACTIONAL_KINDS.includes(entry.kind)) &&
+            now - new Date(entry.date) < days * 86400000
+        );
+        // Count messages, not channels: one notify() may log an email and an SMS
+        const messages = entries => new Set(entries.map(entry => entry.messageGroup)).size;
+
+        const kindLimit = this.limits[kind];
+        if (kindLimit && messages(sentWithin(kindLimit.days, kind)) >= kindLimit.max) {
+            return `${kind} limit of ${kindLimit.max} per ${kindLimit.days} day(s) reached`;
+        }
+        const total = this.limits.total;
+        if (total && !TRANSACTIONAL_KINDS.includes(kind) && messages(sentWithin(total.days)) >= total.max) {
+            return `limit of ${total.max} messages per ${total.days} day(s) reached`;
+        }
+        return null;
+    }
+
+    // Send one templated message on each of the donor's channels and log
+    // the outcome; skipped sends are logged with the reason
+    async notify(donor, kind, values = {}, context = {}, now = this.database.clock()) {
+        const template = context.template || this.templates[kind];
+        const preferences = this.getPreferences(donor);
+        const messageGroup = this.database.newId();
+        const log = (channel, status, details = {}) => this.database.logNotification({
+            donorId: donor.id, kind, channel, status, messageGroup, ...context.log, ...details
+        });
+
+        let skipReason = null;
+        const transactional = TRANSACTIONAL_KINDS.includes(kind);
+        if (!transactional && donor.status !== 'active') skipReason = 'donor is not active';
+        else if (!transactional && preferences.optOut) skipReason = 'donor opted out';
+        else if (preferences.channels.length === 0) skipReason = 'no contact channel';
+        else skipReason = this.checkRateLimit(donor.id, kind, now);
+        if (skipReason) return [log(null, 'skipped', { reason: skipReason })];
+
+        const fields = { name: donor.name, bloodType: donor.bloodType, city: donor.city, ...values };
+        const subject = this.render(template.subject, fields);
+        const body = this.render(template.body, fields);
+
+        // A sign-in link is a secret: the log records that it went out, not what it said
+        const logged = transactional ? { subject } : { subject, body };
+        const results = [];
+        for (const channel of preferences.channels) {
+            const provider = this.providers[channel];
+            const to = this.addressFor(donor, channel);
+            if (!provider || !to) {
+                results.push(log(channel, 'skipped', { reason: provider ? 'no address' : 'no provider' }));
+                continue;
+            }
+            try {
+                const { messageId } = await provider.send({ to, subject, body });
+                results.push(log(channel, 'sent', { to, ...logged, messageId }));
+            } catch (e) {
+                results.push(log(channel, 'failed', { to, ...logged, reason: e.message }));
+            }
+        }
+        return results;
+    }
+
+    // Remind donors whose waiting period has ended since their last reminder
+    async sendEligibilityReminders(now = this.database.clock()) {
+        this.database.authorize('notifications.send');
+        const due = this.database.readDonors().filter(donor => {
+            if (donor.status !== 'active' || !donor.nextEligibleDate) return false;
+            const eligibleDate = new Date(donor.nextEligibleDate);
+            if (eligibleDate > now) return false;
+            return !this.database.readNotificationLog(donor.id).some(entry =>
+                entry.kind === 'eligible_again' && entry.status === 'sent' && new Date(entry.date) >= eligibleDate
+            );
+        });
+
+        const results = [];
+        for (const donor of due) {
+            results.push(...await this.notify(donor, 'eligible_again', {
+                eligibleDate: new Date(donor.nextEligibleDate).toLocaleDateString()
+            }, {}, now));
+        }
+        return results;
+    }
+
+    // Appeal to the donors matched for an open request
+    async sendUrgentAppeal(requestId, now = this.database.clock()) {
+        this.database.authorize('notifications.send');
+        const request = this.database.getRequest(requestId);
+        if (!request || this.database.isRequestClosed(request)) return [];
+
+        const { matches } = this.ai.smartMatching(request, now);
+        const values = {
+            hospital: request.hospital,
+            city: request.city || '',
+            units: request.units - request.unitsFulfilled,
+            bloodType: request.bloodType,
+            deadline: request.deadline ? new Date(request.deadline).toLocaleString() : 'as soon as possible'
+        };
+
+        const results = [];
+        for (const match of matches) {
+            const donor = this.database.findRecord('donors', match.id);
+            if (!donor) continue;
+            results.push(...await this.notify(donor, 'urgent_appeal', values, { log: { requestId } }, now));
+        }
+        return results;
+    }
+
+    // Donors a campaign would reach: active, matching every given filter
+    campaignAudience({ bloodTypes = [], cities = [] } = {}) {
+        const wantedCities = cities.map(city => city.trim().toLowerCase()).filter(Boolean);
+        return this.database.readDonors().filter(donor =>
+            donor.status === 'active' &&
+            (bloodTypes.length === 0 || bloodTypes.includes(donor.bloodType)) &&
+            (wantedCities.length === 0 || wantedCities.includes((donor.city || '').trim().toLowerCase()))
+        );
+    }
+
+    async sendCampaign(campaign, now = this.database.clock()) {
+        this.database.authorize('notifications.send');
+        const campaignId = this.database.newId();
+        const template = {
+            subject: campaign.subject || this.templates.campaign.subject,
+            body: campaign.message || this.templates.campaign.body
+        };
+
+        const results = [];
+        for (const donor of this.campaignAudience(campaign)) {
+            results.push(...await this.notify(donor, 'campaign', {}, {
+                template,
+                log: { campaignId, campaign: campaign.name || template.subject }
+            }, now));
+        }
+        return results;
+    }
+
+    summarize(results) {
+        const summary = { sent: 0, failed: 0, skipped: 0 };
+        results.forEach(entry => { summary[entry.status]++; });
+        return summary;
+    }
+}
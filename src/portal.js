@@ -0,0 +1,153 @@
+import { encodeQR } from './qr.js';
+
+// ============================================================================
+// Donor Self-Service Portal
+// ============================================================================
+
+// Text in the QR code on a donor card. Scanning a card into a donor lookup
+// (such as the booking form) finds the donor.
+export const DONOR_CARD_PREFIX = 'LIFEFLOW-DONOR:';
+
+// Rough number of patients helped per donation that passed screening:
+// a whole blood donation is split into red cells, plasma and platelets
+const PATIENTS_PER_DONATION = { whole_blood: 3, rbc: 1, platelets: 1, plasma: 1 };
+
+// Everything here goes through the database's permission checks, so a donor
+// signed in with an access code only ever sees and changes their own record
+export class LifeFlowDonorPortal {
+    constructor(database, ai, scheduler, notifications) {
+        this.database = database;
+        this.ai = ai;
+        this.scheduler = scheduler;
+        this.notifications = notifications;
+    }
+
+    // First code for someone who has just registered, shown to them on screen
+    issueFirstAccess(donorId) {
+        return this.database.asSystem(() => this.database.issueAccessCode(donorId));
+    }
+
+    // Send a sign-in link to a registered email address. Resolves the same way
+    // whether or not the address is known, so the form reveals nothing.
+    async requestAccessLink(email, linkBase) {
+        const address = String(email || '').trim().toLowerCase();
+        const donor = address
+            ? this.database.readDonors().find(d => d.status !== 'merged' && (d.email || '').toLowerCase() === address)
+            : null;
+        if (!donor) return;
+
+        const access = await this.database.asSystem(() => this.database.issueAccessCode(donor.id));
+        await this.notifications.notify(donor, 'access_link', {
+            code: access.code,
+            link: this.accessLink(access.code, linkBase),
+            minutes: Math.round((new Date(access.expiresAt) - this.database.clock()) / 60000)
+        });
+    }
+
+    // The page opens the portal and signs in when it finds ?access=<code>
+    accessLink(code, linkBase) {
+        return `${linkBase}?access=${encodeURIComponent(code)}#portal`;
+    }
+
+    getProfile(donorId) {
+        return this.database.listDonors().find(d => d.id === donorId) || null;
+    }
+
+    updateProfile(donorId, updates) {
+        return this.database.updateDonor(donorId, updates);
+    }
+
+    // Newest first, with what became of each donated unit
+    getHistory(donorId) {
+        this.database.authorize('donors.read', donorId);
+        return this.database.readDonations(donorId)
+            .map(donation => {
+                const unit = this.database.getUnit(donation.unitId);
+                return {
+                    id: donation.id,
+                    date: donation.date,
+                    site: donation.site,
+                    component: donation.component,
+                    volume: donation.volume,
+                    screeningResult: donation.screeningResult,
+                    unitStatus: unit ? unit.status : null
+                };
+            })
+            .sort((a, b) => new Date(b.date) - new Date(a.date));
+    }
+
+    // When the donor can next give: the eligibility rules applied to their
+    // record, and the waiting period for the component they last gave
+    getNextEligibility(donorId, now = this.database.clock()) {
+        const donor = this.getProfile(donorId);
+        if (!donor) return null;
+
+        const result = this.ai.checkEligibility(donor, now);
+        const cooldownEnd = donor.nextEligibleDate ? new Date(donor.nextEligibleDate) : null;
+        const waiting = cooldownEnd !== null && cooldownEnd > now;
+
+        let eligibleDate = result.eligibleDate ? new Date(result.eligibleDate) : null;
+        // Worth its own reason only when a rule set without the standard
+        // waiting periods would let the donor give sooner
+        const outlastsRules = eligibleDate && waiting && cooldownEnd > eligibleDate;
+        if (outlastsRules) eligibleDate = cooldownEnd;
+
+        const reasons = result.eligible ? [] : [...result.reasons];
+        const reasonKeys = result.eligible ? [] : [...result.reasonKeys];
+        if (outlastsRules) {
+            reasons.push('Waiting period after your last donation');
+            reasonKeys.push({ key: 'eligibility.waitingPeriod', params: {} });
+        }
+        return {
+            eligible: result.eligible && !waiting,
+            eligibleDate: eligibleDate ? eligibleDate.toISOString() : null,
+            daysRemaining: eligibleDate ? Math.max(0, Math.ceil((eligibleDate - now) / 86400000)) : null,
+            deferralType: result.deferralType,
+            reasons: reasons.length > 0 ? reasons : result.reasons,
+            reasonKeys: reasons.length > 0 ? reasonKeys : result.reasonKeys
+        };
+    }
+
+    getImpact(donorId) {
+        const history = this.getHistory(donorId);
+        const passed = history.filter(d => d.screeningResult === 'passed');
+        return {
+            donations: history.length,
+            volumeMl: history.reduce((sum, d) => sum + (d.volume || 0), 0),
+            unitsTransfused: history.filter(d => d.unitStatus === 'issued').length,
+            patientsHelped: passed.reduce((sum, d) => sum + (PATIENTS_PER_DONATION[d.component] || 1), 0),
+            firstDonation: history.length > 0 ? history[history.length - 1].date : null
+        };
+    }
+
+    // What goes on the printable card
+    getCard(donorId) {
+        const donor = this.getProfile(donorId);
+        if (!donor) return null;
+
+        const reference = `${DONOR_CARD_PREFIX}${donor.id}`;
+        return {
+            name: donor.name,
+            bloodType: donor.bloodType,
+            donorId: donor.id,
+            memberSince: donor.registrationDate,
+            reference,
+            qr: encodeQR(reference)
+        };
+    }
+
+    pause(donorId, until = null) {
+        return this.database.pauseDonor(donorId, until);
+    }
+
+    // Withdrawing consent also cancels any visits the donor has booked
+    withdraw(donorId) {
+        const donor = this.database.withdrawConsent(donorId);
+        if (donor) this.scheduler.getUpcoming(donorId).forEach(a => this.scheduler.cancel(a.id, 'Donor withdrew consent'));
+        return donor;
+    }
+
+    resume(donorId) {
+        return this.database.resumeDonor(donorId);
+    }
+}
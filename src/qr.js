@@ -0,0 +1,313 @@
+// ============================================================================
+// QR Codes
+// ============================================================================
+
+// Byte-mode QR encoder for short payloads such as a donor card reference.
+// Always uses error correction level M and picks the smallest version from
+// 1 to 10 that fits (up to 213 bytes).
+
+const MAX_VERSION = 10;
+
+// Per version at level M: error correction codewords per block, and block count
+const EC_CODEWORDS_PER_BLOCK = [null, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26];
+const EC_BLOCKS = [null, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5];
+
+// Level M's format bits, and the mask applied to the whole format word
+const EC_LEVEL_BITS = 0b00;
+const FORMAT_MASK = 0x5412;
+
+// Whether mask n flips the module at column x, row y
+const MASKS = [
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    (x, y) => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+    (x, y) => x * y % 2 + x * y % 3 === 0,
+    (x, y) => (x * y % 2 + x * y % 3) % 2 === 0,
+    (x, y) => ((x + y) % 2 + x * y % 3) % 2 === 0
+];
+
+// Multiply in GF(2^8) modulo the QR polynomial x^8 + x^4 + x^3 + x^2 + 1
+function gfMultiply(x, y) {
+    let z = 0;
+    for (let i = 7; i >= 0; i--) {
+        z = (z << 1) ^ ((z >>> 7) * 0x11d);
+        z ^= ((y >>> i) & 1) * x;
+    }
+    return z;
+}
+
+// Reed-Solomon error correction codewords for one block of data
+function reedSolomon(data, degree) {
+    const divisor = new Array(degree).fill(0);
+    divisor[degree - 1] = 1;
+    let root = 1;
+    for (let i = 0; i < degree; i++) {
+        for (let j = 0; j < degree; j++) {
+            divisor[j] = gfMultiply(divisor[j], root);
+            if (j + 1 < degree) divisor[j] ^= divisor[j + 1];
+        }
+        root = gfMultiply(root, 0x02);
+    }
+
+    const remainder = new Array(degree).fill(0);
+    data.forEach(byte => {
+        const factor = byte ^ remainder.shift();
+        remainder.push(0);
+        divisor.forEach((coefficient, i) => { remainder[i] ^= gfMultiply(coefficient, factor); });
+    });
+    return remainder;
+}
+
+// Modules left for data and error correction once the fixed patterns are drawn
+function rawDataModules(version) {
+    let modules = (16 * version + 128) * version + 64;
+    if (version >= 2) {
+        const alignments = Math.floor(version / 7) + 2;
+        modules -= (25 * alignments - 10) * alignments - 55;
+        if (version >= 7) modules -= 36;
+    }
+    return modules;
+}
+
+function dataCodewords(version) {
+    return Math.floor(rawDataModules(version) / 8) - EC_CODEWORDS_PER_BLOCK[version] * EC_BLOCKS[version];
+}
+
+// Row/column centres of the alignment patterns
+function alignmentPositions(version, size) {
+    if (version === 1) return [];
+    const count = Math.floor(version / 7) + 2;
+    const step = Math.ceil((version * 4 + 4) / (count * 2 - 2)) * 2;
+    const positions = [6];
+    for (let position = size - 7; positions.length < count; position -= step) positions.splice(1, 0, position);
+    return positions;
+}
+
+// Mode, length, data, terminator and padding, as codewords
+function buildCodewords(bytes, version) {
+    const bits = [];
+    const push = (value, length) => {
+        for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+    };
+    push(0b0100, 4);
+    push(bytes.length, version < 10 ? 8 : 16);
+    bytes.forEach(byte => push(byte, 8));
+
+    const capacity = dataCodewords(version) * 8;
+    push(0, Math.min(4, capacity - bits.length));
+    push(0, (8 - bits.length % 8) % 8);
+    for (let pad = 0xec; bits.length < capacity; pad ^= 0xec ^ 0x11) push(pad, 8);
+
+    const codewords = [];
+    for (let i = 0; i < bits.length; i += 8) {
+        codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+    }
+    return codewords;
+}
+
+// Split into blocks, add error correction to each and interleave
+function addErrorCorrection(data, version) {
+    const blockCount = EC_BLOCKS[version];
+    const ecLength = EC_CODEWORDS_PER_BLOCK[version];
+    const total = Math.floor(rawDataModules(version) / 8);
+    const shortBlocks = blockCount - total % blockCount;
+    const shortLength = Math.floor(total / blockCount) - ecLength;
+
+    const blocks = [];
+    let offset = 0;
+    for (let i = 0; i < blockCount; i++) {
+        const length = shortLength + (i < shortBlocks ? 0 : 1);
+        const block = data.slice(offset, offset + length);
+        offset += length;
+        blocks.push({ data: block, ec: reedSolomon(block, ecLength) });
+    }
+
+    const result = [];
+    for (let i = 0; i <= shortLength; i++) {
+        blocks.forEach(block => { if (i < block.data.length) result.push(block.data[i]); });
+    }
+    for (let i = 0; i < ecLength; i++) {
+        blocks.forEach(block => result.push(block.ec[i]));
+    }
+    return result;
+}
+
+class QRMatrix {
+    constructor(version) {
+        this.version = version;
+        this.size = version * 4 + 17;
+        this.modules = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+        this.reserved = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+    }
+
+    set(x, y, dark) {
+        this.modules[y][x] = dark;
+        this.reserved[y][x] = true;
+    }
+
+    drawFunctionPatterns() {
+        const size = this.size;
+        for (let i = 0; i < size; i++) {
+            this.set(6, i, i % 2 === 0);
+            this.set(i, 6, i % 2 === 0);
+        }
+
+        [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+            for (let dy = -4; dy <= 4; dy++) {
+                for (let dx = -4; dx <= 4; dx++) {
+                    const x = cx + dx;
+                    const y = cy + dy;
+                    const ring = Math.max(Math.abs(dx), Math.abs(dy));
+                    if (x >= 0 && x < size && y >= 0 && y < size) this.set(x, y, ring !== 2 && ring !== 4);
+                }
+            }
+        });
+
+        const positions = alignmentPositions(this.version, size);
+        const last = positions.length - 1;
+        positions.forEach((cx, i) => {
+            positions.forEach((cy, j) => {
+                // Skip the three corners already taken by finder patterns
+                if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+                for (let dy = -2; dy <= 2; dy++) {
+                    for (let dx = -2; dx <= 2; dx++) this.set(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+                }
+            });
+        });
+
+        // Reserve the format areas now; the real bits go in once the mask is chosen
+        this.drawFormatBits(0);
+        this.drawVersionBits();
+    }
+
+    drawFormatBits(mask) {
+        const size = this.size;
+        const data = (EC_LEVEL_BITS << 3) | mask;
+        let remainder = data;
+        for (let i = 0; i < 10; i++) remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+        const bits = ((data << 10) | remainder) ^ FORMAT_MASK;
+        const bit = i => ((bits >>> i) & 1) === 1;
+
+        for (let i = 0; i <= 5; i++) this.set(8, i, bit(i));
+        this.set(8, 7, bit(6));
+        this.set(8, 8, bit(7));
+        this.set(7, 8, bit(8));
+        for (let i = 9; i < 15; i++) this.set(14 - i, 8, bit(i));
+
+        for (let i = 0; i < 8; i++) this.set(size - 1 - i, 8, bit(i));
+        for (let i = 8; i < 15; i++) this.set(8, size - 15 + i, bit(i));
+        this.set(8, size - 8, true);
+    }
+
+    drawVersionBits() {
+        if (this.version < 7) return;
+        let remainder = this.version;
+        for (let i = 0; i < 12; i++) remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1f25);
+        const bits = (this.version << 12) | remainder;
+        for (let i = 0; i < 18; i++) {
+            const dark = ((bits >>> i) & 1) === 1;
+            const a = this.size - 11 + i % 3;
+            const b = Math.floor(i / 3);
+            this.set(a, b, dark);
+            this.set(b, a, dark);
+        }
+    }
+
+    // Zigzag up and down two-column strips from the right, skipping the timing column
+    drawCodewords(codewords) {
+        let i = 0;
+        for (let right = this.size - 1; right >= 1; right -= 2) {
+            if (right === 6) right = 5;
+            const upward = ((right + 1) & 2) === 0;
+            for (let step = 0; step < this.size; step++) {
+                const y = upward ? this.size - 1 - step : step;
+                for (let j = 0; j < 2; j++) {
+                    const x = right - j;
+                    if (this.reserved[y][x] || i >= codewords.length * 8) continue;
+                    this.modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) === 1;
+                    i++;
+                }
+            }
+        }
+    }
+
+    // XOR is its own inverse, so applying a mask twice removes it
+    applyMask(mask) {
+        for (let y = 0; y < this.size; y++) {
+            for (let x = 0; x < this.size; x++) {
+                if (!this.reserved[y][x] && MASKS[mask](x, y)) this.modules[y][x] = !this.modules[y][x];
+            }
+        }
+    }
+
+    // Penalty score from the standard: long runs, 2x2 blocks, finder-like
+    // patterns and an unbalanced dark/light ratio all make scanning harder
+    penalty() {
+        const size = this.size;
+        const lines = [];
+        for (let i = 0; i < size; i++) {
+            lines.push(this.modules[i]);
+            lines.push(this.modules.map(row => row[i]));
+        }
+
+        let score = 0;
+        const finderLike = [true, false, true, true, true, false, true];
+        lines.forEach(line => {
+            let run = 1;
+            for (let i = 1; i <= size; i++) {
+                if (i < size && line[i] === line[i - 1]) {
+                    run++;
+                    continue;
+                }
+                if (run >= 5) score += run - 2;
+                run = 1;
+            }
+            for (let i = 0; i + 7 <= size; i++) {
+                if (!finderLike.every((dark, k) => line[i + k] === dark)) continue;
+                const lightBefore = i >= 4 && line.slice(i - 4, i).every(dark => !dark);
+                const lightAfter = i + 11 <= size && line.slice(i + 7, i + 11).every(dark => !dark);
+                if (lightBefore || lightAfter) score += 40;
+            }
+        });
+
+        let dark = 0;
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                if (this.modules[y][x]) dark++;
+                if (x < size - 1 && y < size - 1) {
+                    const colour = this.modules[y][x];
+                    if (this.modules[y][x + 1] === colour && this.modules[y + 1][x] === colour && this.modules[y + 1][x + 1] === colour) score += 3;
+                }
+            }
+        }
+        score += Math.floor(Math.abs(dark * 20 - size * size * 10) / (size * size)) * 10;
+        return score;
+    }
+}
+
+// Returns { version, size, modules } where modules[y][x] is true for a dark module
+export function encodeQR(text) {
+    const bytes = [...new TextEncoder().encode(text)];
+    let version = 1;
+    while (version <= MAX_VERSION && 4 + (version < 10 ? 8 : 16) + bytes.length * 8 > dataCodewords(version) * 8) version++;
+    if (version > MAX_VERSION) throw new Error(`Too much data for a QR code: ${bytes.length} bytes`);
+
+    const matrix = new QRMatrix(version);
+    matrix.drawFunctionPatterns();
+    matrix.drawCodewords(addErrorCorrection(buildCodewords(bytes, version), version));
+
+    let best = null;
+    MASKS.forEach((_, mask) => {
+        matrix.applyMask(mask);
+        matrix.drawFormatBits(mask);
+        const score = matrix.penalty();
+        if (!best || score < best.score) best = { mask, score };
+        matrix.applyMask(mask);
+    });
+    matrix.applyMask(best.mask);
+    matrix.drawFormatBits(best.mask);
+
+    return { version, size: matrix.size, modules: matrix.modules };
+}
@@ -0,0 +1,16 @@
+// ============================================================================
+// Seeded Randomness
+// ============================================================================
+
+// Drop-in for Math.random that repeats the same sequence for the same seed
+// (mulberry32), so seeded stock and ids come out identical between runs
+export function createSeededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
@@ -0,0 +1,243 @@
+import { DONOR_CARD_PREFIX } from './portal.js';
+
+// ============================================================================
+// Appointment Scheduling
+// ============================================================================
+
+// Donors who miss this many appointments within the window can only join
+// waitlists until a site books them in person
+const NO_SHOW_POLICY = { limit: 3, windowDays: 180 };
+
+// A refusal in English, with its key for the interface's translations
+const refusal = (text, key, params = {}) => ({ reasons: [text], reasonKeys: [{ key, params }] });
+
+export class LifeFlowScheduler {
+    constructor(database, ai) {
+        this.database = database;
+        this.ai = ai;
+    }
+
+    // Find a donor by full ID, the short ID shown at registration, a scanned
+    // donor card, or email
+    findDonor(reference) {
+        const text = String(reference || '').trim().replace(DONOR_CARD_PREFIX, '').toLowerCase();
+        if (!text) return null;
+
+        const donors = this.database.readDonors().filter(d => d.status !== 'merged');
+        const exact = donors.find(d => d.id.toString() === text || (d.email || '').toLowerCase() === text);
+        if (exact) return exact;
+
+        const byPrefix = donors.filter(d => d.id.toString().startsWith(text));
+        return byPrefix.length === 1 ? byPrefix[0] : null;
+    }
+
+    // Every slot a site offers on the given day, with how many places remain
+    getSlots(siteId, day, now = this.database.clock()) {
+        const site = this.database.getSite(siteId);
+        if (!site) return [];
+
+        const date = new Date(day);
+        date.setHours(0, 0, 0, 0);
+        if (!site.days.includes(date.getDay())) return [];
+
+        const slots = [];
+        for (let minutes = site.openHour * 60; minutes < site.closeHour * 60; minutes += site.slotMinutes) {
+            const start = new Date(date.getTime());
+            start.setMinutes(minutes);
+            if (start <= now) continue;
+
+            const booked = this.getBookedCount(siteId, start);
+            slots.push({
+                start: start.toISOString(),
+                capacity: site.capacity,
+                booked,
+                available: Math.max(0, site.capacity - booked),
+                waitlisted: this.database.readAppointments({ siteId, start: start.toISOString(), status: 'waitlisted' }).length
+            });
+        }
+        return slots;
+    }
+
+    getBookedCount(siteId, start) {
+        return this.database.readAppointments({ siteId, start: new Date(start).toISOString(), status: 'booked' }).length;
+    }
+
+    // Whether the slot exists at the site: right day, opening hours, on a slot boundary
+    isValidSlot(site, start) {
+        const date = new Date(start);
+        const minutes = date.getHours() * 60 + date.getMinutes();
+        return site.days.includes(date.getDay()) &&
+            minutes >= site.openHour * 60 &&
+            minutes < site.closeHour * 60 &&
+            (minutes - site.openHour * 60) % site.slotMinutes === 0 &&
+            date.getSeconds() === 0;
+    }
+
+    // Eligibility as it will stand on the appointment date, including the
+    // waiting period after the donor's last donation
+    checkAppointmentEligibility(donor, start) {
+        const date = new Date(start);
+        const result = this.ai.checkEligibility(donor, date);
+        const reasons = [...result.reasons];
+        const reasonKeys = [...result.reasonKeys];
+        let eligible = result.eligible;
+
+        if (donor.status !== 'active') {
+            eligible = false;
+            reasons.push('Donor record is not active');
+            reasonKeys.push({ key: 'booking.inactive', params: {} });
+        }
+        if (donor.nextEligibleDate && new Date(donor.nextEligibleDate) > date) {
+            eligible = false;
+            reasons.push(`Next donation possible from ${new Date(donor.nextEligibleDate).toLocaleDateString()}`);
+            reasonKeys.push({ key: 'booking.nextDonation', params: { fromDate: donor.nextEligibleDate } });
+        }
+        return { ...result, eligible, reasons, reasonKeys };
+    }
+
+    getRecentNoShows(donorId, now = this.database.clock()) {
+        return this.database.readAppointments({ donorId, status: 'no_show' })
+            .filter(a => now - new Date(a.start) < NO_SHOW_POLICY.windowDays * 86400000).length;
+    }
+
+    getUpcoming(donorId) {
+        return this.database.readAppointments({ donorId, status: ['booked', 'waitlisted'] })
+            .sort((a, b) => new Date(a.start) - new Date(b.start));
+    }
+
+    // Checks shared by booking and rescheduling. Returns the reasons the
+    // donor cannot have this slot, and whether they may waitlist for it.
+    validateSlot(donor, siteId, start, now, ignoreId = null) {
+        const site = this.database.getSite(siteId);
+        if (!site) return refusal('Unknown donation site', 'booking.unknownSite');
+        if (!this.isValidSlot(site, start)) return refusal(`${site.name} has no slot at that time`, 'booking.noSlot', { site: site.name });
+        if (new Date(start) <= now) return refusal('That slot is in the past', 'booking.past');
+
+        const eligibility = this.checkAppointmentEligibility(donor, start);
+        if (!eligibility.eligible) return { reasons: eligibility.reasons, reasonKeys: eligibility.reasonKeys };
+
+        const others = this.getUpcoming(donor.id).filter(a => a.id !== ignoreId);
+        if (others.length > 0) {
+            return refusal(`Already has an appointment on ${new Date(others[0].start).toLocaleString()}`, 'booking.alreadyBooked', { startTime: others[0].start });
+        }
+
+        const full = this.getBookedCount(siteId, start) >= site.capacity;
+        const restricted = this.getRecentNoShows(donor.id, now) >= NO_SHOW_POLICY.limit;
+        if (full || restricted) {
+            return {
+                ...(full
+                    ? refusal('That slot is full', 'booking.full')
+                    : refusal('Too many missed appointments; please book at the site', 'booking.tooManyNoShows')),
+                waitlist: true
+            };
+        }
+        return { reasons: [], reasonKeys: [] };
+    }
+
+    // Book a slot, or join its waitlist when full and the donor agrees.
+    // Returns { status: 'booked' | 'waitlisted' | 'rejected', appointment, reasons, reasonKeys }
+    book(donorId, siteId, start, options = {}, now = this.database.clock()) {
+        const donor = this.database.findRecord('donors', donorId);
+        if (!donor) return { status: 'rejected', appointment: null, ...refusal('Unknown donor', 'booking.unknownDonor') };
+
+        const check = this.validateSlot(donor, siteId, start, now);
+        if (check.reasons.length > 0 && !(check.waitlist && options.waitlist)) {
+            return { status: 'rejected', appointment: null, reasons: check.reasons, reasonKeys: check.reasonKeys };
+        }
+
+        const status = check.reasons.length > 0 ? 'waitlisted' : 'booked';
+        const appointment = this.database.createAppointment({
+            donorId, siteId, start, component: options.component, status
+        });
+        return { status, appointment, reasons: check.reasons, reasonKeys: check.reasonKeys };
+    }
+
+    reschedule(appointmentId, siteId, start, options = {}, now = this.database.clock()) {
+        const appointment = this.database.getAppointment(appointmentId);
+        if (!appointment || !['booked', 'waitlisted'].includes(appointment.status)) {
+            return { status: 'rejected', appointment, ...refusal('Only upcoming appointments can be rescheduled', 'booking.notUpcoming') };
+        }
+        const donor = this.database.findRecord('donors', appointment.donorId);
+        const check = this.validateSlot(donor, siteId, start, now, appointment.id);
+        if (check.reasons.length > 0 && !(check.waitlist && options.waitlist)) {
+            return { status: 'rejected', appointment, reasons: check.reasons, reasonKeys: check.reasonKeys };
+        }
+
+        const previous = { siteId: appointment.siteId, start: appointment.start, status: appointment.status };
+        const status = check.reasons.length > 0 ? 'waitlisted' : 'booked';
+        this.database.moveAppointment(appointment.id, siteId, start, 'Rescheduled', status);
+
+        if (previous.status === 'booked') this.promoteWaitlist(previous.siteId, previous.start, now);
+        return { status, appointment, reasons: check.reasons, reasonKeys: check.reasonKeys };
+    }
+
+    cancel(appointmentId, reason = 'Cancelled by donor', now = this.database.clock()) {
+        const appointment = this.database.setAppointmentStatus(appointmentId, 'cancelled', reason);
+        if (appointment) this.promoteWaitlist(appointment.siteId, appointment.start, now);
+        return appointment;
+    }
+
+    // Give freed places to the earliest waitlisted donors who are still eligible.
+    // Runs as the system: whoever freed the place cannot manage others' bookings.
+    promoteWaitlist(siteId, start, now = this.database.clock()) {
+        const site = this.database.getSite(siteId);
+        if (!site || new Date(start) <= now) return [];
+        return this.database.asSystem(() => this.fillFreedPlaces(site, start, now));
+    }
+
+    fillFreedPlaces(site, start, now) {
+        const siteId = site.id;
+
+        const promoted = [];
+        const waiting = this.database.readAppointments({ siteId, start: new Date(start).toISOString(), status: 'waitlisted' })
+            .sort((a, b) => new Date(a.createdDate) - new Date(b.createdDate));
+
+        for (const appointment of waiting) {
+            if (this.getBookedCount(siteId, start) >= site.capacity) break;
+            const donor = this.database.findRecord('donors', appointment.donorId);
+            if (!donor || !this.checkAppointmentEligibility(donor, start).eligible) continue;
+            if (this.getRecentNoShows(donor.id, now) >= NO_SHOW_POLICY.limit) continue;
+            promoted.push(this.database.setAppointmentStatus(appointment.id, 'booked', 'Promoted from waitlist'));
+        }
+        return promoted;
+    }
+
+    // The donor attended: log the donation against the appointment
+    complete(appointmentId, donationData = {}, now = this.database.clock()) {
+        const appointment = this.database.getAppointment(appointmentId);
+        if (!appointment || appointment.status !== 'booked') return null;
+
+        const site = this.database.getSite(appointment.siteId);
+        const donation = this.database.recordDonation(appointment.donorId, {
+            ...donationData,
+            date: donationData.date || now,
+            site: site ? site.name : '',
+            siteId: appointment.siteId,
+            component: appointment.component
+        });
+        if (!donation) return null;
+
+        return this.database.setAppointmentStatus(appointment.id, 'completed', 'Donation recorded', { donationId: donation.id });
+    }
+
+    markNoShow(appointmentId) {
+        return this.database.setAppointmentStatus(appointmentId, 'no_show', 'Donor did not attend');
+    }
+
+    // Close out the day: booked visits nobody completed become no-shows and
+    // waitlists for past slots expire
+    closePastAppointments(now = this.database.clock()) {
+        const startOfToday = new Date(now);
+        startOfToday.setHours(0, 0, 0, 0);
+
+        const closed = [];
+        this.database.readAppointments({ status: ['booked', 'waitlisted'] })
+            .filter(a => new Date(a.start) < startOfToday)
+            .forEach(a => {
+                closed.push(a.status === 'booked'
+                    ? this.markNoShow(a.id)
+                    : this.database.setAppointmentStatus(a.id, 'expired', 'Slot passed before a place freed up'));
+            });
+        return closed;
+    }
+}
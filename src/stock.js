@@ -0,0 +1,101 @@
+import { BLOOD_TYPES } from './database.js';
+
+// ============================================================================
+// Stock Monitoring & Alerts
+// ============================================================================
+
+// Cover kept above the minimum, and the stock we aim to hold, in days of demand
+const STOCK_POLICY = {
+    minimumDays: 2,
+    targetDays: 7,
+    stockoutAlertDays: 3,
+    realertHours: 12
+};
+
+export class LifeFlowStockMonitor {
+    constructor(database, ai) {
+        this.database = database;
+        this.ai = ai;
+    }
+
+    // Configured levels win; otherwise derive them from the demand forecast
+    getStockLevel(bloodType, now = this.database.clock()) {
+        const configured = this.database.getStockLevel(bloodType);
+        if (configured) return { ...configured, source: 'configured' };
+
+        const dailyDemand = this.getForecastDailyDemand(bloodType, now);
+        return {
+            minimum: Math.max(1, Math.ceil(dailyDemand * STOCK_POLICY.minimumDays)),
+            target: Math.max(1, Math.ceil(dailyDemand * STOCK_POLICY.targetDays)),
+            source: 'forecast'
+        };
+    }
+
+    getForecastDailyDemand(bloodType, now = this.database.clock()) {
+        const prediction = this.ai.predictDemand(bloodType, STOCK_POLICY.targetDays, now);
+        return prediction.predictedDemand / STOCK_POLICY.targetDays;
+    }
+
+    // How long current stock lasts at forecast demand (Infinity when no demand)
+    getDaysOfSupply(bloodType, units, now = this.database.clock()) {
+        const dailyDemand = this.getForecastDailyDemand(bloodType, now);
+        return dailyDemand > 0 ? units / dailyDemand : Infinity;
+    }
+
+    getStockStatus(now = this.database.clock()) {
+        const inventory = this.database.getInventory(null, now);
+        return BLOOD_TYPES.map(bloodType => {
+            const units = inventory[bloodType] || 0;
+            const level = this.getStockLevel(bloodType, now);
+            const daysOfSupply = this.getDaysOfSupply(bloodType, units, now);
+            return {
+                bloodType,
+                units,
+                ...level,
+                daysOfSupply: Number.isFinite(daysOfSupply) ? Math.round(daysOfSupply * 10) / 10 : null,
+                belowMinimum: units < level.minimum,
+                reorderQuantity: Math.max(0, level.target - units)
+            };
+        });
+    }
+
+    // Raise alerts for low stock and near stock-outs; returns the new alerts
+    checkStock(now = this.database.clock()) {
+        const raised = [];
+
+        this.getStockStatus(now).forEach(status => {
+            if (status.belowMinimum) {
+                raised.push(this.raiseAlert('below_minimum', status, now,
+                    `${status.bloodType} stock is ${status.units} units, below the minimum of ${status.minimum}. Reorder ${status.reorderQuantity} units.`));
+            }
+            if (status.daysOfSupply !== null && status.daysOfSupply < STOCK_POLICY.stockoutAlertDays) {
+                raised.push(this.raiseAlert('projected_stockout', status, now,
+                    `${status.bloodType} projected to run out in ${status.daysOfSupply} days at forecast demand.`));
+            }
+        });
+
+        return raised.filter(Boolean);
+    }
+
+    // One open alert per condition, and no repeat soon after one was acknowledged
+    raiseAlert(type, status, now, message) {
+        const alerts = this.database.readAlerts().filter(a => a.type === type && a.bloodType === status.bloodType);
+        if (alerts.some(a => !a.acknowledged)) return null;
+
+        const recentlyAcknowledged = alerts.some(a =>
+            now - new Date(a.acknowledgedDate) < STOCK_POLICY.realertHours * 3600000
+        );
+        if (recentlyAcknowledged) return null;
+
+        return this.database.createAlert({
+            type,
+            bloodType: status.bloodType,
+            level: type === 'projected_stockout' || status.bloodType === 'O-' ? 'critical' : 'warning',
+            units: status.units,
+            minimum: status.minimum,
+            daysOfSupply: status.daysOfSupply,
+            reorderQuantity: status.reorderQuantity,
+            message
+        });
+    }
+}
@@ -0,0 +1,152 @@
+// ============================================================================
+// Storage Backends
+// ============================================================================
+
+// Every backend stores serialized strings under string keys and exposes the
+// same promise-based interface: getItem, setItem, removeItem and keys.
+
+export class LocalStorageAdapter {
+    constructor(storage = localStorage) {
+        this.storage = storage;
+    }
+
+    async getItem(key) {
+        return this.storage.getItem(key);
+    }
+
+    async setItem(key, value) {
+        this.storage.setItem(key, value);
+    }
+
+    async removeItem(key) {
+        this.storage.removeItem(key);
+    }
+
+    async keys() {
+        return Array.from({ length: this.storage.length }, (_, i) => this.storage.key(i));
+    }
+}
+
+export class MemoryStorageAdapter {
+    constructor(initial = {}) {
+        this.data = new Map(Object.entries(initial));
+    }
+
+    async getItem(key) {
+        return this.data.has(key) ? this.data.get(key) : null;
+    }
+
+    async setItem(key, value) {
+        this.data.set(key, String(value));
+    }
+
+    async removeItem(key) {
+        this.data.delete(key);
+    }
+
+    async keys() {
+        return [...this.data.keys()];
+    }
+}
+
+export class IndexedDBStorageAdapter {
+    constructor(dbName = 'lifeflow', storeName = 'kv', indexedDBImpl = indexedDB) {
+        this.storeName = storeName;
+        this.ready = new Promise((resolve, reject) => {
+            const open = indexedDBImpl.open(dbName, 1);
+            open.onupgradeneeded = () => open.result.createObjectStore(storeName);
+            open.onsuccess = () => resolve(open.result);
+            open.onerror = () => reject(open.error);
+        });
+    }
+
+    async run(mode, operation) {
+        const db = await this.ready;
+        return new Promise((resolve, reject) => {
+            const request = operation(db.transaction(this.storeName, mode).objectStore(this.storeName));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async getItem(key) {
+        const value = await this.run('readonly', store => store.get(key));
+        return value === undefined ? null : value;
+    }
+
+    async setItem(key, value) {
+        await this.run('readwrite', store => store.put(String(value), key));
+    }
+
+    async removeItem(key) {
+        await this.run('readwrite', store => store.delete(key));
+    }
+
+    async keys() {
+        return this.run('readonly', store => store.getAllKeys());
+    }
+}
+
+// Encrypts values with AES-GCM before handing them to another backend, so
+// donor PII is not readable from a dump of the browser's storage. Values
+// written before encryption was enabled are read as plain text and flagged in
+// legacyKeys so the database can rewrite them.
+const ENCRYPTED_PREFIX = 'enc:v1:';
+
+export class EncryptedStorageAdapter {
+    constructor(inner, keyProvider = loadDeviceKey, cryptoImpl = crypto) {
+        this.inner = inner;
+        this.crypto = cryptoImpl;
+        this.key = Promise.resolve().then(keyProvider);
+        this.legacyKeys = new Set();
+    }
+
+    async getItem(key) {
+        const value = await this.inner.getItem(key);
+        if (value === null || !value.startsWith(ENCRYPTED_PREFIX)) {
+            if (value !== null) this.legacyKeys.add(key);
+            return value;
+        }
+
+        const [iv, data] = value.slice(ENCRYPTED_PREFIX.length).split(':').map(part =>
+            Uint8Array.from(atob(part), c => c.charCodeAt(0))
+        );
+        const plain = await this.crypto.subtle.decrypt({ name: 'AES-GCM', iv }, await this.key, data);
+        return new TextDecoder().decode(plain);
+    }
+
+    async setItem(key, value) {
+        const iv = this.crypto.getRandomValues(new Uint8Array(12));
+        const data = await this.crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv }, await this.key, new TextEncoder().encode(String(value))
+        );
+        // Byte by byte: spreading a large buffer into fromCharCode overflows the stack
+        const encode = bytes => {
+            let binary = '';
+            new Uint8Array(bytes).forEach(b => { binary += String.fromCharCode(b); });
+            return btoa(binary);
+        };
+        await this.inner.setItem(key, `${ENCRYPTED_PREFIX}${encode(iv)}:${encode(data)}`);
+        this.legacyKeys.delete(key);
+    }
+
+    async removeItem(key) {
+        await this.inner.removeItem(key);
+    }
+
+    async keys() {
+        return this.inner.keys();
+    }
+}
+
+// A non-extractable AES key kept in IndexedDB: page scripts can use it but
+// its raw bytes never leave the browser's key store
+async function loadDeviceKey(indexedDBImpl = indexedDB, cryptoImpl = crypto) {
+    const keyStore = new IndexedDBStorageAdapter('lifeflow-keys', 'keys', indexedDBImpl);
+    const stored = await keyStore.run('readonly', store => store.get('storage'));
+    if (stored) return stored;
+
+    const key = await cryptoImpl.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+    await keyStore.run('readwrite', store => store.put(key, 'storage'));
+    return key;
+}
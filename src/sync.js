@@ -0,0 +1,195 @@
+// ============================================================================
+// Offline Sync
+// ============================================================================
+
+// Conflict policy: last writer wins on the whole record. The later updatedAt
+// wins; on a tie the greater device ID wins so every device picks the same
+// version. Deletes compete the same way as edits.
+function compareVersions(a, b) {
+    const timeA = new Date(a.updatedAt || 0).getTime();
+    const timeB = new Date(b.updatedAt || 0).getTime();
+    if (timeA !== timeB) return timeA - timeB;
+    return String(a.deviceId || '').localeCompare(String(b.deviceId || ''));
+}
+
+export class LifeFlowSync {
+    constructor(database, transport, options = {}) {
+        this.database = database;
+        this.transport = transport;
+        this.batchSize = options.batchSize || 100;
+        this.deviceId = this.database.loadFromStorage('lifeflow_device_id') || `device-${this.database.clock().getTime().toString(36)}-${this.database.random().toString(36).slice(2, 8)}`;
+        this.outbox = this.database.loadFromStorage('lifeflow_outbox') || [];
+        this.cursor = this.database.loadFromStorage('lifeflow_sync_cursor');
+        this.opSequence = this.outbox.length;
+        this.running = null;
+
+        this.database.saveValue('lifeflow_device_id', this.deviceId);
+        this.database.onChange(change => {
+            if (change.source === 'local') this.enqueue(change);
+        });
+    }
+
+    // Only the latest pending operation per record is kept
+    enqueue({ collection, action, record }) {
+        const op = {
+            opId: `${this.deviceId}:${this.database.clock().getTime()}:${++this.opSequence}`,
+            collection,
+            action,
+            recordId: record.id,
+            record: JSON.parse(JSON.stringify(record)),
+            updatedAt: record.updatedAt,
+            deviceId: this.deviceId
+        };
+        this.outbox = this.outbox.filter(o => !(o.collection === collection && o.recordId === record.id));
+        this.outbox.push(op);
+        this.saveState();
+        return op;
+    }
+
+    getPendingCount() {
+        return this.outbox.length;
+    }
+
+    // Concurrent calls share the sync already in flight
+    sync() {
+        if (!this.running) {
+            this.running = this.runSync().finally(() => { this.running = null; });
+        }
+        return this.running;
+    }
+
+    async runSync() {
+        const pushed = await this.push();
+        const pulled = await this.pull();
+        return { pushed: pushed.applied, pulled: pulled.applied, conflicts: pushed.conflicts + pulled.conflicts };
+    }
+
+    async push() {
+        const summary = { applied: 0, conflicts: 0 };
+
+        while (this.outbox.length > 0) {
+            const batch = this.outbox.slice(0, this.batchSize);
+            const result = await this.transport.push(this.deviceId, batch);
+            const done = new Set([...result.applied, ...result.conflicts.map(c => c.opId)]);
+
+            // The server kept a newer version: take it
+            result.conflicts.forEach(conflict => {
+                this.database.applyRemoteChange(conflict.collection, conflict.action, conflict.record);
+            });
+
+            // Ops re-queued while the request was in flight have new IDs and stay
+            this.outbox = this.outbox.filter(o => !done.has(o.opId));
+            this.saveState();
+            summary.applied += result.applied.length;
+            summary.conflicts += result.conflicts.length;
+            if (done.size === 0) break;
+        }
+        return summary;
+    }
+
+    async pull() {
+        const summary = { applied: 0, conflicts: 0 };
+        let hasMore = true;
+
+        while (hasMore) {
+            const result = await this.transport.pull(this.deviceId, this.cursor);
+            result.changes
+                .filter(change => change.deviceId !== this.deviceId)
+                .forEach(change => {
+                    if (this.applyPulledChange(change)) summary.applied++;
+                    else summary.conflicts++;
+                });
+            this.cursor = result.cursor;
+            hasMore = result.hasMore;
+            this.saveState();
+        }
+        return summary;
+    }
+
+    // A pending local op that is newer than the remote change wins and will be pushed
+    applyPulledChange(change) {
+        const pending = this.outbox.find(o => o.collection === change.collection && o.recordId === change.record.id);
+        if (pending && compareVersions(pending, change) > 0) return false;
+
+        if (pending) this.outbox = this.outbox.filter(o => o !== pending);
+        this.database.applyRemoteChange(change.collection, change.action, change.record);
+        return true;
+    }
+
+    saveState() {
+        this.database.saveValue('lifeflow_outbox', this.outbox);
+        this.database.saveValue('lifeflow_sync_cursor', this.cursor);
+    }
+}
+
+// Sync over HTTP: POST {baseUrl}/sync/push and GET {baseUrl}/sync/pull
+export class LifeFlowRestTransport {
+    constructor(baseUrl, fetchImpl = (...args) => fetch(...args)) {
+        this.baseUrl = baseUrl.replace(/\/$/, '');
+        this.fetch = fetchImpl;
+    }
+
+    async push(deviceId, operations) {
+        const response = await this.fetch(`${this.baseUrl}/sync/push`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ deviceId, operations })
+        });
+        if (!response.ok) throw new Error(`Push failed with HTTP ${response.status}`);
+        return response.json();
+    }
+
+    async pull(deviceId, cursor) {
+        const params = new URLSearchParams({ deviceId });
+        if (cursor !== null && cursor !== undefined) params.set('cursor', cursor);
+
+        const response = await this.fetch(`${this.baseUrl}/sync/pull?${params}`);
+        if (!response.ok) throw new Error(`Pull failed with HTTP ${response.status}`);
+        return response.json();
+    }
+}
+
+// In-memory stand-in for the sync server, speaking the same protocol.
+// The cursor is the sequence number of the last change a device has seen.
+export class LifeFlowMockSyncServer {
+    constructor(pageSize = 100) {
+        this.pageSize = pageSize;
+        this.records = new Map();
+        this.changes = [];
+    }
+
+    async push(deviceId, operations) {
+        const applied = [];
+        const conflicts = [];
+
+        operations.forEach(op => {
+            const key = `${op.collection}:${op.recordId}`;
+            const current = this.records.get(key);
+            if (current && compareVersions(current, op) > 0) {
+                conflicts.push({ opId: op.opId, ...current });
+                return;
+            }
+
+            const change = {
+                seq: this.changes.length + 1,
+                collection: op.collection,
+                action: op.action,
+                record: op.record,
+                updatedAt: op.updatedAt,
+                deviceId: op.deviceId
+            };
+            this.records.set(key, change);
+            this.changes.push(change);
+            applied.push(op.opId);
+        });
+
+        return { applied, conflicts };
+    }
+
+    async pull(deviceId, cursor) {
+        const since = cursor || 0;
+        const page = this.changes.filter(c => c.seq > since).slice(0, this.pageSize);
+        const last = page.length > 0 ? page[page.length - 1].seq : since;
+        return { changes: page, cursor: last, hasMore: last < this.changes.length };
+    }
+}
@@ -0,0 +1,109 @@
+import { LifeFlowCompatibility } from './compatibility.js';
+import { BLOOD_TYPES } from './database.js';
+
+// ============================================================================
+// Site Network & Transfers
+// ============================================================================
+
+// Units of a type a site keeps for itself before it counts as having surplus,
+// and the shelf life a unit needs left to be worth sending
+const TRANSFER_POLICY = {
+    reserveUnits: 2,
+    minShelfLifeDays: 1
+};
+
+export class LifeFlowTransfers {
+    constructor(database, ai, compatibility = new LifeFlowCompatibility()) {
+        this.database = database;
+        this.ai = ai;
+        this.compatibility = compatibility;
+    }
+
+    // Available units per type at every site, what is on the road between
+    // sites, and the network total
+    getNetworkStock(now = this.database.clock()) {
+        const inTransit = Object.fromEntries(BLOOD_TYPES.map(type => [type, 0]));
+        this.database.readUnits({ status: 'in_transit' }).forEach(u => { inTransit[u.bloodType]++; });
+
+        return {
+            sites: this.database.readSites().map(site => ({
+                siteId: site.id,
+                name: site.name,
+                city: site.city,
+                kind: site.kind,
+                stock: this.database.getInventory(null, now, site.id)
+            })),
+            inTransit,
+            total: this.database.getInventory(null, now)
+        };
+    }
+
+    // Road distance is unknown, so this is the straight line between the sites' cities
+    getDistance(fromSiteId, toSiteId) {
+        const from = this.database.getSite(fromSiteId);
+        const to = this.database.getSite(toSiteId);
+        return from && to ? this.ai.calculateDistance(from.city, to.city) : null;
+    }
+
+    // Other sites that can spare units of a type, nearest first. accepts narrows
+    // the units to those a request can use; each site keeps its reserve, less
+    // what it has already been asked to send.
+    findSurplus(bloodType, component, toSiteId, accepts = () => true, now = this.database.clock()) {
+        const usableUntil = now.getTime() + TRANSFER_POLICY.minShelfLifeDays * 86400000;
+
+        return this.database.readSites()
+            .filter(site => site.id !== toSiteId)
+            .map(site => {
+                const stock = this.database.pickUnits(bloodType, Infinity, component, now, site.id);
+                const promised = this.database.readTransfers({ siteId: site.id, status: 'requested' })
+                    .filter(t => t.fromSiteId === site.id && t.bloodType === bloodType && (!t.component || t.component === component))
+                    .reduce((sum, t) => sum + t.units, 0);
+                const spare = stock.length - TRANSFER_POLICY.reserveUnits - promised;
+                const units = stock.filter(u => new Date(u.expiryDate).getTime() > usableUntil && accepts(u));
+                return { site, units: units.slice(0, Math.max(0, spare)), distanceKm: this.getDistance(site.id, toSiteId) };
+            })
+            .filter(candidate => candidate.units.length > 0)
+            .sort((a, b) => (a.distanceKm ?? Infinity) - (b.distanceKm ?? Infinity));
+    }
+
+    // Order a proposal from allocation for the request it was made for
+    requestTransfer(requestId, proposal) {
+        const request = this.database.getRequest(requestId);
+        if (!request || this.database.isRequestClosed(request) || !request.siteId) return null;
+
+        return this.database.createTransfer({
+            fromSiteId: proposal.fromSiteId,
+            toSiteId: request.siteId,
+            bloodType: proposal.bloodType,
+            component: proposal.component,
+            units: proposal.units,
+            requestId
+        });
+    }
+
+    // Units sent for a request must meet its requirements (antigens, CMV, irradiation)
+    dispatch(transferId, now = this.database.clock()) {
+        const transfer = this.database.getTransfer(transferId);
+        const request = transfer?.requestId ? this.database.getRequest(transfer.requestId) : null;
+        const unitIds = request
+            ? this.database.pickUnits(transfer.bloodType, Infinity, transfer.component, now, transfer.fromSiteId)
+                .filter(unit => this.compatibility.check(unit, request).compatible)
+                .map(unit => unit.id)
+            : null;
+        return this.database.dispatchTransfer(transferId, unitIds, now);
+    }
+
+    receive(transferId) {
+        return this.database.receiveTransfer(transferId);
+    }
+
+    cancel(transferId, reason) {
+        return this.database.cancelTransfer(transferId, reason);
+    }
+
+    // Units still to arrive for a request: ordered or on the road
+    getIncoming(requestId) {
+        return this.database.readTransfers({ requestId, status: ['requested', 'dispatched'] })
+            .reduce((sum, t) => sum + (t.status === 'dispatched' ? t.unitIds.length : t.units), 0);
+    }
+}
@@ -0,0 +1,2019 @@
+import { LifeFlowAI } from '../ai.js';
+import { LifeFlowAllocation } from '../allocation.js';
+import { LifeFlowAnalytics } from '../analytics.js';
+import { BLOOD_TYPES, FIELD_SCHEMAS, sanitizeFields, findFieldErrorKeys, LifeFlowValidationError, GUEST_SESSION, DONOR_SELF_EDITABLE, LifeFlowPermissionError, LifeFlowDatabase } from '../database.js';
+import { LifeFlowDonorDirectory } from '../directory.js';
+import { LifeFlowDuplicates } from '../duplicates.js';
+import { LifeFlowEligibility } from '../eligibility.js';
+import { LifeFlowDataExchange } from '../exchange.js';
+import { LOCALES, LifeFlowI18n, matchLocale } from '../i18n.js';
+import { LifeFlowEmailProvider, LifeFlowSmsProvider, LifeFlowFakeProvider, LifeFlowNotifications } from '../notifications.js';
+import { LifeFlowDonorPortal } from '../portal.js';
+import { LifeFlowScheduler } from '../scheduler.js';
+import { LifeFlowStockMonitor } from '../stock.js';
+import { LocalStorageAdapter, MemoryStorageAdapter, IndexedDBStorageAdapter, EncryptedStorageAdapter } from '../storage.js';
+import { LifeFlowSync, LifeFlowRestTransport, LifeFlowMockSyncServer } from '../sync.js';
+import { LifeFlowTransfers } from '../transfers.js';
+import { demoMatching, demoPrediction, checkEligibility } from './demos.js';
+import { LifeFlowNetwork } from './network.js';
+
+// ============================================================================
+// Main Application Controller
+// ============================================================================
+
+export class LifeFlowApp {
+    constructor() {
+        // The chosen language and weight unit are kept in localStorage; the browser's languages pick the first
+        this.i18n = new LifeFlowI18n({
+            locale: localStorage.getItem('lifeflow-locale') || matchLocale(navigator.languages || []),
+            weightUnit: localStorage.getItem('lifeflow-weight-unit') || 'kg'
+        });
+        this.database = new LifeFlowDatabase(this.createStorage());
+        this.ready = this.database.load()
+            .then(() => this.start())
+            .catch(e => console.error('LifeFlow failed to start:', e));
+    }
+
+    // lifeflow-storage-backend in localStorage selects 'indexeddb' or 'memory'
+    // Persistent backends are encrypted when the browser offers Web Crypto and IndexedDB for the key
+    createStorage() {
+        const backend = localStorage.getItem('lifeflow-storage-backend');
+        if (backend === 'memory') return new MemoryStorageAdapter();
+
+        const storage = backend === 'indexeddb' && window.indexedDB ? new IndexedDBStorageAdapter() : new LocalStorageAdapter();
+        return window.crypto?.subtle && window.indexedDB ? new EncryptedStorageAdapter(storage) : storage;
+    }
+
+    start() {
+        this.analytics = new LifeFlowAnalytics(this.database);
+        this.sync = new LifeFlowSync(this.database, this.createSyncTransport());
+        this.network = new LifeFlowNetwork(this.sync, this.i18n);
+        this.ai = new LifeFlowAI(this.database, this.loadEligibilityRules());
+        this.transfers = new LifeFlowTransfers(this.database, this.ai, this.ai.compatibility);
+        this.allocation = new LifeFlowAllocation(this.database, this.ai, this.ai.compatibility, this.transfers);
+        this.stockMonitor = new LifeFlowStockMonitor(this.database, this.ai);
+        this.scheduler = new LifeFlowScheduler(this.database, this.ai);
+        this.notifications = new LifeFlowNotifications(this.database, this.ai, this.createNotificationProviders());
+        this.portal = new LifeFlowDonorPortal(this.database, this.ai, this.scheduler, this.notifications);
+        this.directory = new LifeFlowDonorDirectory(this.database, this.ai);
+        this.duplicates = new LifeFlowDuplicates(this.database);
+        this.exchange = new LifeFlowDataExchange(this.database, this.duplicates);
+        this.directoryQuery = { sortBy: 'name', sortDir: 'asc', page: 1, pageSize: 25 };
+        // Site the dashboard's stock and requests are scoped to; null for the whole network
+        this.dashboardSiteId = null;
+
+        // Nobody is signed in until they use the account form
+        this.database.setSession(GUEST_SESSION);
+        // A refused action or rejected write is reported wherever in the UI it was attempted
+        const reportRefusal = error => {
+            if (!(error instanceof LifeFlowPermissionError) && !(error instanceof LifeFlowValidationError)) return false;
+            const message = error instanceof LifeFlowPermissionError
+                ? this.i18n.t('error.permission', { permission: error.permission })
+                : this.i18n.formatList(Object.values(this.i18n.fieldErrors(error.collection, error.errors)));
+            this.network.showNotification(message, 'error');
+            return true;
+        };
+        window.addEventListener('error', (e) => { if (reportRefusal(e.error)) e.preventDefault(); });
+        window.addEventListener('unhandledrejection', (e) => { if (reportRefusal(e.reason)) e.preventDefault(); });
+
+        this.database.loadErrors.forEach(({ key, backupKey }) => {
+            this.network.showNotification(this.i18n.t('error.storage', { key, backupKey }), 'error');
+        });
+        
+        this.init();
+    }
+
+    // Sync against lifeflow_sync_endpoint when configured, else a local mock server
+    createSyncTransport() {
+        const endpoint = this.database.loadFromStorage('lifeflow_sync_endpoint');
+        return endpoint ? new LifeFlowRestTransport(endpoint) : new LifeFlowMockSyncServer();
+    }
+
+    // lifeflow_notification_providers maps a channel to its gateway URL,
+    // e.g. { "email": "https://...", "sms": "https://..." }; unset channels use the fake provider
+    createNotificationProviders() {
+        const endpoints = this.database.loadFromStorage('lifeflow_notification_providers') || {};
+        return {
+            email: endpoints.email ? new LifeFlowEmailProvider(endpoints.email) : new LifeFlowFakeProvider('email'),
+            sms: endpoints.sms ? new LifeFlowSmsProvider(endpoints.sms) : new LifeFlowFakeProvider('sms')
+        };
+    }
+
+    // A regional rule table can be provided under lifeflow_eligibility_rules
+    loadEligibilityRules() {
+        const ruleSet = this.database.loadFromStorage('lifeflow_eligibility_rules');
+        try {
+            return ruleSet ? new LifeFlowEligibility(ruleSet) : new LifeFlowEligibility();
+        } catch (e) {
+            console.error('Invalid eligibility rules, using defaults:', e);
+            return new LifeFlowEligibility();
+        }
+    }
+
+    init() {
+        // Translate the static page and follow language changes
+        this.setupLanguage();
+
+        // Load initial data
+        this.database.readDonors().forEach(donor => this.database.refreshDonorEligibility(donor));
+        
+        // Update dashboard
+        this.updateDashboard();
+        this.setupReports();
+        
+        // Setup form handler
+        this.setupFormHandler();
+
+        // Donor management view
+        this.setupDonorDirectory();
+
+        // Booking and site schedules
+        this.database.asSystem(() => this.scheduler.closePastAppointments());
+        this.database.asSystem(() => this.database.resumeExpiredPauses());
+        this.setupAppointments();
+
+        // Sign-in and the audit trail
+        this.setupAccount();
+
+        // Donors' own page, opened by access code or magic link
+        this.setupPortal();
+
+        // Landing page demo buttons
+        this.setupDemos();
+        
+        // Animate counters on page load
+        this.animateCounters();
+
+        // Site selector, network stock and transfers between sites
+        this.setupNetwork();
+        
+        // Update inventory display
+        this.updateInventoryDisplay();
+
+        // Render open blood requests
+        this.database.asSystem(() => this.database.expireRequests());
+        this.database.releaseExpiredReservations();
+        this.updateEmergencyList();
+
+        // Push anything queued while offline
+        this.network.syncData();
+
+        // Tell donors whose waiting period is over; already-reminded donors are skipped
+        this.database.asSystem(() => this.notifications.sendEligibilityReminders())
+            .then(() => this.renderNotificationLog());
+        
+        console.log('LifeFlow System Initialized');
+    }
+
+    // Language & Units
+    setupLanguage() {
+        const languageSelect = document.getElementById('language-select');
+        const unitSelect = document.getElementById('weight-unit-select');
+        if (languageSelect) {
+            Object.entries(LOCALES).forEach(([code, { name }]) => {
+                const option = document.createElement('option');
+                option.value = code;
+                option.lang = code;
+                option.textContent = name;
+                languageSelect.appendChild(option);
+            });
+            languageSelect.value = this.i18n.locale;
+            languageSelect.addEventListener('change', () => {
+                localStorage.setItem('lifeflow-locale', languageSelect.value);
+                this.i18n.setLocale(languageSelect.value);
+            });
+        }
+        if (unitSelect) {
+            unitSelect.value = this.i18n.weightUnit;
+            unitSelect.addEventListener('change', () => {
+                localStorage.setItem('lifeflow-weight-unit', unitSelect.value);
+                this.i18n.setWeightUnit(unitSelect.value);
+            });
+        }
+
+        this.applyLanguage();
+        this.i18n.onChange(() => {
+            this.applyLanguage();
+            this.rerender();
+        });
+    }
+
+    applyLanguage() {
+        this.i18n.applyTo(document);
+        // Weights are typed in the chosen unit
+        const { min } = FIELD_SCHEMAS.donors.weight;
+        const placeholder = this.i18n.t('register.weight', { unit: this.i18n.t(`unitName.${this.i18n.weightUnit}`) });
+        document.querySelectorAll('#donor-form [name="weight"], #portal-profile-form [name="weight"]').forEach(input => {
+            input.placeholder = placeholder;
+            input.min = this.i18n.fromKg(min);
+            input.step = 'any';
+        });
+    }
+
+    // Redraw everything built from script in the current language
+    rerender() {
+        this.updateDashboard();
+        this.updateInventoryDisplay();
+        this.renderReports();
+        this.onSessionChange();
+        this.renderSlots();
+        this.network.updateConnectionStatus();
+    }
+
+    setupDemos() {
+        const demos = { matching: demoMatching, prediction: demoPrediction, eligibility: checkEligibility };
+        document.querySelectorAll('[data-demo]').forEach(button => {
+            button.addEventListener('click', () => demos[button.dataset.demo](this));
+        });
+    }
+
+    // Update Dashboard Statistics
+    updateDashboard() {
+        const stats = this.analytics.getStatistics();
+        
+        // Update donor statistics
+        document.getElementById('total-registered').textContent = this.i18n.formatNumber(stats.totalDonors);
+        document.getElementById('most-common').textContent = stats.mostCommonBloodType || this.i18n.t('common.notAvailable');
+        
+        const donationStats = this.analytics.getDonationStatistics();
+
+        // Donors who gave blood in the last 30 days
+        document.getElementById('this-month').textContent = this.i18n.formatNumber(donationStats.donorsThisMonth);
+        
+        // Active donors (donated in the last 12 months)
+        document.getElementById('active-donors').textContent = this.i18n.formatNumber(donationStats.activeDonors);
+    }
+
+    // Record a completed donation and refresh the affected displays
+    recordDonation(donorId, donationData) {
+        const donation = this.database.recordDonation(donorId, donationData);
+        if (donation) {
+            this.updateDashboard();
+            this.updateInventoryDisplay();
+        }
+        return donation;
+    }
+
+    // Update Inventory Display
+    updateInventoryDisplay() {
+        this.database.discardExpiredUnits();
+        this.database.releaseExpiredReservations();
+        // Levels and days of supply are forecast for the whole network, so one site shows counts only
+        const siteId = this.dashboardSiteId;
+        const stock = siteId
+            ? Object.entries(this.database.getInventory(null, this.database.clock(), siteId))
+                .map(([bloodType, units]) => ({ bloodType, units, belowMinimum: false, daysOfSupply: null }))
+            : this.stockMonitor.getStockStatus();
+        const maxUnits = Math.max(...stock.map(s => s.units), 1);
+
+        stock.forEach(({ bloodType, units, belowMinimum, daysOfSupply }) => {
+            const percentage = (units / maxUnits) * 100;
+            
+            const barElement = document.querySelector(`.blood-type-bar[data-type="${bloodType}"] .bar`);
+            const valueElement = document.querySelector(`.blood-type-bar[data-type="${bloodType}"] .bar-value`);
+            
+            if (barElement && valueElement) {
+                setTimeout(() => {
+                    barElement.style.width = `${percentage}%`;
+                    barElement.classList.toggle('low', belowMinimum);
+                    const count = this.i18n.t('inventory.units', { count: units });
+                    valueElement.textContent = daysOfSupply === null
+                        ? count
+                        : `${count} · ${this.i18n.t('inventory.daysOfSupply', { days: daysOfSupply })}`;
+                }, 100);
+            }
+        });
+
+        this.updateExpiringList();
+        this.renderNetworkStock();
+        this.checkStockAlerts();
+    }
+
+    // Raise stock alerts, queue them as notifications and show the banner
+    checkStockAlerts() {
+        this.stockMonitor.checkStock().forEach(alert => {
+            this.network.showNotification(this.alertMessage(alert), alert.level === 'critical' ? 'error' : 'warning');
+        });
+        this.updateAlertBanner();
+    }
+
+    updateAlertBanner() {
+        const banner = document.getElementById('stock-alerts');
+        if (!banner) return;
+
+        const alerts = this.database.readAlerts(true);
+        banner.innerHTML = '';
+        banner.classList.toggle('show', alerts.length > 0);
+
+        alerts.forEach(alert => {
+            const item = document.createElement('div');
+            item.className = `stock-alert ${alert.level}`;
+
+            const message = document.createElement('span');
+            message.textContent = `⚠ ${this.alertMessage(alert)}`;
+            item.appendChild(message);
+            banner.appendChild(item);
+            if (!this.database.can('alerts.acknowledge')) return;
+
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'btn-acknowledge';
+            button.textContent = this.i18n.t('alert.acknowledge');
+            button.addEventListener('click', () => {
+                this.database.acknowledgeAlert(alert.id);
+                this.updateAlertBanner();
+            });
+            item.appendChild(button);
+        });
+    }
+
+    // Alerts keep the English text they were raised with; known types are rebuilt in the current language
+    alertMessage(alert) {
+        return this.i18n.t(`alert.${alert.type}`, {
+            bloodType: alert.bloodType,
+            units: alert.units,
+            minimum: alert.minimum,
+            reorder: alert.reorderQuantity,
+            days: alert.daysOfSupply
+        }, alert.message);
+    }
+
+    // Surface units close to expiry, soonest first, so they are issued before fresher stock
+    updateExpiringList() {
+        const listElement = document.getElementById('expiring-units');
+        if (!listElement) return;
+
+        const expiring = this.database.getExpiringUnits(3, this.database.clock(), this.dashboardSiteId);
+        listElement.innerHTML = '';
+
+        if (expiring.length === 0) {
+            listElement.textContent = this.i18n.t('expiring.none');
+            return;
+        }
+
+        const heading = document.createElement('strong');
+        heading.textContent = this.i18n.t('expiring.heading', { count: expiring.length });
+        listElement.appendChild(heading);
+
+        expiring.slice(0, 5).forEach(unit => {
+            const item = document.createElement('div');
+            item.className = 'expiring-item';
+            item.textContent = this.i18n.t('expiring.item', {
+                bloodType: unit.bloodType,
+                component: this.i18n.t(`component.${unit.component}`),
+                expiryDate: unit.expiryDate
+            });
+            listElement.appendChild(item);
+        });
+    }
+
+    // Render Emergency Requests
+    updateEmergencyList() {
+        const listElement = document.getElementById('emergency-list');
+        if (!listElement) return;
+
+        const siteId = this.dashboardSiteId;
+        const requests = this.database.getActiveRequests().filter(r => !siteId || r.siteId === siteId);
+        listElement.innerHTML = '';
+
+        if (requests.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'emergency-empty';
+            empty.textContent = this.i18n.t('emergency.none');
+            listElement.appendChild(empty);
+            return;
+        }
+
+        requests.forEach(request => {
+            const item = document.createElement('div');
+            item.className = 'emergency-item';
+
+            const badge = document.createElement('span');
+            badge.className = `urgency ${request.urgency}`;
+            badge.textContent = this.i18n.t(`urgency.${request.urgency}`, {}, request.urgency).toLocaleUpperCase(this.i18n.tag);
+
+            const details = document.createElement('div');
+            details.className = 'emergency-details';
+
+            const title = document.createElement('strong');
+            title.textContent = this.i18n.t('emergency.needed', { need: this.describeNeed(request.bloodType, request.component) });
+
+            const remaining = request.units - request.unitsFulfilled;
+            const info = document.createElement('p');
+            info.textContent = this.i18n.t('emergency.remaining', { hospital: request.hospital, count: remaining });
+            if (request.deadline) {
+                info.textContent += ` ${this.i18n.t('emergency.deadline', { deadlineTime: request.deadline })}`;
+            }
+            const reserved = this.database.getReservedUnits(request.id).length;
+            if (reserved > 0) {
+                info.textContent += ` ${this.i18n.t('emergency.reserved', { count: reserved })}`;
+            }
+            const incoming = this.transfers.getIncoming(request.id);
+            if (incoming > 0) {
+                info.textContent += ` ${this.i18n.t('emergency.incoming', { count: incoming })}`;
+            }
+
+            const appeal = document.createElement('button');
+            appeal.type = 'button';
+            appeal.className = 'btn-appeal';
+            appeal.textContent = this.i18n.t('emergency.appeal');
+            appeal.addEventListener('click', () => {
+                appeal.disabled = true;
+                this.notifications.sendUrgentAppeal(request.id).then(results => {
+                    const { sent, skipped, failed } = this.notifications.summarize(results);
+                    appeal.textContent = this.i18n.t('emergency.appealSent', { sent, skipped, failed });
+                    this.renderNotificationLog();
+                });
+            });
+
+            details.append(title, info);
+            const requirements = this.describeRequirements(request);
+            if (requirements.length > 0) {
+                const needs = document.createElement('small');
+                needs.className = 'emergency-requirements';
+                needs.textContent = this.i18n.t('emergency.requires', { requirements: this.i18n.formatList(requirements) });
+                details.appendChild(needs);
+            }
+            if (this.database.can('inventory.allocate')) details.appendChild(this.buildFindStockButton(request, details));
+            if (this.database.can('notifications.send')) details.appendChild(appeal);
+            item.append(badge, details);
+            listElement.appendChild(item);
+        });
+    }
+
+    // A blood type with its component, e.g. "O- platelets"
+    describeNeed(bloodType, component) {
+        return component ? `${bloodType} ${this.i18n.t(`component.${component}`, {}, component)}` : bloodType;
+    }
+
+    describeRequirements(request) {
+        const needs = this.ai.compatibility.getRequirements(request);
+        return [
+            ...needs.antigenNegative.map(antigen => this.i18n.t('requirement.antigenNegative', { antigen })),
+            ...(needs.cmvNegative ? [this.i18n.t('requirement.cmvNegative')] : []),
+            ...(needs.irradiated ? [this.i18n.t('requirement.irradiated')] : [])
+        ];
+    }
+
+    // Reserve local stock for a request and list what other sites could send
+    buildFindStockButton(request, details) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'btn-appeal';
+        button.textContent = this.i18n.t('allocation.findStock');
+        button.addEventListener('click', () => {
+            button.disabled = true;
+            const result = this.allocation.allocate(request.id);
+            const summary = document.createElement('div');
+            summary.className = 'allocation-result';
+
+            const reserved = document.createElement('p');
+            reserved.textContent = this.i18n.t('allocation.reserved', {
+                count: result.reservedUnits.length,
+                site: this.database.getSite(request.siteId)?.name || this.i18n.t('allocation.anySite')
+            });
+            if (result.recruitment) {
+                reserved.textContent = this.i18n.formatList([
+                    reserved.textContent,
+                    this.i18n.t('allocation.matched', { count: result.recruitment.matches.length })
+                ]);
+            }
+            summary.appendChild(reserved);
+
+            result.transferProposals.forEach(proposal => {
+                const row = document.createElement('div');
+                row.className = 'transfer-proposal';
+                const text = document.createElement('span');
+                const distance = proposal.distanceKm === null ? '' : ` (${this.i18n.t('transfer.distance', { distance: proposal.distanceKm })})`;
+                text.textContent = this.i18n.t('transfer.proposal', {
+                    units: proposal.units,
+                    bloodType: proposal.bloodType,
+                    component: this.i18n.t(`component.${proposal.component}`),
+                    site: proposal.fromSiteName
+                }) + distance;
+                row.appendChild(text);
+
+                if (this.database.can('inventory.transfer')) {
+                    const order = document.createElement('button');
+                    order.type = 'button';
+                    order.textContent = this.i18n.t('transfer.request');
+                    order.addEventListener('click', () => {
+                        this.transfers.requestTransfer(request.id, proposal);
+                        order.disabled = true;
+                        order.textContent = this.i18n.t('transfer.requested');
+                        this.renderTransfers();
+                    });
+                    row.appendChild(order);
+                }
+                summary.appendChild(row);
+            });
+
+            details.appendChild(summary);
+            this.updateInventoryDisplay();
+        });
+        return button;
+    }
+
+    // Sites & Transfers
+    setupNetwork() {
+        const scope = document.getElementById('dashboard-site');
+        const form = document.getElementById('transfer-form');
+        if (!scope || !form) return;
+
+        this.fillSiteSelect(scope);
+        this.fillSiteSelect(form.elements.fromSiteId);
+        this.fillSiteSelect(form.elements.toSiteId);
+
+        scope.addEventListener('change', () => {
+            this.dashboardSiteId = Number(scope.value) || null;
+            this.updateInventoryDisplay();
+            this.updateEmergencyList();
+        });
+
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const inputs = {};
+            const transfer = {};
+            ['fromSiteId', 'toSiteId', 'bloodType', 'units'].forEach(field => {
+                inputs[field] = form.elements[field];
+                transfer[field] = form.elements[field].value;
+            });
+            try {
+                this.database.createTransfer(transfer);
+            } catch (error) {
+                if (!(error instanceof LifeFlowValidationError)) throw error;
+                this.showFieldErrors(inputs, this.i18n.fieldErrors(error.collection, error.errors));
+                return;
+            }
+            this.showFieldErrors(inputs, {});
+            form.reset();
+            this.renderTransfers();
+        });
+
+        this.renderTransfers();
+    }
+
+    // Add an option per site, or per site of one kind, to a select
+    fillSiteSelect(select, kind = null) {
+        this.database.readSites(kind).forEach(site => {
+            const option = document.createElement('option');
+            option.value = site.id;
+            option.textContent = `${site.name} (${site.city})`;
+            select.appendChild(option);
+        });
+    }
+
+    // Available units per type at each site, on the road, and across the network
+    renderNetworkStock() {
+        const container = document.getElementById('network-stock');
+        if (!container) return;
+
+        const { sites, inTransit, total } = this.transfers.getNetworkStock();
+        const sum = stock => Object.values(stock).reduce((a, b) => a + b, 0);
+        const row = (label, stock) => [label, ...BLOOD_TYPES.map(type => stock[type] || 0), sum(stock)];
+        container.innerHTML = '';
+        const t = key => this.i18n.t(key);
+        container.appendChild(this.buildReportTable([t('network.site'), ...BLOOD_TYPES, t('network.total')], [
+            ...sites.map(site => row(site.name, site.stock)),
+            row(t('network.inTransit'), inTransit),
+            row(t('network.network'), total)
+        ]));
+    }
+
+    // Transfers still under way, with the next step for staff who handle them
+    renderTransfers() {
+        const container = document.getElementById('transfer-list');
+        if (!container) return;
+
+        const open = this.database.readTransfers({ siteId: this.dashboardSiteId, status: ['requested', 'dispatched'] });
+        container.innerHTML = '';
+        if (open.length === 0) {
+            container.textContent = this.i18n.t('transfer.none');
+            return;
+        }
+
+        const siteName = id => this.database.getSite(id)?.name || this.i18n.t('common.unknownSite');
+        open.forEach(transfer => {
+            const item = document.createElement('div');
+            item.className = `appointment-item ${transfer.status}`;
+
+            const count = transfer.status === 'dispatched' ? transfer.unitIds.length : transfer.units;
+            const details = document.createElement('span');
+            details.textContent = this.i18n.t('transfer.item', {
+                count,
+                need: this.describeNeed(transfer.bloodType, transfer.component),
+                from: siteName(transfer.fromSiteId),
+                to: siteName(transfer.toSiteId),
+                status: this.i18n.t(`transferStatus.${transfer.status}`)
+            });
+
+            const actions = document.createElement('div');
+            actions.className = 'appointment-actions';
+            const action = (key, run) => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.textContent = this.i18n.t(key);
+                button.addEventListener('click', () => {
+                    if (!run()) this.network.showNotification(this.i18n.t('transfer.failed'), 'warning');
+                    this.renderTransfers();
+                    this.updateInventoryDisplay();
+                    this.updateEmergencyList();
+                });
+                actions.appendChild(button);
+            };
+            if (this.database.can('inventory.transfer')) {
+                if (transfer.status === 'requested') {
+                    action('transfer.dispatch', () => this.transfers.dispatch(transfer.id));
+                    action('common.cancel', () => this.transfers.cancel(transfer.id));
+                } else {
+                    // Units that arrive for a request are reserved for it straight away
+                    action('transfer.receive', () => {
+                        const received = this.transfers.receive(transfer.id);
+                        if (received && received.requestId) this.allocation.allocate(received.requestId);
+                        return received;
+                    });
+                }
+            }
+
+            item.append(details, actions);
+            container.appendChild(item);
+        });
+    }
+
+    // Animate Counters
+    animateCounters() {
+        const animateCounter = (element, target, duration = 2000) => {
+            let current = 0;
+            const increment = target / (duration / 16);
+            
+            const timer = setInterval(() => {
+                current += increment;
+                if (current >= target) {
+                    element.textContent = this.i18n.formatNumber(target);
+                    clearInterval(timer);
+                } else {
+                    element.textContent = this.i18n.formatNumber(Math.floor(current));
+                }
+            }, 16);
+        };
+
+        const totalDonorsEl = document.getElementById('total-donors');
+        const livesSavedEl = document.getElementById('lives-saved');
+        
+        if (totalDonorsEl) animateCounter(totalDonorsEl, this.database.readDonors().length * 100 + 500000, 2000);
+        if (livesSavedEl) animateCounter(livesSavedEl, this.database.readDonors().length * 300 + 1500000, 2500);
+    }
+
+    // Reports
+    setupReports() {
+        const form = document.getElementById('report-range');
+        if (!form) return;
+
+        form.addEventListener('change', (e) => {
+            if (e.target.name !== 'preset') form.elements.preset.value = 'custom';
+            this.renderReports();
+        });
+
+        // Aggregates update with every change; redraw at most once per tick
+        this.database.onChange(() => {
+            if (this.reportTimer) return;
+            this.reportTimer = setTimeout(() => {
+                this.reportTimer = null;
+                this.renderReports();
+            }, 0);
+        });
+
+        this.renderReports();
+    }
+
+    getReportRange(now = this.database.clock()) {
+        const form = document.getElementById('report-range');
+        const preset = form.elements.preset.value;
+        if (preset === 'all') return {};
+        if (preset === 'custom') {
+            return { from: form.elements.from.value || undefined, to: form.elements.to.value || undefined };
+        }
+        const from = new Date(now.getTime() - Number(preset) * 86400000).toISOString().slice(0, 10);
+        return { from, to: now.toISOString().slice(0, 10) };
+    }
+
+    renderReports() {
+        const form = document.getElementById('report-range');
+        if (!form) return;
+
+        const range = this.getReportRange();
+        if (form.elements.preset.value !== 'custom') {
+            form.elements.from.value = range.from || '';
+            form.elements.to.value = range.to || '';
+        }
+
+        const report = this.analytics.getReport(range);
+        this.renderBarChart('report-blood-types', report.bloodTypes.map(b => ({
+            label: b.bloodType,
+            value: b.share,
+            marker: b.norm,
+            text: this.i18n.t('report.share', { share: b.share, norm: b.norm }),
+            low: b.difference < 0
+        })), 100);
+        this.renderBarChart('report-cities', report.cities.slice(0, 8).map(c => ({
+            label: c.city,
+            value: c.count,
+            text: this.i18n.formatNumber(c.count)
+        })));
+        this.renderBarChart('report-age-bands', report.ageBands.map(a => ({
+            label: a.band === 'Other' ? this.i18n.t('report.otherAge') : a.band,
+            value: a.count,
+            text: this.i18n.formatNumber(a.count)
+        })));
+        this.renderTimeline(report.timeline);
+        this.renderCohorts(report.cohorts);
+        this.renderFulfilment(report.fulfilment);
+    }
+
+    // Horizontal bars in the same style as the inventory chart
+    renderBarChart(containerId, rows, max = null) {
+        const container = document.getElementById(containerId);
+        container.innerHTML = '';
+        if (rows.every(row => !row.value)) {
+            container.appendChild(this.buildReportEmpty());
+            return;
+        }
+
+        const scale = max || Math.max(...rows.map(row => row.value), 1);
+        rows.forEach(row => {
+            const item = document.createElement('div');
+            item.className = 'blood-type-bar';
+
+            const label = document.createElement('span');
+            label.className = 'blood-label';
+            label.textContent = row.label;
+
+            const barContainer = document.createElement('div');
+            barContainer.className = 'bar-container';
+            const bar = document.createElement('div');
+            bar.className = row.low ? 'bar low' : 'bar';
+            bar.style.width = `${Math.min(row.value / scale, 1) * 100}%`;
+            const value = document.createElement('span');
+            value.className = 'bar-value';
+            value.textContent = row.text;
+            barContainer.append(bar, value);
+
+            if (row.marker !== undefined) {
+                const marker = document.createElement('div');
+                marker.className = 'norm-marker';
+                marker.style.insetInlineStart = `${Math.min(row.marker / scale, 1) * 100}%`;
+                barContainer.appendChild(marker);
+            }
+
+            item.append(label, barContainer);
+            container.appendChild(item);
+        });
+    }
+
+    renderTimeline(timeline) {
+        const container = document.getElementById('report-timeline');
+        container.innerHTML = '';
+        const legend = container.nextElementSibling;
+        if (legend) legend.remove();
+        if (timeline.length === 0) {
+            container.appendChild(this.buildReportEmpty());
+            return;
+        }
+
+        const max = Math.max(...timeline.map(p => Math.max(p.registrations, p.donations)), 1);
+        // Label roughly eight periods so the axis stays readable
+        const labelEvery = Math.ceil(timeline.length / 8);
+
+        timeline.forEach((point, i) => {
+            const period = document.createElement('div');
+            period.className = 'timeline-period';
+            period.title = this.i18n.t('report.timelinePoint', { period: point.period, registrations: point.registrations, donations: point.donations });
+
+            ['registrations', 'donations'].forEach(series => {
+                const bar = document.createElement('div');
+                bar.className = `timeline-bar ${series}`;
+                bar.style.height = `${point[series] / max * 100}%`;
+                period.appendChild(bar);
+            });
+
+            if (i % labelEvery === 0) {
+                const label = document.createElement('span');
+                label.className = 'timeline-label';
+                label.textContent = point.period.slice(2);
+                period.appendChild(label);
+            }
+            container.appendChild(period);
+        });
+
+        const chartLegend = document.createElement('div');
+        chartLegend.className = 'chart-legend';
+        const registrations = document.createElement('span');
+        registrations.className = 'registrations';
+        registrations.textContent = this.i18n.t('report.registrations');
+        const donations = document.createElement('span');
+        donations.textContent = this.i18n.t('report.donations');
+        chartLegend.append(registrations, donations);
+        container.after(chartLegend);
+    }
+
+    renderCohorts(cohorts) {
+        const container = document.getElementById('report-cohorts');
+        container.innerHTML = '';
+        if (cohorts.length === 0) {
+            container.appendChild(this.buildReportEmpty());
+            return;
+        }
+
+        container.appendChild(this.buildReportTable(
+            ['cohort', 'donors', 'retained', 'lapsed', 'never', 'repeat', 'retention'].map(key => this.i18n.t(`report.${key}`)),
+            cohorts.map(c => [
+                c.cohort, c.donors, c.retained, c.lapsed, c.neverDonated, c.repeat,
+                c.retentionRate === null ? '—' : this.i18n.t('common.percent', { value: c.retentionRate })
+            ])
+        ));
+    }
+
+    renderFulfilment(fulfilment) {
+        const container = document.getElementById('report-fulfilment');
+        container.innerHTML = '';
+        if (fulfilment.count === 0) {
+            container.appendChild(this.buildReportEmpty());
+            return;
+        }
+
+        const hours = value => this.i18n.t('report.hours', { hours: value });
+        const rows = Object.entries(fulfilment.byUrgency)
+            .filter(([, stats]) => stats.count > 0)
+            .map(([urgency, stats]) => [this.i18n.t(`urgency.${urgency}`, {}, urgency), stats.count, hours(stats.medianHours), hours(stats.meanHours)]);
+        rows.push([this.i18n.t('report.all'), fulfilment.count, hours(fulfilment.medianHours), hours(fulfilment.meanHours)]);
+        container.appendChild(this.buildReportTable(
+            ['urgency', 'fulfilled', 'median', 'mean'].map(key => this.i18n.t(`report.${key}`)),
+            rows
+        ));
+    }
+
+    buildReportTable(headings, rows) {
+        const table = document.createElement('table');
+        table.className = 'report-table';
+        const head = table.createTHead().insertRow();
+        headings.forEach(heading => {
+            const th = document.createElement('th');
+            th.textContent = heading;
+            head.appendChild(th);
+        });
+        const body = table.createTBody();
+        rows.forEach(values => {
+            const row = body.insertRow();
+            values.forEach(value => {
+                row.insertCell().textContent = typeof value === 'number' ? this.i18n.formatNumber(value) : value;
+            });
+        });
+        return table;
+    }
+
+    buildReportEmpty() {
+        const empty = document.createElement('p');
+        empty.className = 'report-empty';
+        empty.textContent = this.i18n.t('report.empty');
+        return empty;
+    }
+
+    // Account & Audit
+    setupAccount() {
+        const form = document.getElementById('sign-in-form');
+        if (!form) return;
+
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const { username, passcode } = form.elements;
+            this.database.signIn(username.value.trim(), passcode.value).then(session => {
+                passcode.value = '';
+                const status = document.getElementById('account-status');
+                if (!session) {
+                    status.textContent = this.i18n.t('account.wrongPasscode');
+                    return;
+                }
+                this.onSessionChange();
+            });
+        });
+
+        document.getElementById('sign-out').addEventListener('click', () => {
+            this.database.signOut();
+            this.onSessionChange();
+        });
+
+        const passcodeForm = document.getElementById('passcode-form');
+        passcodeForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const { current, next } = passcodeForm.elements;
+            this.database.changePasscode(current.value, next.value).then(changed => {
+                current.value = '';
+                next.value = '';
+                document.getElementById('account-status').textContent = changed
+                    ? this.i18n.t('account.passcodeChanged')
+                    : this.i18n.t('account.currentWrong');
+                this.renderAccount();
+            });
+        });
+
+        this.onSessionChange();
+    }
+
+    // Re-render everything whose content or controls depend on the role
+    onSessionChange() {
+        this.applyPermissions();
+        this.renderAccount();
+        this.renderPortal();
+        this.renderDonorDirectory();
+        this.updateAlertBanner();
+        this.updateEmergencyList();
+        this.renderTransfers();
+        this.renderSiteSchedule();
+        this.renderMyAppointments();
+        this.renderNotificationLog();
+        this.renderAuditLog();
+    }
+
+    // Hide sections marked data-permission="..." from roles without it
+    applyPermissions() {
+        document.querySelectorAll('[data-permission]').forEach(element => {
+            const permission = element.dataset.permission;
+            element.hidden = !(this.database.can(permission) || this.database.can(permission, this.database.session.donorId));
+        });
+    }
+
+    renderAccount() {
+        const session = this.database.session;
+        const signedIn = session.userId !== null;
+        document.getElementById('sign-in-form').hidden = signedIn;
+        document.getElementById('signed-in').hidden = !signedIn;
+        document.getElementById('passcode-form').hidden = !session.mustChangePasscode;
+        document.getElementById('account-user').textContent = signedIn
+            ? this.i18n.t('account.signedInAs', { name: session.name, role: this.i18n.t(`role.${session.role}`, {}, session.role) })
+            : '';
+        if (signedIn) document.getElementById('account-status').textContent = session.mustChangePasscode
+            ? this.i18n.t('account.choosePasscode')
+            : '';
+    }
+
+    renderAuditLog() {
+        const container = document.getElementById('audit-log');
+        if (!container) return;
+        container.innerHTML = '';
+        if (!this.database.can('audit.read')) return;
+
+        this.database.readAuditLog().slice(-50).reverse().forEach(entry => {
+            const line = document.createElement('div');
+            line.className = `audit-entry ${entry.action}`;
+            const target = entry.collection ? ` ${entry.collection}${entry.recordId !== null ? ` #${String(entry.recordId).slice(0, 8)}` : ''}` : '';
+            const details = Object.keys(entry.details).length > 0 ? ` ${JSON.stringify(entry.details)}` : '';
+            line.textContent = `${this.i18n.formatDateTime(entry.date)} · ${entry.userName} · ${entry.action}${target}${details}`;
+            container.appendChild(line);
+        });
+    }
+
+    // Donor Portal
+    setupPortal() {
+        const codeForm = document.getElementById('portal-code-form');
+        if (!codeForm) return;
+        const status = document.getElementById('portal-status');
+
+        const signIn = code => this.database.signInWithCode(code).then(session => {
+            status.textContent = session ? '' : this.i18n.t('portal.badCode');
+            if (session) this.onSessionChange();
+        });
+
+        codeForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            signIn(codeForm.elements.code.value).then(() => { codeForm.elements.code.value = ''; });
+        });
+
+        const linkForm = document.getElementById('portal-link-form');
+        linkForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const email = linkForm.elements.email.value;
+            const outbox = this.notifications.providers.email;
+            const sentBefore = outbox instanceof LifeFlowFakeProvider ? outbox.sent.length : 0;
+            this.portal.requestAccessLink(email, `${window.location.origin}${window.location.pathname}`).then(() => {
+                linkForm.reset();
+                status.textContent = this.i18n.t('portal.linkSent');
+                // Without an email gateway the message only exists in the fake provider; show it so the demo can go on
+                if (outbox instanceof LifeFlowFakeProvider && outbox.sent.length > sentBefore) {
+                    status.textContent += ` ${this.i18n.t('portal.demoEmail', { body: outbox.sent[outbox.sent.length - 1].body })}`;
+                }
+                this.renderNotificationLog();
+            });
+        });
+
+        document.getElementById('portal-sign-out').addEventListener('click', () => {
+            this.database.signOut();
+            this.onSessionChange();
+        });
+
+        const profileForm = document.getElementById('portal-profile-form');
+        this.fillSiteSelect(profileForm.elements.siteId, 'collection');
+        profileForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const inputs = {};
+            const updates = {};
+            ['name', 'email', 'phone', 'city', 'siteId', 'weight'].forEach(field => {
+                inputs[field] = profileForm.elements[field];
+                updates[field] = profileForm.elements[field].value;
+            });
+            updates.weight = this.i18n.toKg(updates.weight);
+            try {
+                this.portal.updateProfile(this.database.session.donorId, sanitizeFields('donors', updates));
+            } catch (error) {
+                if (!(error instanceof LifeFlowValidationError)) throw error;
+                this.showFieldErrors(inputs, this.i18n.fieldErrors(error.collection, error.errors));
+                return;
+            }
+            this.showFieldErrors(inputs, {});
+            status.textContent = this.i18n.t('portal.saved');
+            this.renderPortal();
+        });
+
+        document.getElementById('portal-card-download').addEventListener('click', () => {
+            const card = this.buildDonorCard(this.portal.getCard(this.database.session.donorId));
+            this.downloadFile('lifeflow-donor-card.svg', new XMLSerializer().serializeToString(card), 'image/svg+xml');
+        });
+
+        const consentForm = document.getElementById('portal-consent-form');
+        consentForm.querySelectorAll('[data-consent]').forEach(button => {
+            button.addEventListener('click', () => {
+                const donorId = this.database.session.donorId;
+                if (button.dataset.consent === 'pause') this.portal.pause(donorId, consentForm.elements.until.value || null);
+                if (button.dataset.consent === 'withdraw') this.portal.withdraw(donorId);
+                if (button.dataset.consent === 'resume') this.portal.resume(donorId);
+                consentForm.reset();
+                this.renderPortal();
+                this.refreshDonorViews();
+            });
+        });
+
+        // A magic link opens the page with ?access=<code>; drop it from the address once used
+        const code = new URLSearchParams(window.location.search).get('access');
+        if (code) {
+            window.history.replaceState(null, '', `${window.location.pathname}${window.location.hash}`);
+            signIn(code).then(() => document.getElementById('portal').scrollIntoView());
+        }
+    }
+
+    // Shown while a donor is signed in, whether by access code or a donor account
+    renderPortal() {
+        const donorId = this.database.session.donorId;
+        const donor = donorId ? this.portal.getProfile(donorId) : null;
+        document.getElementById('portal-sign-in').hidden = Boolean(donor);
+        document.getElementById('portal-view').hidden = !donor;
+        if (!donor) return;
+
+        document.getElementById('portal-greeting').textContent = this.i18n.t('portal.greeting', { name: donor.name, bloodType: donor.bloodType });
+        const profileForm = document.getElementById('portal-profile-form');
+        ['name', 'email', 'phone', 'city', 'siteId', 'weight'].forEach(field => {
+            profileForm.elements[field].value = donor[field] ?? '';
+        });
+        if (typeof donor.weight === 'number') profileForm.elements.weight.value = this.i18n.fromKg(donor.weight);
+
+        this.renderPortalEligibility(donor);
+        this.renderPortalImpact(donor);
+        this.renderPortalHistory(donor);
+        const card = document.getElementById('portal-card');
+        card.innerHTML = '';
+        card.appendChild(this.buildDonorCard(this.portal.getCard(donor.id)));
+        this.renderPortalConsent(donor);
+    }
+
+    renderPortalEligibility(donor) {
+        const container = document.getElementById('portal-eligibility');
+        const next = this.portal.getNextEligibility(donor.id);
+        container.innerHTML = '';
+        container.className = `portal-eligibility ${next.eligible ? 'eligible' : 'deferred'}`;
+
+        const headline = document.createElement('strong');
+        const detail = document.createElement('p');
+        const reasons = this.i18n.formatList(this.i18n.reasons(next));
+        if (next.eligible) {
+            headline.textContent = this.i18n.t('portal.canDonate');
+            detail.textContent = this.i18n.t('portal.bookAnytime');
+        } else if (next.eligibleDate) {
+            headline.textContent = this.i18n.t('portal.daysUntil', { count: next.daysRemaining });
+            detail.textContent = this.i18n.t('portal.from', { fromDate: next.eligibleDate, reasons });
+        } else {
+            headline.textContent = this.i18n.t(next.deferralType === 'permanent' ? 'portal.cannotDonate' : 'portal.talkToStaff');
+            detail.textContent = reasons;
+        }
+        container.append(headline, detail);
+    }
+
+    renderPortalImpact(donor) {
+        const container = document.getElementById('portal-impact');
+        const impact = this.portal.getImpact(donor.id);
+        container.innerHTML = '';
+        const litres = this.i18n.formatNumber(impact.volumeMl / 1000, { minimumFractionDigits: 1, maximumFractionDigits: 1 });
+        [
+            [this.i18n.formatNumber(impact.donations), 'portal.impactDonations'],
+            [this.i18n.t('portal.litres', { litres }), 'portal.impactVolume'],
+            [this.i18n.formatNumber(impact.unitsTransfused), 'portal.impactTransfused'],
+            [this.i18n.formatNumber(impact.patientsHelped), 'portal.impactPatients']
+        ].forEach(([value, label]) => {
+            const stat = document.createElement('div');
+            const number = document.createElement('strong');
+            number.textContent = value;
+            stat.append(number, this.i18n.t(label));
+            container.appendChild(stat);
+        });
+    }
+
+    renderPortalHistory(donor) {
+        const container = document.getElementById('portal-history');
+        const history = this.portal.getHistory(donor.id);
+        container.innerHTML = '';
+        if (history.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'directory-empty';
+            empty.textContent = this.i18n.t('portal.noDonations');
+            container.appendChild(empty);
+            return;
+        }
+
+        history.forEach(donation => {
+            const item = document.createElement('div');
+            item.className = `appointment-item ${donation.screeningResult === 'failed' ? 'failed' : 'booked'}`;
+            const details = document.createElement('span');
+            details.textContent = this.i18n.t(donation.site ? 'portal.donationAt' : 'portal.donation', {
+                donationDate: donation.date,
+                component: this.i18n.t(`component.${donation.component}`),
+                volume: donation.volume,
+                site: donation.site
+            });
+            const outcome = document.createElement('small');
+            outcome.textContent = donation.unitStatus ? this.i18n.t(`portal.outcome.${donation.unitStatus}`, {}, '') : '';
+            item.append(details, outcome);
+            container.appendChild(item);
+        });
+    }
+
+    renderPortalConsent(donor) {
+        const key = donor.status === 'paused' && donor.pausedUntil ? 'pausedUntil' : donor.status;
+        document.getElementById('portal-consent-status').textContent =
+            this.i18n.t(`portal.consent.${key}`, { untilDate: donor.pausedUntil }, '');
+
+        const form = document.getElementById('portal-consent-form');
+        const allowed = {
+            pause: donor.status === 'active',
+            withdraw: ['active', 'paused'].includes(donor.status),
+            resume: ['paused', 'withdrawn'].includes(donor.status)
+        };
+        form.querySelectorAll('[data-consent]').forEach(button => { button.hidden = !allowed[button.dataset.consent]; });
+        form.elements.until.closest('label').hidden = !allowed.pause;
+        form.elements.until.min = this.toDateInput(this.database.clock());
+    }
+
+    // Wallet-sized card as an SVG element, for the page and for download
+    buildDonorCard(card) {
+        const SVG_NS = 'http://www.w3.org/2000/svg';
+        const element = (tag, attributes, text) => {
+            const node = document.createElementNS(SVG_NS, tag);
+            Object.entries(attributes).forEach(([name, value]) => node.setAttribute(name, value));
+            if (text !== undefined) node.textContent = text;
+            return node;
+        };
+
+        const svg = element('svg', { xmlns: SVG_NS, viewBox: '0 0 340 214', role: 'img', 'aria-label': this.i18n.t('card.label', { name: card.name }) });
+        svg.append(
+            element('rect', { width: 340, height: 214, rx: 14, fill: '#e63946' }),
+            element('text', { x: 20, y: 36, fill: 'white', 'font-size': 18, 'font-weight': 'bold', 'font-family': 'sans-serif' }, this.i18n.t('card.title')),
+            element('text', { x: 20, y: 110, fill: 'white', 'font-size': 48, 'font-weight': 'bold', 'font-family': 'sans-serif' }, card.bloodType),
+            element('text', { x: 20, y: 150, fill: 'white', 'font-size': 15, 'font-family': 'sans-serif' }, card.name),
+            element('text', { x: 20, y: 172, fill: 'white', 'font-size': 11, 'font-family': 'sans-serif' },
+                this.i18n.t('card.since', { sinceDate: card.memberSince })),
+            element('text', { x: 20, y: 194, fill: 'white', 'font-size': 9, 'font-family': 'monospace' }, card.reference)
+        );
+
+        // Quiet zone of 4 modules around the code, as scanners expect
+        const { size, modules } = card.qr;
+        const box = 130;
+        const scale = box / (size + 8);
+        const qr = element('g', { transform: `translate(190 42) scale(${scale})` });
+        qr.appendChild(element('rect', { width: size + 8, height: size + 8, fill: 'white' }));
+        let path = '';
+        modules.forEach((row, y) => row.forEach((dark, x) => { if (dark) path += `M${x + 4},${y + 4}h1v1h-1z`; }));
+        qr.appendChild(element('path', { d: path, fill: 'black' }));
+        svg.appendChild(qr);
+        return svg;
+    }
+
+    // Appointments
+    setupAppointments() {
+        const form = document.getElementById('appointment-form');
+        const scheduleForm = document.getElementById('schedule-form');
+        if (!form) return;
+
+        // Hospital blood banks hold stock but do not take donors
+        [form.elements.site, scheduleForm.elements.site].forEach(select => this.fillSiteSelect(select, 'collection'));
+        const today = this.toDateInput(this.database.clock());
+        form.elements.date.min = today;
+        form.elements.date.value = today;
+        scheduleForm.elements.date.value = today;
+
+        // While set, picking a slot moves this appointment instead of booking a new one
+        this.reschedulingId = null;
+
+        form.addEventListener('change', () => this.renderSlots());
+        form.elements.donor.addEventListener('change', () => {
+            this.reschedulingId = null;
+            this.renderMyAppointments();
+        });
+        form.addEventListener('submit', (e) => e.preventDefault());
+        scheduleForm.addEventListener('change', () => this.renderSiteSchedule());
+
+        this.renderSlots();
+        this.renderSiteSchedule();
+    }
+
+    // yyyy-mm-dd in local time, as date inputs expect
+    toDateInput(date) {
+        const pad = n => String(n).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    renderSlots() {
+        const form = document.getElementById('appointment-form');
+        const container = document.getElementById('slot-list');
+        if (!form || !container) return;
+        const siteId = Number(form.elements.site.value);
+        const day = form.elements.date.value ? new Date(`${form.elements.date.value}T00:00`) : this.database.clock();
+        const slots = this.scheduler.getSlots(siteId, day);
+        container.innerHTML = '';
+
+        if (slots.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'directory-empty';
+            empty.textContent = this.i18n.t('slots.none');
+            container.appendChild(empty);
+            return;
+        }
+
+        slots.forEach(slot => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = slot.available > 0 ? 'slot' : 'slot full';
+            button.textContent = this.i18n.formatTime(slot.start);
+            const places = document.createElement('small');
+            places.textContent = slot.available > 0
+                ? this.i18n.t('slots.free', { available: slot.available, capacity: slot.capacity })
+                : this.i18n.t('slots.full', { count: slot.waitlisted });
+            button.appendChild(places);
+            button.addEventListener('click', () => this.chooseSlot(siteId, slot.start));
+            container.appendChild(button);
+        });
+    }
+
+    chooseSlot(siteId, start) {
+        const form = document.getElementById('appointment-form');
+        const responseDiv = document.getElementById('appointment-response');
+        const donor = this.getBookingDonor();
+        if (!donor) {
+            responseDiv.className = 'form-response error';
+            responseDiv.textContent = this.i18n.t(this.database.can('appointments.book') ? 'booking.noDonor' : 'booking.signIn');
+            return;
+        }
+
+        const options = { waitlist: form.elements.waitlist.checked, component: form.elements.component.value };
+        const result = this.reschedulingId
+            ? this.scheduler.reschedule(this.reschedulingId, siteId, start, options)
+            : this.scheduler.book(donor.id, siteId, start, options);
+        const when = this.i18n.formatDateTime(start);
+
+        if (result.status === 'rejected') {
+            responseDiv.className = 'form-response error';
+            responseDiv.textContent = this.i18n.t('booking.failed', { when, reasons: this.i18n.formatList(this.i18n.reasons(result)) });
+        } else {
+            this.reschedulingId = null;
+            responseDiv.className = 'form-response success';
+            responseDiv.textContent = result.status === 'booked'
+                ? this.i18n.t('booking.booked', { name: donor.name, when })
+                : this.i18n.t('booking.waitlisted', { when });
+        }
+        this.renderSlots();
+        this.renderMyAppointments();
+        this.renderSiteSchedule();
+    }
+
+    // Staff book for any donor they look up; a signed-in donor only for
+    // themselves, and a guest for nobody
+    getBookingDonor() {
+        if (this.database.can('appointments.book')) {
+            return this.scheduler.findDonor(document.getElementById('appointment-form').elements.donor.value);
+        }
+        const { donorId } = this.database.session;
+        return donorId ? this.database.findRecord('donors', donorId) : null;
+    }
+
+    renderMyAppointments() {
+        const form = document.getElementById('appointment-form');
+        const container = document.getElementById('my-appointments');
+        if (!form || !container) return;
+        // Only staff pick the donor; everyone else sees just their own bookings
+        const staff = this.database.can('appointments.book');
+        form.elements.donor.hidden = !staff;
+        form.elements.donor.required = staff;
+        const donor = this.getBookingDonor();
+        container.innerHTML = '';
+        if (!donor) return;
+
+        this.scheduler.getUpcoming(donor.id).forEach(appointment => {
+            const item = this.buildAppointmentItem(appointment, this.i18n.t(`appointmentStatus.${appointment.status === 'waitlisted' ? 'waitlisted' : 'booked'}`));
+            const actions = item.querySelector('.appointment-actions');
+
+            const reschedule = document.createElement('button');
+            reschedule.type = 'button';
+            reschedule.textContent = this.i18n.t(this.reschedulingId === appointment.id ? 'appointment.pickNew' : 'appointment.reschedule');
+            reschedule.addEventListener('click', () => {
+                this.reschedulingId = appointment.id;
+                this.renderMyAppointments();
+            });
+
+            const cancel = document.createElement('button');
+            cancel.type = 'button';
+            cancel.textContent = this.i18n.t('common.cancel');
+            cancel.addEventListener('click', () => {
+                this.scheduler.cancel(appointment.id);
+                if (this.reschedulingId === appointment.id) this.reschedulingId = null;
+                this.renderSlots();
+                this.renderMyAppointments();
+                this.renderSiteSchedule();
+            });
+
+            actions.append(reschedule, cancel);
+            container.appendChild(item);
+        });
+    }
+
+    buildAppointmentItem(appointment, label) {
+        const site = this.database.getSite(appointment.siteId);
+        const item = document.createElement('div');
+        item.className = `appointment-item ${appointment.status}`;
+
+        const details = document.createElement('span');
+        details.textContent = this.i18n.t('appointment.item', { label, startTime: appointment.start, site: site ? site.name : this.i18n.t('common.unknownSite') });
+
+        const actions = document.createElement('div');
+        actions.className = 'appointment-actions';
+        item.append(details, actions);
+        return item;
+    }
+
+    // Staff view of one site's day, with check-in outcomes
+    renderSiteSchedule() {
+        const form = document.getElementById('schedule-form');
+        const container = document.getElementById('site-schedule-list');
+        if (!form || !container) return;
+
+        container.innerHTML = '';
+        if (!this.database.can('appointments.manage')) return;
+
+        const siteId = Number(form.elements.site.value);
+        const day = form.elements.date.value;
+        const appointments = this.database.readAppointments({ siteId })
+            .filter(a => this.toDateInput(new Date(a.start)) === day)
+            .sort((a, b) => new Date(a.start) - new Date(b.start));
+
+        if (appointments.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'directory-empty';
+            empty.textContent = this.i18n.t('schedule.none');
+            container.appendChild(empty);
+            return;
+        }
+
+        appointments.forEach(appointment => {
+            const donor = this.database.findRecord('donors', appointment.donorId);
+            const noShows = this.scheduler.getRecentNoShows(appointment.donorId);
+            const status = [this.i18n.t(`appointmentStatus.${appointment.status}`)];
+            if (noShows > 0) status.push(this.i18n.t('appointment.missed', { count: noShows }));
+            const label = `${donor ? donor.name : this.i18n.t('common.unknownDonor')} (${this.i18n.formatList(status)})`;
+            const item = this.buildAppointmentItem(appointment, label);
+            const actions = item.querySelector('.appointment-actions');
+
+            if (appointment.status === 'booked') {
+                const complete = document.createElement('button');
+                complete.type = 'button';
+                complete.textContent = this.i18n.t('appointment.donated');
+                complete.addEventListener('click', () => {
+                    this.scheduler.complete(appointment.id);
+                    this.updateDashboard();
+                    this.updateInventoryDisplay();
+                    this.renderSiteSchedule();
+                });
+
+                const noShow = document.createElement('button');
+                noShow.type = 'button';
+                noShow.textContent = this.i18n.t('appointment.noShow');
+                noShow.addEventListener('click', () => {
+                    this.scheduler.markNoShow(appointment.id);
+                    this.renderSiteSchedule();
+                });
+                actions.append(complete, noShow);
+            }
+            container.appendChild(item);
+        });
+    }
+
+    // Donor Directory
+    setupDonorDirectory() {
+        const controls = document.getElementById('directory-controls');
+        if (!controls) return;
+        this.fillSiteSelect(controls.elements.siteId);
+
+        let searchTimer = null;
+        controls.addEventListener('input', (e) => {
+            // Typing in the search box is debounced; filter changes apply at once
+            clearTimeout(searchTimer);
+            const delay = e.target.name === 'search' || e.target.name === 'city' ? 200 : 0;
+            searchTimer = setTimeout(() => {
+                this.directoryQuery[e.target.name] = e.target.value;
+                this.directoryQuery.page = 1;
+                this.renderDonorDirectory();
+            }, delay);
+        });
+
+        document.querySelectorAll('#directory-table th[data-sort]').forEach(header => {
+            header.addEventListener('click', () => {
+                const field = header.dataset.sort;
+                const query = this.directoryQuery;
+                query.sortDir = query.sortBy === field && query.sortDir === 'asc' ? 'desc' : 'asc';
+                query.sortBy = field;
+                this.renderDonorDirectory();
+            });
+        });
+
+        const pageButton = (id, delta) => {
+            const button = document.getElementById(id);
+            if (button) {
+                button.addEventListener('click', () => {
+                    this.directoryQuery.page += delta;
+                    this.renderDonorDirectory();
+                });
+            }
+        };
+        pageButton('directory-prev', -1);
+        pageButton('directory-next', 1);
+
+        const findButton = document.getElementById('find-duplicates');
+        if (findButton) findButton.addEventListener('click', () => this.renderDuplicates());
+
+        this.setupDataExchange();
+        this.setupCampaigns();
+
+        this.renderDonorDirectory();
+    }
+
+    renderDonorDirectory() {
+        const body = document.getElementById('directory-body');
+        if (!body) return;
+        if (!this.database.can('donors.read', this.database.session.donorId)) {
+            body.innerHTML = '';
+            return;
+        }
+
+        const result = this.directory.query(this.directoryQuery);
+        this.directoryQuery.page = result.page;
+        body.innerHTML = '';
+
+        if (result.results.length === 0) {
+            const row = document.createElement('tr');
+            const cell = document.createElement('td');
+            cell.colSpan = 7;
+            cell.className = 'directory-empty';
+            cell.textContent = this.i18n.t('directory.none');
+            row.appendChild(cell);
+            body.appendChild(row);
+        }
+
+        result.results.forEach(donor => body.appendChild(this.buildDonorRow(donor)));
+
+        const summary = document.getElementById('directory-summary');
+        if (summary) summary.textContent = this.i18n.t('directory.summary', { page: result.page, pageCount: result.pageCount, count: result.total });
+        document.getElementById('directory-prev').disabled = result.page <= 1;
+        document.getElementById('directory-next').disabled = result.page >= result.pageCount;
+
+        document.querySelectorAll('#directory-table th[data-sort]').forEach(header => {
+            const active = header.dataset.sort === this.directoryQuery.sortBy;
+            header.classList.toggle('sorted', active);
+            header.dataset.dir = active ? this.directoryQuery.sortDir : '';
+        });
+    }
+
+    buildDonorRow(donor) {
+        const row = document.createElement('tr');
+        if (donor.status !== 'active') row.className = 'inactive';
+
+        const cell = text => {
+            const td = document.createElement('td');
+            td.textContent = text;
+            return td;
+        };
+        const contact = document.createElement('td');
+        contact.textContent = donor.email || '';
+        const phone = document.createElement('small');
+        phone.textContent = donor.phone || '';
+        contact.append(document.createElement('br'), phone);
+
+        const actions = document.createElement('td');
+        actions.className = 'directory-actions';
+        const button = (key, handler) => {
+            const b = document.createElement('button');
+            b.type = 'button';
+            b.textContent = this.i18n.t(key);
+            b.addEventListener('click', handler);
+            actions.appendChild(b);
+        };
+        if (this.database.can('donors.update', donor.id)) {
+            button('directory.edit', () => row.replaceWith(this.buildDonorEditRow(donor)));
+        }
+        // Only staff deactivate donors; pausing and withdrawing are the donor's own choice to undo
+        if (this.database.can('donors.update')) {
+            if (donor.status === 'active') {
+                button('directory.deactivate', () => this.setDonorActive(donor.id, false));
+            } else if (donor.status === 'inactive') {
+                button('directory.reactivate', () => this.setDonorActive(donor.id, true));
+            }
+        }
+
+        row.append(
+            cell(donor.name),
+            cell(donor.bloodType),
+            cell(donor.city),
+            contact,
+            cell(this.i18n.t(`donorStatus.${donor.status}`, {}, donor.status)),
+            cell(this.i18n.t(donor.eligible ? 'directory.eligible' : 'directory.deferred')),
+            actions
+        );
+        return row;
+    }
+
+    // Inline editing of the contact and blood type fields
+    buildDonorEditRow(donor) {
+        const row = document.createElement('tr');
+        row.className = 'editing';
+        const inputs = {};
+
+        const inputCell = (field, type = 'text') => {
+            const td = document.createElement('td');
+            const input = document.createElement(field === 'bloodType' ? 'select' : 'input');
+            if (field === 'bloodType') {
+                BLOOD_TYPES.forEach(t => {
+                    const option = document.createElement('option');
+                    option.value = t;
+                    option.textContent = t;
+                    input.appendChild(option);
+                });
+            } else {
+                input.type = type;
+            }
+            input.value = donor[field] || '';
+            inputs[field] = input;
+            td.appendChild(input);
+            return td;
+        };
+
+        const contact = inputCell('email', 'email');
+        const phoneInput = document.createElement('input');
+        phoneInput.type = 'tel';
+        phoneInput.value = donor.phone || '';
+        inputs.phone = phoneInput;
+        contact.appendChild(phoneInput);
+
+        const actions = document.createElement('td');
+        actions.className = 'directory-actions';
+        const save = document.createElement('button');
+        save.type = 'button';
+        save.textContent = this.i18n.t('common.save');
+        save.addEventListener('click', () => {
+            const updates = {};
+            Object.entries(inputs).forEach(([field, input]) => {
+                // Donors editing themselves may only change their contact details
+                if (this.database.can('donors.update') || DONOR_SELF_EDITABLE.includes(field)) {
+                    updates[field] = input.value.trim();
+                }
+            });
+            try {
+                this.database.updateDonor(donor.id, updates);
+            } catch (error) {
+                if (!(error instanceof LifeFlowValidationError)) throw error;
+                this.showFieldErrors(inputs, this.i18n.fieldErrors(error.collection, error.errors));
+                return;
+            }
+            this.refreshDonorViews();
+        });
+        const cancel = document.createElement('button');
+        cancel.type = 'button';
+        cancel.textContent = this.i18n.t('common.cancel');
+        cancel.addEventListener('click', () => this.renderDonorDirectory());
+        actions.append(save, cancel);
+
+        const statusCell = document.createElement('td');
+        statusCell.textContent = this.i18n.t(`donorStatus.${donor.status}`, {}, donor.status);
+        const eligibleCell = document.createElement('td');
+        eligibleCell.textContent = this.i18n.t(donor.eligible ? 'directory.eligible' : 'directory.deferred');
+
+        row.append(inputCell('name'), inputCell('bloodType'), inputCell('city'), contact, statusCell, eligibleCell, actions);
+        return row;
+    }
+
+    // Batch duplicate review: merge into the older record, with undo
+    renderDuplicates(lastMerge = null) {
+        const list = document.getElementById('duplicate-list');
+        if (!list) return;
+
+        const pairs = this.duplicates.findAllDuplicates();
+        list.innerHTML = '';
+
+        if (lastMerge) {
+            const notice = document.createElement('div');
+            notice.className = 'duplicate-item merged';
+            const text = document.createElement('span');
+            text.textContent = this.i18n.t('duplicates.merged', { duplicate: lastMerge.duplicateBefore.name, primary: lastMerge.primaryBefore.name });
+            const undo = document.createElement('button');
+            undo.type = 'button';
+            undo.textContent = this.i18n.t('duplicates.undo');
+            undo.addEventListener('click', () => {
+                this.database.undoMerge(lastMerge.id);
+                this.refreshDonorViews();
+                this.renderDuplicates();
+            });
+            notice.append(text, undo);
+            list.appendChild(notice);
+        }
+
+        if (pairs.length === 0) {
+            const empty = document.createElement('p');
+            empty.textContent = this.i18n.t('duplicates.none');
+            list.appendChild(empty);
+            return;
+        }
+
+        pairs.slice(0, 20).forEach(pair => {
+            const [primary, duplicate] = [...pair.donors]
+                .sort((a, b) => new Date(a.registrationDate) - new Date(b.registrationDate));
+            const item = document.createElement('div');
+            item.className = 'duplicate-item';
+
+            const text = document.createElement('span');
+            const describe = d => `${d.name} (${this.i18n.formatList([
+                d.email || this.i18n.t('duplicates.noEmail'),
+                d.city || this.i18n.t('duplicates.noCity')
+            ])})`;
+            const reasons = this.i18n.formatList(pair.reasons.map(reason => this.i18n.t(`duplicates.reason.${reason}`)));
+            const score = this.i18n.t('common.percent', { value: Math.round(pair.score * 100) });
+            text.textContent = `${describe(primary)} ↔ ${describe(duplicate)} - ${reasons} (${score})`;
+
+            const merge = document.createElement('button');
+            merge.type = 'button';
+            merge.textContent = this.i18n.t('duplicates.merge');
+            merge.addEventListener('click', () => {
+                const result = this.database.mergeDonors(primary.id, duplicate.id);
+                this.refreshDonorViews();
+                this.renderDuplicates(result);
+            });
+
+            item.append(text, merge);
+            list.appendChild(item);
+        });
+    }
+
+    // Import & Export
+    setupDataExchange() {
+        const panel = document.getElementById('data-exchange');
+        if (!panel) return;
+
+        const collectionSelect = document.getElementById('exchange-collection');
+        const fileInput = document.getElementById('import-file');
+        let pending = null;
+
+        panel.querySelectorAll('[data-export]').forEach(button => {
+            button.addEventListener('click', () => {
+                const format = button.dataset.export;
+                const collection = collectionSelect.value;
+                const content = this.exchange.export(collection, format);
+                const type = format === 'json' ? 'application/json' : 'text/csv';
+                this.downloadFile(`lifeflow-${collection}-${this.database.clock().toISOString().slice(0, 10)}.${format}`, content, type);
+            });
+        });
+
+        fileInput.addEventListener('change', () => {
+            const file = fileInput.files[0];
+            if (!file) return;
+            file.text().then(text => {
+                const format = file.name.toLowerCase().endsWith('.json') ? 'json' : 'csv';
+                pending = { text, format };
+                this.renderColumnMapping(collectionSelect.value, this.exchange.getHeaders(text, format));
+            });
+        });
+
+        collectionSelect.addEventListener('change', () => {
+            if (pending) this.renderColumnMapping(collectionSelect.value, this.exchange.getHeaders(pending.text, pending.format));
+        });
+
+        panel.querySelectorAll('[data-import]').forEach(button => {
+            button.addEventListener('click', () => {
+                if (!pending) return;
+                const dryRun = button.dataset.import === 'dry-run';
+                const report = this.exchange.import(collectionSelect.value, pending.text, {
+                    format: pending.format,
+                    mapping: this.readColumnMapping(),
+                    dryRun
+                });
+                this.renderImportReport(report);
+                if (!dryRun) {
+                    this.refreshDonorViews();
+                    this.updateInventoryDisplay();
+                    this.updateEmergencyList();
+                }
+            });
+        });
+    }
+
+    downloadFile(filename, content, type) {
+        const url = URL.createObjectURL(new Blob([content], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    // One select per source column, preset to the suggested target field
+    renderColumnMapping(collection, headers) {
+        const container = document.getElementById('column-mapping');
+        const suggested = this.exchange.suggestMapping(collection, headers);
+        container.innerHTML = '';
+
+        headers.forEach(header => {
+            const label = document.createElement('label');
+            const name = document.createElement('span');
+            name.textContent = header;
+
+            const select = document.createElement('select');
+            select.dataset.source = header;
+            ['', ...this.exchange.columnsFor(collection)].forEach(field => {
+                const option = document.createElement('option');
+                option.value = field;
+                option.textContent = field || this.i18n.t('exchange.skip');
+                select.appendChild(option);
+            });
+            select.value = suggested[header] || '';
+
+            label.append(name, select);
+            container.appendChild(label);
+        });
+    }
+
+    readColumnMapping() {
+        const mapping = {};
+        document.querySelectorAll('#column-mapping select').forEach(select => {
+            if (select.value) mapping[select.dataset.source] = select.value;
+        });
+        return mapping;
+    }
+
+    renderImportReport(report) {
+        const container = document.getElementById('import-report');
+        const { created, updated, rejected } = report.summary;
+        container.innerHTML = '';
+
+        const heading = document.createElement('strong');
+        heading.textContent = this.i18n.t(report.dryRun ? 'exchange.dryRunSummary' : 'exchange.importSummary', { created, updated, rejected });
+        container.appendChild(heading);
+
+        report.rejected.slice(0, 50).forEach(({ row, errors }) => {
+            const line = document.createElement('div');
+            line.className = 'import-error';
+            line.textContent = this.i18n.t('exchange.row', {
+                row,
+                errors: Object.entries(this.i18n.fieldErrors(report.collection, errors))
+                    .map(([field, message]) => `${field} - ${message}`).join('; ')
+            });
+            container.appendChild(line);
+        });
+        if (report.rejected.length > 50) {
+            const more = document.createElement('div');
+            more.textContent = this.i18n.t('exchange.more', { count: report.rejected.length - 50 });
+            container.appendChild(more);
+        }
+    }
+
+    // Campaigns & Delivery Log
+    setupCampaigns() {
+        const form = document.getElementById('campaign-form');
+        if (!form) return;
+
+        const bloodTypeSelect = form.elements.bloodTypes;
+        BLOOD_TYPES.forEach(type => {
+            const option = document.createElement('option');
+            option.value = type;
+            option.textContent = type;
+            bloodTypeSelect.appendChild(option);
+        });
+
+        const readCampaign = () => ({
+            name: form.elements.subject.value.trim(),
+            subject: form.elements.subject.value.trim(),
+            message: form.elements.message.value.trim(),
+            bloodTypes: Array.from(bloodTypeSelect.selectedOptions).map(option => option.value),
+            cities: form.elements.cities.value.split(',')
+        });
+        const status = document.getElementById('campaign-status');
+
+        form.addEventListener('input', () => {
+            status.textContent = this.i18n.t('campaigns.audience', { count: this.notifications.campaignAudience(readCampaign()).length });
+        });
+
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const campaign = readCampaign();
+            if (!campaign.subject || !campaign.message) {
+                status.textContent = this.i18n.t('campaigns.required');
+                return;
+            }
+            this.notifications.sendCampaign(campaign).then(results => {
+                const { sent, skipped, failed } = this.notifications.summarize(results);
+                status.textContent = this.i18n.t('campaigns.sent', { sent, skipped, failed });
+                this.renderNotificationLog();
+            });
+        });
+
+        const remindButton = document.getElementById('send-reminders');
+        if (remindButton) {
+            remindButton.addEventListener('click', () => {
+                this.notifications.sendEligibilityReminders().then(results => {
+                    status.textContent = this.i18n.t('campaigns.reminders', { count: this.notifications.summarize(results).sent });
+                    this.renderNotificationLog();
+                });
+            });
+        }
+
+        this.renderNotificationLog();
+    }
+
+    // Most recent deliveries first
+    renderNotificationLog() {
+        const container = document.getElementById('notification-log');
+        if (!container) return;
+        container.innerHTML = '';
+        if (!this.database.can('notifications.send')) return;
+
+        const entries = this.database.readNotificationLog().slice(-20).reverse();
+        if (entries.length === 0) {
+            container.textContent = this.i18n.t('campaigns.noMessages');
+            return;
+        }
+
+        entries.forEach(entry => {
+            const donor = this.database.findRecord('donors', entry.donorId);
+            const line = document.createElement('div');
+            line.className = `notification-entry ${entry.status}`;
+            const detail = entry.status === 'sent' ? entry.to : entry.reason;
+            line.textContent = `${this.i18n.formatDateTime(entry.date)} · ${entry.kind.replace('_', ' ')} · ` +
+                `${donor ? donor.name : this.i18n.t('common.unknownDonor')} · ${entry.channel || '-'} · ${entry.status}${detail ? ` (${detail})` : ''}`;
+            container.appendChild(line);
+        });
+    }
+
+    setDonorActive(id, active) {
+        if (active) {
+            this.database.reactivateDonor(id);
+        } else {
+            this.database.deactivateDonor(id, 'Deactivated from donor directory');
+        }
+        this.refreshDonorViews();
+    }
+
+    refreshDonorViews() {
+        this.updateDashboard();
+        this.renderDonorDirectory();
+    }
+
+    // Setup Form Handler
+    setupFormHandler() {
+        const form = document.getElementById('donor-form');
+        if (form) {
+            this.fillSiteSelect(form.elements['site-id'], 'collection');
+            form.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.handleFormSubmit(e.target);
+            });
+        }
+    }
+
+    // Mark each input whose field failed validation and put the message after it.
+    // `inputs` maps field names to their elements.
+    showFieldErrors(inputs, errors) {
+        Object.entries(inputs).forEach(([field, input]) => {
+            const next = input.nextElementSibling;
+            if (next && next.classList.contains('field-error')) next.remove();
+            input.classList.toggle('invalid', Boolean(errors[field]));
+            input.setAttribute('aria-invalid', errors[field] ? 'true' : 'false');
+            if (!errors[field]) return;
+
+            const message = document.createElement('small');
+            message.className = 'field-error';
+            message.textContent = errors[field];
+            input.after(message);
+        });
+    }
+
+    // Handle Form Submission
+    handleFormSubmit(form) {
+        const formData = new FormData(form);
+        const donorData = sanitizeFields('donors', {
+            name: formData.get('name'),
+            email: formData.get('email'),
+            bloodType: formData.get('blood-type'),
+            phone: formData.get('phone'),
+            age: formData.get('age'),
+            weight: this.i18n.toKg(formData.get('weight')),
+            sex: formData.get('sex'),
+            city: formData.get('city'),
+            siteId: formData.get('site-id'),
+            lastDonation: formData.get('last-donation')
+        });
+
+        const responseDiv = document.getElementById('form-response');
+        const inputs = {};
+        Object.keys(FIELD_SCHEMAS.donors).forEach(field => {
+            const name = field.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
+            if (form.elements[name]) inputs[field] = form.elements[name];
+        });
+
+        const fieldErrors = this.i18n.fieldErrors('donors', findFieldErrorKeys('donors', donorData));
+        this.showFieldErrors(inputs, fieldErrors);
+        if (Object.keys(fieldErrors).length > 0) {
+            responseDiv.className = 'form-response error';
+            responseDiv.textContent = this.i18n.t('register.invalid');
+            return;
+        }
+
+        // Validate eligibility
+        const eligibility = this.ai.checkEligibility({
+            ...donorData,
+            hasConditions: formData.get('has-conditions') === 'yes'
+        });
+
+        // Same email or phone means this person is already registered
+        const duplicates = this.duplicates.findDuplicatesFor(donorData);
+        const existing = duplicates.find(match => match.strong);
+        if (existing) {
+            responseDiv.className = 'form-response error';
+            responseDiv.textContent = this.i18n.t('register.duplicate', { match: this.i18n.t(`duplicates.reason.${existing.reasons[0]}`) });
+            return;
+        }
+        
+        if (eligibility.eligible) {
+            // Create donor; a fuzzy name match is flagged for staff review
+            if (duplicates.length > 0) donorData.possibleDuplicateOf = duplicates[0].donor.id;
+            const newDonor = this.database.createDonor(donorData);
+            
+            // Update displays
+            this.updateDashboard();
+            this.updateInventoryDisplay();
+            this.renderDonorDirectory();
+            
+            // Show success message
+            responseDiv.className = 'form-response success';
+            responseDiv.textContent = this.i18n.t('register.success', { name: donorData.name });
+
+            // Someone registering themselves goes straight to their donor page;
+            // staff registering a donor at the desk get a code to hand over
+            this.portal.issueFirstAccess(newDonor.id).then(access => {
+                if (this.database.session.userId === null) {
+                    return this.database.signInWithCode(access.code).then(() => {
+                        this.onSessionChange();
+                        document.getElementById('portal').scrollIntoView({ behavior: 'smooth' });
+                    });
+                }
+                const code = access.code.replace(/(.{5})(?=.)/g, '$1-');
+                responseDiv.textContent += ` ${this.i18n.t('register.code', { code, until: this.i18n.formatTime(access.expiresAt) })}`;
+            });
+            
+            // Reset form
+            form.reset();
+            
+            // Scroll to response
+            responseDiv.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+        } else {
+            // Show error message
+            responseDiv.className = 'form-response error';
+            const until = eligibility.eligibleDate
+                ? ` ${this.i18n.t('register.from', { fromDate: eligibility.eligibleDate })}`
+                : '';
+            responseDiv.textContent = `${this.i18n.t('register.failed', { reasons: this.i18n.formatList(this.i18n.reasons(eligibility)) })}${until}`;
+        }
+
+        // Auto-hide after 5 seconds
+        setTimeout(() => {
+            responseDiv.style.display = 'none';
+        }, 5000);
+    }
+}
@@ -0,0 +1,101 @@
+import { maskPII } from '../database.js';
+
+// ============================================================================
+// AI Demonstrations
+// ============================================================================
+
+// Each demo fills its result panel on the landing page from the running app
+
+// The demo panels build markup from strings; anything that came from a record
+// or a rule set goes through here first
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+function escapeHTML(value) {
+    return String(value ?? '').replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
+// A message in the app's language, escaped for the panel
+function translator(app) {
+    return (key, params = {}) => escapeHTML(app.i18n.t(key, params));
+}
+
+export function demoMatching(app) {
+    const resultDiv = document.getElementById('matching-result');
+    
+    // Match against the most pressing open request, or a sample one
+    const request = app.database.getActiveRequests()[0] ||
+        { bloodType: 'O+', city: 'New York', units: 2, urgency: 'urgent' };
+    const result = app.ai.smartMatching(request);
+    const t = translator(app);
+    const explain = b => t('demo.explain', { distance: b.distance, recency: b.recency, response: b.responseRate, type: b.exactType });
+    const urgency = app.i18n.t(`urgency.${request.urgency}`, {}, request.urgency);
+    // The panel is public: only staff cleared for personal details see who matched
+    const name = m => app.database.can('donors.read.pii') ? m.name : maskPII(m.name);
+    
+    resultDiv.innerHTML = `
+        <strong>${t('demo.matchesFound')}</strong><br>
+        ${t('demo.request', { bloodType: request.bloodType, city: request.city, urgency, units: result.unitsNeeded, radius: result.searchRadiusKm })}<br>
+        ${result.matches.length === 0 ? t('demo.noMatches') : result.matches.slice(0, 3).map((m, i) => 
+            `${t('demo.match', { rank: i + 1, name: name(m), bloodType: m.bloodType, distance: m.distanceKm, score: m.matchScore })}<br><small>${explain(m.scoreBreakdown)}</small>`
+        ).join('<br>')}
+        ${result.covered ? '' : `<br>${t('demo.shortfall', { units: Math.round((result.unitsNeeded - result.expectedUnits) * 10) / 10 })}`}
+    `;
+    resultDiv.classList.add('show');
+    
+    setTimeout(() => resultDiv.classList.remove('show'), 5000);
+}
+
+export function demoPrediction(app) {
+    const resultDiv = document.getElementById('prediction-result');
+    
+    const bloodTypes = ['O+', 'A+', 'B+'];
+    const randomType = bloodTypes[Math.floor(app.database.random() * bloodTypes.length)];
+    const prediction = app.ai.predictDemand(randomType, 7);
+    
+    const tomorrow = prediction.forecast[0];
+    const t = translator(app);
+    const accuracy = prediction.backtest.mape === null
+        ? app.i18n.t('demo.noBacktest')
+        : app.i18n.t('demo.backtest', { mape: prediction.backtest.mape });
+    
+    resultDiv.innerHTML = `
+        <strong>${t('demo.forecast', { bloodType: prediction.bloodType })}</strong><br>
+        ${t('demo.current', { demand: prediction.currentDemand })}<br>
+        ${t('demo.tomorrow', { demand: tomorrow.demand, lower: tomorrow.lower, upper: tomorrow.upper })}<br>
+        ${t('demo.predicted', { demand: prediction.predictedDemand })}<br>
+        ${t('demo.trend', { trend: app.i18n.t(`trend.${prediction.trend}`), accuracy })}
+    `;
+    resultDiv.classList.add('show');
+    
+    setTimeout(() => resultDiv.classList.remove('show'), 5000);
+}
+
+export function checkEligibility(app) {
+    const resultDiv = document.getElementById('eligibility-result');
+    
+    // Random test case
+    const testCases = [
+        { age: 25, weight: 70, sex: 'male', lastDonation: 'never' },
+        { age: 17, weight: 65, sex: 'female', lastDonation: 'never' },
+        { age: 45, weight: 48, sex: 'female', lastDonation: '3months' },
+        { age: 32, weight: 68, sex: 'male', lastDonation: '6months', tattooDate: new Date(app.database.clock().getTime() - 30 * 86400000).toISOString() }
+    ];
+    
+    const testCase = testCases[Math.floor(app.database.random() * testCases.length)];
+    const result = app.ai.checkEligibility(testCase);
+    const t = translator(app);
+    const eligibleFrom = result.eligibleDate ? app.i18n.formatDate(result.eligibleDate) : app.i18n.t('common.notAvailable');
+    const deferral = app.i18n.t(`deferral.${result.deferralType}`, {}, result.deferralType);
+    
+    resultDiv.innerHTML = `
+        <strong>${t('demo.testCase')}</strong><br>
+        ${t('demo.answers', { age: testCase.age, weightKg: testCase.weight, sex: app.i18n.t(`sex.${testCase.sex}`) })}<br>
+        <strong>${result.eligible ? t('demo.eligible') : t('demo.notEligible', { deferral })}</strong><br>
+        ${app.i18n.reasons(result).map(escapeHTML).join('<br>')}<br>
+        ${result.eligible ? '' : `${t('demo.eligibleFrom', { date: eligibleFrom })}<br>${t('demo.rules', { rules: app.i18n.formatList(result.firedRules) })}<br>`}
+        <small>${t('demo.ruleSet', { id: result.ruleSet.id, version: result.ruleSet.version })}</small>
+    `;
+    resultDiv.classList.add('show');
+    
+    setTimeout(() => resultDiv.classList.remove('show'), 5000);
+}
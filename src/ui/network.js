@@ -0,0 +1,76 @@
+// ============================================================================
+// Networking & Real-time Features
+// ============================================================================
+
+export class LifeFlowNetwork {
+    // i18n is optional; without it messages are shown in English
+    constructor(sync = null, i18n = null) {
+        this.sync = sync;
+        this.i18n = i18n;
+        this.isConnected = false;
+        this.checkConnection();
+        this.setupConnectionMonitoring();
+    }
+
+    t(key, params = {}, fallback) {
+        return this.i18n ? this.i18n.t(key, params) : fallback;
+    }
+
+    checkConnection() {
+        this.isConnected = navigator.onLine;
+        this.updateConnectionStatus();
+    }
+
+    setupConnectionMonitoring() {
+        window.addEventListener('online', () => {
+            this.isConnected = true;
+            this.updateConnectionStatus();
+            this.showNotification(this.t('connection.restored', {}, 'Connection restored'), 'success');
+            this.syncData();
+        });
+
+        window.addEventListener('offline', () => {
+            this.isConnected = false;
+            this.updateConnectionStatus();
+            this.showNotification(this.t('connection.lost', {}, 'Connection lost - working offline'), 'warning');
+        });
+    }
+
+    updateConnectionStatus() {
+        const statusElement = document.getElementById('connection-status');
+        if (statusElement) {
+            statusElement.textContent = this.isConnected
+                ? this.t('connection.online', {}, '🟢 Online')
+                : this.t('connection.offline', {}, '🔴 Offline');
+            statusElement.style.color = this.isConnected ? '#4caf50' : '#f44336';
+        }
+    }
+
+    showNotification(message, type) {
+        // Simple notification system
+        console.log(`[${type.toUpperCase()}] ${message}`);
+
+        const container = document.getElementById('toasts');
+        if (!container) return;
+        const toast = document.createElement('div');
+        toast.className = `toast ${type}`;
+        toast.textContent = message;
+        container.appendChild(toast);
+        setTimeout(() => toast.remove(), 5000);
+    }
+
+    // Push queued local changes and pull remote ones
+    syncData() {
+        if (!this.isConnected || !this.sync) return Promise.resolve(false);
+
+        return this.sync.sync()
+            .then(summary => {
+                console.log(`Data synced: ${summary.pushed} pushed, ${summary.pulled} pulled, ${summary.conflicts} conflicts`);
+                return true;
+            })
+            .catch(e => {
+                this.showNotification(this.t('connection.syncFailed', { error: e.message }, `Sync failed: ${e.message}`), 'warning');
+                return false;
+            });
+    }
+}
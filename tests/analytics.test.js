@@ -0,0 +1,100 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { LifeFlowAnalytics } from '../src/analytics.js';
+import { createDatabase, daysAgo, donor, NOW } from './helpers.js';
+
+describe('statistical functions', () => {
+    const analytics = new LifeFlowAnalytics();
+
+    it('computes mean, median, mode and standard deviation', () => {
+        assert.equal(analytics.calculateMean([2, 4, 6, 8]), 5);
+        assert.equal(analytics.calculateMedian([7, 1, 3]), 3);
+        assert.equal(analytics.calculateMedian([4, 1, 3, 2]), 2.5);
+        assert.equal(analytics.findMode(['A+', 'O+', 'O+', 'B+']), 'O+');
+        assert.equal(analytics.calculateStdDev([2, 4, 4, 4, 5, 5, 7, 9]), 2);
+    });
+});
+
+describe('donor statistics', () => {
+    it('summarises registered donors and ignores merged records', async () => {
+        const database = await createDatabase();
+        const primary = database.createDonor(donor({ bloodType: 'O+', age: 20 }));
+        database.createDonor(donor({ bloodType: 'O+', age: 30 }));
+        database.createDonor(donor({ bloodType: 'A-', age: 40 }));
+        const merged = database.createDonor(donor({ bloodType: 'B+', age: 60 }));
+        database.mergeDonors(primary.id, merged.id);
+
+        const stats = new LifeFlowAnalytics(database).getStatistics();
+        assert.equal(stats.totalDonors, 3);
+        assert.equal(stats.mostCommonBloodType, 'O+');
+        assert.equal(stats.averageAge, 30);
+        assert.equal(stats.medianAge, 30);
+    });
+
+    it('keeps aggregates current as records change', async () => {
+        const database = await createDatabase();
+        const analytics = new LifeFlowAnalytics(database);
+        const created = database.createDonor(donor({ bloodType: 'AB-' }));
+        assert.equal(analytics.getStatistics().mostCommonBloodType, 'AB-');
+
+        database.updateDonor(created.id, { bloodType: 'B-' });
+        const distribution = analytics.getBloodTypeDistribution();
+        assert.equal(distribution.find(d => d.bloodType === 'AB-').count, 0);
+        assert.equal(distribution.find(d => d.bloodType === 'B-').count, 1);
+    });
+
+    it('counts donors who gave in the last 30 days and the last year', async () => {
+        const database = await createDatabase();
+        const recent = database.createDonor(donor());
+        const lastYear = database.createDonor(donor());
+        const longAgo = database.createDonor(donor());
+        database.recordDonation(recent.id, { date: daysAgo(10), screeningResult: 'passed' });
+        database.recordDonation(lastYear.id, { date: daysAgo(200), screeningResult: 'passed' });
+        database.recordDonation(longAgo.id, { date: daysAgo(500), screeningResult: 'passed' });
+
+        const stats = new LifeFlowAnalytics(database).getDonationStatistics(NOW);
+        assert.equal(stats.donationsThisMonth, 1);
+        assert.equal(stats.donorsThisMonth, 1);
+        assert.equal(stats.activeDonors, 2);
+    });
+});
+
+describe('reports', () => {
+    it('splits cohorts into retained, lapsed and never donated', async () => {
+        const database = await createDatabase();
+        const retained = database.createDonor(donor());
+        const lapsed = database.createDonor(donor());
+        database.createDonor(donor());
+        database.recordDonation(retained.id, { date: daysAgo(20), screeningResult: 'passed' });
+        database.recordDonation(retained.id, { date: daysAgo(5), screeningResult: 'passed' });
+        database.recordDonation(lapsed.id, { date: daysAgo(400), screeningResult: 'passed' });
+
+        const cohorts = new LifeFlowAnalytics(database).getRetentionCohorts({}, NOW);
+        const total = key => cohorts.reduce((sum, cohort) => sum + cohort[key], 0);
+        assert.equal(total('donors'), 3);
+        assert.equal(total('retained'), 1);
+        assert.equal(total('lapsed'), 1);
+        assert.equal(total('neverDonated'), 1);
+        assert.equal(total('repeat'), 1);
+    });
+
+    it('measures fulfilment time per urgency', async () => {
+        const database = await createDatabase();
+        const request = database.createRequest({ hospital: 'City Hospital', bloodType: 'O+', units: 1, urgency: 'urgent' });
+        request.createdDate = daysAgo(1);
+        database.fulfilRequest(request.id, 1);
+
+        const times = new LifeFlowAnalytics(database).getFulfilmentTimes();
+        assert.equal(times.count, 1);
+        assert.equal(times.byUrgency.urgent.meanHours, 24);
+        assert.equal(times.byUrgency.moderate.count, 0);
+    });
+
+    it('picks the timeline granularity from the range length', async () => {
+        const analytics = new LifeFlowAnalytics(await createDatabase());
+        assert.equal(analytics.getReport({ from: daysAgo(7).slice(0, 10) }, NOW).granularity, 'day');
+        assert.equal(analytics.getReport({ from: daysAgo(90).slice(0, 10) }, NOW).granularity, 'week');
+        assert.equal(analytics.getReport({}, NOW).granularity, 'month');
+    });
+});
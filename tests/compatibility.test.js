@@ -0,0 +1,153 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { formatPhenotype, LifeFlowCompatibility, parsePhenotype } from '../src/compatibility.js';
+import { BLOOD_TYPES } from '../src/database.js';
+
+// Recipient type -> donor types it may receive, written out by hand for every
+// component so the table can be checked against a transfusion reference
+const EXPECTED = {
+    rbc: {
+        'O-': ['O-'],
+        'O+': ['O-', 'O+'],
+        'A-': ['O-', 'A-'],
+        'A+': ['O-', 'O+', 'A-', 'A+'],
+        'B-': ['O-', 'B-'],
+        'B+': ['O-', 'O+', 'B-', 'B+'],
+        'AB-': ['O-', 'A-', 'B-', 'AB-'],
+        'AB+': ['O-', 'O+', 'A-', 'A+', 'B-', 'B+', 'AB-', 'AB+']
+    },
+    whole_blood: {
+        'O-': ['O-'],
+        'O+': ['O-', 'O+'],
+        'A-': ['A-'],
+        'A+': ['A-', 'A+'],
+        'B-': ['B-'],
+        'B+': ['B-', 'B+'],
+        'AB-': ['AB-'],
+        'AB+': ['AB-', 'AB+']
+    },
+    plasma: {
+        'O-': ['O-', 'O+', 'A-', 'A+', 'B-', 'B+', 'AB-', 'AB+'],
+        'O+': ['O-', 'O+', 'A-', 'A+', 'B-', 'B+', 'AB-', 'AB+'],
+        'A-': ['A-', 'A+', 'AB-', 'AB+'],
+        'A+': ['A-', 'A+', 'AB-', 'AB+'],
+        'B-': ['B-', 'B+', 'AB-', 'AB+'],
+        'B+': ['B-', 'B+', 'AB-', 'AB+'],
+        'AB-': ['AB-', 'AB+'],
+        'AB+': ['AB-', 'AB+']
+    },
+    platelets: {
+        'O-': ['O-', 'A-', 'B-', 'AB-'],
+        'O+': ['O-', 'O+', 'A-', 'A+', 'B-', 'B+', 'AB-', 'AB+'],
+        'A-': ['A-', 'AB-'],
+        'A+': ['A-', 'A+', 'AB-', 'AB+'],
+        'B-': ['B-', 'AB-'],
+        'B+': ['B-', 'B+', 'AB-', 'AB+'],
+        'AB-': ['AB-'],
+        'AB+': ['AB-', 'AB+']
+    }
+};
+
+describe('ABO/Rh compatibility by component', () => {
+    const compatibility = new LifeFlowCompatibility();
+
+    Object.entries(EXPECTED).forEach(([component, table]) => {
+        it(`matches the reference table for ${component}`, () => {
+            BLOOD_TYPES.forEach(recipient => {
+                BLOOD_TYPES.forEach(donor => {
+                    assert.equal(
+                        compatibility.isTypeCompatible(donor, recipient, component),
+                        table[recipient].includes(donor),
+                        `${donor} ${component} to a ${recipient} patient`
+                    );
+                });
+            });
+        });
+    });
+
+    it('lists the patient\'s own type first', () => {
+        BLOOD_TYPES.forEach(recipient => {
+            const accepted = compatibility.acceptedDonorTypes(recipient, 'rbc');
+            assert.equal(accepted[0], recipient);
+            assert.deepEqual([...accepted].sort(), [...EXPECTED.rbc[recipient]].sort());
+        });
+    });
+
+    it('treats a request without a component as red cells', () => {
+        assert.equal(compatibility.isTypeCompatible('O+', 'A+', null), true);
+        assert.equal(compatibility.isTypeCompatible('AB+', 'A+', undefined), false);
+    });
+
+    it('finds the universal donor types per component', () => {
+        assert.deepEqual(compatibility.universalDonorTypes('rbc'), ['O-']);
+        assert.deepEqual(compatibility.universalDonorTypes('plasma'), ['AB+', 'AB-']);
+        assert.deepEqual(compatibility.universalDonorTypes('platelets'), ['AB-']);
+        assert.deepEqual(compatibility.universalDonorTypes('whole_blood'), []);
+    });
+});
+
+// Requirement -> unit state -> what a unit and a donor in that state fail.
+// Donors are never irradiated; only their units can be.
+const REQUIREMENT_CASES = [
+    [{ antigenNegative: ['K'] }, { antigens: { K: false } }, [], []],
+    [{ antigenNegative: ['K'] }, { antigens: { K: true } }, ['K positive'], ['K positive']],
+    [{ antigenNegative: ['K'] }, {}, ['K not typed'], ['K not typed']],
+    [{ cmvNegative: true }, { cmvNegative: true }, [], []],
+    [{ cmvNegative: true }, { cmvNegative: false }, ['not CMV negative'], ['not CMV negative']],
+    [{ cmvNegative: true }, {}, ['not CMV negative'], ['not CMV negative']],
+    [{ irradiated: true }, { irradiated: true }, [], []],
+    [{ irradiated: true }, {}, ['not irradiated'], []],
+    [{}, { antigens: { K: true }, cmvNegative: false }, [], []]
+];
+
+describe('special requirements', () => {
+    const compatibility = new LifeFlowCompatibility();
+    const request = { bloodType: 'A+', antigenNegative: ['K', 'Fya'], cmvNegative: true, irradiated: true };
+
+    it('matches the reference table for every requirement and unit state', () => {
+        REQUIREMENT_CASES.forEach(([needs, state, unitFails, donorFails]) => {
+            const patient = { bloodType: 'A+', ...needs };
+            const label = `${JSON.stringify(needs)} with ${JSON.stringify(state)}`;
+            assert.deepEqual(compatibility.unmetRequirements({ bloodType: 'A+', ...state }, patient), unitFails, `unit: ${label}`);
+            assert.deepEqual(compatibility.unmetRequirements({ bloodType: 'A+', ...state }, patient, 'donor'), donorFails, `donor: ${label}`);
+        });
+    });
+
+    it('needs a negative typing for every listed antigen', () => {
+        const unit = { bloodType: 'A+', component: 'rbc', antigens: { K: false, Fya: true }, cmvNegative: true, irradiated: true };
+        assert.deepEqual(compatibility.unmetRequirements(unit, request), ['Fya positive']);
+        assert.deepEqual(compatibility.unmetRequirements({ ...unit, antigens: { K: false } }, request), ['Fya not typed']);
+        assert.deepEqual(compatibility.unmetRequirements({ ...unit, antigens: { K: false, Fya: false } }, request), []);
+    });
+
+    it('checks CMV status and irradiation on units', () => {
+        const unit = { bloodType: 'A+', component: 'rbc', antigens: { K: false, Fya: false } };
+        assert.deepEqual(compatibility.unmetRequirements(unit, request), ['not CMV negative', 'not irradiated']);
+    });
+
+    it('does not ask donors to be irradiated', () => {
+        const donor = { bloodType: 'A+', antigens: { K: false, Fya: false }, cmvNegative: true };
+        assert.deepEqual(compatibility.check(donor, request, 'donor'), { compatible: true, reasons: [] });
+    });
+
+    it('checks a unit as the component it is', () => {
+        const plasma = { bloodType: 'AB+', component: 'plasma' };
+        const redCells = { bloodType: 'AB+', component: 'rbc' };
+        assert.equal(compatibility.check(plasma, { bloodType: 'O+' }).compatible, true);
+        assert.deepEqual(compatibility.check(redCells, { bloodType: 'O+' }).reasons, ['AB+ rbc cannot go to a O+ patient']);
+    });
+
+    it('describes requirements for display', () => {
+        assert.deepEqual(compatibility.describeRequirements(request), ['K-negative', 'Fya-negative', 'CMV negative', 'irradiated']);
+        assert.deepEqual(compatibility.describeRequirements({ bloodType: 'O+' }), []);
+    });
+});
+
+describe('phenotype notation', () => {
+    it('round-trips between text and antigen maps', () => {
+        assert.deepEqual(parsePhenotype('K-, Fyapos, Jkbneg'), { K: false, Fya: true, Jkb: false });
+        assert.equal(formatPhenotype({ K: false, Fya: true }), 'K- Fya+');
+        assert.equal(formatPhenotype(), '');
+    });
+});
@@ -0,0 +1,86 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { LifeFlowAI } from '../src/ai.js';
+import { LifeFlowEligibility } from '../src/eligibility.js';
+import { createDatabase, daysAgo, donor, NOW } from './helpers.js';
+
+const healthy = { age: 30, weight: 70, sex: 'female' };
+
+describe('eligibility rules engine', () => {
+    const eligibility = new LifeFlowEligibility();
+
+    it('accepts a healthy donor from today', () => {
+        const result = eligibility.evaluate(healthy, NOW);
+        assert.equal(result.eligible, true);
+        assert.equal(result.eligibleDate, NOW.toISOString());
+        assert.deepEqual(result.firedRules, []);
+        assert.deepEqual(result.ruleSet, { id: 'default', version: '2026.2' });
+    });
+
+    it('applies age and weight limits at their boundaries', () => {
+        assert.equal(eligibility.evaluate({ ...healthy, age: 18 }, NOW).eligible, true);
+        assert.equal(eligibility.evaluate({ ...healthy, age: 65 }, NOW).eligible, true);
+        assert.deepEqual(eligibility.evaluate({ ...healthy, age: 17 }, NOW).firedRules, ['AGE-MIN']);
+        assert.equal(eligibility.evaluate({ ...healthy, age: 66 }, NOW).deferralType, 'permanent');
+        assert.equal(eligibility.evaluate({ ...healthy, weight: 50 }, NOW).eligible, true);
+        assert.deepEqual(eligibility.evaluate({ ...healthy, weight: 49 }, NOW).firedRules, ['WEIGHT-MIN']);
+    });
+
+    it('defers until the latest end of every fired rule', () => {
+        const result = eligibility.evaluate({ ...healthy, lastDonationDate: daysAgo(30), tattooDate: daysAgo(100) }, NOW);
+        assert.equal(result.eligible, false);
+        assert.deepEqual(result.firedRules, ['INTERVAL-MIN', 'INTERVAL-F', 'TATTOO']);
+        // 16 weeks after the donation is later than 4 months after the tattoo
+        assert.equal(result.eligibleDate, new Date(NOW.getTime() + 82 * 86400000).toISOString());
+    });
+
+    it('uses the sex-specific donation interval', () => {
+        const lastDonationDate = daysAgo(90);
+        assert.equal(eligibility.evaluate({ ...healthy, sex: 'male', lastDonationDate }, NOW).eligible, true);
+        assert.deepEqual(eligibility.evaluate({ ...healthy, lastDonationDate }, NOW).firedRules, ['INTERVAL-F']);
+    });
+
+    it('has no eligible date for permanent or open-ended deferrals', () => {
+        assert.equal(eligibility.evaluate({ ...healthy, bloodborneInfection: true }, NOW).eligibleDate, null);
+        assert.equal(eligibility.evaluate({ ...healthy, hasConditions: true }, NOW).eligibleDate, null);
+    });
+
+    it('matches medications case-insensitively', () => {
+        const result = eligibility.evaluate({ ...healthy, medications: ['Warfarin'] }, NOW);
+        assert.deepEqual(result.firedRules, ['MED-ANTICOAGULANT']);
+        assert.equal(result.eligibleDate, new Date(NOW.getTime() + 7 * 86400000).toISOString());
+    });
+
+    it('rejects malformed rule sets', () => {
+        assert.throws(() => new LifeFlowEligibility({ id: 'x', rules: [] }), /id, a version and a rules array/);
+        assert.throws(() => new LifeFlowEligibility({ id: 'x', version: '1', rules: [{ id: 'R', when: [], deferral: 'maybe' }] }), /Invalid eligibility rule: R/);
+    });
+
+    it('evaluates a swapped-in regional rule set', () => {
+        const regional = new LifeFlowEligibility({
+            id: 'regional',
+            version: '1',
+            rules: [{ id: 'AGE-MIN-17', when: [{ field: 'age', lt: 17 }], deferral: 'temporary' }]
+        });
+        assert.equal(regional.evaluate({ ...healthy, age: 17 }, NOW).eligible, true);
+        assert.deepEqual(regional.evaluate({ ...healthy, age: 16 }, NOW).reasons, ['AGE-MIN-17']);
+    });
+});
+
+describe('questionnaire answers', () => {
+    it('turns a self-reported last donation range into a date', async () => {
+        const ai = new LifeFlowAI(await createDatabase());
+        assert.equal(ai.checkEligibility({ ...healthy, sex: 'male', lastDonation: '3months' }).eligible, true);
+        assert.deepEqual(ai.checkEligibility({ ...healthy, lastDonation: 'recent' }).firedRules, ['INTERVAL-MIN', 'INTERVAL-F']);
+    });
+
+    it('accepts the range a recorded donation derives when the donor is written back', async () => {
+        const database = await createDatabase();
+        const { id } = database.createDonor(donor());
+        database.recordDonation(id, { date: daysAgo(10), screeningResult: 'passed' });
+        const { lastDonation } = database.findRecord('donors', id);
+        assert.equal(lastDonation, 'recent');
+        assert.equal(database.updateDonor(id, { lastDonation }).lastDonation, 'recent');
+    });
+});
@@ -0,0 +1,70 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { LifeFlowValidationError } from '../src/database.js';
+import { LifeFlowDuplicates } from '../src/duplicates.js';
+import { LifeFlowDataExchange } from '../src/exchange.js';
+import { createDatabase, donor } from './helpers.js';
+
+async function setup() {
+    const database = await createDatabase();
+    return { database, exchange: new LifeFlowDataExchange(database, new LifeFlowDuplicates(database)) };
+}
+
+const rejectedFields = report => report.rejected.map(({ row, errors }) => [row, Object.keys(errors)]);
+
+describe('import', () => {
+    it('rejects rows that would change nothing instead of counting them as updates', async () => {
+        const { database, exchange } = await setup();
+        const unit = database.addUnit({ bloodType: 'O+', component: 'rbc', status: 'available' });
+        const inventory = exchange.import('inventory', `id,bloodType,status\n${unit.id},O+,\n${unit.id},O+,available\n${unit.id},O+,reserved`);
+        assert.deepEqual(rejectedFields(inventory), [[2, ['status']], [3, ['status']]]);
+        assert.equal(inventory.summary.updated, 1);
+
+        const request = database.createRequest({ hospital: 'Mercy', bloodType: 'O+', units: 1 });
+        database.cancelRequest(request.id);
+        const requests = exchange.import('requests', `id,hospital,bloodType,units\n${request.id},Mercy,O+,2`, { dryRun: false });
+        assert.deepEqual(rejectedFields(requests), [[2, ['status']]]);
+        assert.equal(database.getRequest(request.id).units, 1);
+    });
+
+    it('only takes active or inactive as a donor status', async () => {
+        const { database, exchange } = await setup();
+        const { id } = database.createDonor(donor());
+        const report = exchange.import('donors', `id,name,status\n${id},Test Donor,merged\n${id},Test Donor,inactive`, { dryRun: false });
+        assert.deepEqual(rejectedFields(report), [[2, ['status']]]);
+        assert.equal(database.findRecord('donors', id).status, 'inactive');
+    });
+
+    it('creates new units only as quarantined or available', async () => {
+        const { database, exchange } = await setup();
+        const report = exchange.import('inventory', 'bloodType,status\nO+,issued\nO+,reserved\nA+,quarantined\nB+,\nB+,', { dryRun: false });
+        assert.deepEqual(rejectedFields(report), [[2, ['status']], [3, ['status']], [6, ['row']]]);
+        assert.deepEqual(database.readUnits().slice(-2).map(u => u.status), ['quarantined', 'available']);
+        assert.throws(() => database.addUnit({ bloodType: 'O+', status: 'issued' }), LifeFlowValidationError);
+    });
+
+    it('rejects rows that repeat an earlier row, in a dry run as when applied', async () => {
+        const { database, exchange } = await setup();
+        const { id } = database.createDonor(donor());
+        const file = 'id,name,email,phone,bloodType,age,weight,status\n' +
+            'x,New Donor,new@example.com,555-0101,O+,30,70,active\n' +
+            'x,New Donor,NEW@example.com,,O+,30,70,active\n' +
+            `${id},Test Donor,,,,,,inactive\n${id},Test Donor,,,,,,active`;
+        const dryRun = exchange.import('donors', file);
+        assert.deepEqual(rejectedFields(dryRun), [[3, ['row']], [5, ['row']]]);
+        assert.deepEqual(dryRun.summary, { created: 1, updated: 1, rejected: 2 });
+        assert.deepEqual(exchange.import('donors', file, { dryRun: false }).summary, dryRun.summary);
+        assert.equal(database.findRecord('donors', id).status, 'inactive');
+    });
+
+    it('reports keyed errors the interface can translate', async () => {
+        const { database, exchange } = await setup();
+        const unit = database.addUnit({ bloodType: 'O+', component: 'rbc', status: 'available' });
+        const report = exchange.import('inventory', `id,bloodType,status\n${unit.id},O+,available\n${unit.id},O+,in_transit`);
+        assert.deepEqual(report.rejected.map(({ errors }) => errors.status), [
+            { key: 'alreadySet', params: { label: 'Status', value: 'available' } },
+            { key: 'transferOnly', params: { label: 'Status' } }
+        ]);
+    });
+});
@@ -0,0 +1,28 @@
+import { LifeFlowDatabase } from '../src/database.js';
+import { createSeededRandom } from '../src/random.js';
+import { MemoryStorageAdapter } from '../src/storage.js';
+
+// A Monday, so day-of-week logic has a known anchor
+export const NOW = new Date('2026-03-02T12:00:00Z');
+
+export const daysAgo = (days, from = NOW) => new Date(from.getTime() - days * 86400000).toISOString();
+
+// An empty database on a frozen clock and a seeded random source. Nothing is
+// loaded or seeded; pass load: true for the full start-up path.
+export async function createDatabase({ storage = new MemoryStorageAdapter(), now = NOW, seed = 1, load = false } = {}) {
+    const database = new LifeFlowDatabase(storage, { clock: () => new Date(now), random: createSeededRandom(seed) });
+    if (load) await database.load();
+    return database;
+}
+
+export const donor = (overrides = {}) => ({
+    name: 'Test Donor',
+    email: 'donor@example.com',
+    phone: '555-0100',
+    bloodType: 'O+',
+    age: 30,
+    weight: 70,
+    sex: 'male',
+    city: 'New York',
+    ...overrides
+});
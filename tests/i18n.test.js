@@ -0,0 +1,145 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { findFieldErrorKeys, LifeFlowValidationError } from '../src/database.js';
+import { LifeFlowEligibility } from '../src/eligibility.js';
+import { LOCALES, LifeFlowI18n, matchLocale } from '../src/i18n.js';
+import { LifeFlowScheduler } from '../src/scheduler.js';
+import { createDatabase, donor, NOW } from './helpers.js';
+
+const i18n = (options = {}) => new LifeFlowI18n({ timeZone: 'UTC', ...options });
+
+describe('translations', () => {
+    it('cover every English message in every language, with the same placeholders', () => {
+        const placeholders = message => [...new Set(JSON.stringify(message).match(/\{\w+\}/g) || [])]
+            .filter(p => p !== '{count}')
+            .sort();
+        const english = LOCALES.en.messages;
+        Object.entries(LOCALES).forEach(([code, { messages }]) => {
+            assert.deepEqual(Object.keys(messages).sort(), Object.keys(english).sort(), code);
+            Object.keys(english).forEach(key => {
+                assert.deepEqual(placeholders(messages[key]), placeholders(english[key]), `${code} ${key}`);
+            });
+        });
+    });
+
+    it('fill in placeholders and fall back to English, then to the given text', () => {
+        const ur = i18n({ locale: 'ur' });
+        assert.equal(ur.t('portal.greeting', { name: 'Ayesha', bloodType: 'B+' }), 'السلام علیکم، Ayesha (B+)');
+        assert.equal(ur.t('no.such.key'), 'no.such.key');
+        assert.equal(ur.t('no.such.key', {}, 'as raised'), 'as raised');
+        assert.equal(i18n().t('emergency.requires', {}), 'Requires: {requirements}');
+    });
+
+    it('choose plural forms by count', () => {
+        const en = i18n();
+        assert.equal(en.t('inventory.units', { count: 1 }), '1 unit');
+        assert.equal(en.t('inventory.units', { count: 3 }), '3 units');
+        const ar = i18n({ locale: 'ar' });
+        assert.equal(ar.t('inventory.units', { count: 1 }), 'وحدة واحدة');
+        assert.equal(ar.t('inventory.units', { count: 2 }), 'وحدتان');
+        assert.equal(ar.t('inventory.units', { count: 3 }), '3 وحدات');
+        assert.equal(ar.t('inventory.units', { count: 11 }), '11 وحدة');
+    });
+
+    it('lay Urdu and Arabic out right to left', () => {
+        assert.equal(i18n().dir, 'ltr');
+        assert.equal(i18n({ locale: 'ur' }).dir, 'rtl');
+        assert.equal(i18n({ locale: 'ar' }).dir, 'rtl');
+    });
+
+    it('pick the first supported browser language, else English', () => {
+        assert.equal(matchLocale(['fr-FR', 'ur-IN', 'en']), 'ur');
+        assert.equal(matchLocale(['AR-EG']), 'ar');
+        assert.equal(matchLocale(['de']), 'en');
+        assert.equal(i18n({ locale: 'fr' }).locale, 'en');
+    });
+
+    it('tell listeners when the language changes until they unsubscribe', () => {
+        const translations = i18n();
+        const seen = [];
+        const stop = translations.onChange(locale => seen.push(locale));
+        translations.setLocale('ar');
+        stop();
+        translations.setLocale('ur');
+        assert.deepEqual(seen, ['ar']);
+    });
+});
+
+describe('locale formatting', () => {
+    it('writes dates, times, numbers and lists the locale\'s way', () => {
+        const en = i18n();
+        assert.equal(en.formatDate(NOW), 'Mar 2, 2026');
+        assert.equal(en.formatDateTime(NOW), 'Mar 2, 2026, 12:00 PM');
+        assert.equal(en.formatNumber(1234.5), '1,234.5');
+        assert.equal(en.formatList(['a', 'b', 'c']), 'a, b, c');
+        assert.equal(en.t('emergency.deadline', { deadlineTime: NOW.toISOString() }), 'by Mar 2, 2026, 12:00 PM');
+
+        const ur = i18n({ locale: 'ur' });
+        assert.equal(ur.formatDate(NOW), '2 مارچ، 2026');
+        assert.equal(ur.formatList(['a', 'b']), 'a اور b');
+        assert.equal(en.formatDate('not a date'), '');
+    });
+
+    it('shows and takes weights in the chosen unit while storing kg', () => {
+        const lb = i18n({ weightUnit: 'lb' });
+        assert.equal(lb.formatWeight(50), '110.2 lb');
+        assert.equal(lb.fromKg(50), 110.2);
+        assert.equal(lb.toKg('110.2'), 50);
+        assert.equal(lb.toKg(''), '');
+        assert.equal(lb.toKg('heavy'), 'heavy');
+        assert.equal(i18n().toKg('72'), '72');
+
+        lb.setWeightUnit('stone');
+        assert.equal(lb.weightUnit, 'lb');
+        lb.setWeightUnit('kg');
+        assert.equal(lb.t('eligibility.weightMin', { minKg: 50 }), 'Minimum weight requirement is 50 kg');
+    });
+});
+
+describe('translated results', () => {
+    it('give eligibility reasons in the current language', () => {
+        const result = new LifeFlowEligibility().evaluate({ age: 17, weight: 45, sex: 'female' }, NOW);
+        assert.deepEqual(result.reasonKeys.map(r => r.key), ['eligibility.ageMin', 'eligibility.weightMin']);
+        assert.deepEqual(i18n({ locale: 'ar', weightUnit: 'lb' }).reasons(result), [
+            'الحد الأدنى لعمر التبرع 18 سنة',
+            'يجب ألا يقل الوزن عن 110.2 رطل'
+        ]);
+    });
+
+    it('keep the rule set\'s own text for reasons without a key', () => {
+        const custom = new LifeFlowEligibility({
+            id: 'regional',
+            version: '1',
+            rules: [{ id: 'AGE-MIN-21', when: [{ field: 'age', lt: 21 }], deferral: 'temporary', message: 'Local minimum age is 21' }]
+        });
+        const result = custom.evaluate({ age: 19 }, NOW);
+        assert.deepEqual(i18n({ locale: 'ur' }).reasons(result), ['Local minimum age is 21']);
+    });
+
+    it('explain refused bookings in the current language', async () => {
+        const database = await createDatabase();
+        database.sites = database.initializeSites();
+        const scheduler = new LifeFlowScheduler(database, { checkEligibility: () => ({ eligible: true }) });
+        const result = scheduler.book(database.createDonor(donor()).id, 99, NOW.toISOString());
+        assert.equal(result.status, 'rejected');
+        assert.deepEqual(i18n({ locale: 'ur' }).reasons(result), ['نامعلوم عطیہ مرکز']);
+    });
+
+    it('name the fields of a rejected record in the current language', async () => {
+        const errors = findFieldErrorKeys('donors', { ...donor(), name: '', weight: 20 });
+        assert.deepEqual(i18n({ locale: 'ar' }).fieldErrors('donors', errors), {
+            name: 'الاسم مطلوب',
+            weight: 'يجب أن يكون الوزن بين 50 كغ و300 كغ'
+        });
+
+        // Rejected writes carry the keyed errors alongside the English text
+        const database = await createDatabase();
+        assert.throws(() => database.createDonor(donor({ email: 'not an email' })), error => {
+            assert.ok(error instanceof LifeFlowValidationError);
+            assert.equal(error.fields.email, 'Email address is not valid');
+            assert.deepEqual(i18n({ locale: 'ur' }).fieldErrors(error.collection, error.errors), { email: 'ای میل پتہ درست نہیں' });
+            return true;
+        });
+    });
+});
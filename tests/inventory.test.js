@@ -0,0 +1,187 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { LifeFlowAI } from '../src/ai.js';
+import { LifeFlowAllocation } from '../src/allocation.js';
+import { createDatabase, daysAgo, donor, NOW } from './helpers.js';
+
+const inDays = days => new Date(NOW.getTime() + days * 86400000).toISOString();
+
+async function setup() {
+    const database = await createDatabase();
+    const ai = new LifeFlowAI(database);
+    return { database, ai, allocation: new LifeFlowAllocation(database, ai, ai.compatibility) };
+}
+
+describe('unit ledger', () => {
+    it('quarantines new units and derives expiry from the component shelf life', async () => {
+        const { database } = await setup();
+        const unit = database.addUnit({ bloodType: 'O+', component: 'platelets', collectionDate: NOW });
+        assert.equal(unit.status, 'quarantined');
+        assert.equal(unit.expiryDate, inDays(5));
+        assert.equal(database.getInventory()['O+'], 0);
+    });
+
+    it('only allows listed status transitions', async () => {
+        const { database } = await setup();
+        const unit = database.addUnit({ bloodType: 'O+' });
+        assert.equal(database.setUnitStatus(unit.id, 'issued'), null);
+        assert.equal(database.setUnitStatus(unit.id, 'available').status, 'available');
+        assert.equal(database.setUnitStatus(unit.id, 'discarded').status, 'discarded');
+        assert.equal(database.setUnitStatus(unit.id, 'available'), null);
+        assert.deepEqual(unit.history.map(h => h.status), ['quarantined', 'available', 'discarded']);
+    });
+
+    it('releases units into stock when screening passes and discards them when it fails', async () => {
+        const { database } = await setup();
+        const passed = database.createDonor(donor({ bloodType: 'B-' }));
+        const failed = database.createDonor(donor({ bloodType: 'B-' }));
+        const good = database.recordDonation(passed.id, { date: NOW.toISOString() });
+        const bad = database.recordDonation(failed.id, { date: NOW.toISOString() });
+        assert.equal(database.getInventory()['B-'], 0);
+
+        database.updateScreeningResult(good.id, 'passed');
+        database.updateScreeningResult(bad.id, 'failed');
+        assert.equal(database.getInventory()['B-'], 1);
+        assert.equal(database.getUnit(bad.unitId).status, 'discarded');
+        assert.equal(database.updateScreeningResult(good.id, 'failed'), null);
+    });
+
+    it('picks first-expiring units first and never expired ones', async () => {
+        const { database } = await setup();
+        const later = database.addUnit({ bloodType: 'A+', status: 'available', expiryDate: inDays(10) });
+        const sooner = database.addUnit({ bloodType: 'A+', status: 'available', expiryDate: inDays(2) });
+        database.addUnit({ bloodType: 'A+', status: 'available', expiryDate: daysAgo(1) });
+
+        assert.deepEqual(database.pickUnits('A+', 5).map(u => u.id), [sooner.id, later.id]);
+        assert.deepEqual(database.getExpiringUnits(3).map(u => u.id), [sooner.id]);
+        assert.equal(database.getInventory()['A+'], 2);
+        assert.equal(database.discardExpiredUnits().length, 1);
+    });
+
+    it('adjusts stock to a counted total', async () => {
+        const { database } = await setup();
+        database.updateInventory('AB-', 4);
+        assert.equal(database.getInventory()['AB-'], 4);
+        database.updateInventory('AB-', 1);
+        assert.equal(database.getInventory()['AB-'], 1);
+        assert.equal(database.readUnits({ bloodType: 'AB-', status: 'discarded' }).length, 3);
+    });
+
+    it('seeds the same sample stock for the same random seed', async () => {
+        const first = await createDatabase({ seed: 7 });
+        const second = await createDatabase({ seed: 7 });
+        const other = await createDatabase({ seed: 8 });
+        const summary = database => database.initializeInventory().map(u => `${u.bloodType}/${u.component}/${u.collectionDate}`);
+        assert.deepEqual(summary(first), summary(second));
+        assert.notDeepEqual(summary(first), summary(other));
+    });
+});
+
+describe('allocation', () => {
+    it('draws the exact type first, then substitutes, holding O- back unless urgent', async () => {
+        const { allocation } = await setup();
+        assert.deepEqual(allocation.getSupplyOrder({ bloodType: 'A+', urgency: 'high' }), ['A+', 'A-', 'O+']);
+        assert.deepEqual(allocation.getSupplyOrder({ bloodType: 'A+', urgency: 'urgent' }), ['A+', 'A-', 'O+', 'O-']);
+        assert.deepEqual(allocation.getSupplyOrder({ bloodType: 'O-', urgency: 'moderate' }), ['O-']);
+        assert.deepEqual(allocation.getSupplyOrder({ bloodType: 'O+', component: 'plasma', urgency: 'high' }), ['O+', 'O-', 'A+', 'A-', 'B+', 'B-']);
+    });
+
+    it('reserves stock first-expiry-first and recruits donors for the shortfall', async () => {
+        const { database, allocation } = await setup();
+        database.createDonor(donor({ bloodType: 'B+', city: 'Chicago' }));
+        const later = database.addUnit({ bloodType: 'B+', component: 'rbc', status: 'available', expiryDate: inDays(20) });
+        const sooner = database.addUnit({ bloodType: 'B+', component: 'rbc', status: 'available', expiryDate: inDays(3) });
+        database.addUnit({ bloodType: 'B+', component: 'plasma', status: 'available' });
+        const request = database.createRequest({ hospital: 'Mercy', city: 'Chicago', bloodType: 'B+', units: 3, urgency: 'moderate' });
+
+        const result = allocation.allocate(request.id);
+        assert.deepEqual(result.reservedUnits.map(u => u.id), [sooner.id, later.id]);
+        assert.equal(result.shortfall, 1);
+        assert.equal(result.recruitment.matches.length, 1);
+        assert.equal(result.reservationExpiresAt, new Date(NOW.getTime() + 24 * 3600000).toISOString());
+        assert.deepEqual(database.getRequest(request.id).matchedDonors, [result.recruitment.matches[0].id]);
+    });
+
+    it('only reserves units that meet the patient\'s special requirements', async () => {
+        const { database, allocation } = await setup();
+        database.addUnit({ bloodType: 'O+', component: 'rbc', status: 'available', antigens: { K: true }, cmvNegative: true });
+        const suitable = database.addUnit({ bloodType: 'O+', component: 'rbc', status: 'available', antigens: { K: false }, cmvNegative: true });
+        const request = database.createRequest({ hospital: 'Mercy', bloodType: 'O+', units: 1, antigenNegative: ['K'], cmvNegative: true });
+
+        assert.deepEqual(allocation.allocate(request.id).reservedUnits.map(u => u.id), [suitable.id]);
+    });
+
+    it('gives timed-out holds back to stock as soon as anyone allocates or looks at stock', async () => {
+        const { database, allocation } = await setup();
+        database.updateInventory('O+', 1);
+        const first = database.createRequest({ hospital: 'Mercy', bloodType: 'O+', units: 1, urgency: 'urgent' });
+        const second = database.createRequest({ hospital: 'Mercy', bloodType: 'O+', units: 1, urgency: 'urgent' });
+        assert.equal(allocation.allocate(first.id).reservedTotal, 1);
+        assert.equal(allocation.allocate(second.id).reservedTotal, 0);
+
+        // Urgent holds last 2 hours
+        database.clock = () => new Date(NOW.getTime() + 3 * 3600000);
+        assert.equal(database.pickUnits('O+', Infinity).length, 1);
+        assert.equal(allocation.allocate(second.id).reservedTotal, 1);
+        assert.equal(database.getReservedUnits(first.id).length, 0);
+    });
+
+    it('lets the lab allocate without recording matches, and refuses others before reserving', async () => {
+        const { database, allocation } = await setup();
+        database.createDonor(donor({ bloodType: 'B+', city: 'Chicago' }));
+        database.addUnit({ bloodType: 'B+', component: 'rbc', status: 'available' });
+        const request = database.createRequest({ hospital: 'Mercy', city: 'Chicago', bloodType: 'B+', units: 2, urgency: 'moderate' });
+
+        database.setSession({ userId: 3, name: 'Lab', role: 'lab', donorId: null });
+        const result = allocation.allocate(request.id);
+        assert.equal(result.reservedUnits.length, 1);
+        assert.equal(result.recruitment.matches.length, 1);
+        assert.deepEqual(database.getRequest(request.id).matchedDonors, []);
+
+        database.releaseUnit(result.reservedUnits[0].id, 'Test');
+        database.setSession({ userId: 4, name: 'Desk', role: 'registration_desk', donorId: null });
+        assert.throws(() => allocation.allocate(request.id), { name: 'LifeFlowPermissionError' });
+        assert.equal(database.getReservedUnits(request.id).length, 0);
+    });
+
+    it('issues reservations against the request and releases timed-out holds', async () => {
+        const { database, allocation } = await setup();
+        database.updateInventory('O+', 2);
+        const issued = database.createRequest({ hospital: 'Mercy', bloodType: 'O+', units: 1, urgency: 'urgent' });
+        const lapsed = database.createRequest({ hospital: 'Mercy', bloodType: 'O+', units: 1, urgency: 'urgent' });
+        allocation.allocate(issued.id);
+        allocation.allocate(lapsed.id);
+
+        assert.equal(allocation.issueReserved(issued.id).length, 1);
+        assert.equal(database.getRequest(issued.id).status, 'fulfilled');
+        assert.equal(allocation.releaseExpiredReservations(new Date(NOW.getTime() + 3 * 3600000)).length, 1);
+        assert.equal(database.getInventory()['O+'], 1);
+    });
+});
+
+describe('demand forecast', () => {
+    it('is reproducible from the same seeded history', async () => {
+        const forecast = async () => {
+            const database = await createDatabase({ seed: 3 });
+            database.seedDemandHistory(56);
+            return new LifeFlowAI(database).predictDemand('O+', 7);
+        };
+        const first = await forecast();
+        assert.deepEqual(first, await forecast());
+        assert.equal(first.forecast.length, 7);
+        assert.equal(first.forecast[0].date, '2026-03-02');
+        assert.ok(first.backtest.mape !== null);
+    });
+
+    it('reports a rising trend from growing demand', async () => {
+        const database = await createDatabase();
+        for (let day = 28; day >= 1; day--) {
+            const request = database.createRequest({ hospital: 'Mercy', bloodType: 'AB-', units: 1 + Math.floor((28 - day) / 4) });
+            request.createdDate = daysAgo(day);
+        }
+        const prediction = new LifeFlowAI(database).predictDemand('AB-', 7);
+        assert.equal(prediction.trend, 'increasing');
+        assert.ok(prediction.forecast[6].demand > prediction.currentDemand);
+    });
+});
@@ -0,0 +1,99 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { LifeFlowAI } from '../src/ai.js';
+import { createDatabase, daysAgo, donor } from './helpers.js';
+
+const request = { bloodType: 'A+', city: 'New York', units: 1, urgency: 'moderate' };
+
+async function setup(donors) {
+    const database = await createDatabase();
+    const created = donors.map(data => database.createDonor(donor(data)));
+    return { database, ai: new LifeFlowAI(database), donors: created };
+}
+
+describe('smart matching', () => {
+    it('only takes the exact type for moderate requests', async () => {
+        const { ai } = await setup([{ name: 'Exact', bloodType: 'A+' }, { name: 'Substitute', bloodType: 'O-' }]);
+        const result = ai.smartMatching({ ...request, units: 5 });
+        assert.deepEqual(result.acceptedTypes, ['A+']);
+        assert.deepEqual(result.matches.map(m => m.name), ['Exact']);
+    });
+
+    it('accepts compatible substitutes for urgent requests but ranks the exact type first', async () => {
+        const { ai } = await setup([
+            { name: 'Substitute', bloodType: 'O-' },
+            { name: 'Exact', bloodType: 'A+' },
+            { name: 'Incompatible', bloodType: 'B+' }
+        ]);
+        const result = ai.smartMatching({ ...request, units: 5, urgency: 'urgent' });
+        assert.deepEqual(result.acceptedTypes, ['A+', 'A-', 'O+', 'O-']);
+        assert.deepEqual(result.matches.map(m => m.name), ['Exact', 'Substitute']);
+        assert.equal(result.matches[0].scoreBreakdown.exactType, 10);
+        assert.equal(result.matches[1].scoreBreakdown.exactType, 0);
+    });
+
+    it('searches wider for more urgent requests', async () => {
+        // Philadelphia is about 130 km from New York
+        const { ai } = await setup([{ name: 'Far', city: 'Philadelphia', bloodType: 'A+' }]);
+        assert.equal(ai.smartMatching(request).matches.length, 0);
+        const high = ai.smartMatching({ ...request, urgency: 'high' });
+        assert.equal(high.searchRadiusKm, 150);
+        assert.equal(high.matches[0].distanceKm, 129.6);
+    });
+
+    it('skips inactive donors, unknown cities and donors still in their waiting period', async () => {
+        const { database, ai, donors } = await setup([
+            { name: 'Available', bloodType: 'A+' },
+            { name: 'Inactive', bloodType: 'A+' },
+            { name: 'Nowhere', bloodType: 'A+', city: 'Atlantis' },
+            { name: 'Recent', bloodType: 'A+' }
+        ]);
+        database.deactivateDonor(donors[1].id, 'Moved away');
+        database.recordDonation(donors[3].id, { date: daysAgo(10), screeningResult: 'passed' });
+
+        const result = ai.smartMatching({ ...request, units: 4 });
+        assert.deepEqual(result.matches.map(m => m.name), ['Available']);
+        assert.equal(result.covered, false);
+    });
+
+    it('contacts donors until their expected responses cover the units', async () => {
+        const { database, ai, donors } = await setup([
+            { name: 'Reliable', bloodType: 'A+' },
+            { name: 'Unproven', bloodType: 'A+' },
+            { name: 'Spare', bloodType: 'A+' }
+        ]);
+        database.recordDonorResponse(donors[0].id, true);
+
+        const result = ai.smartMatching({ ...request, units: 1 });
+        assert.deepEqual(result.matches.map(m => m.name), ['Reliable']);
+        assert.equal(result.expectedUnits, 1);
+        assert.equal(result.covered, true);
+    });
+
+    it('only recruits donors typed for the patient\'s antigen-negative and CMV needs', async () => {
+        const { ai } = await setup([
+            { name: 'Typed', bloodType: 'A+', antigens: { K: false }, cmvNegative: true },
+            { name: 'Positive', bloodType: 'A+', antigens: { K: true }, cmvNegative: true },
+            { name: 'Untyped', bloodType: 'A+', cmvNegative: true }
+        ]);
+        const result = ai.smartMatching({ ...request, units: 3, antigenNegative: ['K'], cmvNegative: true, irradiated: true });
+        assert.deepEqual(result.matches.map(m => m.name), ['Typed']);
+    });
+
+    it('uses plasma rules for plasma requests', async () => {
+        const { ai } = await setup([{ name: 'Universal', bloodType: 'AB+' }, { name: 'Red cell universal', bloodType: 'O-' }]);
+        const result = ai.smartMatching({ ...request, component: 'plasma', units: 2, urgency: 'urgent' });
+        assert.deepEqual(result.matches.map(m => m.name), ['Universal']);
+    });
+});
+
+describe('distance', () => {
+    it('measures great-circle distance between known cities only', async () => {
+        const { ai } = await setup([]);
+        assert.equal(ai.calculateDistance('New York', ' new york '), 0);
+        assert.equal(Math.round(ai.calculateDistance('Islamabad', 'Rawalpindi')), 14);
+        assert.equal(ai.calculateDistance('New York', 'Atlantis'), null);
+        assert.equal(ai.calculateDistance('', 'New York'), null);
+    });
+});
@@ -0,0 +1,159 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { LifeFlowAI } from '../src/ai.js';
+import { LifeFlowAllocation } from '../src/allocation.js';
+import { LifeFlowPermissionError, LifeFlowValidationError } from '../src/database.js';
+import { LifeFlowScheduler } from '../src/scheduler.js';
+import { MemoryStorageAdapter } from '../src/storage.js';
+import { LifeFlowTransfers } from '../src/transfers.js';
+import { createDatabase, donor, NOW } from './helpers.js';
+
+// Sample sites: 1 Downtown (New York), 2 Westside (Los Angeles), 3 Peshawar,
+// 4 City Hospital Blood Bank (New York), 5 General Hospital Blood Bank (Houston)
+async function setup() {
+    const database = await createDatabase();
+    database.sites = database.initializeSites();
+    const ai = new LifeFlowAI(database);
+    const transfers = new LifeFlowTransfers(database, ai, ai.compatibility);
+    const allocation = new LifeFlowAllocation(database, ai, ai.compatibility, transfers);
+    return { database, ai, transfers, allocation };
+}
+
+const stock = (database, siteId, bloodType, count, component = 'rbc') =>
+    Array.from({ length: count }, () => database.addUnit({ bloodType, component, siteId, status: 'available' }));
+
+describe('sites', () => {
+    it('place new donors at a collection site and requests at a blood bank in their city', async () => {
+        const { database } = await setup();
+        assert.equal(database.createDonor(donor()).siteId, 1);
+        assert.equal(database.createDonor(donor({ city: 'Chicago' })).siteId, null);
+        assert.equal(database.createRequest({ hospital: 'General', city: 'Houston', bloodType: 'A+', units: 1 }).siteId, 5);
+        assert.equal(database.createRequest({ hospital: 'Mercy', city: 'New York', bloodType: 'A+', units: 1, siteId: '1' }).siteId, 1);
+    });
+
+    it('count stock per site as well as across the network', async () => {
+        const { database } = await setup();
+        stock(database, 1, 'O+', 3);
+        stock(database, 2, 'O+', 2);
+        assert.equal(database.getInventory(null, undefined, 1)['O+'], 3);
+        assert.equal(database.getInventory()['O+'], 5);
+        assert.equal(database.pickUnits('O+', Infinity, null, undefined, 2).length, 2);
+    });
+
+    it('keep a donation at the site where it was collected, not the donor\'s home site', async () => {
+        const { database, ai } = await setup();
+        const { id } = database.createDonor(donor());
+        const appointment = database.createAppointment({ donorId: id, siteId: 2, start: NOW.toISOString() });
+
+        new LifeFlowScheduler(database, ai).complete(appointment.id, { screeningResult: 'passed' });
+        const unit = database.readUnits().find(u => u.donorId === id);
+        assert.equal(database.findRecord('donors', id).siteId, 1);
+        assert.equal(unit.siteId, 2);
+    });
+
+    it('reject records that point at a site that does not exist', async () => {
+        const { database } = await setup();
+        assert.throws(() => database.addUnit({ bloodType: 'O+', siteId: 99 }), LifeFlowValidationError);
+        assert.throws(() => database.createDonor(donor({ siteId: 'Downtown' })), /Home site must be a site/);
+    });
+
+    it('are given to stores from before sites held stock', async () => {
+        const storage = new MemoryStorageAdapter({
+            lifeflow_schema_version: '3',
+            lifeflow_donors: JSON.stringify([{ id: 1, ...donor({ city: 'Los Angeles' }), status: 'active' }]),
+            lifeflow_inventory: JSON.stringify([{ id: 2, bloodType: 'O+', component: 'rbc', status: 'available', expiryDate: '2026-04-01T00:00:00.000Z' }])
+        });
+        const database = await createDatabase({ storage, load: true });
+        assert.equal(database.readDonors()[0].siteId, 2);
+        assert.equal(database.getUnit(2).siteId, 1);
+        assert.ok(database.readSites().every(s => s.kind));
+    });
+});
+
+describe('transfers', () => {
+    it('move units between sites, out of both sites\' stock while in transit', async () => {
+        const { database, transfers } = await setup();
+        stock(database, 1, 'A-', 3);
+        const transfer = database.createTransfer({ fromSiteId: 1, toSiteId: 4, bloodType: 'A-', units: 2 });
+        assert.equal(transfer.status, 'requested');
+
+        database.dispatchTransfer(transfer.id);
+        assert.equal(transfer.unitIds.length, 2);
+        assert.equal(database.getInventory()['A-'], 1);
+        assert.equal(transfers.getNetworkStock().inTransit['A-'], 2);
+        assert.equal(database.cancelTransfer(transfer.id), null);
+        assert.equal(database.setUnitStatus(transfer.unitIds[0], 'available'), null);
+
+        database.receiveTransfer(transfer.id);
+        assert.equal(transfer.status, 'received');
+        assert.equal(database.getInventory(null, undefined, 4)['A-'], 2);
+        assert.deepEqual(transfer.history.map(h => h.status), ['requested', 'dispatched', 'received']);
+    });
+
+    it('send what the site has, and nothing from a site without stock', async () => {
+        const { database } = await setup();
+        stock(database, 2, 'B-', 1);
+        const short = database.createTransfer({ fromSiteId: 2, toSiteId: 5, bloodType: 'B-', units: 4 });
+        assert.equal(database.dispatchTransfer(short.id).unitIds.length, 1);
+
+        const empty = database.createTransfer({ fromSiteId: 3, toSiteId: 5, bloodType: 'B-', units: 1 });
+        assert.equal(database.dispatchTransfer(empty.id), null);
+        assert.equal(database.cancelTransfer(empty.id, 'No stock').status, 'cancelled');
+    });
+
+    it('need two different sites and the transfer permission', async () => {
+        const { database } = await setup();
+        assert.throws(() => database.createTransfer({ fromSiteId: 1, toSiteId: 1, bloodType: 'O+', units: 1 }), /must differ/);
+        database.setSession({ userId: 2, name: 'Desk', role: 'registration_desk', donorId: null });
+        assert.throws(() => database.createTransfer({ fromSiteId: 1, toSiteId: 2, bloodType: 'O+', units: 1 }), LifeFlowPermissionError);
+    });
+});
+
+describe('allocation across sites', () => {
+    it('reserves local stock and proposes the nearest sites with surplus for the rest', async () => {
+        const { database, allocation } = await setup();
+        stock(database, 4, 'O+', 1);
+        stock(database, 1, 'O+', 4);
+        stock(database, 2, 'O+', 10);
+        stock(database, 5, 'O+', 10);
+        const request = database.createRequest({ hospital: 'City Hospital', city: 'New York', bloodType: 'O+', component: 'rbc', units: 4 });
+
+        const result = allocation.allocate(request.id);
+        assert.equal(result.reservedUnits.length, 1);
+        assert.equal(result.shortfall, 3);
+        // Downtown keeps two units for itself; Houston is nearer to New York than Los Angeles
+        assert.deepEqual(result.transferProposals.map(p => [p.fromSiteName, p.units]), [
+            ['Downtown Donor Center', 2],
+            ['General Hospital Blood Bank', 1]
+        ]);
+        assert.equal(result.transferProposals[0].distanceKm, 0);
+        assert.equal(result.recruitment, null);
+    });
+
+    it('counts ordered transfers as covered and reserves units once they arrive', async () => {
+        const { database, allocation, transfers } = await setup();
+        stock(database, 5, 'O+', 6);
+        const request = database.createRequest({ hospital: 'City Hospital', city: 'New York', bloodType: 'O+', component: 'rbc', units: 3 });
+        const [proposal] = allocation.allocate(request.id).transferProposals;
+        const transfer = transfers.requestTransfer(request.id, proposal);
+
+        assert.deepEqual(allocation.allocate(request.id).transferProposals, []);
+        transfers.dispatch(transfer.id);
+        transfers.receive(transfer.id);
+        assert.equal(allocation.allocate(request.id).reservedTotal, 3);
+    });
+
+    it('only sends units that meet the request\'s requirements', async () => {
+        const { database, allocation, transfers } = await setup();
+        const plain = stock(database, 5, 'O+', 3);
+        const cmvSafe = stock(database, 5, 'O+', 2).map(u => Object.assign(u, { cmvNegative: true }));
+        const request = database.createRequest({ hospital: 'City Hospital', city: 'New York', bloodType: 'O+', component: 'rbc', units: 2, cmvNegative: true });
+
+        const [proposal] = allocation.allocate(request.id).transferProposals;
+        assert.equal(proposal.units, 2);
+        const transfer = transfers.dispatch(transfers.requestTransfer(request.id, proposal).id);
+        assert.deepEqual(transfer.unitIds.sort(), cmvSafe.map(u => u.id).sort());
+        assert.ok(plain.every(u => u.status === 'available'));
+    });
+});
@@ -0,0 +1,131 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { EncryptedStorageAdapter, MemoryStorageAdapter } from '../src/storage.js';
+import { createDatabase, donor } from './helpers.js';
+
+const read = async (storage, key) => JSON.parse(await storage.getItem(key));
+
+describe('loading and saving', () => {
+    it('seeds an empty store with sample data and stamps the schema version', async () => {
+        const storage = new MemoryStorageAdapter();
+        const database = await createDatabase({ storage, load: true });
+        assert.equal(database.readDonors().length, 5);
+        assert.ok(database.inventory.length > 0);
+        assert.equal(await read(storage, 'lifeflow_schema_version'), 4);
+        assert.equal((await read(storage, 'lifeflow_donors')).length, 5);
+    });
+
+    it('seeds identically for the same random seed', async () => {
+        const first = await createDatabase({ seed: 11, load: true });
+        const second = await createDatabase({ seed: 11, load: true });
+        assert.deepEqual(first.readDonors().map(d => d.id), second.readDonors().map(d => d.id));
+        assert.deepEqual(first.getInventory(), second.getInventory());
+    });
+
+    it('reads back what it wrote', async () => {
+        const storage = new MemoryStorageAdapter();
+        const database = await createDatabase({ storage, load: true });
+        const created = database.createDonor(donor({ name: 'Persisted Person' }));
+        await database.flush();
+
+        const reloaded = await createDatabase({ storage, load: true });
+        assert.deepEqual(reloaded.readDonors().find(d => d.id === created.id), created);
+        assert.equal(reloaded.readDonors().length, 6);
+    });
+
+    it('only writes collections that changed', async () => {
+        const storage = new MemoryStorageAdapter();
+        const database = await createDatabase({ storage, load: true });
+        const writes = [];
+        const setItem = storage.setItem.bind(storage);
+        storage.setItem = (key, value) => {
+            writes.push(key);
+            return setItem(key, value);
+        };
+
+        database.createRequest({ hospital: 'Mercy', bloodType: 'O+', units: 1 });
+        await database.flush();
+        assert.ok(writes.includes('lifeflow_requests'));
+        assert.ok(!writes.includes('lifeflow_donors'));
+    });
+});
+
+describe('migrations and damaged data', () => {
+    it('upgrades a version 1 store: stock counts become units and records gain updatedAt', async () => {
+        const storage = new MemoryStorageAdapter({
+            lifeflow_inventory: JSON.stringify({ 'O+': 3, 'A-': 1 }),
+            lifeflow_donors: JSON.stringify([{ id: 1, ...donor(), registrationDate: '2025-01-01T00:00:00.000Z', status: 'active' }])
+        });
+        const database = await createDatabase({ storage, load: true });
+
+        assert.equal(database.getInventory()['O+'], 3);
+        assert.equal(database.getInventory()['A-'], 1);
+        assert.equal(database.readDonors()[0].updatedAt, '2025-01-01T00:00:00.000Z');
+        assert.equal(await read(storage, 'lifeflow_schema_version'), 4);
+    });
+
+    it('backs up unreadable values instead of seeding over them', async () => {
+        const storage = new MemoryStorageAdapter({ lifeflow_donors: '{not json', lifeflow_schema_version: '4' });
+        const database = await createDatabase({ storage, load: true });
+
+        assert.equal(database.loadErrors.length, 1);
+        const { key, backupKey } = database.loadErrors[0];
+        assert.equal(key, 'lifeflow_donors');
+        assert.equal(await storage.getItem(backupKey), '{not json');
+        assert.equal(await storage.getItem('lifeflow_donors'), '{not json');
+        assert.equal(database.readDonors().length, 0);
+    });
+
+    it('refuses data written by a newer version of the app', async () => {
+        const storage = new MemoryStorageAdapter({ lifeflow_schema_version: '99', lifeflow_donors: '[]' });
+        await assert.rejects(createDatabase({ storage, load: true }), /schema v99, newer than this app/);
+    });
+});
+
+describe('encrypted storage', () => {
+    const key = crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+
+    it('never writes records in plain text', async () => {
+        const inner = new MemoryStorageAdapter();
+        const storage = new EncryptedStorageAdapter(inner, () => key);
+        const database = await createDatabase({ storage, load: true });
+        database.createDonor(donor({ name: 'Secret Name' }));
+        await database.flush();
+
+        const raw = await inner.getItem('lifeflow_donors');
+        assert.match(raw, /^enc:v1:/);
+        assert.ok(!raw.includes('Secret Name'));
+
+        const reloaded = await createDatabase({ storage: new EncryptedStorageAdapter(inner, () => key), load: true });
+        assert.ok(reloaded.readDonors().some(d => d.name === 'Secret Name'));
+    });
+
+    it('reads plain text left from before encryption and rewrites it encrypted', async () => {
+        const inner = new MemoryStorageAdapter({
+            lifeflow_schema_version: '4',
+            lifeflow_donors: JSON.stringify([{ id: 1, ...donor({ name: 'Plain Name' }), status: 'active' }])
+        });
+        const database = await createDatabase({ storage: new EncryptedStorageAdapter(inner, () => key), load: true });
+
+        assert.equal(database.readDonors()[0].name, 'Plain Name');
+        assert.match(await inner.getItem('lifeflow_donors'), /^enc:v1:/);
+    });
+
+    it('starts without seeding, and keeps the ciphertext, when the device key has changed', async () => {
+        const inner = new MemoryStorageAdapter();
+        const database = await createDatabase({ storage: new EncryptedStorageAdapter(inner, () => key), load: true });
+        database.createDonor(donor({ name: 'Secret Name' }));
+        await database.flush();
+        const stored = await inner.getItem('lifeflow_donors');
+
+        const otherKey = crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+        const reloaded = await createDatabase({ storage: new EncryptedStorageAdapter(inner, () => otherKey), load: true });
+
+        const failed = reloaded.loadErrors.find(e => e.key === 'lifeflow_donors');
+        assert.ok(failed);
+        assert.equal(await inner.getItem(failed.backupKey), stored);
+        assert.equal(await inner.getItem('lifeflow_donors'), stored);
+        assert.equal(reloaded.readDonors().length, 0);
+    });
+});
@@ -0,0 +1,249 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { LifeFlowAI } from '../src/ai.js';
+import { LifeFlowPermissionError, LifeFlowValidationError } from '../src/database.js';
+import { LifeFlowFakeProvider, LifeFlowNotifications } from '../src/notifications.js';
+import { DONOR_CARD_PREFIX, LifeFlowDonorPortal } from '../src/portal.js';
+import { LifeFlowScheduler } from '../src/scheduler.js';
+import { createDatabase, daysAgo, donor, NOW } from './helpers.js';
+
+async function setup() {
+    const database = await createDatabase();
+    const ai = new LifeFlowAI(database);
+    const scheduler = new LifeFlowScheduler(database, ai);
+    const email = new LifeFlowFakeProvider('email');
+    const notifications = new LifeFlowNotifications(database, ai, { email });
+    const portal = new LifeFlowDonorPortal(database, ai, scheduler, notifications);
+    const alice = database.createDonor(donor({ name: 'Alice', email: 'alice@example.com', sex: 'female' }));
+    const bob = database.createDonor(donor({ name: 'Bob', email: 'bob@example.com' }));
+    return { database, ai, scheduler, notifications, email, portal, alice, bob };
+}
+
+describe('access codes', () => {
+    it('sign the donor in once, as a donor who can only see their own record', async () => {
+        const { database, portal, alice, bob } = await setup();
+        const { code } = await portal.issueFirstAccess(alice.id);
+        database.signOut();
+
+        const session = await database.signInWithCode(code.toLowerCase().replace(/(.{5})/, '$1-'));
+        assert.equal(session.role, 'donor');
+        assert.equal(session.donorId, alice.id);
+        assert.deepEqual(database.listDonors().map(d => d.name), ['Alice']);
+        assert.throws(() => portal.getHistory(bob.id), LifeFlowPermissionError);
+
+        database.signOut();
+        assert.equal(await database.signInWithCode(code), null);
+    });
+
+    it('expire, and are replaced when a new one is issued', async () => {
+        const { database, alice } = await setup();
+        const first = await database.issueAccessCode(alice.id);
+        const second = await database.issueAccessCode(alice.id);
+        assert.equal(await database.signInWithCode(first.code), null);
+
+        database.clock = () => new Date(NOW.getTime() + 61 * 60000);
+        assert.equal(await database.signInWithCode(second.code), null);
+        assert.equal(database.readAuditLog().filter(e => e.action === 'sign_in_failed').length, 2);
+    });
+
+    it('are never stored in plain text', async () => {
+        const { database, alice } = await setup();
+        const { code } = await database.issueAccessCode(alice.id);
+        assert.ok(!JSON.stringify(database.accessCodes).includes(code));
+    });
+
+    it('can only be issued by staff or the system', async () => {
+        const { database, portal, alice } = await setup();
+        database.signOut();
+        await assert.rejects(database.issueAccessCode(alice.id), LifeFlowPermissionError);
+
+        await portal.issueFirstAccess(alice.id);
+        const issued = database.asSystem(() => database.readAuditLog()).find(e => e.action === 'issue_access_code');
+        assert.equal(issued.role, 'system');
+    });
+});
+
+describe('booking', () => {
+    it('is for signed-in donors booking themselves, and for staff', async () => {
+        const { database, portal, alice, bob } = await setup();
+        const appointment = donorId => ({ donorId, siteId: 1, start: NOW.toISOString() });
+        const { code } = await portal.issueFirstAccess(alice.id);
+        database.signOut();
+        assert.throws(() => database.createAppointment(appointment(alice.id)), LifeFlowPermissionError);
+
+        await database.signInWithCode(code);
+        assert.equal(database.createAppointment(appointment(alice.id)).donorId, alice.id);
+        assert.throws(() => database.createAppointment(appointment(bob.id)), LifeFlowPermissionError);
+    });
+
+    it('moves between booked and waitlisted only with a move, and audits the change', async () => {
+        const { database, alice } = await setup();
+        const { id } = database.createAppointment({ donorId: alice.id, siteId: 1, start: NOW.toISOString() });
+        const later = new Date(NOW.getTime() + 3600000).toISOString();
+
+        assert.equal(database.moveAppointment(id, 1, later, 'Rescheduled', 'completed'), null);
+        assert.equal(database.moveAppointment(id, 1, later, 'Rescheduled', 'waitlisted').status, 'waitlisted');
+        const statusChange = database.readAuditLog().find(e => e.action === 'status' && e.recordId === id);
+        assert.deepEqual(statusChange.details, { from: 'booked', to: 'waitlisted', note: 'Joined waitlist' });
+    });
+});
+
+describe('sign-in links', () => {
+    it('are emailed to registered addresses without logging the code', async () => {
+        const { database, portal, email, alice } = await setup();
+        database.signOut();
+        await portal.requestAccessLink(' ALICE@example.com ', 'https://lifeflow.example/');
+        await portal.requestAccessLink('nobody@example.com', 'https://lifeflow.example/');
+
+        assert.equal(email.sent.length, 1);
+        const code = email.sent[0].body.match(/\?access=(\w+)#portal/)[1];
+        assert.match(email.sent[0].body, /expires in 60 minutes/);
+        assert.ok(!JSON.stringify(database.readNotificationLog(alice.id)).includes(code));
+        assert.equal((await database.signInWithCode(code)).donorId, alice.id);
+    });
+
+    it('still reach donors who paused or opted out of appeals', async () => {
+        const { database, portal, notifications, email, alice } = await setup();
+        notifications.optOut(alice.id);
+        database.pauseDonor(alice.id);
+        await portal.requestAccessLink('alice@example.com', 'https://lifeflow.example/');
+        assert.equal(email.sent.length, 1);
+        assert.equal(notifications.checkRateLimit(alice.id, 'campaign'), null);
+    });
+});
+
+describe('donor page', () => {
+    it('lets a donor edit their own contact details but not their blood type', async () => {
+        const { database, portal, alice } = await setup();
+        database.signOut();
+        await database.signInWithCode((await portal.issueFirstAccess(alice.id)).code);
+
+        assert.equal(portal.updateProfile(alice.id, { city: 'Boston', weight: 64 }).city, 'Boston');
+        assert.throws(() => portal.updateProfile(alice.id, { bloodType: 'AB-' }), LifeFlowPermissionError);
+    });
+
+    it('keeps status and bookkeeping out of plain updates, even for staff', async () => {
+        const { database, alice, bob } = await setup();
+        ['id', 'status', 'mergedInto', 'nextEligibleDate'].forEach(field => {
+            assert.throws(() => database.updateDonor(alice.id, { [field]: bob.id }), error => {
+                assert.ok(error instanceof LifeFlowValidationError);
+                assert.equal(error.errors[field].key, 'notWritable');
+                return true;
+            });
+        });
+        assert.equal(database.deactivateDonor(alice.id, 'Moved away').status, 'inactive');
+        assert.equal(database.reactivateDonor(alice.id).status, 'active');
+    });
+
+    it('counts down the waiting period for the component last given', async () => {
+        const { database, portal, alice, bob } = await setup();
+        database.recordDonation(bob.id, { date: daysAgo(3), component: 'platelets', screeningResult: 'passed' });
+        database.recordDonation(alice.id, { date: daysAgo(100), screeningResult: 'passed' });
+
+        // Platelets wait 7 days, the same as the donor record's next eligible date
+        const bobNext = portal.getNextEligibility(bob.id);
+        assert.equal(bobNext.eligible, false);
+        assert.equal(bobNext.daysRemaining, 4);
+        assert.equal(bobNext.eligibleDate, database.findRecord('donors', bob.id).nextEligibleDate);
+        assert.deepEqual(bobNext.reasons, ['Must wait 7 days after a platelet donation']);
+        assert.deepEqual(bobNext.reasonKeys.map(r => r.key), ['eligibility.intervalPlatelets']);
+
+        // 16 weeks for women after whole blood: 12 days to go
+        const aliceNext = portal.getNextEligibility(alice.id);
+        assert.equal(aliceNext.daysRemaining, 12);
+        assert.equal(aliceNext.eligibleDate, database.findRecord('donors', alice.id).nextEligibleDate);
+    });
+
+    it('still counts down a waiting period that a regional rule set leaves out', async () => {
+        const { database, ai, portal, bob } = await setup();
+        ai.eligibility.setRuleSet({ id: 'regional', version: '1', rules: [] });
+        database.recordDonation(bob.id, { date: daysAgo(3), component: 'plasma', screeningResult: 'passed' });
+
+        const next = portal.getNextEligibility(bob.id);
+        assert.equal(next.daysRemaining, 25);
+        assert.deepEqual(next.reasonKeys.map(r => r.key), ['eligibility.waitingPeriod']);
+    });
+
+    it('is eligible now for a donor who has never given', async () => {
+        const { portal, bob } = await setup();
+        assert.deepEqual(
+            { ...portal.getNextEligibility(bob.id), reasons: undefined, reasonKeys: undefined },
+            { eligible: true, eligibleDate: NOW.toISOString(), daysRemaining: 0, deferralType: null, reasons: undefined, reasonKeys: undefined }
+        );
+    });
+
+    it('lists donations newest first and sums up their impact', async () => {
+        const { database, portal, bob } = await setup();
+        const older = database.recordDonation(bob.id, { date: daysAgo(300), screeningResult: 'passed' });
+        database.recordDonation(bob.id, { date: daysAgo(150), component: 'plasma', screeningResult: 'passed', volume: 600 });
+        database.recordDonation(bob.id, { date: daysAgo(20), screeningResult: 'failed' });
+        database.issueUnit(older.unitId);
+
+        assert.deepEqual(portal.getHistory(bob.id).map(d => d.unitStatus), ['discarded', 'available', 'issued']);
+        assert.deepEqual(portal.getImpact(bob.id), {
+            donations: 3,
+            volumeMl: 1500,
+            unitsTransfused: 1,
+            patientsHelped: 4,
+            firstDonation: daysAgo(300)
+        });
+    });
+
+    it('puts a scannable reference on the donor card that finds the donor again', async () => {
+        const { portal, scheduler, alice } = await setup();
+        const card = portal.getCard(alice.id);
+        assert.equal(card.reference, `${DONOR_CARD_PREFIX}${alice.id}`);
+        assert.equal(card.qr.size, card.qr.version * 4 + 17);
+        assert.equal(scheduler.findDonor(card.reference), scheduler.findDonor(String(alice.id)));
+        assert.equal(scheduler.findDonor(card.reference).name, 'Alice');
+    });
+});
+
+describe('consent', () => {
+    const request = { bloodType: 'O+', city: 'New York', units: 5, urgency: 'moderate' };
+
+    it('takes paused and withdrawn donors out of matching until they resume', async () => {
+        const { database, ai, alice, bob } = await setup();
+        database.pauseDonor(alice.id, '2026-04-01');
+        database.withdrawConsent(bob.id);
+        assert.deepEqual(ai.smartMatching(request).matches, []);
+
+        database.resumeDonor(bob.id);
+        assert.deepEqual(ai.smartMatching(request).matches.map(m => m.name), ['Bob']);
+        assert.equal(database.findRecord('donors', bob.id).consentWithdrawnDate, null);
+    });
+
+    it('resumes a pause once its end date has passed', async () => {
+        const { database, alice } = await setup();
+        database.pauseDonor(alice.id, '2026-03-10');
+        assert.equal(database.resumeExpiredPauses().length, 0);
+        assert.deepEqual(database.resumeExpiredPauses(new Date('2026-03-11')).map(d => d.status), ['active']);
+    });
+
+    it('rejects an unreadable pause end', async () => {
+        const { database, alice } = await setup();
+        assert.throws(() => database.pauseDonor(alice.id, 'next spring'), /Pause end is not a valid date/);
+    });
+
+    it('cancels booked visits when consent is withdrawn', async () => {
+        const { database, scheduler, portal, bob } = await setup();
+        database.sites = database.initializeSites();
+        const [first] = database.readSites();
+        const start = new Date(NOW.getTime() + 86400000);
+        start.setHours(first.openHour, 0, 0, 0);
+        while (!first.days.includes(start.getDay())) start.setDate(start.getDate() + 1);
+        assert.equal(scheduler.book(bob.id, first.id, start.toISOString()).status, 'booked');
+
+        portal.withdraw(bob.id);
+        assert.deepEqual(scheduler.getUpcoming(bob.id), []);
+    });
+
+    it('cannot undo a staff deactivation', async () => {
+        const { database, alice } = await setup();
+        database.deactivateDonor(alice.id, 'Moved away');
+        assert.equal(database.resumeDonor(alice.id), null);
+        assert.equal(database.pauseDonor(alice.id), null);
+        assert.equal(database.findRecord('donors', alice.id).status, 'inactive');
+    });
+});
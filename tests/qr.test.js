@@ -0,0 +1,53 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { encodeQR } from '../src/qr.js';
+
+// "hi" at level M, checked against an independent encoder using the same mask
+const HI = [
+    '#######..####.#######',
+    '#.....#..##.#.#.....#',
+    '#.###.#.##.##.#.###.#',
+    '#.###.#.##..#.#.###.#',
+    '#.###.#.#..##.#.###.#',
+    '#.....#.##..#.#.....#',
+    '#######.#.#.#.#######',
+    '........#.###........',
+    '#.#####.....#.#####..',
+    '.###.#.#..#.#..#....#',
+    '..##..##.#.#.#..####.',
+    '###.#....#.....##.#..',
+    '###.#.#....#.#..#.#.#',
+    '........#..####..#..#',
+    '#######...#.#.##...#.',
+    '#.....#.#######..#..#',
+    '#.###.#.#...#..#..#..',
+    '#.###.#.###.#..#..#..',
+    '#.###.#.#..#.#..###..',
+    '#.....#..##....##.#..',
+    '#######.#.##.#..####.'
+];
+
+const picture = ({ modules }) => modules.map(row => row.map(dark => dark ? '#' : '.').join(''));
+
+describe('QR encoder', () => {
+    it('matches a reference symbol', () => {
+        assert.deepEqual(picture(encodeQR('hi')), HI);
+    });
+
+    it('picks the smallest version that fits', () => {
+        assert.equal(encodeQR('x'.repeat(14)).version, 1);
+        assert.equal(encodeQR('x'.repeat(15)).version, 2);
+        assert.equal(encodeQR('LIFEFLOW-DONOR:1772452800000.123').version, 3);
+        assert.equal(encodeQR('x'.repeat(213)).size, 57);
+    });
+
+    it('counts UTF-8 bytes, not characters', () => {
+        assert.equal(encodeQR('é'.repeat(7)).version, 1);
+        assert.equal(encodeQR('é'.repeat(8)).version, 2);
+    });
+
+    it('refuses payloads beyond version 10', () => {
+        assert.throws(() => encodeQR('x'.repeat(214)), /Too much data for a QR code: 214 bytes/);
+    });
+});